@@ -0,0 +1,77 @@
+/**
+ * Offline shell for tablets used without connectivity.
+ *
+ * - The app shell, sounds and effects are precached on install. Hashed build
+ *   assets are discovered from index.html so the first visit is enough.
+ * - API calls are never cached here; the client keeps its own pack cache and
+ *   result outbox in IndexedDB.
+ */
+const CACHE_NAME = "ktrain-shell-v1";
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/icon.svg",
+  "/manifest.webmanifest",
+  "/sounds/bell.wav",
+  "/sounds/chime.wav",
+  "/sounds/pop.wav",
+  "/sounds/sparkle.wav",
+  "/effects/balloons.svg",
+  "/effects/confetti.svg",
+  "/effects/hearts.svg",
+  "/effects/smiles.svg",
+  "/effects/stars.svg"
+];
+
+async function precacheShell() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(SHELL_URLS);
+  const index = await cache.match("/index.html");
+  if (!index) return;
+  const html = await index.text();
+  const assets = Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), (match) => match[1]);
+  await cache.addAll(Array.from(new Set(assets)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    // WHY: network first so a deploy is picked up as soon as the tablet is back online.
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          if (response.ok) caches.open(CACHE_NAME).then((cache) => cache.put("/index.html", copy));
+          return response;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+      if (response.ok && url.pathname.startsWith("/assets/")) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -8,9 +8,11 @@ import {
   Checkbox,
   Drawer,
   Divider,
+  FileButton,
   Group,
   Modal,
   NumberInput,
+  Progress,
   SegmentedControl,
   Select as MantineSelect,
   Slider,
@@ -25,8 +27,39 @@ import {
 } from "@mantine/core";
 import { applyVisibilityGuard, apcaEstimate } from "./contrast";
 import { TaskText, FitConfig, FitMetrics } from "./textFit";
-
-type Mode = "learning" | "contest";
+import { KeyTelemetryEntry, createKeyTelemetry, drainKeyTelemetry, recordKeyStroke } from "./keyTelemetry";
+import { ReplayEvent, ReplayFrame, ReplayResult, ReplayTask, buildReplayFrames } from "./replay";
+import { buildLineSegments, formatPlayTime } from "./progressChart";
+import { PracticeReview, completePracticeEntry, createPracticeTracker, drainPracticeReviews, notePracticeKey } from "./practiceReviews";
+import { OfflineBundle, buildOfflineTasks } from "./offlineTasks";
+import { NarrationStep, NarrationTrigger, buildNarrationSteps, pickVoice, voicesForLanguage } from "./narration";
+import {
+  KEYBOARD_LAYOUT_OPTIONS,
+  KeyboardLayoutId,
+  KeyboardLayoutSetting,
+  SPACE_KEY_ID,
+  findKeyTarget,
+  getLayoutRows,
+  touchCharForKey
+} from "./keyboardLayouts";
+import { KEYBOARD_LAYOUT_LABELS, createLayoutDetector, isWrongLayout, remapKeystroke, typingLayoutFor } from "./layoutMapping";
+import { RACE_MAX_PLAYERS, RACE_TASK_COUNTS, RaceRoom, localRaceStart, raceOpponents, raceSocketUrl } from "./race";
+import { OutboxItem, OutboxOutcome, enqueueOutbox, flushOutbox, loadOfflineBundle, saveOfflineBundle } from "./offlineStore";
+import { ContestLog, buildContestSummary, createContestLog, finishContestTask, noteContestMistake } from "./contestRun";
+import { SCORING_VERSION_LABELS, ScoreBreakdown, ScoringWeights, scoreRun } from "./scoring";
+import { PersonalBest, PersonalBestOutcome, collectLegacyBests, describeNewRecords, findPersonalBest } from "./personalBests";
+import {
+  PlayDayStatus,
+  PlayLimits,
+  addPlayUsage,
+  describePlayDay,
+  goalPercent,
+  localDayKey,
+  parseLocalPlayDay,
+  parsePlayLimits
+} from "./playLimits";
+
+type Mode = "learning" | "contest" | "practice";
 type ContestType = "time" | "tasks";
 type ContentMode = "default" | "vocab";
 
@@ -38,6 +71,11 @@ type Task = {
   sentence?: string;
   wordIndex?: number;
   words?: string[];
+  entryId?: string;
+  audioUrl?: string;
+  imageUrl?: string;
+  /** The vocabulary entry's difficulty_score, when it has one. */
+  difficulty?: number;
 };
 
 type LeaderboardEntry = {
@@ -56,6 +94,8 @@ type LeaderboardEntry = {
   tasksCompleted: number;
   timeSeconds: number;
   maxStreak: number;
+  /** Null for races, which are scored by the race itself. */
+  scoringVersion: number | null;
 };
 
 type VocabPack = {
@@ -148,19 +188,46 @@ type ClientErrorTrace = {
   details?: any;
 };
 
-type Screen = "home" | "game" | "results" | "leaderboard" | "settings" | "about" | "vocabulary";
+type Screen = "home" | "game" | "results" | "leaderboard" | "settings" | "about" | "vocabulary" | "replay" | "progress" | "race" | "classroom" | "moderation" | "achievements" | "done";
 
 type GameSettings = {
   mode: Mode;
   level: number;
   contestType: ContestType;
-  duration: 30 | 60 | 120;
-  taskTarget: 10 | 20 | 50;
+  // Classic contests use 30/60/120 seconds and 10/20/50 tasks; a rule set may use any length it defines.
+  duration: number;
+  taskTarget: number;
+  /** An admin-defined contest rule set, or "" for the classic rules. */
+  ruleSetId: string;
   contentMode: ContentMode;
   language: string;
   playerName: string;
 };
 
+type ContestRuleSet = {
+  id: string;
+  name: string;
+  contestType: "time" | "tasks";
+  duration: number | null;
+  taskTarget: number | null;
+  levels: number[];
+  wrongCharBehavior: AppSettings["wrongCharBehavior"] | null;
+  scoring: "standard" | "accuracy" | "speed";
+  mistakePenalty: number;
+  weights: ScoringWeights;
+};
+
+type AIProviderType = "openai" | "openai_compatible" | "offline_stub";
+
+type AIProviderStatus = {
+  provider: AIProviderType;
+  providers: AIProviderType[];
+  compatible: { baseUrl: string; model: string; hasApiKey: boolean };
+  lastTestAt: string | null;
+  lastTestOk: boolean;
+  lastTestError: string | null;
+};
+
 type GameStats = {
   correct: number;
   incorrect: number;
@@ -175,6 +242,7 @@ type GamePreferences = {
   level: number;
   contentType: ContentMode;
   language: string;
+  keyboardLayout?: KeyboardLayoutId | null;
   updatedAt?: string;
 };
 
@@ -229,6 +297,14 @@ type AppSettings = {
     variation: Variation;
   };
   soundEnabled: boolean;
+  narration: {
+    enabled: boolean;
+    speakOn: NarrationTrigger;
+    sentenceContext: boolean;
+    rate: number;
+    pitch: number;
+    voices: Record<string, string>;
+  };
   agePreset: string;
   allowedLevels: number[];
   animationSpeed: number;
@@ -249,6 +325,12 @@ type AppSettings = {
   differentiateZero: boolean;
   zeroStyle: "dot" | "slashed" | "dotted";
   protectFunctionKeys: boolean;
+  forgivingLayout: boolean;
+  virtualKeyboard: {
+    show: "off" | "touch" | "always";
+    layout: KeyboardLayoutSetting;
+    fingerColors: boolean;
+  };
 };
 
 type PublicVersion = {
@@ -262,6 +344,155 @@ type PublicVersion = {
   appMode?: string;
 };
 
+type GameSessionSummary = {
+  id: string;
+  mode: Mode;
+  level: number;
+  contentMode: ContentMode;
+  language: string;
+  eventCount: number;
+  startedAt: string;
+  endedAt: string | null;
+};
+
+type ChildProfile = {
+  id: number;
+  displayName: string;
+  avatar: string;
+  agePreset: string;
+  createdAt: string;
+  updatedAt: string;
+};
+
+type ProgressBucket = {
+  sessions: number;
+  accuracy: number | null;
+  cpm: number;
+  playTimeMs: number;
+};
+
+type ProgressReport = {
+  from: string;
+  to: string;
+  totals: { sessions: number; playTimeMs: number };
+  daily: Array<ProgressBucket & { date: string }>;
+  weekly: Array<ProgressBucket & { weekStart: string }>;
+  levels: Array<ProgressBucket & { level: number }>;
+  missedKeys: Array<{ char: string; language: string; hits: number; misses: number; missRate: number }>;
+};
+
+type ClassroomAssignment = {
+  packId: string | null;
+  packName: string | null;
+  language: string | null;
+  level: number | null;
+  assignedAt: string | null;
+};
+
+type Classroom = {
+  id: string;
+  name: string;
+  joinCode?: string;
+  memberCount?: number;
+  assignment: ClassroomAssignment | null;
+  createdAt: string;
+};
+
+type ClassroomStudentLive = {
+  userId: number;
+  profileId: number;
+  name: string;
+  online: boolean;
+  mode: Mode | null;
+  level: number | null;
+  lastSeenAt: string | null;
+};
+
+type ClassroomStudentResult = {
+  userId: number;
+  profileId: number;
+  name: string;
+  sessions: number;
+  accuracy: number | null;
+  cpm: number;
+  playTimeMs: number;
+  maxLevel: number | null;
+  lastSessionAt: string | null;
+};
+
+type ClassroomPack = { id: string; name: string; language: string; level: number; entryCount: number };
+
+type Achievement = {
+  id: string;
+  title: string;
+  description: string;
+  icon: VisualSet;
+  unlockedAt: string | null;
+};
+
+/** A parent's view of one identity's limits; `displayName` is null for the parent's own play. */
+type PlayLimitsIdentity = {
+  profileId: number;
+  displayName: string | null;
+  limits: PlayLimits;
+};
+
+type ModerationEntry = {
+  name: string;
+  score: number;
+  accuracy: number;
+  cpm: number;
+  contestType: ContestType;
+  level: number;
+  playedAt: string;
+  userId: number | null;
+  profileId: number | null;
+};
+
+type ModerationFlag = {
+  id: number;
+  targetType: "leaderboard" | "user" | "profile";
+  targetId: string;
+  reason: string;
+  detail: string | null;
+  createdAt: string;
+  entry?: ModerationEntry | null;
+  name?: string | null;
+};
+
+type HiddenEntry = Omit<ModerationEntry, "userId" | "profileId"> & { id: number; hiddenAt: string };
+
+type ChallengeWinner = { place: number; name: string; score: number; accuracy: number; cpm: number };
+
+type Challenge = {
+  id: string;
+  title: string;
+  description: string | null;
+  startsAt: string;
+  endsAt: string;
+  status: "upcoming" | "active" | "closed";
+  packId: string | null;
+  packName: string | null;
+  level: number;
+  language: string;
+  contestType: ContestType;
+  duration: 30 | 60 | 120 | null;
+  taskTarget: 10 | 20 | 50 | null;
+  winners: ChallengeWinner[] | null;
+  closedAt: string | null;
+};
+
+type ChallengeInput = Pick<Challenge, "title" | "description" | "startsAt" | "endsAt" | "packId" | "level" | "language" | "contestType" | "duration" | "taskTarget">;
+
+type SessionLog = {
+  sessionId: string;
+  startedAt: number;
+  seq: number;
+  session: { mode: Mode; level: number; contentMode: ContentMode; language: string; startedAt: number };
+  events: ReplayEvent[];
+  tasks: ReplayTask[];
+};
+
 type VocabularyPackRow = {
   id: string;
   name: string;
@@ -276,6 +507,115 @@ type VocabularyPackRow = {
   entry_count?: number;
   created_at?: string;
   updated_at?: string;
+  review_status?: PackReviewStatus | null;
+  review_version?: number | null;
+};
+
+type PackReviewStatus = "pending" | "approved" | "rejected";
+
+type ReviewPack = {
+  id: string;
+  name: string;
+  language: string;
+  level: number;
+  type: string;
+  status: "draft" | "published" | "archived";
+  version: number;
+  reviewStatus: PackReviewStatus | null;
+  reviewVersion: number | null;
+  requestedBy: string | null;
+  requestedByName: string | null;
+  entryCount?: number;
+  updatedAt: string;
+};
+
+type PackReviewDetails = {
+  required: boolean;
+  pack: ReviewPack;
+  approvedVersion: number | null;
+  history: { id: string; version: number; action: "submitted" | "approved" | "rejected"; comment: string | null; actorName: string | null; createdAt: string }[];
+  versions: { version: number; changeNote: string | null; createdByName: string | null; createdAt: string }[];
+};
+
+type EntryDetails = { difficulty_score: number | null; tags: any };
+
+type PackDiff = {
+  from: number | null;
+  to: number;
+  diff: {
+    fields: { field: string; before: unknown; after: unknown }[];
+    added: string[];
+    removed: string[];
+    changed: { text: string; before: EntryDetails; after: EntryDetails }[];
+    unchanged: number;
+  };
+  held: { text: string; flag: string }[];
+};
+
+type TableImportFormat = "auto" | "csv" | "tsv" | "lines";
+
+type TableImportRow = {
+  line: number;
+  text: string;
+  difficulty_score: number | null;
+  tags: string[] | null;
+  errors: string[];
+  duplicate: "file" | "existing" | null;
+};
+
+type TableImportPreview = {
+  format: Exclude<TableImportFormat, "auto">;
+  hasHeader: boolean;
+  headers: string[];
+  mapping: { text: number; difficulty: number | null; tags: number | null };
+  rows: TableImportRow[];
+  summary: { total: number; valid: number; invalid: number; duplicates: number };
+};
+
+type TableImportRequest = {
+  content: string;
+  format: TableImportFormat;
+  hasHeader: boolean | null;
+  mapping: { text?: number; difficulty?: number | null; tags?: number | null };
+  packId?: string;
+};
+
+type GenerationJobStatus = "queued" | "running" | "succeeded" | "failed" | "cancelled";
+
+type GenerationJob = {
+  id: string;
+  kind: "vocabulary.regenerate" | "vocabulary.default_pack";
+  status: GenerationJobStatus;
+  payload: { packIds?: string[]; language?: string; level?: number; type?: string };
+  result: { results?: { id: string; ok: boolean; error?: string }[]; packId?: string } | null;
+  progress: number;
+  total: number;
+  attempts: number;
+  maxAttempts: number;
+  error: string | null;
+  errorCode: string | null;
+  cancelRequested: boolean;
+  runAfter: string;
+  requestId: string | null;
+  createdAt: string;
+  finishedAt: string | null;
+};
+
+type HeldVocabularyEntry = {
+  id: string;
+  pack_id: string;
+  text: string;
+  safety_flag: string;
+  pack_name: string;
+  language: string;
+  level: number;
+  pack_status: string;
+};
+
+type ContentSafetySettings = {
+  allow: string[];
+  deny: string[];
+  held: HeldVocabularyEntry[];
 };
 
 type VocabularyEntryRow = {
@@ -285,8 +625,34 @@ type VocabularyEntryRow = {
   difficulty_score?: number | null;
   tags?: any;
   created_at?: string;
+  safety_flag?: string | null;
+  has_audio?: boolean;
+  has_image?: boolean;
 };
 
+const MAX_AUDIO_CLIP_BYTES = 512 * 1024;
+const MAX_PICTURE_BYTES = 300 * 1024;
+
+function vocabularyImageUrl(entryId: string) {
+  return `/api/vocab/entries/${encodeURIComponent(entryId)}/image`;
+}
+
+function readFileAsBase64(file: File) {
+  return new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const dataUrl = String(reader.result || "");
+      resolve(dataUrl.slice(dataUrl.indexOf(",") + 1));
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function vocabularyAudioUrl(entryId: string) {
+  return `/api/vocab/entries/${encodeURIComponent(entryId)}/audio`;
+}
+
 const SOUND_PREF_KEY = "ktrain_sound_enabled";
 
 const defaultSettings: GameSettings = {
@@ -295,11 +661,37 @@ const defaultSettings: GameSettings = {
   contestType: "time",
   duration: 60,
   taskTarget: 20,
+  ruleSetId: "",
   contentMode: "default",
   language: "en",
   playerName: ""
 };
 
+const SCORING_LABELS: Record<ContestRuleSet["scoring"], string> = {
+  standard: "Standard",
+  accuracy: "Accuracy first",
+  speed: "Speed first"
+};
+
+function describeRuleSet(ruleSet: ContestRuleSet) {
+  const format = ruleSet.contestType === "time" ? `${ruleSet.duration}s` : `${ruleSet.taskTarget} tasks`;
+  const penalty = ruleSet.mistakePenalty ? ` · −${ruleSet.mistakePenalty} per mistake` : "";
+  return `${format} · levels ${ruleSet.levels.join(", ")} · ${SCORING_LABELS[ruleSet.scoring]} scoring${penalty}`;
+}
+
+/** Applies a rule set's fixed contest shape; the classic rules keep the player's own choices. */
+function applyRuleSet(settings: GameSettings, ruleSet: ContestRuleSet | null): GameSettings {
+  if (!ruleSet) return { ...settings, ruleSetId: "" };
+  return {
+    ...settings,
+    ruleSetId: ruleSet.id,
+    contestType: ruleSet.contestType,
+    duration: ruleSet.duration ?? settings.duration,
+    taskTarget: ruleSet.taskTarget ?? settings.taskTarget,
+    level: ruleSet.levels.includes(settings.level) ? settings.level : ruleSet.levels[0] ?? settings.level
+  };
+}
+
 const defaultGamePreferences: GamePreferences = {
   userId: null,
   mode: "learning",
@@ -352,6 +744,14 @@ const defaultAppSettings: AppSettings = {
     variation: "small"
   },
   soundEnabled: true,
+  narration: {
+    enabled: false,
+    speakOn: "task",
+    sentenceContext: true,
+    rate: 0.9,
+    pitch: 1.1,
+    voices: {}
+  },
   agePreset: "custom",
   allowedLevels: [1, 2, 3, 4, 5],
   animationSpeed: 1,
@@ -371,9 +771,17 @@ const defaultAppSettings: AppSettings = {
   maxAllowedLevel: 5,
   differentiateZero: true,
   zeroStyle: "dot",
-  protectFunctionKeys: true
+  protectFunctionKeys: true,
+  forgivingLayout: false,
+  virtualKeyboard: {
+    show: "touch",
+    layout: "auto",
+    fingerColors: true
+  }
 };
 
+const normalizeMode = (value: unknown): Mode => (value === "contest" || value === "practice" ? value : "learning");
+
 const buildAllowedLevels = (maxLevel: number) => Array.from({ length: Math.max(1, Math.min(5, maxLevel)) }, (_, i) => i + 1);
 
 const deriveMaxAllowed = (levels?: number[]) => {
@@ -453,6 +861,7 @@ const agePresets: Record<string, Partial<AppSettings> & { maxAllowedLevel: numbe
       mistake: "#D0021B"
     },
     correctEffects: { intensity: "low", variation: "same", animated: false } as AppSettings["correctEffects"],
+    narration: { enabled: true, speakOn: "task" } as AppSettings["narration"],
     animationSpeed: 0.7,
     maxAllowedLevel: 2,
     mistakeStyle: "gentle"
@@ -461,6 +870,7 @@ const agePresets: Record<string, Partial<AppSettings> & { maxAllowedLevel: numbe
     textSize: "xlarge",
     theme: "warm_playful",
     correctEffects: { intensity: "low", variation: "small" } as AppSettings["correctEffects"],
+    narration: { enabled: true, speakOn: "task" } as AppSettings["narration"],
     animationSpeed: 0.9,
     maxAllowedLevel: 3,
     mistakeStyle: "gentle"
@@ -485,8 +895,54 @@ const agePresets: Record<string, Partial<AppSettings> & { maxAllowedLevel: numbe
     maxAllowedLevel: 5
   }
 };
+
+const AGE_PRESET_OPTIONS = [
+  { value: "2-3", label: "2–3 years" },
+  { value: "3-4", label: "3–4 years" },
+  { value: "4-5", label: "4–5 years" },
+  { value: "5-6", label: "5–6 years" },
+  { value: "custom", label: "Custom" }
+];
+
+function applyAgePreset(settings: AppSettings, presetKey: string): AppSettings {
+  const preset = agePresets[presetKey] || agePresets.custom || { maxAllowedLevel: 5 };
+  return {
+    ...settings,
+    ...preset,
+    maxAllowedLevel: preset.maxAllowedLevel,
+    allowedLevels: buildAllowedLevels(preset.maxAllowedLevel),
+    correctEffects: { ...settings.correctEffects, ...(preset.correctEffects || {}) },
+    narration: { ...settings.narration, ...(preset.narration || {}) },
+    agePreset: presetKey
+  };
+}
+const ACTIVE_PROFILE_KEY = "ktrain_active_profile_v1";
+const CLASSROOM_APPLIED_KEY = "ktrain_classroom_assignment_v1";
+// Guest devices keep their own limits and usage; signed-in identities are enforced by the server.
+const PLAY_LIMITS_KEY = "ktrain_play_limits_v1";
+const PLAY_DAY_KEY = "ktrain_play_day_v1";
+const GUEST_PLAY_TICK_MS = 10_000;
+
+const PROFILE_AVATARS: Record<string, string> = {
+  star: "⭐",
+  cat: "🐱",
+  dog: "🐶",
+  fox: "🦊",
+  owl: "🦉",
+  bear: "🐻",
+  rabbit: "🐰",
+  fish: "🐟"
+};
+
+// The server scopes preferences, stats and leaderboard entries to this child profile.
+let activeProfileHeader = "";
+
+function setActiveProfileHeader(profileId: number | null) {
+  activeProfileHeader = profileId ? String(profileId) : "";
+}
+
 function withAuthHeaders(base: Record<string, string> = {}) {
-  return base;
+  return activeProfileHeader ? { ...base, "X-Profile-Id": activeProfileHeader } : base;
 }
 
 class ApiError extends Error {
@@ -526,39 +982,77 @@ async function parseApiError(res: Response, fallback: string) {
   }
 }
 
+// fetch only rejects when the request never reached the server, so that is the cue to queue.
+async function postOrQueue(url: string, payload: unknown, fallback: string) {
+  const headers = withAuthHeaders({ "Content-Type": "application/json" });
+  const body = JSON.stringify(payload);
+  let res: Response;
+  try {
+    res = await fetch(url, { method: "POST", headers, body });
+  } catch (err) {
+    try {
+      await enqueueOutbox({ url, headers, body, queuedAt: Date.now() });
+    } catch {
+      throw err;
+    }
+    return { ok: true, queued: true };
+  }
+  if (!res.ok) throw await parseApiError(res, fallback);
+  return res.json();
+}
+
+async function sendOutboxItem(item: OutboxItem): Promise<OutboxOutcome> {
+  try {
+    const res = await fetch(item.url, { method: "POST", headers: item.headers, body: item.body });
+    if (res.ok) return "sent";
+    return res.status >= 500 || res.status === 408 || res.status === 429 ? "retry" : "drop";
+  } catch {
+    return "retry";
+  }
+}
+
 const API = {
   async generateTasks(
     level: number,
     count: number,
     contentMode: ContentMode,
     language = "en",
-    options: { sessionId?: string; telemetry?: { cpm?: number } } = {}
-  ): Promise<{ tasks: Task[]; language: string; fallbackNotice?: string | null }> {
-    const res = await fetch("/api/tasks/generate", {
-      method: "POST",
-      headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify({
-        level,
-        count,
-        contentMode,
+    options: { sessionId?: string; mode?: Mode; challengeId?: string; runToken?: string; telemetry?: { cpm?: number; keys?: KeyTelemetryEntry[] } } = {}
+  ): Promise<{ tasks: Task[]; language: string; fallbackNotice?: string | null; focusKeys?: string[]; runToken?: string | null }> {
+    let res: Response;
+    try {
+      res = await fetch("/api/tasks/generate", {
+        method: "POST",
+        headers: withAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({
+          level,
+          count,
+          contentMode,
+          language,
+          sessionId: options.sessionId || null,
+          mode: options.mode || "learning",
+          challengeId: options.challengeId || null,
+          runToken: options.runToken || null,
+          telemetry: options.telemetry || null,
+          tzOffsetMinutes: new Date().getTimezoneOffset()
+        })
+      });
+    } catch (err) {
+      const bundle = await loadOfflineBundle(language);
+      if (!bundle) throw err;
+      return {
+        tasks: buildOfflineTasks(bundle, level, count),
         language,
-        sessionId: options.sessionId || null,
-        telemetry: options.telemetry || null
-      })
-    });
+        fallbackNotice: "Offline: playing with saved words. Results will sync when you are back online."
+      };
+    }
     if (!res.ok) throw await parseApiError(res, "Failed to generate tasks");
     return res.json();
   },
   async saveResult(payload: any) {
-    const res = await fetch("/api/results", {
-      method: "POST",
-      headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw await parseApiError(res, "Failed to save result");
-    return res.json();
+    return postOrQueue("/api/results", payload, "Failed to save result");
   },
-  async getLeaderboard(filters: any): Promise<{ rows: LeaderboardEntry[]; total: number; page: number; pageSize: number; myRank: number | null }> {
+  async getLeaderboard(filters: any): Promise<{ rows: LeaderboardEntry[]; total: number; page: number; pageSize: number; myRank: number | null; challenge: Challenge | null }> {
     const params = new URLSearchParams(filters).toString();
     const res = await fetch(`/api/leaderboard?${params}`, { headers: withAuthHeaders() });
     if (!res.ok) throw await parseApiError(res, "Failed to load leaderboard");
@@ -568,122 +1062,348 @@ const API = {
       total: Number(data.total || 0),
       page: Number(data.page || 1),
       pageSize: Number(data.pageSize || 20),
-      myRank: typeof data.myRank === "number" ? data.myRank : null
+      myRank: typeof data.myRank === "number" ? data.myRank : null,
+      challenge: data.challenge || null
     };
   },
-  async getPublicSession() {
-    const res = await fetch("/api/public/session", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load session");
-    return res.json();
-  },
-  async getGamePreferences(): Promise<{ preferences: GamePreferences; source: string }> {
-    const res = await fetch("/api/user/preferences", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load game preferences");
+  async getModerationQueue(): Promise<{ flags: ModerationFlag[]; hidden: HiddenEntry[] }> {
+    const res = await fetch("/api/moderation/queue", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load moderation queue");
     return res.json();
   },
-  async saveGamePreferences(payload: Pick<GamePreferences, "mode" | "level" | "contentType" | "language">) {
-    const res = await fetch("/api/user/preferences", {
-      method: "PUT",
-      headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw await parseApiError(res, "Failed to save game preferences");
+  async moderateEntry(id: number, action: "hide" | "restore") {
+    const res = await fetch(`/api/moderation/entries/${id}/${action}`, { method: "POST", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, `Failed to ${action} entry`);
     return res.json();
   },
-  async getPlayerStats(): Promise<{ stats: PlayerStats | null; source: string }> {
-    const res = await fetch("/api/user/stats", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load player stats");
+  async dismissModerationFlag(id: number) {
+    const res = await fetch(`/api/moderation/flags/${id}/dismiss`, { method: "POST", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to dismiss flag");
     return res.json();
   },
-  async saveSessionStats(payload: { lettersTyped: number; correct: number; incorrect: number; bestWPM: number; totalPlayTimeMs: number; lastSessionAt: string }) {
-    const res = await fetch("/api/user/stats/session-end", {
+  async forceDisplayName(targetType: "user" | "profile", targetId: number, displayName: string): Promise<{ displayName: string }> {
+    const res = await fetch("/api/moderation/names", {
       method: "POST",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ targetType, targetId, displayName: displayName || null })
     });
-    if (!res.ok) throw await parseApiError(res, "Failed to save session stats");
+    if (!res.ok) throw await parseApiError(res, "Failed to change name");
     return res.json();
   },
-  async getUserProfile() {
-    const res = await fetch("/api/user/profile", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load profile");
+  async getContestRuleSets(): Promise<{ ruleSets: ContestRuleSet[] }> {
+    const res = await fetch("/api/contest/rule-sets", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load contest rules");
     return res.json();
   },
-  async updateUserProfile(payload: { displayName: string; avatarUrl?: string }) {
-    const res = await fetch("/api/user/profile", {
+  async saveContestRuleSets(ruleSets: Omit<ContestRuleSet, "weights">[]): Promise<{ ruleSets: ContestRuleSet[] }> {
+    const res = await fetch("/api/admin/contest/rule-sets", {
       method: "PUT",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ ruleSets })
     });
-    if (!res.ok) throw await parseApiError(res, "Failed to update profile");
+    if (!res.ok) throw await parseApiError(res, "Failed to save contest rules");
     return res.json();
   },
-  async checkDisplayNameAvailability(name: string) {
-    const params = new URLSearchParams({ name });
-    const res = await fetch(`/api/user/display-name/availability?${params.toString()}`, { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to check display name");
+  async getContentSafety(): Promise<ContentSafetySettings> {
+    const res = await fetch("/api/admin/content-safety", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load content safety lists");
     return res.json();
   },
-  async changePassword(payload: { currentPassword: string; newPassword: string }) {
-    const res = await fetch("/api/user/password", {
+  async saveContentSafety(lists: { allow: string[]; deny: string[] }): Promise<ContentSafetySettings & { rescreened: { flagged: number; cleared: number } }> {
+    const res = await fetch("/api/admin/content-safety", {
       method: "PUT",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload)
+      body: JSON.stringify(lists)
     });
-    if (!res.ok) throw await parseApiError(res, "Failed to update password");
+    if (!res.ok) throw await parseApiError(res, "Failed to save content safety lists");
     return res.json();
   },
-  async getOwnOpenAIKeyStatus() {
-    const res = await fetch("/api/admin/service/openai/status", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load OpenAI key status");
+  async allowHeldText(text: string): Promise<ContentSafetySettings & { rescreened: { flagged: number; cleared: number } }> {
+    const res = await fetch("/api/admin/content-safety/allow", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ text })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to allow entry");
     return res.json();
   },
-  async saveOwnOpenAIKey(payload: { apiKey?: string; storeKey?: boolean; enabled?: boolean; model?: string }) {
-    const res = await fetch("/api/admin/service/openai", {
+  async checkContentSafety(text: string): Promise<{ match: { term: string; source: "blocklist" | "denylist" } | null }> {
+    const res = await fetch("/api/admin/content-safety/check", {
       method: "POST",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify(payload || {})
+      body: JSON.stringify({ text })
     });
-    if (!res.ok) throw await parseApiError(res, "Failed to save OpenAI key");
+    if (!res.ok) throw await parseApiError(res, "Failed to check text");
     return res.json();
   },
-  async getHealth() {
-    const res = await fetch("/api/health");
-    if (!res.ok) throw await parseApiError(res, "Failed to load health");
+  async getChallenges(): Promise<{ challenges: Challenge[] }> {
+    const res = await fetch("/api/challenges", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load challenges");
     return res.json();
   },
-  async getPublicVersion() {
-    const res = await fetch("/api/public/version");
-    if (!res.ok) throw await parseApiError(res, "Failed to load public version");
+  async listAdminChallenges(): Promise<{ challenges: Challenge[] }> {
+    const res = await fetch("/api/admin/challenges", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load challenges");
     return res.json();
   },
-  async getSetupStatus() {
-    const res = await fetch("/api/setup/status", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load setup status");
+  async saveChallenge(id: string | null, input: Partial<ChallengeInput>): Promise<{ challenge: Challenge }> {
+    const res = await fetch(id ? `/api/admin/challenges/${encodeURIComponent(id)}` : "/api/admin/challenges", {
+      method: id ? "PUT" : "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(input)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save challenge");
     return res.json();
   },
-  async getPublicConfigStatus() {
-    const res = await fetch("/api/public/config/status", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load public config status");
+  async deleteChallenge(id: string) {
+    const res = await fetch(`/api/admin/challenges/${encodeURIComponent(id)}`, { method: "DELETE", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to delete challenge");
     return res.json();
   },
-  async completeSetup() {
-    const res = await fetch("/api/setup/complete", { method: "POST", headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to complete setup");
+  async getPublicSession() {
+    const res = await fetch("/api/public/session", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load session");
     return res.json();
   },
-  async setupCreateAdmin(payload: { email: string; displayName: string; password: string }) {
-    const res = await fetch("/api/setup/admin-user", {
-      method: "POST",
+  async getGamePreferences(): Promise<{ preferences: GamePreferences; source: string }> {
+    const res = await fetch("/api/user/preferences", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load game preferences");
+    return res.json();
+  },
+  async saveGamePreferences(payload: Pick<GamePreferences, "mode" | "level" | "contentType" | "language">) {
+    const res = await fetch("/api/user/preferences", {
+      method: "PUT",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
       body: JSON.stringify(payload)
     });
-    if (!res.ok) throw await parseApiError(res, "Failed to create setup admin");
+    if (!res.ok) throw await parseApiError(res, "Failed to save game preferences");
     return res.json();
   },
-  async getSetupDbStatus() {
-    const res = await fetch("/api/setup/db-status", { headers: withAuthHeaders() });
-    if (!res.ok) throw await parseApiError(res, "Failed to load setup database status");
+  async saveKeyboardLayout(keyboardLayout: KeyboardLayoutId) {
+    const res = await fetch("/api/user/preferences/keyboard-layout", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ keyboardLayout })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save keyboard layout");
+    return res.json();
+  },
+  async getPlayerStats(): Promise<{ stats: PlayerStats | null; source: string }> {
+    const res = await fetch("/api/user/stats", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load player stats");
+    return res.json();
+  },
+  async saveSessionStats(payload: {
+    lettersTyped: number;
+    correct: number;
+    incorrect: number;
+    bestWPM: number;
+    cpm: number;
+    totalPlayTimeMs: number;
+    lastSessionAt: string;
+    mode: Mode;
+    level: number;
+    language: string;
+    tzOffsetMinutes: number;
+  }) {
+    return postOrQueue("/api/user/stats/session-end", payload, "Failed to save session stats");
+  },
+  async saveKeyStats(payload: { sessionId: string; language: string; keys: KeyTelemetryEntry[] }) {
+    const res = await fetch("/api/user/stats/keys", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save key stats");
+    return res.json();
+  },
+  async savePracticeReviews(reviews: PracticeReview[]) {
+    const res = await fetch("/api/user/practice/reviews", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ reviews })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save practice reviews");
+    return res.json();
+  },
+  async uploadSessionEvents(
+    sessionId: string,
+    payload: { session: SessionLog["session"]; tasks: ReplayTask[]; events: ReplayEvent[]; ended?: boolean }
+  ) {
+    const res = await fetch(`/api/user/sessions/${encodeURIComponent(sessionId)}/events`, {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to upload session events");
+    return res.json();
+  },
+  async getAchievements(): Promise<{ achievements: Achievement[] }> {
+    const res = await fetch("/api/user/achievements", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load achievements");
+    return res.json();
+  },
+  async getPlayLimits(): Promise<{ status: PlayDayStatus | null; identities: PlayLimitsIdentity[]; pinSet?: boolean }> {
+    const params = new URLSearchParams({ tzOffsetMinutes: String(new Date().getTimezoneOffset()) });
+    const res = await fetch(`/api/user/play-limits?${params}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load play limits");
+    return res.json();
+  },
+  async savePlayLimits(profileId: number, limits: PlayLimits, parentPin: string): Promise<{ profileId: number; limits: PlayLimits }> {
+    const res = await fetch("/api/user/play-limits", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ profileId, ...limits, parentPin })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save play limits");
+    return res.json();
+  },
+  async setParentPin(pin: string, currentPin: string): Promise<{ pinSet: boolean }> {
+    const res = await fetch("/api/user/parent-pin", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ pin, currentPin })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save parent PIN");
+    return res.json();
+  },
+  async getPersonalBests(): Promise<{ bests: PersonalBest[] }> {
+    const res = await fetch("/api/user/personal-bests", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load personal bests");
+    return res.json();
+  },
+  async importPersonalBests(entries: unknown[]): Promise<{ imported: number; bests: PersonalBest[] }> {
+    const res = await fetch("/api/user/personal-bests/import", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ entries })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to import personal bests");
+    return res.json();
+  },
+  async getProgress(days: number): Promise<{ report: ProgressReport | null; profileId: number | null }> {
+    const res = await fetch(`/api/user/progress?days=${days}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load progress");
+    return res.json();
+  },
+  async listProfiles(): Promise<{ profiles: ChildProfile[] }> {
+    const res = await fetch("/api/profiles", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load profiles");
+    return res.json();
+  },
+  async createProfile(payload: Pick<ChildProfile, "displayName" | "avatar" | "agePreset">): Promise<{ profile: ChildProfile }> {
+    const res = await fetch("/api/profiles", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to create profile");
+    return res.json();
+  },
+  async updateProfile(id: number, payload: Partial<Pick<ChildProfile, "displayName" | "avatar" | "agePreset">>): Promise<{ profile: ChildProfile }> {
+    const res = await fetch(`/api/profiles/${id}`, {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to update profile");
+    return res.json();
+  },
+  async deleteProfile(id: number) {
+    const res = await fetch(`/api/profiles/${id}`, { method: "DELETE", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to delete profile");
+    return res.json();
+  },
+  async listGameSessions(limit = 20): Promise<{ sessions: GameSessionSummary[] }> {
+    const res = await fetch(`/api/user/sessions?limit=${limit}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load sessions");
+    return res.json();
+  },
+  async getSessionReplay(id: string): Promise<{ session: GameSessionSummary; tasks: ReplayTask[]; events: ReplayEvent[] }> {
+    const res = await fetch(`/api/user/sessions/${encodeURIComponent(id)}/replay`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load replay");
+    return res.json();
+  },
+  async getUserProfile() {
+    const res = await fetch("/api/user/profile", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load profile");
+    return res.json();
+  },
+  async updateUserProfile(payload: { displayName: string; avatarUrl?: string }) {
+    const res = await fetch("/api/user/profile", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to update profile");
+    return res.json();
+  },
+  async checkDisplayNameAvailability(name: string) {
+    const params = new URLSearchParams({ name });
+    const res = await fetch(`/api/user/display-name/availability?${params.toString()}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to check display name");
+    return res.json();
+  },
+  async changePassword(payload: { currentPassword: string; newPassword: string }) {
+    const res = await fetch("/api/user/password", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to update password");
+    return res.json();
+  },
+  async getOwnOpenAIKeyStatus() {
+    const res = await fetch("/api/admin/service/openai/status", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load OpenAI key status");
+    return res.json();
+  },
+  async saveOwnOpenAIKey(payload: { apiKey?: string; storeKey?: boolean; enabled?: boolean; model?: string }) {
+    const res = await fetch("/api/admin/service/openai", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload || {})
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save OpenAI key");
+    return res.json();
+  },
+  async getHealth() {
+    const res = await fetch("/api/health");
+    if (!res.ok) throw await parseApiError(res, "Failed to load health");
+    return res.json();
+  },
+  async getPublicVersion() {
+    const res = await fetch("/api/public/version");
+    if (!res.ok) throw await parseApiError(res, "Failed to load public version");
+    return res.json();
+  },
+  async getSetupStatus() {
+    const res = await fetch("/api/setup/status", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load setup status");
+    return res.json();
+  },
+  async getPublicConfigStatus() {
+    const res = await fetch("/api/public/config/status", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load public config status");
+    return res.json();
+  },
+  async completeSetup() {
+    const res = await fetch("/api/setup/complete", { method: "POST", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to complete setup");
+    return res.json();
+  },
+  async setupCreateAdmin(payload: { email: string; displayName: string; password: string }) {
+    const res = await fetch("/api/setup/admin-user", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to create setup admin");
+    return res.json();
+  },
+  async getSetupDbStatus() {
+    const res = await fetch("/api/setup/db-status", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load setup database status");
     return res.json();
   },
   async bootstrapOwner() {
@@ -751,6 +1471,12 @@ const API = {
     if (!res.ok) throw await parseApiError(res, "Logout failed");
     return res.json();
   },
+  async getOfflineBundle(language: string): Promise<OfflineBundle> {
+    const res = await fetch(`/api/packs/offline?language=${encodeURIComponent(language)}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load offline packs");
+    const data = await res.json();
+    return { language: data.language, generatedAt: data.generatedAt, fallback: data.fallback, packs: data.packs || {} };
+  },
   async getAvailableLanguages(level: number, contentMode: ContentMode = "default") {
     const params = new URLSearchParams({ level: String(level), contentMode });
     const res = await fetch(`/api/packs/languages?${params.toString()}`, { headers: withAuthHeaders() });
@@ -762,15 +1488,90 @@ const API = {
     if (!res.ok) throw await parseApiError(res, "Failed to load live stats");
     return res.json();
   },
-  async heartbeat(sessionId: string, mode: Mode) {
+  async heartbeat(sessionId: string, mode: Mode, level: number): Promise<{ classroom: Classroom | null; playLimits: PlayDayStatus | null }> {
     const res = await fetch("/api/live/heartbeat", {
       method: "POST",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
-      body: JSON.stringify({ sessionId, mode })
+      body: JSON.stringify({ sessionId, mode, level, tzOffsetMinutes: new Date().getTimezoneOffset() })
     });
     if (!res.ok) throw await parseApiError(res, "Heartbeat failed");
     return res.json();
   },
+  async getClassroom(): Promise<{ classroom: Classroom | null }> {
+    const res = await fetch("/api/classroom", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load classroom");
+    return res.json();
+  },
+  async joinClassroom(code: string): Promise<{ classroom: Classroom }> {
+    const res = await fetch("/api/classroom/join", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ code })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to join classroom");
+    return res.json();
+  },
+  async leaveClassroom() {
+    const res = await fetch("/api/classroom", { method: "DELETE", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to leave classroom");
+    return res.json();
+  },
+  async listClassrooms(): Promise<{ classrooms: Classroom[] }> {
+    const res = await fetch("/api/classrooms", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load classrooms");
+    return res.json();
+  },
+  async listClassroomPacks(): Promise<{ packs: ClassroomPack[] }> {
+    const res = await fetch("/api/classrooms/packs", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load packs");
+    return res.json();
+  },
+  async createClassroom(name: string): Promise<{ classroom: Classroom }> {
+    const res = await fetch("/api/classrooms", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ name })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to create classroom");
+    return res.json();
+  },
+  async deleteClassroom(id: string) {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}`, { method: "DELETE", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to delete classroom");
+    return res.json();
+  },
+  async setClassroomAssignment(id: string, assignment: { packId: string | null; level: number | null }): Promise<{ classroom: Classroom }> {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}/assignment`, {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(assignment)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to update assignment");
+    return res.json();
+  },
+  async getClassroomLive(id: string): Promise<{ stats: { total: number; students: ClassroomStudentLive[] } }> {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}/live`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load live class");
+    return res.json();
+  },
+  async getClassroomResults(id: string, days: number): Promise<{ students: ClassroomStudentResult[] }> {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}/results?days=${days}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load results");
+    return res.json();
+  },
+  async exportClassroomResults(id: string, days: number): Promise<Blob> {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}/results?days=${days}&format=csv`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to export results");
+    return res.blob();
+  },
+  async removeClassroomMember(id: string, userId: number, profileId: number) {
+    const res = await fetch(`/api/classrooms/${encodeURIComponent(id)}/members/${userId}/${profileId}`, {
+      method: "DELETE",
+      headers: withAuthHeaders()
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to remove student");
+    return res.json();
+  },
   async adminReset(scope: string, _pin?: string) {
     const res = await fetch("/api/admin/reset", {
       method: "POST",
@@ -968,6 +1769,23 @@ const API = {
     if (!res.ok) throw await parseApiError(res, "Failed to save Google auth settings");
     return res.json();
   },
+  async saveAIProviderSettings(payload: {
+    provider: AIProviderType;
+    compatible: { baseUrl: string; model: string; apiKey?: string; clearApiKey?: boolean };
+  }): Promise<{ ok: boolean; settings: AIProviderStatus }> {
+    const res = await fetch("/api/admin/service-settings/ai", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save AI provider settings");
+    return res.json();
+  },
+  async testAIProvider(): Promise<{ ok: boolean; provider: AIProviderType; source: string; model: string; testedAt: string }> {
+    const res = await fetch("/api/admin/service-settings/ai/test", { method: "POST", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "AI provider test failed");
+    return res.json();
+  },
   async getVocabularyGeneratorStatus() {
     const res = await fetch("/api/admin/vocabulary/generator/status", { headers: withAuthHeaders() });
     if (!res.ok) throw await parseApiError(res, "Failed to load generator status");
@@ -1027,7 +1845,7 @@ const API = {
     if (!res.ok) throw await parseApiError(res, "Failed to rollback vocabulary pack");
     return res.json();
   },
-  async regenerateVocabularyPack(id: string, payload: any) {
+  async regenerateVocabularyPack(id: string, payload: any): Promise<{ ok: boolean; job: GenerationJob }> {
     const res = await fetch(`/api/admin/vocabulary/packs/${id}/regenerate`, {
       method: "POST",
       headers: withAuthHeaders({ "Content-Type": "application/json" }),
@@ -1036,16 +1854,133 @@ const API = {
     if (!res.ok) throw await parseApiError(res, "Failed to regenerate vocabulary pack");
     return res.json();
   },
+  async getVocabularyReviews(): Promise<{ required: boolean; packs: ReviewPack[] }> {
+    const res = await fetch("/api/admin/vocabulary/reviews", { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load pack reviews");
+    return res.json();
+  },
+  async saveVocabularyReviewSettings(required: boolean): Promise<{ required: boolean }> {
+    const res = await fetch("/api/admin/vocabulary/reviews/settings", {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ required })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to save review settings");
+    return res.json();
+  },
+  async getVocabularyPackReview(id: string): Promise<PackReviewDetails> {
+    const res = await fetch(`/api/admin/vocabulary/packs/${id}/review`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load pack review");
+    return res.json();
+  },
+  async getVocabularyPackDiff(id: string, from?: number | null, to?: number | null): Promise<PackDiff> {
+    const params = new URLSearchParams();
+    if (from) params.set("from", String(from));
+    if (to) params.set("to", String(to));
+    const res = await fetch(`/api/admin/vocabulary/packs/${id}/diff?${params.toString()}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to compare versions");
+    return res.json();
+  },
+  async submitVocabularyPack(id: string, comment: string): Promise<{ pack: ReviewPack }> {
+    const res = await fetch(`/api/admin/vocabulary/packs/${id}/submit`, {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ comment })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to submit pack for review");
+    return res.json();
+  },
+  async reviewVocabularyPack(id: string, decision: "approve" | "reject", comment: string): Promise<{ pack: ReviewPack }> {
+    const res = await fetch(`/api/admin/vocabulary/packs/${id}/review`, {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ decision, comment })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to record review");
+    return res.json();
+  },
+  async listGenerationJobs(limit = 20): Promise<{ ok: boolean; jobs: GenerationJob[] }> {
+    const res = await fetch(`/api/admin/jobs?limit=${limit}`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to load jobs");
+    return res.json();
+  },
+  async cancelGenerationJob(id: string): Promise<{ ok: boolean; job: GenerationJob }> {
+    const res = await fetch(`/api/admin/jobs/${encodeURIComponent(id)}/cancel`, { method: "POST", headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to cancel job");
+    return res.json();
+  },
   async deleteVocabularyPack(id: string) {
     const res = await fetch(`/api/admin/vocabulary/packs/${id}`, { method: "DELETE", headers: withAuthHeaders() });
     if (!res.ok) throw await parseApiError(res, "Failed to delete vocabulary pack");
     return res.json();
   },
+  async uploadVocabularyEntryAudio(packId: string, entryId: string, data: string) {
+    const res = await fetch(`/api/admin/vocabulary/packs/${packId}/entries/${encodeURIComponent(entryId)}/audio`, {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ data })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to upload audio clip");
+    return res.json();
+  },
+  async uploadVocabularyEntryImage(packId: string, entryId: string, data: string) {
+    const res = await fetch(`/api/admin/vocabulary/packs/${packId}/entries/${encodeURIComponent(entryId)}/image`, {
+      method: "PUT",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ data })
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to upload picture");
+    return res.json();
+  },
+  async deleteVocabularyEntryImage(packId: string, entryId: string) {
+    const res = await fetch(`/api/admin/vocabulary/packs/${packId}/entries/${encodeURIComponent(entryId)}/image`, {
+      method: "DELETE",
+      headers: withAuthHeaders()
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to remove picture");
+    return res.json();
+  },
+  async deleteVocabularyEntryAudio(packId: string, entryId: string) {
+    const res = await fetch(`/api/admin/vocabulary/packs/${packId}/entries/${encodeURIComponent(entryId)}/audio`, {
+      method: "DELETE",
+      headers: withAuthHeaders()
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to remove audio clip");
+    return res.json();
+  },
   async exportVocabularyPack(id: string) {
     const res = await fetch(`/api/admin/vocabulary/packs/${id}/export`, { headers: withAuthHeaders() });
     if (!res.ok) throw await parseApiError(res, "Failed to export vocabulary pack");
     return res.json();
   },
+  async exportVocabularyPackCsv(id: string): Promise<Blob> {
+    const res = await fetch(`/api/admin/vocabulary/packs/${id}/export?format=csv`, { headers: withAuthHeaders() });
+    if (!res.ok) throw await parseApiError(res, "Failed to export vocabulary pack");
+    return res.blob();
+  },
+  async previewTableImport(request: TableImportRequest): Promise<TableImportPreview> {
+    const res = await fetch("/api/admin/vocabulary/import/preview", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(request)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to read the word list");
+    return res.json();
+  },
+  async importTable(request: TableImportRequest & { skipDuplicates: boolean; pack?: { name: string; language: string; level: number; type: string } }): Promise<{
+    id: string;
+    imported: number;
+    skipped: { invalid: number; duplicates: number };
+    held: number;
+  }> {
+    const res = await fetch("/api/admin/vocabulary/import/table", {
+      method: "POST",
+      headers: withAuthHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(request)
+    });
+    if (!res.ok) throw await parseApiError(res, "Failed to import the word list");
+    return res.json();
+  },
   async importVocabularyPack(payload: any) {
     const res = await fetch("/api/admin/vocabulary/import", {
       method: "POST",
@@ -1160,13 +2095,177 @@ function useSoundBank(volume: number, muted: boolean) {
   return { play };
 }
 
-function calcAccuracy(correct: number, incorrect: number) {
-  const total = correct + incorrect;
-  return total === 0 ? 0 : Math.round((correct / total) * 100);
+function useSpeechVoices() {
+  const [voices, setVoices] = useState<SpeechSynthesisVoice[]>([]);
+  useEffect(() => {
+    if (typeof window === "undefined" || !("speechSynthesis" in window)) return;
+    const synth = window.speechSynthesis;
+    // Most browsers load voices asynchronously and announce them with "voiceschanged".
+    const load = () => setVoices(synth.getVoices());
+    load();
+    synth.addEventListener("voiceschanged", load);
+    return () => synth.removeEventListener("voiceschanged", load);
+  }, []);
+  return voices;
 }
 
-function calcCPM(correct: number, elapsedMs: number) {
-  const minutes = Math.max(elapsedMs / 60000, 1 / 60);
+function useNarrator(narration: AppSettings["narration"], language: string, volume: number, muted: boolean) {
+  const voices = useSpeechVoices();
+  const runRef = useRef(0);
+  const clipRef = useRef<HTMLAudioElement | null>(null);
+
+  const stop = useCallback(() => {
+    runRef.current += 1;
+    clipRef.current?.pause();
+    clipRef.current = null;
+    if (typeof window !== "undefined" && "speechSynthesis" in window) window.speechSynthesis.cancel();
+  }, []);
+
+  const speak = useCallback((task: Task) => {
+    if (!narration.enabled || muted) return;
+    stop();
+    const run = runRef.current;
+    const safeVolume = Math.min(Math.max(volume, 0.2), 0.75);
+    const voice = pickVoice(voices, language, narration.voices[language]);
+    const steps = buildNarrationSteps(task, narration.sentenceContext);
+    const say = (text: string, done: () => void) => {
+      if (!("speechSynthesis" in window)) return done();
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = voice?.lang || language;
+      if (voice) utterance.voice = voice;
+      utterance.rate = narration.rate;
+      utterance.pitch = narration.pitch;
+      utterance.volume = safeVolume;
+      utterance.onend = done;
+      utterance.onerror = done;
+      window.speechSynthesis.speak(utterance);
+    };
+    const playStep = (index: number) => {
+      const step: NarrationStep | undefined = steps[index];
+      if (!step || run !== runRef.current) return;
+      const next = () => playStep(index + 1);
+      if (step.kind === "speech") return say(step.text, next);
+      const clip = new Audio(step.url);
+      clip.volume = safeVolume;
+      clip.onended = next;
+      clipRef.current = clip;
+      // Offline or a blocked clip falls back to speech so the child still hears the prompt.
+      clip.play().catch(() => {
+        if (run === runRef.current) say(step.text, next);
+      });
+    };
+    playStep(0);
+  }, [narration, language, volume, muted, voices, stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { speak, stop, voices };
+}
+
+/**
+ * One race connection per tab. The socket opens on the first message and
+ * closes when the player leaves; the server owns the room state.
+ */
+function useRace() {
+  const socketRef = useRef<WebSocket | null>(null);
+  const pendingRef = useRef<Record<string, unknown>[]>([]);
+  const roomRef = useRef<RaceRoom | null>(null);
+  const [room, setRoom] = useState<RaceRoom | null>(null);
+  const [playerId, setPlayerId] = useState("");
+  const [tasks, setTasks] = useState<Task[]>([]);
+  const [startAt, setStartAt] = useState<number | null>(null);
+  const [error, setError] = useState("");
+
+  const reset = useCallback(() => {
+    roomRef.current = null;
+    setRoom(null);
+    setTasks([]);
+    setStartAt(null);
+  }, []);
+
+  const send = useCallback((message: Record<string, unknown>) => {
+    setError("");
+    const current = socketRef.current;
+    if (current?.readyState === WebSocket.OPEN) {
+      current.send(JSON.stringify(message));
+      return;
+    }
+    pendingRef.current.push(message);
+    if (current?.readyState === WebSocket.CONNECTING) return;
+    const socket = new WebSocket(raceSocketUrl(window.location, activeProfileHeader));
+    let opened = false;
+    socketRef.current = socket;
+    socket.onopen = () => {
+      opened = true;
+      pendingRef.current.splice(0).forEach((item) => socket.send(JSON.stringify(item)));
+    };
+    socket.onmessage = (event) => {
+      const data = JSON.parse(String(event.data));
+      if (data.type === "joined") setPlayerId(data.playerId);
+      if (data.type === "tasks") setTasks(data.tasks);
+      if (data.type === "error") setError(data.message || "Race error");
+      if (data.type === "room") {
+        const next = data.room as RaceRoom;
+        // The first countdown message fixes the start; later ones only add network delay.
+        if (roomRef.current?.code !== next.code || roomRef.current.startsAt === null) setStartAt(localRaceStart(next, Date.now()));
+        roomRef.current = next;
+        setRoom(next);
+      }
+    };
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      pendingRef.current = [];
+      if (!opened) setError("Could not connect to the race. Sign in and try again.");
+      else if (roomRef.current && roomRef.current.status !== "finished") setError("Connection to the race was lost.");
+    };
+  }, []);
+
+  const leave = useCallback(() => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    pendingRef.current = [];
+    socket?.close();
+    reset();
+  }, [reset]);
+
+  const sendProgress = useCallback((tasksCompleted: number, mistakes: number) => {
+    if (socketRef.current?.readyState === WebSocket.OPEN) {
+      socketRef.current.send(JSON.stringify({ type: "progress", tasksCompleted, mistakes }));
+    }
+  }, []);
+
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  return {
+    room,
+    playerId,
+    tasks,
+    startAt,
+    error,
+    create: (options: { level: number; language: string; contentMode: ContentMode; taskCount: number }) => {
+      reset();
+      send({ type: "create", ...options });
+    },
+    join: (code: string) => {
+      reset();
+      send({ type: "join", code });
+    },
+    start: () => send({ type: "start" }),
+    sendProgress,
+    leave
+  };
+}
+
+type RaceController = ReturnType<typeof useRace>;
+
+function calcAccuracy(correct: number, incorrect: number) {
+  const total = correct + incorrect;
+  return total === 0 ? 0 : Math.round((correct / total) * 100);
+}
+
+function calcCPM(correct: number, elapsedMs: number) {
+  const minutes = Math.max(elapsedMs / 60000, 1 / 60);
   return Math.round(correct / minutes);
 }
 
@@ -1191,6 +2290,8 @@ const VISUAL_SET_FILES: Record<VisualSet, string> = {
 
 const SOUND_OPTIONS: SoundName[] = ["chime", "pop", "bell", "sparkle"];
 
+const UNLOCK_EFFECT_SCALE = 3;
+
 const INTENSITY_CONFIG: Record<Intensity, { count: number; size: number; speed: number; volume: number }> = {
   very_low: { count: 6, size: 28, speed: 0.8, volume: 0.25 },
   low: { count: 10, size: 34, speed: 0.9, volume: 0.35 },
@@ -1286,6 +2387,18 @@ function seededRandom(seed: number) {
   };
 }
 
+function useCoarsePointer() {
+  const [coarse, setCoarse] = useState(false);
+  useEffect(() => {
+    const media = window.matchMedia("(pointer: coarse)");
+    const update = () => setCoarse(media.matches);
+    update();
+    media.addEventListener("change", update);
+    return () => media.removeEventListener("change", update);
+  }, []);
+  return coarse;
+}
+
 function usePrefersReducedMotion() {
   const [reduce, setReduce] = useState(false);
   useEffect(() => {
@@ -1354,10 +2467,28 @@ function App() {
   const [menuDraftSettings, setMenuDraftSettings] = useState<GameSettings>(defaultSettings);
   const [savedPreferences, setSavedPreferences] = useState<GamePreferences>(defaultGamePreferences);
   const [playerStats, setPlayerStats] = useState<PlayerStats>(emptyPlayerStats);
+  const [personalBests, setPersonalBests] = useState<PersonalBest[]>([]);
+  const [personalBestOutcome, setPersonalBestOutcome] = useState<PersonalBestOutcome | null>(null);
+  const [scoreBreakdown, setScoreBreakdown] = useState<ScoreBreakdown | null>(null);
+  const [achievementUnlocks, setAchievementUnlocks] = useState<Achievement[]>([]);
+  const [unlockTick, setUnlockTick] = useState(0);
+  const [playDay, setPlayDay] = useState<PlayDayStatus | null>(null);
+  const [guestPlayLimits, setGuestPlayLimits] = useState<PlayLimits>(() => parsePlayLimits(localStorage.getItem(PLAY_LIMITS_KEY)));
   const [guestSessionStats, setGuestSessionStats] = useState<PlayerStats>(emptyPlayerStats);
   const [isMobileMainMenu, setIsMobileMainMenu] = useState(false);
-  const [appSettings, setAppSettings] = useState<AppSettings>(defaultAppSettings);
+  const [baseAppSettings, setAppSettings] = useState<AppSettings>(defaultAppSettings);
   const [savedAppSettings, setSavedAppSettings] = useState<AppSettings>(defaultAppSettings);
+  const [childProfiles, setChildProfiles] = useState<ChildProfile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState<number | null>(null);
+  const activeProfile = childProfiles.find((profile) => profile.id === activeProfileId) || null;
+  const [classroom, setClassroom] = useState<Classroom | null>(null);
+  // WHY: the settings screen edits the shared settings, so the child's age preset only overlays play screens.
+  const appSettings = useMemo(
+    () => (activeProfile && activeProfile.agePreset !== "custom" && screen !== "settings"
+      ? applyAgePreset(baseAppSettings, activeProfile.agePreset)
+      : baseAppSettings),
+    [baseAppSettings, activeProfile, screen]
+  );
   const [lastSettingsAppliedAt, setLastSettingsAppliedAt] = useState<string>("");
   const [settingsLoaded, setSettingsLoaded] = useState(false);
   const [tasks, setTasks] = useState<Task[]>([]);
@@ -1384,6 +2515,13 @@ function App() {
   const [mistakeFlash, setMistakeFlash] = useState(false);
   const [leaderboard, setLeaderboard] = useState<LeaderboardEntry[]>([]);
   const [prevAccuracy, setPrevAccuracy] = useState<number>(0);
+  const [focusKeys, setFocusKeys] = useState<string[]>([]);
+  const keyTelemetryRef = useRef(createKeyTelemetry());
+  const lastKeyAtRef = useRef(0);
+  // WHY: only signed-in players get a stored replay; guests keep no keystroke log.
+  const sessionLogRef = useRef<SessionLog | null>(null);
+  const practiceRef = useRef(createPracticeTracker());
+  const contestLogRef = useRef<ContestLog | null>(null);
   const [adminPin, setAdminPin] = useState("");
   const [packs, setPacks] = useState<VocabPack[]>([]);
   const [statusMessage, setStatusMessage] = useState("");
@@ -1393,6 +2531,8 @@ function App() {
   const [langMismatchTs, setLangMismatchTs] = useState(0);
   const [showLangBanner, setShowLangBanner] = useState(false);
   const [langDismissed, setLangDismissed] = useState(false);
+  const layoutDetectorRef = useRef(createLayoutDetector());
+  const [deviceLayout, setDeviceLayout] = useState<KeyboardLayoutId | null>(null);
   const [functionKeyNotice, setFunctionKeyNotice] = useState("");
   const [lastFunctionKey, setLastFunctionKey] = useState("");
   const [lastFunctionKeyTime, setLastFunctionKeyTime] = useState(0);
@@ -1437,6 +2577,8 @@ function App() {
   const [appMode, setAppMode] = useState<string>("info");
   const [publicVersion, setPublicVersion] = useState<PublicVersion | null>(null);
   const isAdminUser = Boolean(sessionUser && ["ADMIN", "OWNER"].includes(String(sessionUser.role || "").toUpperCase()));
+  const isTeacherUser = Boolean(sessionUser && ["TEACHER", "ADMIN", "OWNER"].includes(String(sessionUser.role || "").toUpperCase()));
+  const isModeratorUser = Boolean(sessionUser && ["MODERATOR", "ADMIN", "OWNER"].includes(String(sessionUser.role || "").toUpperCase()));
   const baseTheme = computeTheme(appSettings);
   const contrastResult = useMemo(
     () => applyVisibilityGuard(
@@ -1478,21 +2620,58 @@ function App() {
   );
 
   const currentTask = tasks[currentIndex];
+  const narrator = useNarrator(appSettings.narration, settings.language, appSettings.correctEffects.volume, !appSettings.soundEnabled);
+  const coarsePointer = useCoarsePointer();
+  const race = useRace();
+  // Code of the race being typed right now; empty outside a race run.
+  const [raceRunCode, setRaceRunCode] = useState("");
+  const [challenges, setChallenges] = useState<Challenge[]>([]);
+  const [contestRuleSets, setContestRuleSets] = useState<ContestRuleSet[]>([]);
+  const activeRuleSet = settings.mode === "contest" && settings.ruleSetId
+    ? contestRuleSets.find((ruleSet) => ruleSet.id === settings.ruleSetId) || null
+    : null;
+  const wrongCharBehavior = activeRuleSet?.wrongCharBehavior || appSettings.wrongCharBehavior;
+  const menuDraftRuleSet = menuDraftSettings.mode === "contest" && menuDraftSettings.ruleSetId
+    ? contestRuleSets.find((ruleSet) => ruleSet.id === menuDraftSettings.ruleSetId) || null
+    : null;
+  const [challengeRunId, setChallengeRunId] = useState("");
+  const [leaderboardChallengeId, setLeaderboardChallengeId] = useState("");
+  const typingLayout = typingLayoutFor(appSettings.virtualKeyboard.layout, settings.language, deviceLayout);
+  const showVirtualKeyboard = appSettings.virtualKeyboard.show === "always"
+    || (appSettings.virtualKeyboard.show === "touch" && coarsePointer);
   const prevTask = tasks[currentIndex - 1];
   const nextTask = tasks[currentIndex + 1];
 
+  useEffect(() => {
+    if (screen !== "game" || !currentTask) {
+      narrator.stop();
+      return;
+    }
+    if (appSettings.narration.speakOn === "task") narrator.speak(currentTask);
+  }, [screen, currentTask?.id, appSettings.narration.speakOn]);
+
   const accuracy = calcAccuracy(gameStats.correct, gameStats.incorrect);
   const cpm = calcCPM(gameStats.correct, elapsedMs);
   const incorrectRatio = gameStats.correct === 0 ? 0 : Number((gameStats.incorrect / gameStats.correct).toFixed(2));
 
-  const score = useMemo(() => {
-    if (settings.mode !== "contest") return 0;
-    if (settings.contestType === "time") {
-      return Math.round(gameStats.tasksCompleted * 100 + accuracy * 10 + gameStats.maxStreak * 5);
-    }
-    const timeSec = Math.max(Math.round(elapsedMs / 1000), 1);
-    return Math.round(100000 / timeSec + accuracy * 10 + gameStats.maxStreak * 5);
-  }, [settings, gameStats, accuracy, elapsedMs]);
+  // Same per-task formula as scoreContest() on the server, which recomputes it from the run.
+  const scoreCurrentRun = (runElapsedMs: number): ScoreBreakdown | null => {
+    if (settings.mode !== "contest" || !contestLogRef.current) return null;
+    return scoreRun(
+      {
+        contestType: settings.contestType,
+        elapsedMs: runElapsedMs,
+        accuracy,
+        mistakes: gameStats.incorrect,
+        outcomes: contestLogRef.current.tasks,
+        tasks
+      },
+      activeRuleSet?.weights,
+      activeRuleSet?.mistakePenalty || 0
+    );
+  };
+  // The log is mutated in place; gameStats changes with every finished task or mistake.
+  const score = useMemo(() => scoreCurrentRun(elapsedMs)?.score ?? 0, [settings, activeRuleSet, gameStats, accuracy, elapsedMs, tasks]);
 
   const trendDelta = Math.round(accuracy - prevAccuracy);
   const trendLabel = trendDelta === 0 ? "" : trendDelta > 0 ? `+${trendDelta}%` : `${trendDelta}%`;
@@ -1501,15 +2680,19 @@ function App() {
     : "0";
   const allowedLevels = buildAllowedLevels(appSettings.maxAllowedLevel || 5);
   const hasUnsavedSettings = useMemo(
-    () => JSON.stringify(appSettings) !== JSON.stringify(savedAppSettings),
-    [appSettings, savedAppSettings]
+    () => JSON.stringify(baseAppSettings) !== JSON.stringify(savedAppSettings),
+    [baseAppSettings, savedAppSettings]
   );
   const hasUnsavedMenuChanges = useMemo(() => (
     settings.mode !== menuDraftSettings.mode
     || settings.level !== menuDraftSettings.level
     || settings.contentMode !== menuDraftSettings.contentMode
     || settings.language !== menuDraftSettings.language
-  ), [settings.mode, settings.level, settings.contentMode, settings.language, menuDraftSettings]);
+    || settings.contestType !== menuDraftSettings.contestType
+    || settings.duration !== menuDraftSettings.duration
+    || settings.taskTarget !== menuDraftSettings.taskTarget
+    || settings.ruleSetId !== menuDraftSettings.ruleSetId
+  ), [settings, menuDraftSettings]);
   const menuStatsDisplay = sessionUser ? playerStats : guestSessionStats;
   const menuAccuracy = menuStatsDisplay.totalLettersTyped > 0
     ? Math.round((menuStatsDisplay.totalCorrect / menuStatsDisplay.totalLettersTyped) * 100)
@@ -1652,25 +2835,59 @@ function App() {
     setMenuDraftSettings(settings);
   }, [settings.mode, settings.level, settings.contentMode, settings.language]);
 
+  useEffect(() => {
+    if (!sessionUser?.isAuthenticated) {
+      setActiveProfileHeader(null);
+      setActiveProfileId(null);
+      setChildProfiles([]);
+      return;
+    }
+    API.listProfiles()
+      .then((data) => {
+        const profiles = data.profiles || [];
+        setChildProfiles(profiles);
+        const storedId = Number(localStorage.getItem(ACTIVE_PROFILE_KEY) || 0);
+        const restored = profiles.some((profile) => profile.id === storedId) ? storedId : null;
+        if (!restored) localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        setActiveProfileHeader(restored);
+        setActiveProfileId(restored);
+      })
+      .catch((err) => reportClientError("load_profiles", err));
+  }, [sessionUser?.id, sessionUser?.isAuthenticated, reportClientError]);
+
+  const selectProfile = useCallback((profileId: number | null) => {
+    setActiveProfileHeader(profileId);
+    if (profileId) localStorage.setItem(ACTIVE_PROFILE_KEY, String(profileId));
+    else localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    setActiveProfileId(profileId);
+  }, []);
+
   useEffect(() => {
     if (!sessionUser?.isAuthenticated) {
       setSavedPreferences(defaultGamePreferences);
       setPlayerStats(emptyPlayerStats);
+      setPersonalBests([]);
+      setClassroom(null);
       return;
     }
     API.getGamePreferences()
       .then((data) => {
         const pref = data?.preferences || defaultGamePreferences;
         setSavedPreferences(pref);
+        if (pref.keyboardLayout) setDeviceLayout(pref.keyboardLayout);
         setSettings((prev) => ({
           ...prev,
-          mode: pref.mode === "contest" ? "contest" : "learning",
+          mode: normalizeMode(pref.mode),
           level: Math.max(1, Math.min(5, Number(pref.level || 1))),
           contentMode: pref.contentType === "vocab" ? "vocab" : "default",
           language: String(pref.language || "en").toLowerCase()
         }));
       })
-      .catch((err) => reportClientError("load_game_preferences", err));
+      .catch((err) => reportClientError("load_game_preferences", err))
+      // Loaded after preferences so a pending classroom assignment wins over the saved menu.
+      .then(() => API.getClassroom())
+      .then((data) => setClassroom(data?.classroom || null))
+      .catch((err) => reportClientError("load_classroom", err));
 
     API.getPlayerStats()
       .then((data) => {
@@ -1678,6 +2895,40 @@ function App() {
         else setPlayerStats({ ...emptyPlayerStats, userId: Number(sessionUser?.id || 0) || null });
       })
       .catch((err) => reportClientError("load_player_stats", err));
+
+    // WHY: bests used to be kept per device; the first signed-in load hands them to the identity playing then.
+    const legacy = collectLegacyBests(localStorage);
+    const loadBests = legacy.entries.length
+      ? API.importPersonalBests(legacy.entries).then((data) => {
+          legacy.keys.forEach((key) => localStorage.removeItem(key));
+          return data;
+        })
+      : API.getPersonalBests();
+    loadBests
+      .then((data) => setPersonalBests(data.bests || []))
+      .catch((err) => reportClientError("load_personal_bests", err));
+  }, [sessionUser?.id, sessionUser?.isAuthenticated, activeProfileId, reportClientError]);
+
+  useEffect(() => {
+    // Offline is the expected failure here; the previously cached bundle stays usable.
+    API.getOfflineBundle(settings.language)
+      .then((bundle) => saveOfflineBundle(bundle))
+      .catch(() => null);
+  }, [settings.language, sessionUser?.id]);
+
+  useEffect(() => {
+    const syncOutbox = () => {
+      flushOutbox(sendOutboxItem)
+        .then(async (sent) => {
+          if (!sent || !sessionUser?.isAuthenticated) return;
+          const data = await API.getPlayerStats();
+          if (data?.stats) setPlayerStats(data.stats);
+        })
+        .catch((err) => reportClientError("sync_offline_outbox", err));
+    };
+    syncOutbox();
+    window.addEventListener("online", syncOutbox);
+    return () => window.removeEventListener("online", syncOutbox);
   }, [sessionUser?.id, sessionUser?.isAuthenticated, reportClientError]);
 
   useEffect(() => {
@@ -1838,7 +3089,9 @@ function App() {
           maxAllowedLevel: maxAllowed,
           allowedLevels: buildAllowedLevels(maxAllowed),
           customTheme: { ...defaultAppSettings.customTheme, ...(loaded.customTheme || {}) },
-          correctEffects: { ...defaultAppSettings.correctEffects, ...(loaded.correctEffects || {}) }
+          correctEffects: { ...defaultAppSettings.correctEffects, ...(loaded.correctEffects || {}) },
+          narration: { ...defaultAppSettings.narration, ...(loaded.narration || {}) },
+          virtualKeyboard: { ...defaultAppSettings.virtualKeyboard, ...(loaded.virtualKeyboard || {}) }
         });
         setSavedAppSettings({
           ...defaultAppSettings,
@@ -1846,7 +3099,9 @@ function App() {
           maxAllowedLevel: maxAllowed,
           allowedLevels: buildAllowedLevels(maxAllowed),
           customTheme: { ...defaultAppSettings.customTheme, ...(loaded.customTheme || {}) },
-          correctEffects: { ...defaultAppSettings.correctEffects, ...(loaded.correctEffects || {}) }
+          correctEffects: { ...defaultAppSettings.correctEffects, ...(loaded.correctEffects || {}) },
+          narration: { ...defaultAppSettings.narration, ...(loaded.narration || {}) },
+          virtualKeyboard: { ...defaultAppSettings.virtualKeyboard, ...(loaded.virtualKeyboard || {}) }
         });
         setLastSettingsAppliedAt(new Date().toISOString());
         setSettingsLoaded(true);
@@ -1875,12 +3130,75 @@ function App() {
       localStorage.setItem(PLAY_SESSION_KEY, sid);
       setPlaySessionId(sid);
     }
-    API.heartbeat(sid, settings.mode).catch(() => null);
+    const beat = () => {
+      API.heartbeat(sid as string, settings.mode, settings.level)
+        .then((data) => {
+          setClassroom(data?.classroom || null);
+          if (data?.playLimits) setPlayDay(data.playLimits);
+        })
+        // WHY: play time and classroom presence only count on a beat the server accepted, so a rejected one must stay visible.
+        .catch((err) => reportClientError("heartbeat", err));
+    };
+    beat();
+    const id = window.setInterval(beat, 30000);
+    return () => window.clearInterval(id);
+  }, [screen, settings.mode, settings.level, playSessionId, reportClientError]);
+
+  // Guests have no heartbeat-backed account, so the device counts its own play time.
+  useEffect(() => {
+    if (screen !== "game" || sessionUser?.isAuthenticated) return;
     const id = window.setInterval(() => {
-      API.heartbeat(sid, settings.mode).catch(() => null);
-    }, 30000);
+      const day = localDayKey();
+      const usage = addPlayUsage(parseLocalPlayDay(localStorage.getItem(PLAY_DAY_KEY), day), day, { playedMs: GUEST_PLAY_TICK_MS });
+      localStorage.setItem(PLAY_DAY_KEY, JSON.stringify(usage));
+      setPlayDay(describePlayDay(guestPlayLimits, usage));
+    }, GUEST_PLAY_TICK_MS);
     return () => window.clearInterval(id);
-  }, [screen, settings.mode, playSessionId]);
+  }, [screen, sessionUser?.isAuthenticated, guestPlayLimits]);
+
+  useEffect(() => {
+    if (screen !== "home") return;
+    if (!sessionUser?.isAuthenticated) {
+      setPlayDay(describePlayDay(guestPlayLimits, parseLocalPlayDay(localStorage.getItem(PLAY_DAY_KEY), localDayKey())));
+      return;
+    }
+    API.getPlayLimits()
+      .then((data) => setPlayDay(data.status))
+      .catch((err) => reportClientError("load_play_limits", err));
+  }, [screen, sessionUser?.isAuthenticated, activeProfileId, guestPlayLimits, reportClientError]);
+
+  const saveGuestPlayLimits = (limits: PlayLimits) => {
+    localStorage.setItem(PLAY_LIMITS_KEY, JSON.stringify(limits));
+    setGuestPlayLimits(limits);
+  };
+
+  useEffect(() => {
+    if (screen !== "home" && screen !== "leaderboard") return;
+    API.getChallenges()
+      .then((data) => setChallenges(data.challenges || []))
+      .catch((err) => reportClientError("load_challenges", err));
+    API.getContestRuleSets()
+      .then((data) => setContestRuleSets(data.ruleSets || []))
+      .catch((err) => reportClientError("load_contest_rule_sets", err));
+  }, [screen, sessionUser?.id]);
+
+  // A teacher's push is applied once per assignment, and never in the middle of a run.
+  useEffect(() => {
+    const assignment = classroom?.assignment;
+    if (!assignment?.assignedAt || !assignment.level || screen === "game") return;
+    const appliedKey = `${CLASSROOM_APPLIED_KEY}:${activeProfileId || 0}`;
+    const stamp = `${classroom?.id}:${assignment.assignedAt}`;
+    if (localStorage.getItem(appliedKey) === stamp) return;
+    localStorage.setItem(appliedKey, stamp);
+    const level = assignment.level;
+    setSettings((prev) => ({
+      ...prev,
+      level,
+      contentMode: "default",
+      language: assignment.language || prev.language
+    }));
+    setStatusMessage(`${classroom?.name}: your teacher set level ${level}${assignment.packName ? ` with “${assignment.packName}”` : ""}.`);
+  }, [classroom?.id, classroom?.assignment?.assignedAt, screen, activeProfileId]);
 
   useEffect(() => {
     const update = () => {
@@ -1944,14 +3262,82 @@ function App() {
     return createNewPlaySessionId();
   }, [playSessionId, createNewPlaySessionId]);
 
+  const flushKeyTelemetry = async () => {
+    const keys = drainKeyTelemetry(keyTelemetryRef.current);
+    if (!keys.length) return;
+    try {
+      await API.saveKeyStats({ sessionId: resolveActivePlaySessionId(), language: settings.language, keys });
+    } catch (err) {
+      reportClientError("save_key_stats", err);
+    }
+  };
+
+  const flushPracticeReviews = async () => {
+    const reviews = drainPracticeReviews(practiceRef.current);
+    if (!reviews.length || !sessionUser?.isAuthenticated) return;
+    try {
+      await API.savePracticeReviews(reviews);
+    } catch (err) {
+      reportClientError("save_practice_reviews", err);
+    }
+  };
+
+  const flushSessionLog = async (ended = false) => {
+    const log = sessionLogRef.current;
+    if (!log) return;
+    if (ended) sessionLogRef.current = null;
+    const events = log.events.splice(0);
+    const tasksBatch = log.tasks.splice(0);
+    if (!ended && !events.length && !tasksBatch.length) return;
+    try {
+      await API.uploadSessionEvents(log.sessionId, { session: log.session, tasks: tasksBatch, events, ended });
+    } catch (err) {
+      // Keep the batch for the next flush instead of dropping it.
+      log.events.unshift(...events);
+      log.tasks.unshift(...tasksBatch);
+      reportClientError("upload_session_events", err);
+    }
+  };
+
+  const logKeystroke = (key: string, expected: string, result: ReplayResult, pressedAt: number) => {
+    const log = sessionLogRef.current;
+    if (!log) return;
+    log.events.push({
+      seq: log.seq,
+      taskIndex: currentIndex,
+      caretIndex,
+      offsetMs: Math.max(0, pressedAt - log.startedAt),
+      key,
+      expected,
+      result
+    });
+    log.seq += 1;
+    if (log.events.length >= 50) void flushSessionLog();
+  };
+
+  const celebrateAchievements = (unlocked?: Achievement[]) => {
+    if (!unlocked?.length) return;
+    // Session-end and result responses can both unlock; the results screen lists everything from this run.
+    setAchievementUnlocks((prev) => [...prev, ...unlocked]);
+    setUnlockTick((tick) => tick + 1);
+  };
+
   const recordSessionStats = async (endedAtMs: number, totalMs: number) => {
+    void flushKeyTelemetry();
+    void flushSessionLog(true);
+    void flushPracticeReviews();
     const sessionSummary = {
       lettersTyped: gameStats.correct + gameStats.incorrect,
       correct: gameStats.correct,
       incorrect: gameStats.incorrect,
       bestWPM: cpm,
+      cpm: calcCPM(gameStats.correct, Math.max(0, totalMs)),
       totalPlayTimeMs: Math.max(0, totalMs),
-      lastSessionAt: new Date(endedAtMs).toISOString()
+      lastSessionAt: new Date(endedAtMs).toISOString(),
+      mode: settings.mode,
+      level: settings.level,
+      language: settings.language,
+      tzOffsetMinutes: new Date(endedAtMs).getTimezoneOffset()
     };
     setGuestSessionStats((prev) => ({
       ...prev,
@@ -1968,13 +3354,23 @@ function App() {
       try {
         const saved = await API.saveSessionStats(sessionSummary);
         if (saved?.stats) setPlayerStats(saved.stats);
+        celebrateAchievements(saved?.achievements);
       } catch (err) {
         reportClientError("save_session_stats", err);
       }
+    } else {
+      const day = localDayKey(new Date(endedAtMs));
+      const usage = addPlayUsage(parseLocalPlayDay(localStorage.getItem(PLAY_DAY_KEY), day), day, { letters: sessionSummary.lettersTyped });
+      localStorage.setItem(PLAY_DAY_KEY, JSON.stringify(usage));
+      setPlayDay(describePlayDay(guestPlayLimits, usage));
     }
   };
 
   const stopSession = async (save: boolean) => {
+    if (raceRunCode) {
+      await endGame();
+      return;
+    }
     if (settings.mode === "contest" && save) {
       await endGame();
       return;
@@ -1987,16 +3383,22 @@ function App() {
     setScreen("home");
   };
 
+  // WHY: the cap ends the run quietly; nothing is ranked and no "game over" is shown to a child.
+  useEffect(() => {
+    if (screen !== "game" || !playDay?.capReached) return;
+    void stopSession(false).then(() => setScreen("done"));
+  }, [screen, playDay?.capReached]);
+
   const normalizePlayableSettings = useCallback((value: GameSettings): GameSettings => ({
     ...value,
-    mode: value.mode === "contest" ? "contest" : "learning",
+    mode: normalizeMode(value.mode),
     level: Math.max(1, Math.min(5, Number(value.level || 1))),
     contentMode: value.contentMode === "vocab" ? "vocab" : "default",
     language: String(value.language || "en").toLowerCase()
   }), []);
 
   const toPreferencePayload = useCallback((value: GameSettings) => ({
-    mode: value.mode === "contest" ? "contest" : "learning",
+    mode: normalizeMode(value.mode),
     level: Math.max(1, Math.min(5, Number(value.level || 1))),
     contentType: value.contentMode === "vocab" ? "vocab" : "default",
     language: String(value.language || "en").toLowerCase()
@@ -2027,7 +3429,11 @@ function App() {
       mode: next.mode,
       level: next.level,
       contentMode: next.contentMode,
-      language: next.language
+      language: next.language,
+      contestType: menuDraftSettings.contestType,
+      duration: menuDraftSettings.duration,
+      taskTarget: menuDraftSettings.taskTarget,
+      ruleSetId: menuDraftSettings.ruleSetId
     }));
     if (sessionUser?.isAuthenticated) {
       void persistLastPlayedPreferences(next);
@@ -2073,7 +3479,11 @@ function App() {
         mode: menuDraftSettings.mode,
         level: menuDraftSettings.level,
         contentMode: menuDraftSettings.contentMode,
-        language: menuDraftSettings.language
+        language: menuDraftSettings.language,
+        contestType: menuDraftSettings.contestType,
+        duration: menuDraftSettings.duration,
+        taskTarget: menuDraftSettings.taskTarget,
+        ruleSetId: menuDraftSettings.ruleSetId
       });
     } else {
       nextSettings = {
@@ -2092,44 +3502,90 @@ function App() {
     await startGame(nextSettings);
   };
 
-  const startGame = async (activeSettings?: GameSettings) => {
+  // WHY: challenge rules are fixed by the event, so the player's saved menu is left untouched.
+  const startChallenge = async (challenge: Challenge) => {
+    const nextSettings: GameSettings = {
+      ...settings,
+      mode: "contest",
+      level: challenge.level,
+      contestType: challenge.contestType,
+      duration: challenge.duration || settings.duration,
+      taskTarget: challenge.taskTarget || settings.taskTarget,
+      ruleSetId: "",
+      contentMode: "default",
+      language: challenge.language
+    };
+    setSettings(nextSettings);
+    await startGame(nextSettings, challenge.id);
+  };
+
+  const startGame = async (activeSettings?: GameSettings, challengeId = "") => {
     const runSettings = activeSettings || settings;
+    if (playDay?.capReached && playDay.day === localDayKey()) {
+      setScreen("done");
+      return;
+    }
+    setChallengeRunId(challengeId);
     const sessionId = createNewPlaySessionId();
     setStatusMessage("");
     if (!sessionUser && !String(runSettings.playerName || "").trim()) {
       setSettings((prev) => ({ ...prev, playerName: "Guest" }));
     }
+    drainKeyTelemetry(keyTelemetryRef.current);
+    practiceRef.current = createPracticeTracker();
     const generated = await API.generateTasks(runSettings.level, 40, runSettings.contentMode, runSettings.language, {
       sessionId,
+      mode: runSettings.mode,
+      challengeId,
       telemetry: { cpm: 0 }
+    }).catch((err) => {
+      // Another device may have used up today's time since the home screen loaded.
+      if (err instanceof ApiError && err.code === "PLAY_LIMIT_REACHED") return null;
+      throw err;
     });
+    if (!generated) {
+      setScreen("done");
+      return;
+    }
+    setFocusKeys(generated.focusKeys || []);
+    const start = Date.now();
+    sessionLogRef.current = sessionUser?.isAuthenticated
+      ? {
+          sessionId,
+          startedAt: start,
+          seq: 0,
+          session: {
+            mode: runSettings.mode,
+            level: runSettings.level,
+            contentMode: runSettings.contentMode,
+            language: generated.language || runSettings.language,
+            startedAt: start
+          },
+          events: [],
+          tasks: generated.tasks.map((task, index) => ({ ...task, index }))
+        }
+      : null;
     if (generated.language !== runSettings.language) {
       setSettings((prev) => ({ ...prev, language: generated.language || prev.language }));
     }
     if (generated.fallbackNotice) {
       setStatusMessage(generated.fallbackNotice);
     }
-    setTasks(generated.tasks);
-    setCurrentIndex(0);
-    setBuffer("");
-    setCaretIndex(0);
-    setProgress([]);
-    setExpectSpace(false);
-    setLangMismatchCount(0);
-    setLangMismatchTs(0);
-    setShowLangBanner(false);
-    setLangDismissed(false);
-    setGameStats({ correct: 0, incorrect: 0, tasksCompleted: 0, streak: 0, maxStreak: 0 });
-    const start = Date.now();
-    setStartTime(start);
-    setElapsedMs(0);
+    resetRun(generated.tasks, start);
+    // Guests and offline tasks carry no run token; the log still scores the run, but such results are never ranked.
+    contestLogRef.current = runSettings.mode === "contest" ? createContestLog(generated.runToken || "", start) : null;
     if (runSettings.mode === "contest" && runSettings.contestType === "time") {
       setTimeLeft(runSettings.duration * 1000);
     } else {
       setTimeLeft(null);
     }
-    const prev = localStorage.getItem(settingsKey(runSettings));
-    if (prev) {
+    const serverBest = sessionUser?.isAuthenticated && runSettings.mode === "contest"
+      ? findPersonalBest(personalBests, runSettings)
+      : null;
+    const prev = serverBest ? null : localStorage.getItem(settingsKey(runSettings));
+    if (serverBest) {
+      setPrevAccuracy(serverBest.lastAccuracy ?? serverBest.bestAccuracy);
+    } else if (prev) {
       try {
         const parsed = JSON.parse(prev);
         if (typeof parsed.accuracy === "number") {
@@ -2144,10 +3600,52 @@ function App() {
     setScreen("game");
   };
 
+  const resetRun = (nextTasks: Task[], start: number) => {
+    setTasks(nextTasks);
+    setCurrentIndex(0);
+    setBuffer("");
+    setCaretIndex(0);
+    setProgress([]);
+    setExpectSpace(false);
+    setLangMismatchCount(0);
+    setLangMismatchTs(0);
+    setShowLangBanner(false);
+    setLangDismissed(false);
+    setGameStats({ correct: 0, incorrect: 0, tasksCompleted: 0, streak: 0, maxStreak: 0 });
+    setStartTime(start);
+    setElapsedMs(0);
+  };
+
+  // Races type the server's shared task list; no batches are fetched and the server records the result.
+  const startRaceRun = (code: string) => {
+    drainKeyTelemetry(keyTelemetryRef.current);
+    practiceRef.current = createPracticeTracker();
+    sessionLogRef.current = null;
+    contestLogRef.current = null;
+    setStatusMessage("");
+    resetRun(race.tasks, Date.now());
+    setTimeLeft(null);
+    setPrevAccuracy(0);
+    setRaceRunCode(code);
+    setScreen("game");
+  };
+
   const endGame = async () => {
     const endTime = Date.now();
     const totalMs = endTime - startTime;
+    if (raceRunCode) {
+      setRaceRunCode("");
+      if (gameStats.tasksCompleted < tasks.length && race.room?.status !== "finished") {
+        race.leave();
+        setScreen("home");
+      } else {
+        setScreen("race");
+      }
+      await recordSessionStats(endTime, totalMs);
+      return;
+    }
     const derivedPlayerName = sessionUser?.displayName || sessionUser?.email || settings.playerName || "Player";
+    const breakdown = scoreCurrentRun(totalMs);
     const result = {
       playerName: derivedPlayerName,
       contestType: settings.contestType,
@@ -2156,38 +3654,71 @@ function App() {
       language: settings.language,
       duration: settings.mode === "contest" && settings.contestType === "time" ? settings.duration : null,
       taskTarget: settings.mode === "contest" && settings.contestType === "tasks" ? settings.taskTarget : null,
-      score,
+      score: breakdown?.score ?? score,
       accuracy,
       cpm,
       mistakes: gameStats.incorrect,
       tasksCompleted: gameStats.tasksCompleted,
       timeSeconds: Math.round(totalMs / 1000),
       maxStreak: gameStats.maxStreak,
-      mode: settings.mode
+      mode: settings.mode,
+      playedAt: new Date(endTime).toISOString(),
+      challengeId: challengeRunId || null,
+      ruleSetId: activeRuleSet?.id || null,
+      runToken: contestLogRef.current?.runToken || null,
+      summary: contestLogRef.current?.runToken ? buildContestSummary(contestLogRef.current, endTime) : null
     };
+    contestLogRef.current = null;
+    setScoreBreakdown(breakdown);
+    setPersonalBestOutcome(null);
+    setAchievementUnlocks([]);
 
     await recordSessionStats(endTime, totalMs);
 
+    let savedOnServer = false;
     if (settings.mode === "contest") {
       try {
-        await API.saveResult(result);
+        const saved = await API.saveResult(result);
+        celebrateAchievements(saved?.achievements);
+        // WHY: the verified breakdown replaces the local one, so the screen shows what was ranked.
+        if (saved?.breakdown) setScoreBreakdown({ ...saved.breakdown, score: saved.result.score });
+        if (saved?.personalBest) {
+          savedOnServer = true;
+          setPersonalBestOutcome({ ...saved.personalBest, result: saved.result });
+          API.getPersonalBests()
+            .then((data) => setPersonalBests(data.bests || []))
+            .catch((err) => reportClientError("load_personal_bests", err));
+        }
+        if (saved?.queued) setStatusMessage("Saved on this device. The result will sync when you are back online.");
+        else if (saved?.reason === "challenge_closed") setStatusMessage("The challenge closed before this run finished, so it was not entered.");
+        else if (saved?.reason === "result_flagged") setStatusMessage("This result could not be verified, so it is held back from the leaderboard.");
+        else if (saved?.reason === "result_unranked") setStatusMessage("This run was played without the server, so it is saved but not ranked.");
       } catch (err) {
         setStatusMessage("Could not save result. Offline?" );
       }
     }
 
-    localStorage.setItem(settingsKey(settings), JSON.stringify({ accuracy, cpm }));
+    // Guests and practice runs keep the per-device comparison.
+    if (!savedOnServer) localStorage.setItem(settingsKey(settings), JSON.stringify({ accuracy, cpm }));
     setScreen("results");
   };
 
   const loadMoreTasks = async () => {
+    // WHY: reviews land first so the next batch no longer counts them as due.
+    await flushPracticeReviews();
     const generated = await API.generateTasks(settings.level, 40, settings.contentMode, settings.language, {
       sessionId: resolveActivePlaySessionId(),
-      telemetry: { cpm }
+      mode: settings.mode,
+      challengeId: challengeRunId,
+      runToken: contestLogRef.current?.runToken,
+      telemetry: { cpm, keys: drainKeyTelemetry(keyTelemetryRef.current) }
     });
     if (generated.fallbackNotice) {
       setStatusMessage(generated.fallbackNotice);
     }
+    setFocusKeys(generated.focusKeys || []);
+    const offset = tasks.length;
+    sessionLogRef.current?.tasks.push(...generated.tasks.map((task, index) => ({ ...task, index: offset + index })));
     setTasks((prev) => [...prev, ...generated.tasks]);
   };
 
@@ -2210,6 +3741,10 @@ function App() {
       setTimeout(() => setCorrectFlash(false), Math.min(500, duration * 0.6));
     }
     setTimeout(() => setShowEffects(false), duration);
+    if (currentTask?.entryId && (!currentTask.words || currentTask.wordIndex === currentTask.words.length - 1)) {
+      completePracticeEntry(practiceRef.current, currentTask.entryId, Date.now());
+    }
+    if (contestLogRef.current) finishContestTask(contestLogRef.current, true, Date.now());
     setGameStats((prev) => {
       let streak = prev.streak;
       if (appSettings.streakPolicy === "never") {
@@ -2236,9 +3771,13 @@ function App() {
     if (appSettings.mistakeStyle === "normal") {
       sound.play("pop");
     }
+    if (appSettings.narration.speakOn === "mistake" && currentTask) {
+      narrator.speak(currentTask);
+    }
     setMistakeFlash(true);
     setTimeout(() => setMistakeFlash(false), Math.min(500, duration * 0.6));
     setTaskHadMistake(true);
+    if (contestLogRef.current) noteContestMistake(contestLogRef.current);
     setGameStats((prev) => ({
       ...prev,
       incorrect: prev.incorrect + 1,
@@ -2250,6 +3789,7 @@ function App() {
     registerMistake();
     setBuffer("");
     if (advanceTask && settings.mode === "contest") {
+      if (contestLogRef.current) finishContestTask(contestLogRef.current, false, Date.now());
       setGameStats((prev) => ({
         ...prev,
         tasksCompleted: prev.tasksCompleted + 1
@@ -2258,6 +3798,13 @@ function App() {
     }
   };
 
+  const noteDeviceLayout = useCallback((layout: KeyboardLayoutId | null) => {
+    if (!layout || layout === deviceLayout) return;
+    setDeviceLayout(layout);
+    if (!sessionUser?.isAuthenticated) return;
+    API.saveKeyboardLayout(layout).catch((err) => reportClientError("save_keyboard_layout", err));
+  }, [deviceLayout, sessionUser?.isAuthenticated, reportClientError]);
+
   const handleKey = useCallback((event: KeyboardEvent) => {
     if (screen !== "game" || !currentTask) return;
     const key = event.key;
@@ -2284,37 +3831,46 @@ function App() {
       if (!expectSpace) return;
     }
 
-    if (kind === "punct") {
-      return;
-    }
-
     if (kind === "space") {
       if (key === " ") {
+        logKeystroke(" ", " ", "correct", Date.now());
         setExpectSpace(false);
         handleCorrect();
       }
       return;
     }
 
-    const normalized = key.toLowerCase();
+    const stroke = { key, code: event.code, shiftKey: event.shiftKey };
+    layoutDetectorRef.current.observe(stroke);
+    noteDeviceLayout(layoutDetectorRef.current.current());
+    const wrongLayout = isWrongLayout(stroke, typingLayout);
+    const normalized = (appSettings.forgivingLayout ? remapKeystroke(stroke, typingLayout) : key).toLowerCase();
+
+    // WHY: punctuation is ignored, except where a wrong layout puts it on a letter key (";" is "ж" in ЙЦУКЕН).
+    if (kind === "punct" && !/[\p{L}\p{N}]/u.test(normalized)) {
+      return;
+    }
     const expected = currentTask.answer.toLowerCase();
     const expectedChar = expected[caretIndex];
 
     if (!expectedChar) return;
 
-    if (appSettings.languageReminder && !langDismissed) {
-      const expectedIsAlphaNum = /[a-z0-9]/.test(expectedChar);
-      const keyIsAsciiAlphaNum = /[a-z0-9]/i.test(key);
-      if (expectedIsAlphaNum && kind === "alphaNum" && !keyIsAsciiAlphaNum) {
-        const now = Date.now();
-        const reset = now - langMismatchTs > 5000;
-        const nextCount = reset ? 1 : langMismatchCount + 1;
-        setLangMismatchTs(now);
-        setLangMismatchCount(nextCount);
-        if (nextCount >= 2) setShowLangBanner(true);
-      }
+    if (appSettings.languageReminder && !appSettings.forgivingLayout && !langDismissed && wrongLayout) {
+      const now = Date.now();
+      const reset = now - langMismatchTs > 5000;
+      const nextCount = reset ? 1 : langMismatchCount + 1;
+      setLangMismatchTs(now);
+      setLangMismatchCount(nextCount);
+      if (nextCount >= 2) setShowLangBanner(true);
+    } else if (showLangBanner) {
+      setShowLangBanner(false);
     }
-    if (showLangBanner) setShowLangBanner(false);
+
+    const pressedAt = Date.now();
+    recordKeyStroke(keyTelemetryRef.current, expectedChar, normalized === expectedChar, pressedAt - lastKeyAtRef.current);
+    lastKeyAtRef.current = pressedAt;
+    logKeystroke(normalized, expectedChar, normalized === expectedChar ? "correct" : "wrong", pressedAt);
+    if (currentTask.entryId) notePracticeKey(practiceRef.current, currentTask.entryId, normalized === expectedChar, pressedAt);
 
     if (expected.length === 1) {
       if (normalized === expectedChar) {
@@ -2357,7 +3913,7 @@ function App() {
           return next;
         });
       }, 400);
-      if (appSettings.wrongCharBehavior === "skip") {
+      if (wrongCharBehavior === "skip") {
         const nextCaret = caretIndex + 1;
         if (nextCaret >= expected.length) {
           if (currentTask.sentence && appSettings.spaceRequired) {
@@ -2373,13 +3929,17 @@ function App() {
   }, [
     screen,
     currentTask,
+    currentIndex,
     buffer,
     caretIndex,
     expectSpace,
     appSettings.languageReminder,
     appSettings.spaceRequired,
-    appSettings.wrongCharBehavior,
+    wrongCharBehavior,
     appSettings.protectFunctionKeys,
+    appSettings.forgivingLayout,
+    typingLayout,
+    noteDeviceLayout,
     langMismatchCount,
     langMismatchTs,
     langDismissed,
@@ -2416,6 +3976,11 @@ function App() {
 
   useEffect(() => {
     if (screen !== "game") return;
+    if (raceRunCode) {
+      race.sendProgress(gameStats.tasksCompleted, gameStats.incorrect);
+      if (gameStats.tasksCompleted >= tasks.length || race.room?.status === "finished") endGame();
+      return;
+    }
     if (tasks.length - currentIndex < 10) {
       loadMoreTasks();
     }
@@ -2424,7 +3989,14 @@ function App() {
         endGame();
       }
     }
-  }, [screen, currentIndex, tasks.length, gameStats.tasksCompleted, settings]);
+  }, [screen, currentIndex, tasks.length, gameStats.tasksCompleted, gameStats.incorrect, settings, raceRunCode, race.room?.status]);
+
+  useEffect(() => {
+    const room = race.room;
+    if (screen !== "race" || !room || room.status !== "racing" || !race.tasks.length || race.startAt === null) return;
+    const timer = setTimeout(() => startRaceRun(room.code), Math.max(0, race.startAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [screen, race.room?.status, race.tasks, race.startAt]);
 
   useEffect(() => {
     if (!currentTask) return;
@@ -2433,6 +4005,7 @@ function App() {
     setProgress(Array.from({ length: currentTask.answer.length }, () => "pending"));
     setExpectSpace(false);
     setTaskHadMistake(false);
+    lastKeyAtRef.current = Date.now();
   }, [currentTask?.id]);
 
   useEffect(() => {
@@ -2992,7 +4565,16 @@ function App() {
             <Title order={1}>Keyboard Trainer</Title>
             <Text>One tap to start. Advanced setup when needed.</Text>
             {sessionUser ? (
-              <Text size="sm">Welcome back, {sessionUser.displayName || sessionUser.email || "Player"}.</Text>
+              <>
+                <Text size="sm">Welcome back, {activeProfile?.displayName || sessionUser.displayName || sessionUser.email || "Player"}.</Text>
+                <ProfilePicker
+                  accountName={sessionUser.displayName || sessionUser.email || "Me"}
+                  profiles={childProfiles}
+                  activeProfileId={activeProfileId}
+                  onSelect={selectProfile}
+                  onProfilesChange={setChildProfiles}
+                />
+              </>
             ) : (
               <TextInput
                 label="Guest nickname (optional)"
@@ -3008,6 +4590,16 @@ function App() {
             <Button variant="light" size="md" onClick={() => { setMenuDraftSettings(settings); setMenuDrawerOpen(true); }}>
               Customize Game
             </Button>
+            {playDay && (playDay.goal || playDay.capMinutes) && <PlayDayCard status={playDay} />}
+            <ChallengeBanner
+              challenges={challenges}
+              canJoin={Boolean(sessionUser?.isAuthenticated)}
+              onJoin={(challenge) => void startChallenge(challenge)}
+              onLeaderboard={(challenge) => {
+                setLeaderboardChallengeId(challenge.id);
+                navigateFromSettings("leaderboard");
+              }}
+            />
             <div className="menu-stats-row" role="group" aria-label="Session progress stats">
               <Card withBorder className="menu-stat-card">
                 <Text size="xs" c="dimmed">Total letters</Text>
@@ -3055,16 +4647,60 @@ function App() {
                   onChange={(value) => setMenuDraftSettings((prev) => ({ ...prev, mode: value as Mode }))}
                   data={[
                     { value: "learning", label: "Learning" },
+                    { value: "practice", label: "Practice" },
                     { value: "contest", label: "Contest" }
                   ]}
                 />
               </Stack>
+              {menuDraftSettings.mode === "contest" && (
+                <Stack gap="xs">
+                  <Text fw={600}>Contest rules</Text>
+                  <Select
+                    aria-label="Contest rules"
+                    value={menuDraftSettings.ruleSetId}
+                    onChange={(value) => setMenuDraftSettings((prev) => applyRuleSet(prev, contestRuleSets.find((ruleSet) => ruleSet.id === value) || null))}
+                    data={[
+                      { value: "", label: "Classic" },
+                      ...contestRuleSets.map((ruleSet) => ({ value: ruleSet.id, label: ruleSet.name }))
+                    ]}
+                  />
+                  {menuDraftRuleSet ? (
+                    <Text size="sm" c="dimmed">{describeRuleSet(menuDraftRuleSet)}</Text>
+                  ) : (
+                    <>
+                      <SegmentedControl
+                        value={menuDraftSettings.contestType}
+                        onChange={(value) => setMenuDraftSettings((prev) => ({ ...prev, contestType: value === "tasks" ? "tasks" : "time" }))}
+                        data={[
+                          { value: "time", label: "Time" },
+                          { value: "tasks", label: "Tasks" }
+                        ]}
+                      />
+                      {menuDraftSettings.contestType === "time" ? (
+                        <SegmentedControl
+                          value={String(menuDraftSettings.duration)}
+                          onChange={(value) => setMenuDraftSettings((prev) => ({ ...prev, duration: Number(value) }))}
+                          data={["30", "60", "120"].map((value) => ({ value, label: `${value}s` }))}
+                        />
+                      ) : (
+                        <SegmentedControl
+                          value={String(menuDraftSettings.taskTarget)}
+                          onChange={(value) => setMenuDraftSettings((prev) => ({ ...prev, taskTarget: Number(value) }))}
+                          data={["10", "20", "50"].map((value) => ({ value, label: `${value} tasks` }))}
+                        />
+                      )}
+                    </>
+                  )}
+                </Stack>
+              )}
               <Stack gap="xs">
                 <Text fw={600}>Level</Text>
                 <SegmentedControl
                   value={String(menuDraftSettings.level)}
                   onChange={(value) => setMenuDraftSettings((prev) => ({ ...prev, level: Number(value) }))}
-                  data={allowedLevels.map((lvl) => ({ value: String(lvl), label: String(lvl) }))}
+                  data={allowedLevels
+                    .filter((lvl) => !menuDraftRuleSet || menuDraftRuleSet.levels.includes(lvl))
+                    .map((lvl) => ({ value: String(lvl), label: String(lvl) }))}
                 />
               </Stack>
               <Stack gap="xs">
@@ -3107,7 +4743,13 @@ function App() {
           </Drawer>
 
           <Group>
-            <Button variant="light" onClick={() => setScreen("leaderboard")}>Leaderboard</Button>
+            <Button variant="light" onClick={() => { setLeaderboardChallengeId(""); setScreen("leaderboard"); }}>Leaderboard</Button>
+            {sessionUser && <Button variant="light" onClick={() => setScreen("replay")}>Replays</Button>}
+            {sessionUser && <Button variant="light" onClick={() => setScreen("progress")}>Progress</Button>}
+            {sessionUser && <Button variant="light" onClick={() => setScreen("achievements")}>Badges</Button>}
+            {sessionUser && <Button variant="light" onClick={() => setScreen("race")}>Race</Button>}
+            {sessionUser && <Button variant="light" onClick={() => setScreen("classroom")}>Classroom</Button>}
+            {isModeratorUser && <Button variant="light" onClick={() => setScreen("moderation")}>Moderation</Button>}
             <Button variant="light" onClick={() => setScreen("settings")}>Settings / Admin</Button>
           </Group>
         </div>
@@ -3115,7 +4757,7 @@ function App() {
 
       {screen === "game" && currentTask && (
         <div className={"screen game " + (mistakeFlash ? "mistake" : "") }>
-          <div className="game-layout">
+          <div className={"game-layout" + (showVirtualKeyboard ? " with-keyboard" : "")}>
             <StatsBar
               cpm={cpm}
               accuracy={accuracy}
@@ -3124,7 +4766,7 @@ function App() {
               streak={gameStats.streak}
               stars={stars}
               trendLabel={trendLabel}
-              timer={settings.mode === "contest" && settings.contestType === "time" ? Math.ceil((timeLeft ?? 0) / 1000) : null}
+              timer={!raceRunCode && settings.mode === "contest" && settings.contestType === "time" ? Math.ceil((timeLeft ?? 0) / 1000) : null}
             />
 
             <TaskStage
@@ -3142,16 +4784,31 @@ function App() {
               onMetrics={setCurrentFit}
             />
 
+            {appSettings.narration.enabled && appSettings.soundEnabled && (
+              <button
+                type="button"
+                className="narration-button"
+                tabIndex={-1}
+                aria-label="Hear it again"
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => narrator.speak(currentTask)}
+              >
+                🔊
+              </button>
+            )}
+
             {appSettings.languageReminder && (
               <LanguageBanner
                 show={showLangBanner && !langDismissed}
+                expectedLayout={KEYBOARD_LAYOUT_LABELS[typingLayout]}
+                detectedLayout={deviceLayout && deviceLayout !== typingLayout ? KEYBOARD_LAYOUT_LABELS[deviceLayout] : null}
                 onDismiss={() => setLangDismissed(true)}
               />
             )}
             {functionKeyNotice && (
               <FunctionKeyBanner message={functionKeyNotice} onDismiss={() => setFunctionKeyNotice("")} />
             )}
-            {settings.mode === "learning"
+            {settings.mode !== "contest"
               && showZeroHint
               && appSettings.differentiateZero
               && /[0O]/.test(currentTask.prompt) && (
@@ -3171,7 +4828,31 @@ function App() {
               appSettings={appSettings}
               setAppSettings={setAppSettings}
               onEnd={endGame}
+              keyboardLabel={KEYBOARD_LAYOUT_LABELS[deviceLayout || typingLayout]}
             />
+
+            {raceRunCode && race.room && (
+              <RaceTrack
+                room={race.room}
+                playerId={race.playerId}
+                tasks={tasks}
+                compactUI={compactUI}
+                fitConfigSecondary={fitConfigSecondary}
+                appSettings={appSettings}
+                setAppSettings={setAppSettings}
+              />
+            )}
+
+            {showVirtualKeyboard && (
+              <VirtualKeyboard
+                layout={typingLayout}
+                nextChar={expectSpace ? " " : currentTask.answer.toLowerCase()[caretIndex]}
+                fingerColors={appSettings.virtualKeyboard.fingerColors}
+                mistakeFlash={mistakeFlash}
+                // WHY: taps replay through the window keydown path so touch input gets the same rules, telemetry and replays.
+                onPress={(char) => window.dispatchEvent(new KeyboardEvent("keydown", { key: char }))}
+              />
+            )}
           </div>
 
           {appSettings.debugLayout && currentFit && (
@@ -3188,27 +4869,112 @@ function App() {
         </div>
       )}
 
+      <CorrectEffects
+        show={achievementUnlocks.length > 0}
+        tick={unlockTick}
+        seed={unlockTick}
+        settings={appSettings}
+        intensity={intensity}
+        unlocked={achievementUnlocks}
+      />
+
+      {screen === "done" && (
+        <div className="screen results done-for-today">
+          <h2>All done for today</h2>
+          <div className="card">
+            <Text>That was good typing. Time to rest your hands — the keyboard will be here tomorrow.</Text>
+            {playDay?.goal?.reached && <Text mt="sm">You reached today's goal, too.</Text>}
+          </div>
+          <Group className="actions">
+            <Button onClick={() => setScreen("home")}>Home</Button>
+          </Group>
+        </div>
+      )}
+
       {screen === "results" && (
         <div className="screen results">
           <h2>Great Job!</h2>
+          {personalBestOutcome && personalBestOutcome.records.length > 0 && (
+            <div className="card personal-best-banner">
+              <strong>New personal best!</strong>
+              {describeNewRecords(personalBestOutcome).map((line) => <div key={line}>{line}</div>)}
+            </div>
+          )}
+          {achievementUnlocks.length > 0 && (
+            <div className="card personal-best-banner">
+              <strong>{achievementUnlocks.length === 1 ? "New badge!" : "New badges!"}</strong>
+              {achievementUnlocks.map((achievement) => <div key={achievement.id}>{achievement.title}</div>)}
+            </div>
+          )}
           <div className="card">
             <div className="result-grid">
-              <div>Score</div><div>{score}</div>
+              {activeRuleSet && (
+                <>
+                  <div>Rules</div><div>{activeRuleSet.name}</div>
+                </>
+              )}
+              <div>Score</div><div>{scoreBreakdown?.score ?? score}</div>
+              {scoreBreakdown && (
+                <>
+                  <div>Scoring</div><div>v{scoreBreakdown.version} · {SCORING_VERSION_LABELS[scoreBreakdown.version] || "Custom"}</div>
+                </>
+              )}
+              {personalBestOutcome && (
+                <>
+                  <div>Personal best</div><div>{Math.max(personalBestOutcome.previous?.bestScore ?? 0, personalBestOutcome.result.score)}</div>
+                </>
+              )}
               <div>Accuracy</div><div>{accuracy}%</div>
               <div>CPM</div><div>{cpm}</div>
               <div>Extra tries</div><div>{gameStats.incorrect}</div>
               <div>Tasks Completed</div><div>{gameStats.tasksCompleted}</div>
               <div>Max Streak</div><div>{gameStats.maxStreak}</div>
+              {focusKeys.length > 0 && (
+                <>
+                  <div>Practice keys</div><div>{focusKeys.map((k) => k.toUpperCase()).join(" ")}</div>
+                </>
+              )}
             </div>
           </div>
+          {scoreBreakdown && scoreBreakdown.tasks.length > 0 && <ScoreBreakdownCard breakdown={scoreBreakdown} />}
           {statusMessage && <div className="status">{statusMessage}</div>}
           <Group className="actions">
             <Button onClick={() => navigateFromSettings("home")}>Home</Button>
-            <Button variant="light" onClick={() => navigateFromSettings("leaderboard")}>Leaderboard</Button>
+            <Button
+              variant="light"
+              onClick={() => {
+                setLeaderboardChallengeId(challengeRunId);
+                navigateFromSettings("leaderboard");
+              }}
+            >
+              Leaderboard
+            </Button>
           </Group>
         </div>
       )}
 
+      {screen === "moderation" && isModeratorUser && (
+        <ModerationScreen isAdmin={isAdminUser} onBack={() => navigateFromSettings("home")} />
+      )}
+
+      {screen === "classroom" && (
+        <ClassroomScreen
+          classroom={classroom}
+          playerName={activeProfile?.displayName || sessionUser?.displayName || "Player"}
+          isTeacher={isTeacherUser}
+          onClassroomChange={setClassroom}
+          onBack={() => navigateFromSettings("home")}
+        />
+      )}
+
+      {screen === "race" && (
+        <RaceScreen
+          race={race}
+          defaults={settings}
+          onBack={() => navigateFromSettings("home")}
+        />
+      )}
+
       {screen === "leaderboard" && (
         <LeaderboardScreen
           onBack={() => navigateFromSettings("home")}
@@ -3217,6 +4983,9 @@ function App() {
           myRank={myRank}
           statusMessage={statusMessage}
           availableLanguages={availableLanguages}
+          challenges={challenges}
+          ruleSets={contestRuleSets}
+          initialChallengeId={leaderboardChallengeId}
         />
       )}
 
@@ -3255,6 +5024,9 @@ function App() {
           lastSettingsAppliedAt={lastSettingsAppliedAt}
           publicVersion={publicVersion}
           sessionUser={sessionUser}
+          childProfileActive={Boolean(activeProfile)}
+          guestPlayLimits={guestPlayLimits}
+          onGuestPlayLimitsChange={saveGuestPlayLimits}
           selectedLanguage={settings.language}
           onReloadPacks={loadPacks}
           onReset={async (scope) => {
@@ -3300,10 +5072,31 @@ function App() {
         />
       )}
 
-      {screen === "vocabulary" && (
-        <VocabularyCenterScreen
-          isAdmin={isAdminUser}
-          onBack={() => navigateFromSettings("settings")}
+      {screen === "replay" && (
+        <ReplayScreen
+          appSettings={appSettings}
+          fitConfigCurrent={fitConfigCurrent}
+          fitConfigSentence={fitConfigSentence}
+          onBack={() => navigateFromSettings("home")}
+        />
+      )}
+
+      {screen === "achievements" && (
+        <AchievementsScreen onBack={() => navigateFromSettings("home")} />
+      )}
+
+      {screen === "progress" && (
+        <ProgressScreen
+          playerName={activeProfile?.displayName || sessionUser?.displayName || "Player"}
+          ruleSets={contestRuleSets}
+          onBack={() => navigateFromSettings("home")}
+        />
+      )}
+
+      {screen === "vocabulary" && (
+        <VocabularyCenterScreen
+          isAdmin={isAdminUser}
+          onBack={() => navigateFromSettings("settings")}
           onStatus={(msg) => setStatusMessage(msg)}
         />
       )}
@@ -3311,24 +5104,75 @@ function App() {
   );
 }
 
+function ScoringVersionTag({ version }: { version: number }) {
+  const label = SCORING_VERSION_LABELS[version] || "Custom";
+  return <span className="scoring-version-tag" title={`Scored with v${version} (${label})`}>v{version}</span>;
+}
+
+function ScoreBreakdownCard({ breakdown }: { breakdown: ScoreBreakdown }) {
+  const { bonuses } = breakdown;
+  return (
+    <details className="card score-breakdown">
+      <summary>Points per task</summary>
+      <table className="lb-table" aria-label="Points per task">
+        <thead>
+          <tr>
+            <th>Task</th>
+            <th className="col-num">Letters</th>
+            <th className="col-num">Difficulty</th>
+            <th className="col-num">Streak</th>
+            <th className="col-num">Extra tries</th>
+            <th className="col-num">Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {breakdown.tasks.map((task, index) => (
+            <tr key={index}>
+              <td>{task.answer}</td>
+              <td className="col-num">{task.chars}</td>
+              <td className="col-num">{task.difficulty === null ? "–" : task.difficulty.toFixed(2)}</td>
+              <td className="col-num">{task.streak}</td>
+              <td className="col-num">{task.mistakes}</td>
+              <td className="col-num">{task.points}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr><td colSpan={5}>Accuracy bonus</td><td className="col-num">+{bonuses.accuracy}</td></tr>
+          {bonuses.speed > 0 && <tr><td colSpan={5}>Speed bonus</td><td className="col-num">+{bonuses.speed}</td></tr>}
+          {bonuses.penalty > 0 && <tr><td colSpan={5}>Mistake penalty</td><td className="col-num">−{bonuses.penalty}</td></tr>}
+        </tfoot>
+      </table>
+    </details>
+  );
+}
+
 function LeaderboardScreen({
   onBack,
   onLoad,
   entries,
   myRank,
   statusMessage,
-  availableLanguages
+  availableLanguages,
+  challenges,
+  ruleSets,
+  initialChallengeId
 }: {
   onBack: () => void;
-  onLoad: (filters: any) => Promise<{ rows: LeaderboardEntry[]; total: number; page: number; pageSize: number; myRank: number | null }>;
+  onLoad: (filters: any) => Promise<{ rows: LeaderboardEntry[]; total: number; page: number; pageSize: number; myRank: number | null; challenge?: Challenge | null }>;
   entries: LeaderboardEntry[];
   myRank: number | null;
   statusMessage: string;
   availableLanguages: string[];
+  challenges: Challenge[];
+  ruleSets: ContestRuleSet[];
+  initialChallengeId: string;
 }) {
   const query = useMemo(() => new URLSearchParams(window.location.search), []);
   const [filters, setFilters] = useState({
-    contestType: query.get("contestType") === "tasks" ? "tasks" : "time",
+    challengeId: initialChallengeId || query.get("challengeId") || "",
+    ruleSetId: query.get("ruleSetId") || "",
+    contestType: ["tasks", "race"].includes(query.get("contestType") || "") ? query.get("contestType") as string : "time",
     level: Math.max(1, Math.min(5, Number(query.get("level") || 1))),
     contentMode: query.get("contentMode") === "vocab" ? "vocab" : "default",
     duration: query.get("duration") || "60",
@@ -3345,6 +5189,7 @@ function LeaderboardScreen({
   const [rows, setRows] = useState<LeaderboardEntry[]>(entries || []);
   const [total, setTotal] = useState(0);
   const [rankForUser, setRankForUser] = useState<number | null>(myRank);
+  const [challenge, setChallenge] = useState<Challenge | null>(null);
   const [loading, setLoading] = useState(false);
   const [errorText, setErrorText] = useState(statusMessage || "");
   const [shareStatus, setShareStatus] = useState("");
@@ -3365,7 +5210,8 @@ function LeaderboardScreen({
     setLoading(true);
     setErrorText("");
     try {
-      const payload: any = {
+      // A challenge board carries its own rules, so the open-board filters do not apply.
+      const payload: any = filters.challengeId ? { challengeId: filters.challengeId, sort: sortBy, order: sortDir, page, pageSize } : {
         contestType: filters.contestType,
         level: filters.level,
         contentMode: filters.contentMode,
@@ -3375,11 +5221,15 @@ function LeaderboardScreen({
         pageSize,
         dateRange: filters.dateRange
       };
-      if (filters.contestType === "time") payload.duration = filters.duration;
-      else payload.taskTarget = filters.taskTarget;
-      if (filters.language !== "all") payload.language = filters.language;
+      if (!filters.challengeId) {
+        if (filters.ruleSetId) payload.ruleSetId = filters.ruleSetId;
+        else if (filters.contestType === "time") payload.duration = filters.duration;
+        else payload.taskTarget = filters.taskTarget;
+        if (filters.language !== "all") payload.language = filters.language;
+      }
 
       const data = await onLoad(payload);
+      setChallenge(data.challenge || null);
       setRows(data.rows || []);
       setTotal(Number(data.total || 0));
       setRankForUser(typeof data.myRank === "number" ? data.myRank : null);
@@ -3398,6 +5248,8 @@ function LeaderboardScreen({
 
   useEffect(() => {
     const params = new URLSearchParams();
+    if (filters.challengeId) params.set("challengeId", filters.challengeId);
+    if (filters.ruleSetId) params.set("ruleSetId", filters.ruleSetId);
     params.set("contestType", filters.contestType);
     params.set("level", String(filters.level));
     params.set("contentMode", filters.contentMode);
@@ -3419,6 +5271,8 @@ function LeaderboardScreen({
 
   const resetFilters = () => {
     setFilters({
+      challengeId: "",
+      ruleSetId: "",
       contestType: "time",
       level: 1,
       contentMode: "default",
@@ -3506,7 +5360,10 @@ function LeaderboardScreen({
             <tr key={entry.id}>
               <td className="col-rank">{(page - 1) * pageSize + idx + 1}</td>
               <td className="col-player">{entry.playerName}</td>
-              <td className="col-num">{entry.score}</td>
+              <td className="col-num">
+                {entry.score}
+                {entry.scoringVersion && <ScoringVersionTag version={entry.scoringVersion} />}
+              </td>
               <td className="col-num">{Math.round(entry.accuracy)}%</td>
               <td className="col-num">{entry.cpm}</td>
               {!isTablet && <td className="col-num">{entry.maxStreak}</td>}
@@ -3548,6 +5405,7 @@ function LeaderboardScreen({
                 <span>Accuracy: {Math.round(entry.accuracy)}%</span>
                 <span>CPM: {entry.cpm}</span>
                 <span>Streak: {entry.maxStreak}</span>
+                {entry.scoringVersion && <span>Scoring: v{entry.scoringVersion} · {SCORING_VERSION_LABELS[entry.scoringVersion] || "Custom"}</span>}
                 <span>Date: {new Date(entry.createdAt).toLocaleDateString()}</span>
               </div>
             )}
@@ -3567,72 +5425,107 @@ function LeaderboardScreen({
       <div className="card lb-card">
         <div className="lb-filter-bar">
           <div className="lb-filter-grid">
-            <Select
-              label="Contest type"
-              value={filters.contestType}
-              onChange={(value) => handleFilter("contestType", value || "time")}
-              data={[
-                { value: "time", label: "Time" },
-                { value: "tasks", label: "Tasks" }
-              ]}
-            />
-            {filters.contestType === "time" ? (
-              <Select
-                label="Duration"
-                value={String(filters.duration)}
-                onChange={(value) => handleFilter("duration", value || "60")}
-                data={[
-                  { value: "30", label: "30" },
-                  { value: "60", label: "60" },
-                  { value: "120", label: "120" }
-                ]}
-              />
-            ) : (
+            {(challenges.length > 0 || filters.challengeId) && (
               <Select
-                label="Task target"
-                value={String(filters.taskTarget)}
-                onChange={(value) => handleFilter("taskTarget", value || "20")}
+                label="Board"
+                value={filters.challengeId}
+                onChange={(value) => handleFilter("challengeId", value || "")}
                 data={[
-                  { value: "10", label: "10" },
-                  { value: "20", label: "20" },
-                  { value: "50", label: "50" }
+                  { value: "", label: "Open boards" },
+                  ...challenges.map((item) => ({ value: item.id, label: item.title })),
+                  ...(filters.challengeId && !challenges.some((item) => item.id === filters.challengeId)
+                    ? [{ value: filters.challengeId, label: challenge?.title || "Challenge" }]
+                    : [])
                 ]}
               />
             )}
-            <Select
-              label="Level"
-              value={String(filters.level)}
-              onChange={(value) => handleFilter("level", Number(value || 1))}
-              data={[1, 2, 3, 4, 5].map((lvl) => ({ value: String(lvl), label: String(lvl) }))}
-            />
-            <Select
-              label="Content"
-              value={filters.contentMode}
-              onChange={(value) => handleFilter("contentMode", value || "default")}
-              data={[
-                { value: "default", label: "Default" },
-                { value: "vocab", label: "Vocab Pack" }
-              ]}
-            />
-            <Select
-              label="Language"
-              value={filters.language}
-              onChange={(value) => handleFilter("language", value || "all")}
-              data={[
-                { value: "all", label: "All" },
-                ...availableLanguages.map((lang) => ({ value: lang, label: lang.toUpperCase() }))
-              ]}
-            />
-            <Select
-              label="Date range"
-              value={filters.dateRange}
-              onChange={(value) => handleFilter("dateRange", value || "all")}
-              data={[
-                { value: "all", label: "All time" },
-                { value: "7d", label: "Last 7 days" },
-                { value: "30d", label: "Last 30 days" }
-              ]}
-            />
+            {!filters.challengeId && (
+              <>
+                {(ruleSets.length > 0 || filters.ruleSetId) && (
+                  <Select
+                    label="Rules"
+                    value={filters.ruleSetId}
+                    onChange={(value) => handleFilter("ruleSetId", value || "")}
+                    data={[
+                      { value: "", label: "Classic" },
+                      ...ruleSets.map((ruleSet) => ({ value: ruleSet.id, label: ruleSet.name })),
+                      ...(filters.ruleSetId && !ruleSets.some((ruleSet) => ruleSet.id === filters.ruleSetId)
+                        ? [{ value: filters.ruleSetId, label: filters.ruleSetId }]
+                        : [])
+                    ]}
+                  />
+                )}
+                {!filters.ruleSetId && (
+                  <Select
+                    label="Contest type"
+                    value={filters.contestType}
+                    onChange={(value) => {
+                      handleFilter("contestType", value || "time");
+                      if (value === "race" && !RACE_TASK_COUNTS.includes(Number(filters.taskTarget))) handleFilter("taskTarget", "20");
+                    }}
+                    data={[
+                      { value: "time", label: "Time" },
+                      { value: "tasks", label: "Tasks" },
+                      { value: "race", label: "Race" }
+                    ]}
+                  />
+                )}
+                {filters.ruleSetId ? null : filters.contestType === "time" ? (
+                  <Select
+                    label="Duration"
+                    value={String(filters.duration)}
+                    onChange={(value) => handleFilter("duration", value || "60")}
+                    data={[
+                      { value: "30", label: "30" },
+                      { value: "60", label: "60" },
+                      { value: "120", label: "120" }
+                    ]}
+                  />
+                ) : (
+                  <Select
+                    label="Task target"
+                    value={String(filters.taskTarget)}
+                    onChange={(value) => handleFilter("taskTarget", value || "20")}
+                    data={(filters.contestType === "race" ? RACE_TASK_COUNTS : [10, 20, 50])
+                      .map((count) => ({ value: String(count), label: String(count) }))}
+                  />
+                )}
+                <Select
+                  label="Level"
+                  value={String(filters.level)}
+                  onChange={(value) => handleFilter("level", Number(value || 1))}
+                  data={[1, 2, 3, 4, 5].map((lvl) => ({ value: String(lvl), label: String(lvl) }))}
+                />
+                <Select
+                  label="Content"
+                  value={filters.contentMode}
+                  onChange={(value) => handleFilter("contentMode", value || "default")}
+                  data={[
+                    { value: "default", label: "Default" },
+                    { value: "vocab", label: "Vocab Pack" }
+                  ]}
+                />
+                <Select
+                  label="Language"
+                  value={filters.language}
+                  onChange={(value) => handleFilter("language", value || "all")}
+                  data={[
+                    { value: "all", label: "All" },
+                    ...availableLanguages.map((lang) => ({ value: lang, label: lang.toUpperCase() }))
+                  ]}
+                />
+                <Select
+                  label="Date range"
+                  value={filters.dateRange}
+                  onChange={(value) => handleFilter("dateRange", value || "all")}
+                  data={[
+                    { value: "all", label: "All time" },
+                    { value: "7d", label: "Last 7 days" },
+                    { value: "30d", label: "Last 30 days" }
+                  ]}
+                />
+              </>
+            )}
           </div>
           <div className="lb-filter-actions">
             <Button variant="default" onClick={resetFilters}>Reset filters</Button>
@@ -3640,28 +5533,2362 @@ function LeaderboardScreen({
           </div>
         </div>
 
-        {!isMobile ? renderDesktopTable() : renderMobileList()}
+        {challenge && (
+          <div className="challenge-board-info">
+            <Text fw={600}>{challenge.title}</Text>
+            <Text size="sm">{describeChallengeRules(challenge)}</Text>
+            <Text size="xs" c="dimmed">
+              {new Date(challenge.startsAt).toLocaleString()} – {new Date(challenge.endsAt).toLocaleString()}
+            </Text>
+            {challenge.winners && challenge.winners.length > 0 && (
+              <ol className="challenge-winners">
+                {challenge.winners.map((winner) => (
+                  <li key={winner.place}>{winner.name} · {winner.score} · {Math.round(winner.accuracy)}% · {winner.cpm} CPM</li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {!isMobile ? renderDesktopTable() : renderMobileList()}
+
+        <div className="lb-pagination">
+          <div className="lb-pagination-left">
+            <span>Total: {total}</span>
+            <Select
+              label="Rows per page"
+              value={String(pageSize)}
+              onChange={(value) => { setPageSize(Number(value || 20)); setPage(1); }}
+              data={[10, 20, 50].map((n) => ({ value: String(n), label: String(n) }))}
+            />
+          </div>
+          <div className="lb-pagination-right">
+            <Button size="xs" variant="default" disabled={page <= 1} onClick={() => setPage((p) => Math.max(1, p - 1))}>Prev</Button>
+            <span>Page {Math.min(page, totalPages)} / {totalPages}</span>
+            <Button size="xs" variant="default" disabled={page >= totalPages} onClick={() => setPage((p) => Math.min(totalPages, p + 1))}>Next</Button>
+          </div>
+        </div>
+      </div>
+      {(errorText || shareStatus) && <div className="status">{errorText || shareStatus}</div>}
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+function ProfilePicker({
+  accountName,
+  profiles,
+  activeProfileId,
+  onSelect,
+  onProfilesChange
+}: {
+  accountName: string;
+  profiles: ChildProfile[];
+  activeProfileId: number | null;
+  onSelect: (profileId: number | null) => void;
+  onProfilesChange: (profiles: ChildProfile[]) => void;
+}) {
+  const [managing, setManaging] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [newAvatar, setNewAvatar] = useState("star");
+  const [newAgePreset, setNewAgePreset] = useState("3-4");
+  const [errorText, setErrorText] = useState("");
+
+  const addProfile = async () => {
+    setErrorText("");
+    try {
+      const data = await API.createProfile({ displayName: newName.trim(), avatar: newAvatar, agePreset: newAgePreset });
+      onProfilesChange([...profiles, data.profile]);
+      setNewName("");
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not add profile.");
+    }
+  };
+
+  const changeAgePreset = async (profile: ChildProfile, agePreset: string) => {
+    setErrorText("");
+    try {
+      const data = await API.updateProfile(profile.id, { agePreset });
+      onProfilesChange(profiles.map((row) => (row.id === profile.id ? data.profile : row)));
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not update profile.");
+    }
+  };
+
+  const removeProfile = async (profile: ChildProfile) => {
+    if (!window.confirm(`Delete ${profile.displayName}? Their stats and settings are removed too.`)) return;
+    setErrorText("");
+    try {
+      await API.deleteProfile(profile.id);
+      if (activeProfileId === profile.id) onSelect(null);
+      onProfilesChange(profiles.filter((row) => row.id !== profile.id));
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not delete profile.");
+    }
+  };
+
+  return (
+    <Stack gap="xs" align="center">
+      <div className="profile-picker" role="group" aria-label="Who is playing?">
+        <button
+          type="button"
+          className={"profile-tile " + (activeProfileId === null ? "active" : "")}
+          aria-pressed={activeProfileId === null}
+          onClick={() => onSelect(null)}
+        >
+          <span className="profile-tile-avatar" aria-hidden="true">👤</span>
+          <Text fw={700}>{accountName}</Text>
+        </button>
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            className={"profile-tile " + (activeProfileId === profile.id ? "active" : "")}
+            aria-pressed={activeProfileId === profile.id}
+            onClick={() => onSelect(profile.id)}
+          >
+            <span className="profile-tile-avatar" aria-hidden="true">{PROFILE_AVATARS[profile.avatar] || PROFILE_AVATARS.star}</span>
+            <Text fw={700}>{profile.displayName}</Text>
+          </button>
+        ))}
+      </div>
+      <Button variant="subtle" size="xs" onClick={() => setManaging((prev) => !prev)}>
+        {managing ? "Done" : "Manage profiles"}
+      </Button>
+      {managing && (
+        <Card withBorder radius="md" p="sm" maw={620} w="100%">
+          <Stack gap="xs">
+            {profiles.map((profile) => (
+              <Group key={profile.id} justify="space-between" wrap="nowrap">
+                <Text>{PROFILE_AVATARS[profile.avatar] || PROFILE_AVATARS.star} {profile.displayName}</Text>
+                <Group gap="xs" wrap="nowrap">
+                  <Select
+                    aria-label={`Age preset for ${profile.displayName}`}
+                    data={AGE_PRESET_OPTIONS}
+                    value={profile.agePreset}
+                    onChange={(value) => void changeAgePreset(profile, value || "custom")}
+                  />
+                  <Button color="red" variant="light" onClick={() => void removeProfile(profile)}>Delete</Button>
+                </Group>
+              </Group>
+            ))}
+            <Divider />
+            <Group align="flex-end" wrap="wrap">
+              <TextInput label="Child name" value={newName} onChange={(e) => setNewName(e.target.value)} maxLength={24} />
+              <Select
+                label="Picture"
+                data={Object.entries(PROFILE_AVATARS).map(([value, emoji]) => ({ value, label: `${emoji} ${value}` }))}
+                value={newAvatar}
+                onChange={(value) => setNewAvatar(value || "star")}
+              />
+              <Select label="Age" data={AGE_PRESET_OPTIONS} value={newAgePreset} onChange={(value) => setNewAgePreset(value || "custom")} />
+              <Button onClick={() => void addProfile()} disabled={!newName.trim()}>Add</Button>
+            </Group>
+            {errorText && <Text size="sm" c="red">{errorText}</Text>}
+          </Stack>
+        </Card>
+      )}
+    </Stack>
+  );
+}
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 140;
+
+function TrendChart({ label, values, maxValue, suffix = "" }: { label: string; values: Array<number | null>; maxValue?: number; suffix?: string }) {
+  const segments = buildLineSegments(values, CHART_WIDTH, CHART_HEIGHT, maxValue);
+  const known = values.filter((value): value is number => value !== null);
+  const latest = known.length ? known[known.length - 1] : null;
+  return (
+    <Card withBorder radius="md" p="sm">
+      <Group justify="space-between">
+        <Text fw={600}>{label}</Text>
+        <Text size="sm" c="dimmed">{latest === null ? "No data" : `Latest: ${latest}${suffix}`}</Text>
+      </Group>
+      <svg className="progress-chart" viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`} role="img" aria-label={label}>
+        {segments.map((segment, index) => {
+          const [first] = segment;
+          return segment.length === 1 && first
+            ? <circle key={index} cx={first.x} cy={first.y} r={3} />
+            : <polyline key={index} points={segment.map((point) => `${point.x},${point.y}`).join(" ")} />;
+        })}
+      </svg>
+    </Card>
+  );
+}
+
+function PlayTimeChart({ days }: { days: ProgressReport["daily"] }) {
+  const top = Math.max(60000, ...days.map((day) => day.playTimeMs));
+  const slot = CHART_WIDTH / Math.max(1, days.length);
+  return (
+    <Card withBorder radius="md" p="sm">
+      <Text fw={600}>Time played per day</Text>
+      <svg className="progress-chart bars" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Time played per day">
+        {days.map((day, index) => {
+          const height = Math.round((day.playTimeMs / top) * CHART_HEIGHT);
+          return (
+            <rect key={day.date} x={index * slot + slot * 0.15} y={CHART_HEIGHT - height} width={slot * 0.7} height={height}>
+              <title>{`${day.date}: ${formatPlayTime(day.playTimeMs)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+    </Card>
+  );
+}
+
+const MODERATION_REASONS: Record<string, string> = {
+  unverified: "No run token (played offline or by an old client)",
+  malformed_summary: "Keystroke summary could not be read",
+  too_many_tasks: "More tasks finished than were served",
+  time_exceeds_run: "Longer than the run existed",
+  time_over_limit: "Longer than the contest allows",
+  target_not_reached: "Stopped before the task target",
+  timeline_out_of_order: "Task times out of order",
+  too_fast: "Faster than humanly possible",
+  run_mismatch: "Level or language differs from the run",
+  score_outlier: "Far above the current board",
+  legacy_outlier: "Implausible entry from before verification",
+  name_blocklist: "Name matches the blocklist"
+};
+
+const REVIEW_STATUS_LABELS: Record<PackReviewStatus, string> = {
+  pending: "In review",
+  approved: "Approved",
+  rejected: "Changes requested"
+};
+
+const REVIEW_STATUS_COLORS: Record<PackReviewStatus, string> = {
+  pending: "blue",
+  approved: "green",
+  rejected: "orange"
+};
+
+function describeEntryDetails(details: EntryDetails) {
+  const parts = [];
+  if (details.difficulty_score !== null) parts.push(`difficulty ${details.difficulty_score}`);
+  if (details.tags) parts.push(`tags ${Array.isArray(details.tags) ? details.tags.join(", ") : JSON.stringify(details.tags)}`);
+  return parts.join(" · ") || "no details";
+}
+
+function PackDiffView({ diff }: { diff: PackDiff }) {
+  const { fields, added, removed, changed, unchanged } = diff.diff;
+  return (
+    <Stack gap="xs" className="vocab-diff">
+      <Text size="sm" c="dimmed">
+        {diff.from ? `v${diff.from}` : "Nothing approved yet"} → v{diff.to}: {added.length} added, {removed.length} removed, {changed.length} changed, {unchanged} unchanged
+      </Text>
+      {fields.map((field) => (
+        <Text key={field.field} size="sm">{field.field}: {String(field.before)} → {String(field.after)}</Text>
+      ))}
+      {diff.held.length > 0 && (
+        <Alert color="orange" title="Held by the safety filter">
+          {diff.held.map((entry) => entry.text).join(", ")}
+        </Alert>
+      )}
+      {added.length > 0 && (
+        <div className="vocab-diff-list added">
+          {added.map((text, index) => <span key={`${text}-${index}`}>+ {text}</span>)}
+        </div>
+      )}
+      {removed.length > 0 && (
+        <div className="vocab-diff-list removed">
+          {removed.map((text, index) => <span key={`${text}-${index}`}>− {text}</span>)}
+        </div>
+      )}
+      {changed.length > 0 && (
+        <div className="vocab-diff-list changed">
+          {changed.map((entry, index) => (
+            <span key={`${entry.text}-${index}`}>~ {entry.text}: {describeEntryDetails(entry.before)} → {describeEntryDetails(entry.after)}</span>
+          ))}
+        </div>
+      )}
+    </Stack>
+  );
+}
+
+/**
+ * The review state of one pack with a version diff. Authors submit from the
+ * Vocabulary Center; reviewers decide from the moderation screen.
+ */
+function PackReviewPanel({ packId, mode, disabledReason, onChanged }: {
+  packId: string;
+  mode: "author" | "reviewer";
+  disabledReason?: string;
+  onChanged: () => void;
+}) {
+  const [details, setDetails] = useState<PackReviewDetails | null>(null);
+  const [diff, setDiff] = useState<PackDiff | null>(null);
+  const [fromVersion, setFromVersion] = useState("");
+  const [toVersion, setToVersion] = useState("");
+  const [comment, setComment] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [statusText, setStatusText] = useState("");
+
+  const loadDiff = useCallback(async (from?: string, to?: string) => {
+    try {
+      const data = await API.getVocabularyPackDiff(packId, from ? Number(from) : null, to ? Number(to) : null);
+      setDiff(data);
+      setFromVersion(data.from ? String(data.from) : "");
+      setToVersion(String(data.to));
+    } catch (err: any) {
+      setDiff(null);
+      setStatusText(err?.message || "Could not compare versions.");
+    }
+  }, [packId]);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await API.getVocabularyPackReview(packId);
+      setDetails(data);
+      if (data.versions.length) await loadDiff();
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not load the review.");
+    }
+  }, [packId, loadDiff]);
+
+  useEffect(() => {
+    setDiff(null);
+    setStatusText("");
+    void load();
+  }, [load]);
+
+  const act = async (action: () => Promise<unknown>, done: string) => {
+    setBusy(true);
+    setStatusText("");
+    try {
+      await action();
+      setComment("");
+      setStatusText(done);
+      await load();
+      onChanged();
+    } catch (err: any) {
+      setStatusText(err?.message || "Action failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!details) return <Text size="sm" c="dimmed">{statusText || "Loading review..."}</Text>;
+  const reviewStatus = details.pack.reviewStatus;
+  const versionOptions = details.versions.map((row) => ({ value: String(row.version), label: `v${row.version}${row.changeNote ? ` · ${row.changeNote}` : ""}` }));
+  const canSubmit = reviewStatus !== "pending" && reviewStatus !== "approved";
+
+  return (
+    <Stack gap="sm">
+      <Group gap="xs">
+        <Badge color={reviewStatus ? REVIEW_STATUS_COLORS[reviewStatus] : "gray"}>{reviewStatus ? REVIEW_STATUS_LABELS[reviewStatus] : "Not submitted"}</Badge>
+        {details.pack.reviewVersion && <Text size="sm" c="dimmed">v{details.pack.reviewVersion}{details.pack.requestedByName ? ` by ${details.pack.requestedByName}` : ""}</Text>}
+        {!details.required && <Text size="sm" c="dimmed">Review is optional on this server.</Text>}
+      </Group>
+      {versionOptions.length > 0 && (
+        <Group grow align="flex-end">
+          <Select label="Compare" placeholder="Empty pack" clearable value={fromVersion || null} data={versionOptions} onChange={(value) => void loadDiff(value || "", toVersion)} />
+          <Select label="With" value={toVersion || null} data={versionOptions} onChange={(value) => void loadDiff(fromVersion, value || "")} />
+        </Group>
+      )}
+      {diff && <PackDiffView diff={diff} />}
+      <Textarea
+        label={mode === "author" ? "Note for the reviewer" : "Comment"}
+        description={mode === "reviewer" ? "Required when requesting changes." : undefined}
+        autosize
+        minRows={2}
+        maxLength={1000}
+        value={comment}
+        onChange={(e) => setComment(e.currentTarget.value)}
+      />
+      <Group>
+        {mode === "author" ? (
+          <Button
+            size="xs"
+            loading={busy}
+            disabled={!canSubmit || Boolean(disabledReason)}
+            title={disabledReason}
+            onClick={() => void act(() => API.submitVocabularyPack(packId, comment.trim()), "Submitted for review.")}
+          >
+            Submit for review
+          </Button>
+        ) : (
+          <>
+            <Button size="xs" color="green" loading={busy} disabled={reviewStatus !== "pending"} onClick={() => void act(() => API.reviewVocabularyPack(packId, "approve", comment.trim()), "Pack approved.")}>
+              Approve
+            </Button>
+            <Button size="xs" color="orange" variant="light" loading={busy} disabled={reviewStatus !== "pending" || !comment.trim()} onClick={() => void act(() => API.reviewVocabularyPack(packId, "reject", comment.trim()), "Changes requested.")}>
+              Request changes
+            </Button>
+          </>
+        )}
+        {statusText && <Text size="sm">{statusText}</Text>}
+      </Group>
+      {details.history.length > 0 && (
+        <div className="vocab-version-list">
+          {details.history.map((row) => (
+            <div key={row.id} className="vocab-version-item">
+              <Text fw={600}>v{row.version} · {row.action}{row.actorName ? ` by ${row.actorName}` : ""}</Text>
+              <Text size="xs" c="dimmed">{new Date(row.createdAt).toLocaleString()}</Text>
+              {row.comment && <Text size="xs">{row.comment}</Text>}
+            </div>
+          ))}
+        </div>
+      )}
+    </Stack>
+  );
+}
+
+function PackReviewQueue({ isAdmin }: { isAdmin: boolean }) {
+  const [packs, setPacks] = useState<ReviewPack[]>([]);
+  const [required, setRequired] = useState(true);
+  const [openId, setOpenId] = useState("");
+  const [statusText, setStatusText] = useState("");
+
+  const refresh = useCallback(() => {
+    API.getVocabularyReviews()
+      .then((data) => {
+        setPacks(data.packs);
+        setRequired(data.required);
+      })
+      .catch((err: any) => setStatusText(err?.message || "Could not load pack reviews."));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const toggleRequired = async (next: boolean) => {
+    try {
+      setRequired((await API.saveVocabularyReviewSettings(next)).required);
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save review settings.");
+    }
+  };
+
+  return (
+    <Card withBorder>
+      <Stack gap="sm">
+        <Group justify="space-between">
+          <Text fw={600}>Vocabulary packs waiting for review</Text>
+          {isAdmin && (
+            <Switch
+              label="Require review before publishing"
+              checked={required}
+              onChange={(e) => void toggleRequired(e.currentTarget.checked)}
+            />
+          )}
+        </Group>
+        {statusText && <Text size="sm">{statusText}</Text>}
+        {packs.length === 0 && <Text size="sm" c="dimmed">No packs waiting for review.</Text>}
+        {packs.map((pack) => (
+          <Card withBorder key={pack.id} className="moderation-item">
+            <Group justify="space-between">
+              <div>
+                <Text fw={600}>{pack.name}</Text>
+                <Text size="xs" c="dimmed">
+                  {pack.language.toUpperCase()} · level {pack.level} · {pack.type} · {pack.entryCount ?? 0} entries · v{pack.reviewVersion}
+                  {pack.requestedByName ? ` · submitted by ${pack.requestedByName}` : ""}
+                </Text>
+              </div>
+              <Button size="xs" variant="light" onClick={() => setOpenId(openId === pack.id ? "" : pack.id)}>{openId === pack.id ? "Close" : "Review"}</Button>
+            </Group>
+            {openId === pack.id && (
+              <div className="vocab-review-body">
+                <PackReviewPanel packId={pack.id} mode="reviewer" onChanged={refresh} />
+              </div>
+            )}
+          </Card>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
+
+function ModerationScreen({ isAdmin, onBack }: { isAdmin: boolean; onBack: () => void }) {
+  const [flags, setFlags] = useState<ModerationFlag[]>([]);
+  const [hidden, setHidden] = useState<HiddenEntry[]>([]);
+  const [names, setNames] = useState<Record<number, string>>({});
+  const [statusText, setStatusText] = useState("");
+
+  const refresh = useCallback(() => {
+    API.getModerationQueue()
+      .then((data) => {
+        setFlags(data.flags);
+        setHidden(data.hidden);
+      })
+      .catch((err: any) => setStatusText(err?.message || "Could not load the moderation queue."));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = async (action: () => Promise<unknown>, done: string) => {
+    setStatusText("");
+    try {
+      await action();
+      setStatusText(done);
+      refresh();
+    } catch (err: any) {
+      setStatusText(err?.message || "Action failed.");
+    }
+  };
+
+  // Board entries are renamed through the identity that played them.
+  const renameTarget = (flag: ModerationFlag): { type: "user" | "profile"; id: number } | null => {
+    if (flag.targetType === "user" || flag.targetType === "profile") return { type: flag.targetType, id: Number(flag.targetId) };
+    if (flag.entry?.profileId) return { type: "profile", id: flag.entry.profileId };
+    if (flag.entry?.userId) return { type: "user", id: flag.entry.userId };
+    return null;
+  };
+
+  return (
+    <div className="screen moderation">
+      <h2>Moderation</h2>
+      <Card withBorder>
+        <Stack gap="sm">
+          <Text fw={600}>Review queue</Text>
+          {flags.length === 0 && <Text size="sm" c="dimmed">Nothing waiting for review.</Text>}
+          {flags.map((flag) => {
+            const target = renameTarget(flag);
+            return (
+              <Card withBorder key={flag.id} className="moderation-item">
+                <Group justify="space-between" align="flex-start">
+                  <div>
+                    <Text fw={600}>{flag.entry?.name || flag.name || "Removed"}</Text>
+                    <Text size="sm">
+                      {MODERATION_REASONS[flag.reason] || flag.reason}
+                      {flag.detail ? ` · “${flag.detail}”` : ""}
+                    </Text>
+                    {flag.entry && (
+                      <Text size="xs" c="dimmed">
+                        Score {flag.entry.score} · {Math.round(flag.entry.accuracy)}% · {flag.entry.cpm} CPM · level {flag.entry.level} · {new Date(flag.entry.playedAt).toLocaleString()}
+                      </Text>
+                    )}
+                  </div>
+                  <Badge variant="light">{flag.targetType}</Badge>
+                </Group>
+                <Group gap="xs" mt="xs">
+                  {flag.targetType === "leaderboard" ? (
+                    <>
+                      <Button size="xs" color="red" variant="light" onClick={() => void run(() => API.moderateEntry(Number(flag.targetId), "hide"), "Entry hidden.")}>Hide</Button>
+                      <Button size="xs" variant="light" onClick={() => void run(() => API.moderateEntry(Number(flag.targetId), "restore"), "Entry restored.")}>Restore</Button>
+                    </>
+                  ) : (
+                    <Button size="xs" variant="light" onClick={() => void run(() => API.dismissModerationFlag(flag.id), "Flag dismissed.")}>Name is fine</Button>
+                  )}
+                  {target && (
+                    <>
+                      <TextInput
+                        size="xs"
+                        placeholder="New name (blank for a neutral one)"
+                        value={names[flag.id] || ""}
+                        maxLength={64}
+                        onChange={(event) => {
+                          const value = event.currentTarget.value;
+                          setNames((prev) => ({ ...prev, [flag.id]: value }));
+                        }}
+                      />
+                      <Button
+                        size="xs"
+                        variant="light"
+                        onClick={() => void run(() => API.forceDisplayName(target.type, target.id, (names[flag.id] || "").trim()), "Name changed.")}
+                      >
+                        Force rename
+                      </Button>
+                    </>
+                  )}
+                </Group>
+              </Card>
+            );
+          })}
+        </Stack>
+      </Card>
+      <Card withBorder>
+        <Stack gap="sm">
+          <Text fw={600}>Hidden entries</Text>
+          {hidden.length === 0 ? (
+            <Text size="sm" c="dimmed">No hidden entries.</Text>
+          ) : (
+            <table className="lb-table">
+              <thead>
+                <tr><th>Player</th><th>Score</th><th>Played</th><th>Hidden</th><th /></tr>
+              </thead>
+              <tbody>
+                {hidden.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{entry.name}</td>
+                    <td>{entry.score}</td>
+                    <td>{new Date(entry.playedAt).toLocaleDateString()}</td>
+                    <td>{new Date(entry.hiddenAt).toLocaleDateString()}</td>
+                    <td>
+                      <Button size="xs" variant="subtle" onClick={() => void run(() => API.moderateEntry(entry.id, "restore"), "Entry restored.")}>Restore</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Stack>
+      </Card>
+      {statusText && <div className="status">{statusText}</div>}
+      <PackReviewQueue isAdmin={isAdmin} />
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+function describeChallengeRules(challenge: Challenge) {
+  const format = challenge.contestType === "time" ? `${challenge.duration}s sprint` : `${challenge.taskTarget} tasks`;
+  return `Level ${challenge.level} · ${format} · ${challenge.language.toUpperCase()}${challenge.packName ? ` · ${challenge.packName}` : ""}`;
+}
+
+function describeTimeUntil(iso: string) {
+  const minutes = Math.max(1, Math.round((Date.parse(iso) - Date.now()) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h`;
+  return `${Math.round(minutes / 1440)} days`;
+}
+
+function ChallengeBanner({
+  challenges,
+  canJoin,
+  onJoin,
+  onLeaderboard
+}: {
+  challenges: Challenge[];
+  canJoin: boolean;
+  onJoin: (challenge: Challenge) => void;
+  onLeaderboard: (challenge: Challenge) => void;
+}) {
+  const live = challenges.filter((item) => item.status === "active");
+  const next = challenges
+    .filter((item) => item.status === "upcoming")
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt))[0];
+  const finished = challenges
+    .filter((item) => item.status === "closed" && item.winners?.length)
+    .sort((a, b) => b.endsAt.localeCompare(a.endsAt))[0];
+  if (!live.length && !next && !finished) return null;
+
+  return (
+    <div className="challenge-banner" role="region" aria-label="Challenge events">
+      {live.map((challenge) => (
+        <Card withBorder key={challenge.id} className="challenge-card active">
+          <Group justify="space-between" align="flex-start">
+            <div>
+              <Text fw={700}>{challenge.title}</Text>
+              <Text size="sm">{describeChallengeRules(challenge)}</Text>
+              {challenge.description && <Text size="sm" c="dimmed">{challenge.description}</Text>}
+            </div>
+            <Badge color="green">Ends in {describeTimeUntil(challenge.endsAt)}</Badge>
+          </Group>
+          <Group gap="xs" mt="xs">
+            {canJoin
+              ? <Button size="xs" onClick={() => onJoin(challenge)}>Join challenge</Button>
+              : <Text size="xs" c="dimmed">Sign in to take part.</Text>}
+            <Button size="xs" variant="light" onClick={() => onLeaderboard(challenge)}>Leaderboard</Button>
+          </Group>
+        </Card>
+      ))}
+      {next && (
+        <Card withBorder className="challenge-card">
+          <Text fw={700}>{next.title}</Text>
+          <Text size="sm">Starts in {describeTimeUntil(next.startsAt)} · {describeChallengeRules(next)}</Text>
+        </Card>
+      )}
+      {finished && (
+        <Card withBorder className="challenge-card">
+          <Text fw={700}>{finished.title} winners</Text>
+          <ol className="challenge-winners">
+            {finished.winners!.map((winner) => (
+              <li key={winner.place}>{winner.name} · {winner.score}</li>
+            ))}
+          </ol>
+          <Button size="xs" variant="subtle" onClick={() => onLeaderboard(finished)}>Full results</Button>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+function describeAssignment(assignment: ClassroomAssignment | null) {
+  if (!assignment?.level) return "No assignment yet.";
+  return `Level ${assignment.level}${assignment.packName ? ` · ${assignment.packName}` : ""}`;
+}
+
+function ClassroomScreen({
+  classroom,
+  playerName,
+  isTeacher,
+  onClassroomChange,
+  onBack
+}: {
+  classroom: Classroom | null;
+  playerName: string;
+  isTeacher: boolean;
+  onClassroomChange: (classroom: Classroom | null) => void;
+  onBack: () => void;
+}) {
+  const [code, setCode] = useState("");
+  const [errorText, setErrorText] = useState("");
+
+  const join = async () => {
+    setErrorText("");
+    try {
+      const data = await API.joinClassroom(code.trim());
+      onClassroomChange(data.classroom);
+      setCode("");
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not join the classroom.");
+    }
+  };
+
+  const leave = async () => {
+    setErrorText("");
+    try {
+      await API.leaveClassroom();
+      onClassroomChange(null);
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not leave the classroom.");
+    }
+  };
+
+  return (
+    <div className="screen classroom">
+      <div className="lb-heading">
+        <h2>Classroom</h2>
+        <Text size="sm" c="dimmed">{playerName}&apos;s class and what the teacher has set.</Text>
+      </div>
+      <Stack gap="md" w="min(920px, 94vw)">
+        <Card withBorder radius="md" p="sm">
+          {classroom ? (
+            <Stack gap="xs">
+              <Text fw={600}>{classroom.name}</Text>
+              <Text size="sm">{describeAssignment(classroom.assignment)}</Text>
+              <Text size="xs" c="dimmed">New assignments from the teacher apply to this device automatically.</Text>
+              <Group><Button variant="light" color="red" onClick={leave}>Leave classroom</Button></Group>
+            </Stack>
+          ) : (
+            <Stack gap="xs">
+              <Text fw={600}>Join a classroom</Text>
+              <Group gap="xs" wrap="nowrap">
+                <TextInput
+                  placeholder="Join code"
+                  value={code}
+                  onChange={(event) => setCode(event.currentTarget.value.toUpperCase())}
+                  maxLength={8}
+                />
+                <Button disabled={!code.trim()} onClick={join}>Join</Button>
+              </Group>
+            </Stack>
+          )}
+        </Card>
+        {isTeacher && <TeacherClassrooms />}
+      </Stack>
+      {errorText && <div className="status">{errorText}</div>}
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+function TeacherClassrooms() {
+  const [classrooms, setClassrooms] = useState<Classroom[]>([]);
+  const [packs, setPacks] = useState<ClassroomPack[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [newName, setNewName] = useState("");
+  const [packId, setPackId] = useState<string | null>(null);
+  const [level, setLevel] = useState<string | null>(null);
+  const [students, setStudents] = useState<ClassroomStudentLive[]>([]);
+  const [results, setResults] = useState<ClassroomStudentResult[]>([]);
+  const [days, setDays] = useState("30");
+  const [statusText, setStatusText] = useState("");
+  const selected = classrooms.find((room) => room.id === selectedId) || null;
+
+  const refresh = useCallback(() => {
+    API.listClassrooms()
+      .then((data) => {
+        setClassrooms(data.classrooms);
+        setSelectedId((prev) => (data.classrooms.some((room) => room.id === prev) ? prev : data.classrooms[0]?.id || null));
+      })
+      .catch((err: any) => setStatusText(err?.message || "Could not load classrooms."));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    API.listClassroomPacks().then((data) => setPacks(data.packs)).catch(() => null);
+  }, [refresh]);
+
+  useEffect(() => {
+    setPackId(selected?.assignment?.packId || null);
+    setLevel(selected?.assignment?.level ? String(selected.assignment.level) : null);
+  }, [selected?.id, selected?.assignment?.assignedAt]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setStudents([]);
+      return;
+    }
+    const load = () => {
+      API.getClassroomLive(selectedId)
+        .then((data) => setStudents(data.stats.students))
+        .catch(() => null);
+    };
+    load();
+    const timer = window.setInterval(load, 10000);
+    return () => window.clearInterval(timer);
+  }, [selectedId]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setResults([]);
+      return;
+    }
+    API.getClassroomResults(selectedId, Number(days))
+      .then((data) => setResults(data.students))
+      .catch((err: any) => setStatusText(err?.message || "Could not load results."));
+  }, [selectedId, days]);
+
+  const run = async (action: () => Promise<unknown>, done: string) => {
+    setStatusText("");
+    try {
+      await action();
+      setStatusText(done);
+      refresh();
+    } catch (err: any) {
+      setStatusText(err?.message || "Something went wrong.");
+    }
+  };
+
+  const create = () => run(async () => {
+    const data = await API.createClassroom(newName.trim());
+    setNewName("");
+    setSelectedId(data.classroom.id);
+  }, "Classroom created.");
+
+  const push = () => selected && run(
+    () => API.setClassroomAssignment(selected.id, { packId, level: packId ? null : level ? Number(level) : null }),
+    packId || level ? "Sent to every student device." : "Assignment cleared."
+  );
+
+  const exportResults = () => selected && run(async () => {
+    const blob = await API.exportClassroomResults(selected.id, Number(days));
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${selected.name.replace(/[^\p{L}\p{N}_-]+/gu, "_")}-results.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, "Results exported.");
+
+  return (
+    <Card withBorder radius="md" p="sm">
+      <Stack gap="sm">
+        <Text fw={600}>Teaching</Text>
+        <Group gap="xs" align="end">
+          <Select
+            label="Classroom"
+            placeholder={classrooms.length ? "Pick a classroom" : "No classrooms yet"}
+            value={selectedId}
+            onChange={setSelectedId}
+            data={classrooms.map((room) => ({ value: room.id, label: `${room.name} (${room.memberCount ?? 0})` }))}
+          />
+          <TextInput label="New classroom" placeholder="Name" value={newName} onChange={(event) => setNewName(event.currentTarget.value)} maxLength={60} />
+          <Button variant="light" disabled={!newName.trim()} onClick={create}>Create</Button>
+        </Group>
+
+        {selected && (
+          <>
+            <Group gap="xs">
+              <Text size="sm">Join code</Text>
+              <Badge size="lg" variant="outline" className="classroom-code">{selected.joinCode}</Badge>
+              <Text size="sm" c="dimmed">{describeAssignment(selected.assignment)}</Text>
+            </Group>
+            <Group gap="xs" align="end">
+              <Select
+                label="Vocabulary pack"
+                placeholder="Any pack"
+                clearable
+                searchable
+                value={packId}
+                onChange={setPackId}
+                data={packs.map((pack) => ({ value: pack.id, label: `${pack.name} · ${pack.language.toUpperCase()} · level ${pack.level}` }))}
+              />
+              <Select
+                label="Level"
+                placeholder="Free choice"
+                clearable
+                disabled={Boolean(packId)}
+                value={packId ? String(packs.find((pack) => pack.id === packId)?.level || "") : level}
+                onChange={setLevel}
+                data={[1, 2, 3, 4, 5].map((lvl) => ({ value: String(lvl), label: String(lvl) }))}
+              />
+              <Button onClick={push}>Push to class</Button>
+            </Group>
+
+            <Text fw={600} size="sm">Live</Text>
+            {students.length === 0 && <Text size="sm" c="dimmed">No students yet. Share the join code.</Text>}
+            {students.map((student) => (
+              <Group key={`${student.userId}-${student.profileId}`} gap="xs" className="classroom-student">
+                <span className={`classroom-dot ${student.online ? "online" : ""}`} aria-label={student.online ? "Online" : "Offline"} />
+                <Text size="sm" fw={600}>{student.name}</Text>
+                <Text size="sm" c="dimmed">
+                  {student.online ? `${student.mode === "contest" ? "Contest" : "Learning"}${student.level ? ` · level ${student.level}` : ""}` : "Offline"}
+                </Text>
+                <Button
+                  size="compact-xs"
+                  variant="subtle"
+                  color="red"
+                  onClick={() => run(() => API.removeClassroomMember(selected.id, student.userId, student.profileId), `${student.name} removed.`)}
+                >
+                  Remove
+                </Button>
+              </Group>
+            ))}
+
+            <Group gap="xs" justify="space-between">
+              <Text fw={600} size="sm">Results</Text>
+              <Group gap="xs">
+                <SegmentedControl
+                  size="xs"
+                  value={days}
+                  onChange={setDays}
+                  data={[
+                    { value: "7", label: "7 days" },
+                    { value: "30", label: "30 days" },
+                    { value: "90", label: "90 days" }
+                  ]}
+                />
+                <Button size="xs" variant="light" onClick={exportResults}>Export CSV</Button>
+              </Group>
+            </Group>
+            <table className="lb-table" aria-label="Classroom results">
+              <thead>
+                <tr>
+                  <th className="col-player">Student</th>
+                  <th className="col-num">Sessions</th>
+                  <th className="col-num">Accuracy</th>
+                  <th className="col-num">CPM</th>
+                  <th className="col-num">Played</th>
+                  <th className="col-num">Level</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((row) => (
+                  <tr key={`${row.userId}-${row.profileId}`}>
+                    <td className="col-player">{row.name}</td>
+                    <td className="col-num">{row.sessions}</td>
+                    <td className="col-num">{row.accuracy ?? "–"}{row.accuracy === null ? "" : "%"}</td>
+                    <td className="col-num">{row.cpm}</td>
+                    <td className="col-num">{formatPlayTime(row.playTimeMs)}</td>
+                    <td className="col-num">{row.maxLevel ?? "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <Group>
+              <Button
+                variant="subtle"
+                color="red"
+                onClick={() => {
+                  if (!window.confirm(`Delete ${selected.name}? Students stay signed in but leave the class.`)) return;
+                  run(() => API.deleteClassroom(selected.id), "Classroom deleted.");
+                }}
+              >
+                Delete classroom
+              </Button>
+            </Group>
+          </>
+        )}
+        {statusText && <Text size="sm">{statusText}</Text>}
+      </Stack>
+    </Card>
+  );
+}
+
+function toLocalInputValue(iso: string) {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+const EMPTY_CHALLENGE_DRAFT = {
+  title: "",
+  description: "",
+  startsAt: "",
+  endsAt: "",
+  level: "1",
+  language: "en",
+  contestType: "time" as ContestType,
+  duration: "60",
+  taskTarget: "20",
+  packId: null as string | null
+};
+
+function PlayDayCard({ status }: { status: PlayDayStatus }) {
+  const goal = status.goal;
+  return (
+    <div className="card play-day-card" role="group" aria-label="Today's play">
+      {goal && (
+        <>
+          <Text size="sm">
+            {goal.reached ? "Today's goal reached!" : `Today's goal: ${goal.done} of ${goal.value} ${goal.type}`}
+          </Text>
+          <Progress value={goalPercent(status)} color={goal.reached ? "green" : undefined} aria-label="Daily goal progress" />
+        </>
+      )}
+      {status.remainingMs !== null && (
+        <Text size="xs" c="dimmed">
+          {status.capReached ? "No play time left today." : `Play time left today: ${formatPlayTime(status.remainingMs)}`}
+        </Text>
+      )}
+    </div>
+  );
+}
+
+function PlayLimitsEditor({ limits, onSave }: { limits: PlayLimits; onSave: (limits: PlayLimits) => Promise<void> }) {
+  const [draft, setDraft] = useState(limits);
+  const [statusText, setStatusText] = useState("");
+
+  useEffect(() => setDraft(limits), [limits]);
+
+  const save = async () => {
+    setStatusText("");
+    try {
+      await onSave({ ...draft, goalValue: draft.goalType ? draft.goalValue : null });
+      setStatusText("Saved.");
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save play time.");
+    }
+  };
+
+  return (
+    <Group align="flex-end" gap="sm" className="play-limits-editor">
+      <Select
+        label="Daily goal"
+        data={[{ value: "", label: "None" }, { value: "minutes", label: "Minutes" }, { value: "letters", label: "Letters" }]}
+        value={draft.goalType || ""}
+        onChange={(value) => setDraft((prev) => ({ ...prev, goalType: value === "minutes" || value === "letters" ? value : null }))}
+      />
+      {draft.goalType && (
+        <NumberInput
+          label={draft.goalType === "minutes" ? "Goal minutes" : "Goal letters"}
+          min={1}
+          max={draft.goalType === "minutes" ? 600 : 100000}
+          value={draft.goalValue ?? ""}
+          onChange={(value) => setDraft((prev) => ({ ...prev, goalValue: Number(value) || null }))}
+        />
+      )}
+      <NumberInput
+        label="Cap (minutes a day)"
+        placeholder="No cap"
+        min={0}
+        max={600}
+        value={draft.capMinutes ?? ""}
+        onChange={(value) => setDraft((prev) => ({ ...prev, capMinutes: Number(value) || null }))}
+      />
+      <Button variant="light" onClick={() => void save()}>Save</Button>
+      {statusText && <Text size="sm">{statusText}</Text>}
+    </Group>
+  );
+}
+
+function PlayLimitsAdmin() {
+  const [identities, setIdentities] = useState<PlayLimitsIdentity[]>([]);
+  const [pinSet, setPinSet] = useState(false);
+  const [pin, setPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [statusText, setStatusText] = useState("");
+
+  useEffect(() => {
+    API.getPlayLimits()
+      .then((data) => {
+        setIdentities(data.identities);
+        setPinSet(Boolean(data.pinSet));
+      })
+      .catch((err: any) => setStatusText(err?.message || "Could not load play time."));
+  }, []);
+
+  const savePin = async () => {
+    setStatusText("");
+    try {
+      await API.setParentPin(newPin, pin);
+      setPinSet(true);
+      setPin(newPin);
+      setNewPin("");
+      setStatusText("Parent PIN saved.");
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save the parent PIN.");
+    }
+  };
+
+  // WHY: the server asks for the PIN on every change, so a child who switches back to the parent account still cannot lift a cap.
+  return (
+    <Stack gap="sm">
+      <Group align="flex-end" gap="sm">
+        {pinSet && (
+          <TextInput type="password" inputMode="numeric" label="Parent PIN" value={pin} onChange={(e) => setPin(e.currentTarget.value)} />
+        )}
+        <TextInput
+          type="password"
+          inputMode="numeric"
+          label={pinSet ? "New PIN" : "Choose a parent PIN"}
+          description="4 to 8 digits"
+          value={newPin}
+          onChange={(e) => setNewPin(e.currentTarget.value)}
+        />
+        <Button variant="light" onClick={() => void savePin()} disabled={!newPin}>{pinSet ? "Change PIN" : "Set PIN"}</Button>
+      </Group>
+      {pinSet && <Text size="xs" c="dimmed">Forgot the PIN? Sign in again, then set a new one within 10 minutes.</Text>}
+      {identities.map((identity) => (
+        <div key={identity.profileId}>
+          <Text fw={600} size="sm">{identity.displayName || "You"}</Text>
+          <PlayLimitsEditor
+            limits={identity.limits}
+            onSave={async (limits) => {
+              const data = await API.savePlayLimits(identity.profileId, limits, pin);
+              setIdentities((prev) => prev.map((entry) => (entry.profileId === data.profileId ? { ...entry, limits: data.limits } : entry)));
+            }}
+          />
+        </div>
+      ))}
+      {statusText && <Text size="sm">{statusText}</Text>}
+    </Stack>
+  );
+}
+
+function ChallengeAdmin() {
+  const [challenges, setChallenges] = useState<Challenge[]>([]);
+  const [packs, setPacks] = useState<ClassroomPack[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState(EMPTY_CHALLENGE_DRAFT);
+  const [statusText, setStatusText] = useState("");
+  const editing = challenges.find((item) => item.id === editingId) || null;
+  // Mirrors the server: once an event has started only its wording and end time can change.
+  const rulesLocked = Boolean(editing && editing.status !== "upcoming");
+  const matchingPacks = packs.filter((pack) => pack.level === Number(draft.level) && pack.language === draft.language);
+
+  const refresh = useCallback(() => {
+    API.listAdminChallenges()
+      .then((data) => setChallenges(data.challenges))
+      .catch((err: any) => setStatusText(err?.message || "Could not load challenges."));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    API.listClassroomPacks().then((data) => setPacks(data.packs)).catch(() => null);
+  }, [refresh]);
+
+  const edit = (challenge: Challenge | null) => {
+    setEditingId(challenge?.id || null);
+    setStatusText("");
+    setDraft(challenge
+      ? {
+          title: challenge.title,
+          description: challenge.description || "",
+          startsAt: toLocalInputValue(challenge.startsAt),
+          endsAt: toLocalInputValue(challenge.endsAt),
+          level: String(challenge.level),
+          language: challenge.language,
+          contestType: challenge.contestType,
+          duration: String(challenge.duration || 60),
+          taskTarget: String(challenge.taskTarget || 20),
+          packId: challenge.packId
+        }
+      : EMPTY_CHALLENGE_DRAFT);
+  };
+
+  const update = (patch: Partial<typeof EMPTY_CHALLENGE_DRAFT>) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const save = async () => {
+    setStatusText("");
+    if (!draft.startsAt || !draft.endsAt) {
+      setStatusText("Pick a start and end time.");
+      return;
+    }
+    try {
+      await API.saveChallenge(editingId, {
+        title: draft.title,
+        description: draft.description || null,
+        startsAt: new Date(draft.startsAt).toISOString(),
+        endsAt: new Date(draft.endsAt).toISOString(),
+        level: Number(draft.level),
+        language: draft.language,
+        contestType: draft.contestType,
+        duration: draft.contestType === "time" ? Number(draft.duration) as Challenge["duration"] : null,
+        taskTarget: draft.contestType === "tasks" ? Number(draft.taskTarget) as Challenge["taskTarget"] : null,
+        packId: draft.packId
+      });
+      setStatusText(editingId ? "Challenge updated." : "Challenge created.");
+      edit(null);
+      refresh();
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save the challenge.");
+    }
+  };
+
+  const remove = async (challenge: Challenge) => {
+    if (!window.confirm(`Delete “${challenge.title}” and its leaderboard?`)) return;
+    try {
+      await API.deleteChallenge(challenge.id);
+      if (editingId === challenge.id) edit(null);
+      refresh();
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not delete the challenge.");
+    }
+  };
+
+  return (
+    <Stack gap="sm" className="challenge-admin">
+      {challenges.length > 0 && (
+        <table className="lb-table">
+          <thead>
+            <tr><th>Title</th><th>Window</th><th>Status</th><th /></tr>
+          </thead>
+          <tbody>
+            {challenges.map((challenge) => (
+              <tr key={challenge.id}>
+                <td>{challenge.title}</td>
+                <td>{new Date(challenge.startsAt).toLocaleString()} – {new Date(challenge.endsAt).toLocaleString()}</td>
+                <td><Badge variant="light" color={challenge.status === "active" ? "green" : challenge.status === "upcoming" ? "blue" : "gray"}>{challenge.status}</Badge></td>
+                <td>
+                  <Group gap="xs" justify="flex-end">
+                    {challenge.status !== "closed" && <Button size="xs" variant="subtle" onClick={() => edit(challenge)}>Edit</Button>}
+                    <Button size="xs" variant="subtle" color="red" onClick={() => void remove(challenge)}>Delete</Button>
+                  </Group>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <Text fw={600}>{editing ? `Edit “${editing.title}”` : "New challenge"}</Text>
+      <TextInput label="Title" value={draft.title} maxLength={80} onChange={(event) => update({ title: event.currentTarget.value })} />
+      <TextInput label="Description" value={draft.description} maxLength={500} onChange={(event) => update({ description: event.currentTarget.value })} />
+      <Group grow>
+        <TextInput label="Starts" type="datetime-local" value={draft.startsAt} disabled={rulesLocked} onChange={(event) => update({ startsAt: event.currentTarget.value })} />
+        <TextInput label="Ends" type="datetime-local" value={draft.endsAt} onChange={(event) => update({ endsAt: event.currentTarget.value })} />
+      </Group>
+      <Group grow>
+        <Select
+          label="Contest type"
+          value={draft.contestType}
+          disabled={rulesLocked}
+          onChange={(value) => update({ contestType: value === "tasks" ? "tasks" : "time" })}
+          data={[{ value: "time", label: "Time" }, { value: "tasks", label: "Tasks" }]}
+        />
+        {draft.contestType === "time" ? (
+          <Select label="Duration" value={draft.duration} disabled={rulesLocked} onChange={(value) => update({ duration: value || "60" })} data={["30", "60", "120"]} />
+        ) : (
+          <Select label="Task target" value={draft.taskTarget} disabled={rulesLocked} onChange={(value) => update({ taskTarget: value || "20" })} data={["10", "20", "50"]} />
+        )}
+        <Select label="Level" value={draft.level} disabled={rulesLocked} onChange={(value) => update({ level: value || "1", packId: null })} data={["1", "2", "3", "4", "5"]} />
+        <TextInput label="Language" value={draft.language} maxLength={12} disabled={rulesLocked} onChange={(event) => update({ language: event.currentTarget.value.trim().toLowerCase(), packId: null })} />
+      </Group>
+      <Select
+        label="Pack"
+        placeholder="Default content for the level"
+        clearable
+        value={draft.packId}
+        disabled={rulesLocked}
+        onChange={(value) => update({ packId: value })}
+        data={matchingPacks.map((pack) => ({ value: pack.id, label: `${pack.name} (${pack.entryCount})` }))}
+      />
+      <Group>
+        <Button onClick={() => void save()} disabled={!draft.title.trim()}>{editing ? "Save changes" : "Create challenge"}</Button>
+        {editing && <Button variant="default" onClick={() => edit(null)}>Cancel</Button>}
+      </Group>
+      {statusText && <Text size="sm">{statusText}</Text>}
+    </Stack>
+  );
+}
+
+const EMPTY_RULE_SET_DRAFT = {
+  id: "",
+  name: "",
+  contestType: "time" as ContestRuleSet["contestType"],
+  duration: "60",
+  taskTarget: "20",
+  levels: [1, 2, 3, 4, 5],
+  wrongCharBehavior: "",
+  scoring: "standard" as ContestRuleSet["scoring"],
+  mistakePenalty: "0"
+};
+
+const splitLines = (value: string) => value.split("\n").map((line) => line.trim()).filter(Boolean);
+
+/** "blocklist:shit" → "built-in list: shit" */
+function describeSafetyFlag(flag: string) {
+  const [source, ...term] = flag.split(":");
+  return `${source === "denylist" ? "deny list" : "built-in list"}: ${term.join(":")}`;
+}
+
+function ContentSafetyAdmin() {
+  const [allow, setAllow] = useState("");
+  const [deny, setDeny] = useState("");
+  const [held, setHeld] = useState<HeldVocabularyEntry[]>([]);
+  const [probe, setProbe] = useState("");
+  const [probeResult, setProbeResult] = useState("");
+  const [statusText, setStatusText] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const apply = (data: ContentSafetySettings) => {
+    setAllow(data.allow.join("\n"));
+    setDeny(data.deny.join("\n"));
+    setHeld(data.held);
+  };
+
+  useEffect(() => {
+    API.getContentSafety()
+      .then(apply)
+      .catch((err: any) => setStatusText(err?.message || "Could not load content safety lists."));
+  }, []);
+
+  const run = async (action: () => Promise<ContentSafetySettings & { rescreened: { flagged: number; cleared: number } }>) => {
+    setBusy(true);
+    setStatusText("");
+    try {
+      const data = await action();
+      apply(data);
+      setStatusText(`Saved. ${data.rescreened.flagged} newly held, ${data.rescreened.cleared} released.`);
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save content safety lists.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const check = async () => {
+    try {
+      const { match } = await API.checkContentSafety(probe);
+      setProbeResult(match ? `Held by the ${describeSafetyFlag(`${match.source}:${match.term}`)}` : "Allowed");
+    } catch (err: any) {
+      setProbeResult(err?.message || "Could not check text.");
+    }
+  };
+
+  return (
+    <Stack gap="sm">
+      <Group grow align="flex-start">
+        <Textarea
+          label="Always allow"
+          description="One word or phrase per line. Wins over both block lists."
+          autosize
+          minRows={4}
+          maxRows={10}
+          value={allow}
+          onChange={(e) => setAllow(e.currentTarget.value)}
+        />
+        <Textarea
+          label="Always hold"
+          description="One word or phrase per line. End with * to match word beginnings."
+          autosize
+          minRows={4}
+          maxRows={10}
+          value={deny}
+          onChange={(e) => setDeny(e.currentTarget.value)}
+        />
+      </Group>
+      <Group>
+        <Button size="xs" loading={busy} onClick={() => void run(() => API.saveContentSafety({ allow: splitLines(allow), deny: splitLines(deny) }))}>
+          Save lists
+        </Button>
+        {statusText && <Text size="sm">{statusText}</Text>}
+      </Group>
+      <Group align="flex-end">
+        <TextInput label="Try a word" value={probe} maxLength={500} onChange={(e) => setProbe(e.currentTarget.value)} />
+        <Button size="xs" variant="light" disabled={!probe.trim()} onClick={() => void check()}>Check</Button>
+        {probeResult && <Text size="sm">{probeResult}</Text>}
+      </Group>
+      <Text fw={600}>Held entries</Text>
+      {held.length === 0 ? (
+        <Text size="sm" c="dimmed">Nothing is held.</Text>
+      ) : (
+        <table className="lb-table">
+          <thead>
+            <tr><th>Entry</th><th>Pack</th><th>Reason</th><th /></tr>
+          </thead>
+          <tbody>
+            {held.map((entry) => (
+              <tr key={entry.id}>
+                <td>{entry.text}</td>
+                <td>{entry.pack_name} · {entry.language.toUpperCase()} L{entry.level}</td>
+                <td>{describeSafetyFlag(entry.safety_flag)}</td>
+                <td>
+                  <Button
+                    size="xs"
+                    variant="subtle"
+                    disabled={busy}
+                    onClick={() => {
+                      if (window.confirm(`Allow “${entry.text}” everywhere? It will be served in every pack that has it.`)) void run(() => API.allowHeldText(entry.text));
+                    }}
+                  >
+                    Allow
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Stack>
+  );
+}
+
+function ContestRuleSetAdmin() {
+  const [ruleSets, setRuleSets] = useState<ContestRuleSet[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState(EMPTY_RULE_SET_DRAFT);
+  const [statusText, setStatusText] = useState("");
+
+  useEffect(() => {
+    API.getContestRuleSets()
+      .then((data) => setRuleSets(data.ruleSets))
+      .catch((err: any) => setStatusText(err?.message || "Could not load contest rules."));
+  }, []);
+
+  const edit = (ruleSet: ContestRuleSet | null) => {
+    setEditingId(ruleSet?.id || null);
+    setStatusText("");
+    setDraft(ruleSet
+      ? {
+          id: ruleSet.id,
+          name: ruleSet.name,
+          contestType: ruleSet.contestType,
+          duration: String(ruleSet.duration || 60),
+          taskTarget: String(ruleSet.taskTarget || 20),
+          levels: ruleSet.levels,
+          wrongCharBehavior: ruleSet.wrongCharBehavior || "",
+          scoring: ruleSet.scoring,
+          mistakePenalty: String(ruleSet.mistakePenalty)
+        }
+      : EMPTY_RULE_SET_DRAFT);
+  };
+
+  const update = (patch: Partial<typeof EMPTY_RULE_SET_DRAFT>) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  // The server stores the whole list at once and validates every entry.
+  const store = async (next: Omit<ContestRuleSet, "weights">[], message: string) => {
+    try {
+      const data = await API.saveContestRuleSets(next);
+      setRuleSets(data.ruleSets);
+      setStatusText(message);
+      return true;
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save contest rules.");
+      return false;
+    }
+  };
+
+  const save = async () => {
+    setStatusText("");
+    const ruleSet = {
+      id: draft.id.trim().toLowerCase(),
+      name: draft.name.trim(),
+      contestType: draft.contestType,
+      duration: draft.contestType === "time" ? Number(draft.duration) : null,
+      taskTarget: draft.contestType === "tasks" ? Number(draft.taskTarget) : null,
+      levels: draft.levels,
+      wrongCharBehavior: (draft.wrongCharBehavior || null) as ContestRuleSet["wrongCharBehavior"],
+      scoring: draft.scoring,
+      mistakePenalty: Number(draft.mistakePenalty) || 0
+    };
+    const next = editingId
+      ? ruleSets.map((entry) => (entry.id === editingId ? ruleSet : entry))
+      : [...ruleSets, ruleSet];
+    if (await store(next, editingId ? "Rule set updated." : "Rule set created.")) edit(null);
+  };
+
+  const remove = async (ruleSet: ContestRuleSet) => {
+    if (!window.confirm(`Remove “${ruleSet.name}”? Its leaderboard stays stored but is no longer offered.`)) return;
+    if (await store(ruleSets.filter((entry) => entry.id !== ruleSet.id), "Rule set removed.") && editingId === ruleSet.id) edit(null);
+  };
+
+  return (
+    <Stack gap="sm" className="challenge-admin">
+      {ruleSets.length > 0 && (
+        <table className="lb-table">
+          <thead>
+            <tr><th>Name</th><th>Rules</th><th /></tr>
+          </thead>
+          <tbody>
+            {ruleSets.map((ruleSet) => (
+              <tr key={ruleSet.id}>
+                <td>{ruleSet.name}</td>
+                <td>{describeRuleSet(ruleSet)}</td>
+                <td>
+                  <Group gap="xs" justify="flex-end">
+                    <Button size="xs" variant="subtle" onClick={() => edit(ruleSet)}>Edit</Button>
+                    <Button size="xs" variant="subtle" color="red" onClick={() => void remove(ruleSet)}>Remove</Button>
+                  </Group>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <Text fw={600}>{editingId ? `Edit “${draft.name}”` : "New rule set"}</Text>
+      <Group grow>
+        {/* The id keys the rule set's leaderboard, so it cannot change once created. */}
+        <TextInput
+          label="Id"
+          description="Lowercase letters, digits and dashes"
+          value={draft.id}
+          maxLength={32}
+          disabled={Boolean(editingId)}
+          onChange={(event) => update({ id: event.currentTarget.value })}
+        />
+        <TextInput label="Name" value={draft.name} maxLength={60} onChange={(event) => update({ name: event.currentTarget.value })} />
+      </Group>
+      <Group grow>
+        <Select
+          label="Contest type"
+          value={draft.contestType}
+          onChange={(value) => update({ contestType: value === "tasks" ? "tasks" : "time" })}
+          data={[{ value: "time", label: "Time" }, { value: "tasks", label: "Tasks" }]}
+        />
+        {draft.contestType === "time" ? (
+          <NumberInput label="Duration (seconds)" min={10} max={600} value={draft.duration} onChange={(value) => update({ duration: String(value) })} />
+        ) : (
+          <NumberInput label="Task target" min={5} max={200} value={draft.taskTarget} onChange={(value) => update({ taskTarget: String(value) })} />
+        )}
+      </Group>
+      <Group gap="sm">
+        <Text size="sm">Levels</Text>
+        {[1, 2, 3, 4, 5].map((level) => (
+          <Checkbox
+            key={level}
+            label={String(level)}
+            checked={draft.levels.includes(level)}
+            onChange={(event) => update({
+              levels: event.currentTarget.checked
+                ? [...draft.levels, level].sort((a, b) => a - b)
+                : draft.levels.filter((value) => value !== level)
+            })}
+          />
+        ))}
+      </Group>
+      <Group grow>
+        <Select
+          label="Wrong characters"
+          value={draft.wrongCharBehavior}
+          onChange={(value) => update({ wrongCharBehavior: value || "" })}
+          data={[
+            { value: "", label: "Player's setting" },
+            { value: "block", label: "Block" },
+            { value: "retry", label: "Retry" },
+            { value: "skip", label: "Skip" }
+          ]}
+        />
+        <Select
+          label="Scoring"
+          value={draft.scoring}
+          onChange={(value) => update({ scoring: (value || "standard") as ContestRuleSet["scoring"] })}
+          data={Object.entries(SCORING_LABELS).map(([value, label]) => ({ value, label }))}
+        />
+        <NumberInput label="Mistake penalty" min={0} max={100} value={draft.mistakePenalty} onChange={(value) => update({ mistakePenalty: String(value) })} />
+      </Group>
+      <Group>
+        <Button onClick={() => void save()} disabled={!draft.id.trim() || !draft.name.trim() || draft.levels.length === 0}>
+          {editingId ? "Save changes" : "Create rule set"}
+        </Button>
+        {editingId && <Button variant="default" onClick={() => edit(null)}>Cancel</Button>}
+      </Group>
+      {statusText && <Text size="sm">{statusText}</Text>}
+    </Stack>
+  );
+}
+
+const AI_PROVIDER_OPTIONS: { value: AIProviderType; label: string }[] = [
+  { value: "openai", label: "OpenAI" },
+  { value: "openai_compatible", label: "OpenAI-compatible (Ollama, llama.cpp)" },
+  { value: "offline_stub", label: "Offline stub (no network)" }
+];
+
+function AIProviderAdmin() {
+  const [saved, setSaved] = useState<AIProviderStatus | null>(null);
+  const [provider, setProvider] = useState<AIProviderType>("openai");
+  const [baseUrl, setBaseUrl] = useState("");
+  const [model, setModel] = useState("");
+  const [apiKey, setApiKey] = useState("");
+  const [statusText, setStatusText] = useState("");
+
+  const load = (status: AIProviderStatus) => {
+    setSaved(status);
+    setProvider(status.provider);
+    setBaseUrl(status.compatible.baseUrl);
+    setModel(status.compatible.model);
+    setApiKey("");
+  };
+
+  useEffect(() => {
+    API.getServiceSettings()
+      .then((service) => { if (service?.ai) load(service.ai); })
+      .catch((err: any) => setStatusText(err?.message || "Could not load AI provider settings."));
+  }, []);
+
+  const dirty = Boolean(saved) && (
+    provider !== saved?.provider || baseUrl !== saved?.compatible.baseUrl || model !== saved?.compatible.model || Boolean(apiKey.trim())
+  );
+
+  const save = async (clearApiKey = false) => {
+    setStatusText("");
+    try {
+      const data = await API.saveAIProviderSettings({
+        provider,
+        compatible: { baseUrl: baseUrl.trim(), model: model.trim(), ...(apiKey.trim() ? { apiKey: apiKey.trim() } : {}), ...(clearApiKey ? { clearApiKey } : {}) }
+      });
+      load(data.settings);
+      setStatusText(clearApiKey ? "Provider key removed." : "AI provider saved.");
+    } catch (err: any) {
+      setStatusText(err?.message || "Could not save AI provider settings.");
+    }
+  };
+
+  const test = async () => {
+    setStatusText("");
+    if (dirty) {
+      setStatusText("Save the provider before testing it.");
+      return;
+    }
+    try {
+      const res = await API.testAIProvider();
+      setSaved((prev) => (prev ? { ...prev, lastTestAt: res.testedAt, lastTestOk: true, lastTestError: null } : prev));
+      setStatusText(`Provider works (${res.model}).`);
+    } catch (err: any) {
+      const requestHint = err?.requestId ? ` request_id=${err.requestId}` : "";
+      setSaved((prev) => (prev ? { ...prev, lastTestOk: false } : prev));
+      setStatusText(`Provider test failed: ${err?.message || "unknown error"}${requestHint}`);
+    }
+  };
+
+  return (
+    <Stack gap="sm">
+      <Select
+        label="AI provider"
+        description="Used for pack generation. OpenAI uses the key below."
+        data={AI_PROVIDER_OPTIONS.filter((option) => !saved || saved.providers.includes(option.value) || option.value === saved.provider)}
+        value={provider}
+        onChange={(value) => value && setProvider(value as AIProviderType)}
+      />
+      {provider === "openai_compatible" && (
+        <>
+          <Group grow>
+            <TextInput
+              label="Base URL"
+              description="Up to /v1, e.g. http://localhost:11434/v1"
+              value={baseUrl}
+              onChange={(e) => setBaseUrl(e.currentTarget.value)}
+            />
+            <TextInput label="Model" value={model} onChange={(e) => setModel(e.currentTarget.value)} placeholder="llama3.1" />
+          </Group>
+          <TextInput
+            label="API key"
+            description="Optional; most local servers need none."
+            value={apiKey}
+            onChange={(e) => setApiKey(e.currentTarget.value)}
+            placeholder={saved?.compatible.hasApiKey ? "Configured (enter new key to rotate)" : ""}
+          />
+        </>
+      )}
+      {provider === "offline_stub" && (
+        <Alert color="yellow">The offline stub returns placeholder words for tests. It only runs in test and development, and its packs are never published automatically.</Alert>
+      )}
+      <Group>
+        <Button variant="light" onClick={() => void save()} disabled={!dirty}>Save provider</Button>
+        <Button variant="default" onClick={() => void test()}>Test provider</Button>
+        {provider === "openai_compatible" && saved?.compatible.hasApiKey && (
+          <Button variant="subtle" color="red" onClick={() => void save(true)}>Remove key</Button>
+        )}
+      </Group>
+      {saved && saved.provider !== "openai" && (
+        <Text size="sm" c="dimmed">
+          {saved.lastTestOk ? "Verified." : "Not verified yet."}
+          {saved.lastTestAt ? ` Last test: ${new Date(saved.lastTestAt).toLocaleString()}.` : ""}
+        </Text>
+      )}
+      {statusText && <Text size="sm">{statusText}</Text>}
+    </Stack>
+  );
+}
+
+function RaceTrack({
+  room,
+  playerId,
+  tasks,
+  compactUI,
+  fitConfigSecondary,
+  appSettings,
+  setAppSettings
+}: {
+  room: RaceRoom;
+  playerId: string;
+  tasks: Task[];
+  compactUI: boolean;
+  fitConfigSecondary: FitConfig;
+  appSettings: AppSettings;
+  setAppSettings: (value: AppSettings | ((prev: AppSettings) => AppSettings)) => void;
+}) {
+  return (
+    <div className="race-track">
+      {raceOpponents(room, playerId).map((player) => (
+        <div key={player.id} className={`race-lane ${player.connected ? "" : "left"}`}>
+          <div className="race-lane-head">
+            <Text size="sm" fw={600}>{player.name}</Text>
+            <Progress value={(player.tasksCompleted / Math.max(1, tasks.length)) * 100} size="sm" />
+            <Text size="xs" c="dimmed">
+              {player.finished ? "Finished" : player.connected ? `${player.tasksCompleted}/${tasks.length}` : "Left"}
+            </Text>
+          </div>
+          <CarriageBar
+            prevTask={tasks[player.tasksCompleted - 1]}
+            nextTask={player.finished ? undefined : tasks[player.tasksCompleted]}
+            compactUI={compactUI}
+            fitConfigSecondary={fitConfigSecondary}
+            appSettings={appSettings}
+            setAppSettings={setAppSettings}
+            onEnd={() => undefined}
+            showControls={false}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RaceScreen({
+  race,
+  defaults,
+  onBack
+}: {
+  race: RaceController;
+  defaults: GameSettings;
+  onBack: () => void;
+}) {
+  const [taskCount, setTaskCount] = useState(String(RACE_TASK_COUNTS[0]));
+  const [code, setCode] = useState("");
+  const [now, setNow] = useState(Date.now());
+  const { room, playerId } = race;
+  const counting = room?.status === "racing" && race.startAt !== null && race.startAt > now;
+
+  useEffect(() => {
+    if (!counting) return;
+    const timer = setInterval(() => setNow(Date.now()), 200);
+    return () => clearInterval(timer);
+  }, [counting]);
+
+  const leave = () => {
+    race.leave();
+    onBack();
+  };
+
+  return (
+    <div className="screen race">
+      <div className="lb-heading">
+        <h2>Race</h2>
+        <Text size="sm" c="dimmed">Type the same tasks as up to {RACE_MAX_PLAYERS - 1} other players.</Text>
+      </div>
+
+      {!room && (
+        <Stack gap="md" w="min(520px, 94vw)">
+          <Card withBorder radius="md" p="sm">
+            <Stack gap="xs">
+              <Text fw={600}>Start a race</Text>
+              <Text size="sm" c="dimmed">
+                Level {defaults.level} · {defaults.language === "ru" ? "Russian" : "English"}
+                {defaults.contentMode === "vocab" ? " · vocabulary" : ""}
+              </Text>
+              <SegmentedControl
+                value={taskCount}
+                onChange={setTaskCount}
+                data={RACE_TASK_COUNTS.map((count) => ({ value: String(count), label: `${count} tasks` }))}
+              />
+              <Button
+                onClick={() => race.create({
+                  level: defaults.level,
+                  language: defaults.language,
+                  contentMode: defaults.contentMode,
+                  taskCount: Number(taskCount)
+                })}
+              >
+                Create race
+              </Button>
+            </Stack>
+          </Card>
+          <Card withBorder radius="md" p="sm">
+            <Stack gap="xs">
+              <Text fw={600}>Join a race</Text>
+              <Group gap="xs" wrap="nowrap">
+                <TextInput
+                  placeholder="Room code"
+                  value={code}
+                  onChange={(event) => setCode(event.currentTarget.value.toUpperCase())}
+                  maxLength={5}
+                />
+                <Button disabled={code.trim().length === 0} onClick={() => race.join(code.trim())}>Join</Button>
+              </Group>
+            </Stack>
+          </Card>
+          <Text size="xs" c="dimmed">Races are for signed-in players; results go to the race leaderboard.</Text>
+        </Stack>
+      )}
+
+      {room && room.status === "lobby" && (
+        <Card withBorder radius="md" p="sm" w="min(520px, 94vw)">
+          <Stack gap="xs">
+            <Text size="sm">Room code</Text>
+            <div className="race-code">{room.code}</div>
+            <Text size="sm" c="dimmed">
+              {room.settings.taskCount} tasks · level {room.settings.level} · share the code so others can join.
+            </Text>
+            {room.players.map((player) => (
+              <Group key={player.id} gap="xs">
+                <Text size="sm">{player.name}</Text>
+                {player.id === room.hostId && <Badge size="xs" variant="light">Host</Badge>}
+                {player.id === playerId && <Badge size="xs" variant="outline">You</Badge>}
+              </Group>
+            ))}
+            {room.hostId === playerId ? (
+              <Button disabled={room.players.length < 2} onClick={race.start}>
+                {room.players.length < 2 ? "Waiting for players…" : "Start race"}
+              </Button>
+            ) : (
+              <Text size="sm" c="dimmed">Waiting for the host to start.</Text>
+            )}
+          </Stack>
+        </Card>
+      )}
+
+      {counting && race.startAt !== null && (
+        <div className="race-countdown">{Math.ceil((race.startAt - now) / 1000)}</div>
+      )}
+
+      {room && room.status === "finished" && room.results && (
+        <Card withBorder radius="md" p="sm" w="min(720px, 94vw)">
+          <table className="lb-table" aria-label="Race results">
+            <thead>
+              <tr>
+                <th className="col-rank">#</th>
+                <th className="col-player">Player</th>
+                <th className="col-num">Tasks</th>
+                <th className="col-num">Time</th>
+                <th className="col-num">Accuracy</th>
+                <th className="col-num">CPM</th>
+              </tr>
+            </thead>
+            <tbody>
+              {room.results.map((result) => (
+                <tr key={result.playerId} className={result.playerId === playerId ? "race-you" : ""}>
+                  <td className="col-rank">{result.finished ? result.place : "–"}</td>
+                  <td className="col-player">{result.name}</td>
+                  <td className="col-num">{result.tasksCompleted}/{room.settings.taskCount}</td>
+                  <td className="col-num">{result.finished ? `${result.timeSeconds}s` : "Did not finish"}</td>
+                  <td className="col-num">{result.accuracy}%</td>
+                  <td className="col-num">{result.cpm}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      {room && room.status === "racing" && !counting && (
+        <Text size="sm" c="dimmed">Waiting for the other players to finish…</Text>
+      )}
+      {race.error && <div className="status">{race.error}</div>}
+      <Button variant="light" onClick={room ? leave : onBack}>{room ? "Leave race" : "Back"}</Button>
+    </div>
+  );
+}
+
+function AchievementsScreen({ onBack }: { onBack: () => void }) {
+  const [achievements, setAchievements] = useState<Achievement[]>([]);
+  const [errorText, setErrorText] = useState("");
+
+  useEffect(() => {
+    API.getAchievements()
+      .then((data) => setAchievements(data.achievements || []))
+      .catch((err: any) => setErrorText(err?.message || "Could not load badges."));
+  }, []);
+
+  const unlockedCount = achievements.filter((achievement) => achievement.unlockedAt).length;
+
+  return (
+    <div className="screen achievements">
+      <div className="lb-heading">
+        <h2>Badges</h2>
+        <Text size="sm" c="dimmed">{unlockedCount} of {achievements.length} unlocked</Text>
+      </div>
+      <div className="badge-gallery">
+        {achievements.map((achievement) => (
+          <Card key={achievement.id} withBorder className={"badge-card" + (achievement.unlockedAt ? "" : " locked")}>
+            <img src={VISUAL_SET_FILES[achievement.icon]} alt="" />
+            <Text fw={600}>{achievement.title}</Text>
+            <Text size="sm">{achievement.description}</Text>
+            <Text size="xs" c="dimmed">
+              {achievement.unlockedAt ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}` : "Locked"}
+            </Text>
+          </Card>
+        ))}
+      </div>
+      {errorText && <div className="status">{errorText}</div>}
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+function ProgressScreen({ playerName, ruleSets, onBack }: { playerName: string; ruleSets: ContestRuleSet[]; onBack: () => void }) {
+  const [days, setDays] = useState("30");
+  const ruleSetNames = useMemo(() => Object.fromEntries(ruleSets.map((ruleSet) => [ruleSet.id, ruleSet.name])), [ruleSets]);
+  const [report, setReport] = useState<ProgressReport | null>(null);
+  const [bests, setBests] = useState<PersonalBest[]>([]);
+  const [errorText, setErrorText] = useState("");
+
+  useEffect(() => {
+    API.getPersonalBests()
+      .then((data) => setBests(data.bests || []))
+      .catch((err: any) => setErrorText(err?.message || "Could not load personal bests."));
+  }, []);
+
+  useEffect(() => {
+    setErrorText("");
+    API.getProgress(Number(days))
+      .then((data) => setReport(data.report))
+      .catch((err: any) => setErrorText(err?.message || "Could not load progress."));
+  }, [days]);
+
+  return (
+    <div className="screen progress">
+      <div className="lb-heading">
+        <h2>Progress</h2>
+        <Text size="sm" c="dimmed">How {playerName} is doing over time.</Text>
+      </div>
+      <SegmentedControl
+        value={days}
+        onChange={setDays}
+        data={[
+          { value: "7", label: "7 days" },
+          { value: "30", label: "30 days" },
+          { value: "90", label: "90 days" }
+        ]}
+      />
+      {report && (
+        <Stack gap="md" w="min(920px, 94vw)">
+          <Text size="sm">
+            {report.totals.sessions} sessions · {formatPlayTime(report.totals.playTimeMs)} played between {report.from} and {report.to}
+          </Text>
+          <TrendChart label="Accuracy" values={report.daily.map((day) => day.accuracy)} maxValue={100} suffix="%" />
+          <TrendChart label="Characters per minute" values={report.daily.map((day) => (day.sessions ? day.cpm : null))} />
+          <PlayTimeChart days={report.daily} />
+          <Card withBorder radius="md" p="sm">
+            <Text fw={600}>Weekly summary</Text>
+            {report.weekly.length === 0 && <Text size="sm" c="dimmed">No sessions in this period.</Text>}
+            {report.weekly.map((week) => (
+              <Text key={week.weekStart} size="sm">
+                Week of {week.weekStart}: {week.sessions} sessions · {week.accuracy ?? "–"}% accuracy · {week.cpm} CPM · {formatPlayTime(week.playTimeMs)}
+              </Text>
+            ))}
+          </Card>
+          <Card withBorder radius="md" p="sm">
+            <Text fw={600}>By level</Text>
+            {report.levels.length === 0 && <Text size="sm" c="dimmed">No sessions in this period.</Text>}
+            {report.levels.map((row) => (
+              <Text key={row.level} size="sm">
+                Level {row.level}: {row.sessions} sessions · {row.accuracy ?? "–"}% accuracy · {row.cpm} CPM
+              </Text>
+            ))}
+          </Card>
+          <Card withBorder radius="md" p="sm">
+            <Text fw={600}>Personal bests</Text>
+            {bests.length === 0 && <Text size="sm" c="dimmed">No contest results yet.</Text>}
+            {bests.map((best) => (
+              <Text key={`${best.ruleSetId || ""}-${best.level}-${best.contestType}-${best.duration}-${best.taskTarget}-${best.contentMode}-${best.language}`} size="sm">
+                {best.ruleSetId ? `${ruleSetNames[best.ruleSetId] || best.ruleSetId} · ` : ""}
+                Level {best.level} · {best.contestType === "time" ? `${best.duration}s` : `${best.taskTarget} tasks`}
+                {best.contentMode === "vocab" ? " · vocab" : ""} · {best.language.toUpperCase()}: best score {best.bestScore} · {best.bestAccuracy}% · {best.bestCpm} CPM · {best.runs} runs
+              </Text>
+            ))}
+          </Card>
+          <Card withBorder radius="md" p="sm">
+            <Text fw={600}>Most-missed keys</Text>
+            {report.missedKeys.length === 0 && <Text size="sm" c="dimmed">No missed keys recorded yet.</Text>}
+            <Group gap="xs">
+              {report.missedKeys.map((key) => (
+                <Badge key={`${key.language}-${key.char}`} size="lg" variant="light">
+                  {key.char.toUpperCase()} · {key.missRate}% missed
+                </Badge>
+              ))}
+            </Group>
+          </Card>
+        </Stack>
+      )}
+      {errorText && <div className="status">{errorText}</div>}
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+function ReplayScreen({
+  appSettings,
+  fitConfigCurrent,
+  fitConfigSentence,
+  onBack
+}: {
+  appSettings: AppSettings;
+  fitConfigCurrent: FitConfig;
+  fitConfigSentence: FitConfig;
+  onBack: () => void;
+}) {
+  const [sessions, setSessions] = useState<GameSessionSummary[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [tasks, setTasks] = useState<ReplayTask[]>([]);
+  const [frames, setFrames] = useState<ReplayFrame[]>([]);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState("1");
+  const [fitMetrics, setFitMetrics] = useState<FitMetrics | null>(null);
+  const [errorText, setErrorText] = useState("");
+
+  useEffect(() => {
+    API.listGameSessions()
+      .then((data) => setSessions(data.sessions || []))
+      .catch((err: any) => setErrorText(err?.message || "Could not load sessions."));
+  }, []);
+
+  const openReplay = async (id: string) => {
+    setErrorText("");
+    setPlaying(false);
+    try {
+      const data = await API.getSessionReplay(id);
+      setSelectedId(id);
+      setTasks(data.tasks || []);
+      setFrames(buildReplayFrames(data.tasks || [], data.events || []));
+      setFrameIndex(0);
+      setPlaying(true);
+    } catch (err: any) {
+      setErrorText(err?.message || "Could not load replay.");
+    }
+  };
+
+  useEffect(() => {
+    if (!playing) return;
+    const current = frames[frameIndex];
+    const next = frames[frameIndex + 1];
+    if (!current || !next) {
+      setPlaying(false);
+      return;
+    }
+    // WHY: cap long pauses so a replay never sits on one frame for minutes.
+    const waitMs = Math.min(2000, Math.max(0, next.atMs - current.atMs)) / Number(speed);
+    const timer = window.setTimeout(() => setFrameIndex((idx) => idx + 1), waitMs);
+    return () => window.clearTimeout(timer);
+  }, [playing, frames, frameIndex, speed]);
+
+  const frame = frames[frameIndex];
+  const task = frame ? tasks.find((item) => item.index === frame.taskIndex) : undefined;
+
+  return (
+    <div className="screen replay">
+      <div className="lb-heading">
+        <h2>Session Replay</h2>
+        <Text size="sm" c="dimmed">Watch a past session keystroke by keystroke.</Text>
+      </div>
+      {!selectedId && (
+        <Card withBorder className="form-card">
+          <Stack gap="xs">
+            {sessions.length === 0 && <Text size="sm" c="dimmed">No recorded sessions yet.</Text>}
+            {sessions.map((item) => (
+              <Group key={item.id} justify="space-between">
+                <Text size="sm">
+                  {new Date(item.startedAt).toLocaleString()} · {item.mode} · level {item.level} · {item.language.toUpperCase()} · {item.eventCount} keys
+                </Text>
+                <Button size="xs" variant="light" disabled={item.eventCount === 0} onClick={() => void openReplay(item.id)}>Watch</Button>
+              </Group>
+            ))}
+          </Stack>
+        </Card>
+      )}
+      {selectedId && (
+        <>
+          {frame && task ? (
+            <TaskStage
+              currentTask={task}
+              fitConfigCurrent={fitConfigCurrent}
+              fitConfigSentence={fitConfigSentence}
+              appSettings={appSettings}
+              correctFlash={false}
+              mistakeFlash={frame.mistake}
+              buffer={frame.buffer}
+              progress={frame.progress}
+              caretIndex={frame.caretIndex}
+              expectSpace={false}
+              fitMetrics={fitMetrics}
+              onMetrics={setFitMetrics}
+            />
+          ) : (
+            <Text size="sm" c="dimmed">This session has no keystrokes to replay.</Text>
+          )}
+          <Group>
+            <Button variant="light" onClick={() => setPlaying((value) => !value)} disabled={frames.length === 0}>
+              {playing ? "Pause" : "Play"}
+            </Button>
+            <Button variant="default" onClick={() => { setFrameIndex(0); setPlaying(true); }} disabled={frames.length === 0}>Restart</Button>
+            <SegmentedControl
+              value={speed}
+              onChange={setSpeed}
+              data={[
+                { value: "1", label: "1x" },
+                { value: "2", label: "2x" },
+                { value: "4", label: "4x" }
+              ]}
+            />
+            <Text size="sm">Step {Math.min(frameIndex + 1, frames.length)} / {frames.length}</Text>
+            <Button variant="subtle" onClick={() => { setPlaying(false); setSelectedId(null); }}>All sessions</Button>
+          </Group>
+        </>
+      )}
+      {errorText && <div className="status">{errorText}</div>}
+      <Button variant="light" onClick={onBack}>Back</Button>
+    </div>
+  );
+}
+
+const JOB_STATUS_COLORS: Record<GenerationJobStatus, string> = {
+  queued: "gray",
+  running: "blue",
+  succeeded: "green",
+  failed: "red",
+  cancelled: "yellow"
+};
+const JOB_POLL_MS = 2000;
+
+function isActiveJob(job: GenerationJob) {
+  return job.status === "queued" || job.status === "running";
+}
+
+function describeJob(job: GenerationJob) {
+  if (job.kind === "vocabulary.default_pack") {
+    return `Default pack · ${String(job.payload.language || "").toUpperCase()} level ${job.payload.level} ${job.payload.type}`;
+  }
+  const count = job.payload.packIds?.length || 0;
+  return count === 1 ? "Regenerate 1 pack" : `Regenerate ${count} packs`;
+}
+
+function GenerationJobsPanel({ jobs, onCancel }: { jobs: GenerationJob[]; onCancel: (job: GenerationJob) => void }) {
+  return (
+    <Card className="vocab-jobs-panel" withBorder>
+      <Text fw={700} mb="xs">Generation jobs</Text>
+      <Stack gap="xs">
+        {jobs.map((job) => (
+          <div key={job.id} className="vocab-job-row">
+            <Group justify="space-between" wrap="nowrap">
+              <Group gap="xs" wrap="nowrap">
+                <Badge size="sm" color={JOB_STATUS_COLORS[job.status]}>{job.status}</Badge>
+                <Text size="sm">{describeJob(job)}</Text>
+              </Group>
+              <Group gap="xs" wrap="nowrap">
+                <Text size="xs" c="dimmed">
+                  {job.total > 0 ? `${job.progress}/${job.total}` : ""}
+                  {job.attempts > 1 ? ` · attempt ${job.attempts}/${job.maxAttempts}` : ""}
+                </Text>
+                {isActiveJob(job) && (
+                  <Button size="xs" variant="subtle" color="red" disabled={job.cancelRequested} onClick={() => onCancel(job)}>
+                    {job.cancelRequested ? "Cancelling..." : "Cancel"}
+                  </Button>
+                )}
+              </Group>
+            </Group>
+            {isActiveJob(job) && <Progress size="sm" value={job.total > 0 ? (job.progress / job.total) * 100 : 0} animated={job.status === "running"} />}
+            {job.error && (
+              <Text size="xs" c={job.status === "queued" ? "dimmed" : "red"}>
+                {job.status === "queued" ? `Retrying after ${new Date(job.runAfter).toLocaleTimeString()}: ` : ""}{job.error}
+              </Text>
+            )}
+          </div>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
+
+const TABLE_IMPORT_FORMAT_OPTIONS = [
+  { value: "auto", label: "Detect" },
+  { value: "csv", label: "CSV" },
+  { value: "tsv", label: "TSV" },
+  { value: "lines", label: "One entry per line" }
+];
+
+const HEADER_ROW_OPTIONS = [
+  { value: "auto", label: "Detect" },
+  { value: "yes", label: "Yes" },
+  { value: "no", label: "No" }
+];
+
+// Enough rows to check the mapping; the summary counts every row.
+const TABLE_PREVIEW_ROWS = 200;
+
+function TableImportPanel({ targetPack, onImported }: {
+  targetPack: VocabularyPackRow | null;
+  onImported: (result: { id: string; imported: number; skipped: { invalid: number; duplicates: number }; held: number }) => void;
+}) {
+  const [content, setContent] = useState("");
+  const [format, setFormat] = useState<TableImportFormat>("auto");
+  const [headerRow, setHeaderRow] = useState("auto");
+  const [mapping, setMapping] = useState<TableImportRequest["mapping"]>({});
+  const [appendToPack, setAppendToPack] = useState(false);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [newPack, setNewPack] = useState({ name: "", language: "en", level: "2", type: "words" });
+  const [preview, setPreview] = useState<TableImportPreview | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [statusText, setStatusText] = useState("");
+
+  const request = (nextMapping = mapping): TableImportRequest => ({
+    content,
+    format,
+    hasHeader: headerRow === "auto" ? null : headerRow === "yes",
+    mapping: nextMapping,
+    packId: appendToPack && targetPack ? targetPack.id : undefined
+  });
 
-        <div className="lb-pagination">
-          <div className="lb-pagination-left">
-            <span>Total: {total}</span>
-            <Select
-              label="Rows per page"
-              value={String(pageSize)}
-              onChange={(value) => { setPageSize(Number(value || 20)); setPage(1); }}
-              data={[10, 20, 50].map((n) => ({ value: String(n), label: String(n) }))}
-            />
-          </div>
-          <div className="lb-pagination-right">
-            <Button size="xs" variant="default" disabled={page <= 1} onClick={() => setPage((p) => Math.max(1, p - 1))}>Prev</Button>
-            <span>Page {Math.min(page, totalPages)} / {totalPages}</span>
-            <Button size="xs" variant="default" disabled={page >= totalPages} onClick={() => setPage((p) => Math.min(totalPages, p + 1))}>Next</Button>
+  const runPreview = async (nextMapping = mapping) => {
+    setBusy(true);
+    setStatusText("");
+    try {
+      const data = await API.previewTableImport(request(nextMapping));
+      setPreview(data);
+      setMapping(data.mapping);
+    } catch (err: any) {
+      setPreview(null);
+      setStatusText(err?.message || "Could not read the word list.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async () => {
+    setBusy(true);
+    setStatusText("");
+    try {
+      const data = await API.importTable({
+        ...request(),
+        skipDuplicates,
+        pack: appendToPack ? undefined : { name: newPack.name.trim() || "Imported Pack", language: newPack.language, level: Number(newPack.level), type: newPack.type }
+      });
+      setContent("");
+      setPreview(null);
+      onImported(data);
+    } catch (err: any) {
+      setStatusText(err?.message || "Import failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const columnOptions = (preview?.headers || []).map((header, index) => ({ value: String(index), label: header }));
+  const mappingSelect = (field: "text" | "difficulty" | "tags", label: string) => (
+    <Select
+      label={label}
+      data={columnOptions}
+      clearable={field !== "text"}
+      placeholder="Not imported"
+      value={mapping[field] === null || mapping[field] === undefined ? null : String(mapping[field])}
+      onChange={(value) => {
+        const next = { ...mapping, [field]: value === null ? null : Number(value) };
+        setMapping(next);
+        void runPreview(next);
+      }}
+    />
+  );
+
+  return (
+    <Stack gap="sm">
+      <Textarea
+        label="Word list"
+        description="CSV or TSV from a spreadsheet, or one entry per line. Tags are separated by ; inside their column."
+        value={content}
+        minRows={6}
+        maxRows={14}
+        autosize
+        onChange={(e) => {
+          setContent(e.currentTarget.value);
+          setPreview(null);
+        }}
+      />
+      <Group align="flex-end">
+        <FileButton accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" onChange={(file) => void file?.text().then((text) => {
+          setContent(text);
+          setPreview(null);
+        })}>
+          {(props) => <Button {...props} variant="subtle">Load from file</Button>}
+        </FileButton>
+        <Select label="Format" data={TABLE_IMPORT_FORMAT_OPTIONS} value={format} onChange={(value) => setFormat((value || "auto") as TableImportFormat)} />
+        <Select label="Header row" data={HEADER_ROW_OPTIONS} value={headerRow} onChange={(value) => setHeaderRow(value || "auto")} />
+        <Button variant="light" loading={busy} disabled={!content.trim()} onClick={() => void runPreview({})}>Preview</Button>
+      </Group>
+      {preview && (
+        <>
+          <Group grow>
+            {mappingSelect("text", "Text column")}
+            {mappingSelect("difficulty", "Difficulty column (0–1)")}
+            {mappingSelect("tags", "Tags column")}
+          </Group>
+          <Group gap="xs">
+            <Badge color="gray">{preview.format.toUpperCase()}</Badge>
+            <Badge color="green">Valid: {preview.summary.valid}</Badge>
+            <Badge color={preview.summary.invalid ? "red" : "gray"}>Errors: {preview.summary.invalid}</Badge>
+            <Badge color={preview.summary.duplicates ? "yellow" : "gray"}>Duplicates: {preview.summary.duplicates}</Badge>
+          </Group>
+          <div className="vocab-import-preview">
+            <table className="lb-table">
+              <thead>
+                <tr><th>Line</th><th>Text</th><th>Difficulty</th><th>Tags</th><th>Check</th></tr>
+              </thead>
+              <tbody>
+                {preview.rows.slice(0, TABLE_PREVIEW_ROWS).map((row) => (
+                  <tr key={row.line} className={row.errors.length ? "has-error" : row.duplicate ? "is-duplicate" : ""}>
+                    <td>{row.line}</td>
+                    <td>{row.text}</td>
+                    <td>{row.difficulty_score ?? ""}</td>
+                    <td>{row.tags?.join(", ") || ""}</td>
+                    <td>
+                      {[
+                        ...row.errors,
+                        row.duplicate === "file" ? "Repeats an earlier line" : "",
+                        row.duplicate === "existing" ? "Already in the pack" : ""
+                      ].filter(Boolean).join("; ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {preview.rows.length > TABLE_PREVIEW_ROWS && (
+              <Text size="xs" c="dimmed">Showing the first {TABLE_PREVIEW_ROWS} of {preview.rows.length} rows.</Text>
+            )}
           </div>
-        </div>
-      </div>
-      {(errorText || shareStatus) && <div className="status">{errorText || shareStatus}</div>}
-      <Button variant="light" onClick={onBack}>Back</Button>
-    </div>
+          <Group align="flex-end">
+            <Checkbox
+              label={targetPack ? `Add to “${targetPack.name}”` : "Add to the selected pack"}
+              disabled={!targetPack}
+              checked={appendToPack && Boolean(targetPack)}
+              onChange={(e) => {
+                setAppendToPack(e.currentTarget.checked);
+                setPreview(null);
+              }}
+            />
+            <Checkbox label="Skip duplicates" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.currentTarget.checked)} />
+          </Group>
+          {!(appendToPack && targetPack) && (
+            <Group grow>
+              <TextInput label="Pack name" value={newPack.name} placeholder="Imported Pack" maxLength={120} onChange={(e) => setNewPack((prev) => ({ ...prev, name: e.currentTarget.value }))} />
+              <Select label="Language" value={newPack.language} data={[{ value: "en", label: "EN" }, { value: "ru", label: "RU" }]} onChange={(value) => setNewPack((prev) => ({ ...prev, language: value || "en" }))} />
+              <Select label="Level" value={newPack.level} data={[1, 2, 3, 4, 5].map((n) => ({ value: String(n), label: String(n) }))} onChange={(value) => setNewPack((prev) => ({ ...prev, level: value || "2" }))} />
+              <Select label="Type" value={newPack.type} data={["words", "sentences", "fiction", "code"].map((v) => ({ value: v, label: v }))} onChange={(value) => setNewPack((prev) => ({ ...prev, type: value || "words" }))} />
+            </Group>
+          )}
+          <Group>
+            <Button loading={busy} disabled={!preview.summary.valid} onClick={() => void runImport()}>Import</Button>
+            <Text size="sm" c="dimmed">Rows with errors are left out.</Text>
+          </Group>
+        </>
+      )}
+      {statusText && <Text size="sm" c="red">{statusText}</Text>}
+    </Stack>
   );
 }
 
@@ -3722,13 +7949,19 @@ function VocabularyCenterScreen({
   const [createStep, setCreateStep] = useState(1);
   const [showCreateWizard, setShowCreateWizard] = useState(window.location.pathname === "/admin/vocabulary/new");
   const [showImportPanel, setShowImportPanel] = useState(false);
-  const [inspectorTab, setInspectorTab] = useState<"details" | "entries" | "history" | "diagnostics">("details");
+  const [inspectorTab, setInspectorTab] = useState<"details" | "entries" | "media" | "history" | "review" | "diagnostics">("details");
+  const [mediaBusyId, setMediaBusyId] = useState("");
+  // Busts the browser cache for thumbnails after a picture is replaced.
+  const [imageVersion, setImageVersion] = useState(0);
   const [inspectorMaximized, setInspectorMaximized] = useState(false);
   const [importJson, setImportJson] = useState("");
+  const [importMode, setImportMode] = useState<"table" | "json">("table");
   const [batchBusy, setBatchBusy] = useState(false);
   const [saveBusy, setSaveBusy] = useState(false);
   const [generateBusy, setGenerateBusy] = useState(false);
   const [lastGenerationError, setLastGenerationError] = useState<any>(null);
+  const [jobs, setJobs] = useState<GenerationJob[]>([]);
+  const activeJobIdsRef = useRef<Set<string>>(new Set());
   const [createDraft, setCreateDraft] = useState<any>({
     language: "en",
     level: 1,
@@ -3927,12 +8160,52 @@ function VocabularyCenterScreen({
     if (selectedId) await loadPackDetail(selectedId, false);
   }, [filters.language, filters.status, loadRows, loadTree, selectedId, loadPackDetail]);
 
+  const loadJobs = useCallback(async () => {
+    const data = await API.listGenerationJobs();
+    const finished = data.jobs.filter((job) => !isActiveJob(job) && activeJobIdsRef.current.has(job.id));
+    activeJobIdsRef.current = new Set(data.jobs.filter(isActiveJob).map((job) => job.id));
+    setJobs(data.jobs);
+    if (!finished.length) return;
+    const failed = finished.find((job) => job.status === "failed");
+    if (failed) {
+      setLastGenerationError({ code: failed.errorCode || "GEN_UNKNOWN", message: failed.error || "Generation failed", requestId: failed.requestId });
+    }
+    onStatus(failed ? `Generation failed: ${failed.error || "unknown error"}` : "Generation finished.");
+    await refreshAll();
+  }, [onStatus, refreshAll]);
+
+  const hasActiveJobs = jobs.some(isActiveJob);
+  useEffect(() => {
+    if (!isAdmin) return;
+    void loadJobs().catch(() => null);
+    // Jobs run server-side, so polling only needs to run while something is still pending.
+    if (!hasActiveJobs) return;
+    const timer = window.setInterval(() => void loadJobs().catch(() => null), JOB_POLL_MS);
+    return () => window.clearInterval(timer);
+  }, [isAdmin, hasActiveJobs, loadJobs]);
+
+  const cancelJob = async (job: GenerationJob) => {
+    try {
+      const data = await API.cancelGenerationJob(job.id);
+      setJobs((prev) => prev.map((entry) => (entry.id === job.id ? data.job : entry)));
+    } catch (err: any) {
+      onStatus(err?.message || "Could not cancel job.");
+    }
+  };
+
+  const trackJob = (job: GenerationJob) => {
+    activeJobIdsRef.current.add(job.id);
+    setJobs((prev) => [job, ...prev.filter((entry) => entry.id !== job.id)]);
+  };
+
   const savePack = useCallback(async () => {
     if (!pack) return;
     setSaveBusy(true);
     try {
+      // WHY: ids follow the text so attached audio clips stay with their word when lines move.
+      const idsByText = new Map(entries.map((entry) => [String(entry.text || "").trim().toLowerCase(), entry.id]));
       const nextEntries = parsedLines.normalized.map((text, idx) => ({
-        id: entries[idx]?.id || `tmp-${idx}`,
+        id: idsByText.get(text.toLowerCase()),
         text,
         order_index: idx
       }));
@@ -3957,11 +8230,79 @@ function VocabularyCenterScreen({
     return () => window.removeEventListener("keydown", onKey);
   }, [hasUnsavedInspectorChanges, savePack]);
 
+  const uploadEntryAudio = async (entry: VocabularyEntryRow, file: File | null) => {
+    if (!pack || !file) return;
+    if (file.size > MAX_AUDIO_CLIP_BYTES) {
+      onStatus(`Audio clips must be at most ${MAX_AUDIO_CLIP_BYTES / 1024} KB.`);
+      return;
+    }
+    setMediaBusyId(entry.id);
+    try {
+      await API.uploadVocabularyEntryAudio(pack.id, entry.id, await readFileAsBase64(file));
+      setEntries((prev) => prev.map((row) => (row.id === entry.id ? { ...row, has_audio: true } : row)));
+      onStatus(`Audio attached to "${entry.text}".`);
+    } catch (err: any) {
+      onStatus(err?.message || "Failed to upload audio clip.");
+    } finally {
+      setMediaBusyId("");
+    }
+  };
+
+  const removeEntryAudio = async (entry: VocabularyEntryRow) => {
+    if (!pack) return;
+    setMediaBusyId(entry.id);
+    try {
+      await API.deleteVocabularyEntryAudio(pack.id, entry.id);
+      setEntries((prev) => prev.map((row) => (row.id === entry.id ? { ...row, has_audio: false } : row)));
+    } catch (err: any) {
+      onStatus(err?.message || "Failed to remove audio clip.");
+    } finally {
+      setMediaBusyId("");
+    }
+  };
+
+  const uploadEntryImage = async (entry: VocabularyEntryRow, file: File | null) => {
+    if (!pack || !file) return;
+    if (file.size > MAX_PICTURE_BYTES) {
+      onStatus(`Pictures must be at most ${MAX_PICTURE_BYTES / 1024} KB.`);
+      return;
+    }
+    setMediaBusyId(entry.id);
+    try {
+      await API.uploadVocabularyEntryImage(pack.id, entry.id, await readFileAsBase64(file));
+      setEntries((prev) => prev.map((row) => (row.id === entry.id ? { ...row, has_image: true } : row)));
+      setImageVersion(Date.now());
+      onStatus(`Picture attached to "${entry.text}".`);
+    } catch (err: any) {
+      onStatus(err?.message || "Failed to upload picture.");
+    } finally {
+      setMediaBusyId("");
+    }
+  };
+
+  const removeEntryImage = async (entry: VocabularyEntryRow) => {
+    if (!pack) return;
+    setMediaBusyId(entry.id);
+    try {
+      await API.deleteVocabularyEntryImage(pack.id, entry.id);
+      setEntries((prev) => prev.map((row) => (row.id === entry.id ? { ...row, has_image: false } : row)));
+    } catch (err: any) {
+      onStatus(err?.message || "Failed to remove picture.");
+    } finally {
+      setMediaBusyId("");
+    }
+  };
+
   const publishToggle = async (targetPack?: VocabularyPackRow) => {
     const localPack = targetPack || pack;
     if (!localPack) return;
-    if (localPack.status === "published") await API.unpublishVocabularyPack(localPack.id);
-    else await API.publishVocabularyPack(localPack.id);
+    try {
+      if (localPack.status === "published") await API.unpublishVocabularyPack(localPack.id);
+      else await API.publishVocabularyPack(localPack.id);
+    } catch (err: any) {
+      // Publishing needs an approved review; say so rather than failing silently.
+      onStatus(err?.message || "Failed to change publish state.");
+    }
     await refreshAll();
   };
 
@@ -3976,10 +8317,36 @@ function VocabularyCenterScreen({
     if (!id) return;
     const data = await API.exportVocabularyPack(id);
     const asText = JSON.stringify(data.payload, null, 2);
+    const pictureCount = (data.payload?.entries || []).filter((entry: any) => entry.image).length;
+    if (pictureCount > 0) {
+      // Inline pictures make the JSON too large for the clipboard, so it is saved as a file instead.
+      const url = URL.createObjectURL(new Blob([asText], { type: "application/json" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${String(data.payload?.pack?.name || "pack").replace(/[^\p{L}\p{N}_-]+/gu, "_")}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      onStatus(`Pack exported with ${pictureCount} picture(s).`);
+      return;
+    }
     await navigator.clipboard.writeText(asText);
     onStatus("Pack JSON copied to clipboard.");
   };
 
+  const exportPackCsv = async () => {
+    if (!pack) return;
+    try {
+      const url = URL.createObjectURL(await API.exportVocabularyPackCsv(pack.id));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${String(pack.name || "pack").replace(/[^\p{L}\p{N}_-]+/gu, "_")}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      onStatus(err?.message || "Failed to export vocabulary pack.");
+    }
+  };
+
   const importPack = async () => {
     try {
       const payload = JSON.parse(importJson || "{}");
@@ -3994,13 +8361,15 @@ function VocabularyCenterScreen({
     }
   };
 
+  const packJobActive = Boolean(pack && jobs.some((job) => isActiveJob(job) && job.payload.packIds?.includes(pack.id)));
+
   const runGenerate = async (targetPack?: VocabularyPackRow) => {
     const localPack = targetPack || pack;
     if (!localPack) return;
     setGenerateBusy(true);
     setLastGenerationError(null);
     try {
-      await API.regenerateVocabularyPack(localPack.id, {
+      const data = await API.regenerateVocabularyPack(localPack.id, {
         count: createDraft.count,
         prompt_template: createDraft.prompt_template || undefined,
         model: "gpt-4o-mini",
@@ -4013,9 +8382,8 @@ function VocabularyCenterScreen({
           sentence_complexity: createDraft.sentence_complexity || 50
         } : null
       });
-      await refreshAll();
-      if (localPack.id === selectedId) await loadPackDetail(localPack.id, false);
-      onStatus("Draft regenerated.");
+      trackJob(data.job);
+      onStatus("Regeneration queued.");
     } catch (err: any) {
       setLastGenerationError({
         code: err?.code || "GEN_UNKNOWN",
@@ -4080,6 +8448,9 @@ function VocabularyCenterScreen({
       if (action === "export") {
         await navigator.clipboard.writeText(JSON.stringify(response.results || [], null, 2));
         onStatus(`Exported ${ids.length} packs to clipboard.`);
+      } else if (response.job) {
+        trackJob(response.job);
+        onStatus(`Regeneration queued for ${ids.length} packs.`);
       } else {
         const failed = Array.isArray(response.results) ? response.results.filter((r: any) => !r.ok).length : 0;
         onStatus(failed ? `${action} completed with ${failed} failures.` : `${action} completed for ${ids.length} packs.`);
@@ -4217,7 +8588,10 @@ function VocabularyCenterScreen({
                 <td className="is-number">{row.level}</td>
                 <td>{row.type}</td>
                 <td className="is-number">{Number((row as any).entry_count || 0)}</td>
-                <td>{row.status}</td>
+                <td>
+                  {row.status}
+                  {row.review_status && <Badge size="xs" ml={4} variant="light" color={REVIEW_STATUS_COLORS[row.review_status]}>{REVIEW_STATUS_LABELS[row.review_status]}</Badge>}
+                </td>
                 <td className="is-number">v{row.version}</td>
                 <td>{new Date(row.updated_at || "").toLocaleString()}</td>
                 <td>{row.source}</td>
@@ -4275,7 +8649,9 @@ function VocabularyCenterScreen({
             data={[
               { value: "details", label: "Details" },
               { value: "entries", label: "Entries" },
+              { value: "media", label: "Media" },
               { value: "history", label: "History" },
+              { value: "review", label: "Review" },
               { value: "diagnostics", label: "Diagnostics" }
             ]}
           />
@@ -4290,8 +8666,9 @@ function VocabularyCenterScreen({
               <Group>
                 <Button onClick={() => void savePack()} disabled={!hasUnsavedInspectorChanges || saveBusy}>{saveBusy ? "Saving..." : "Save (Ctrl+Enter)"}</Button>
                 <Button variant="light" onClick={() => void publishToggle()}>{pack.status === "published" ? "Unpublish" : "Publish"}</Button>
-                <Button variant="light" onClick={() => void runGenerate()} disabled={!generatorEnabled || generateBusy}>{generateBusy ? "Generating..." : "Regenerate"}</Button>
+                <Button variant="light" onClick={() => void runGenerate()} disabled={!generatorEnabled || generateBusy || packJobActive}>{packJobActive ? "Generating..." : "Regenerate"}</Button>
                 <Button variant="light" onClick={() => void exportPack()}>Export JSON</Button>
+                <Button variant="light" onClick={() => void exportPackCsv()}>Export CSV</Button>
                 <Button color="red" variant="light" onClick={async () => {
                   if (!window.confirm("Delete this pack?")) return;
                   await API.deleteVocabularyPack(pack.id);
@@ -4322,6 +8699,62 @@ function VocabularyCenterScreen({
                 <Badge color={parsedLines.emptyCount > 0 ? "yellow" : "gray"}>Empty lines: {parsedLines.emptyCount}</Badge>
                 <Badge color={parsedLines.duplicateCount > 0 ? "yellow" : "gray"}>Duplicates: {parsedLines.duplicateCount}</Badge>
               </Group>
+              {entries.some((entry) => entry.safety_flag) && (
+                <Alert color="orange" title="Held by the safety filter">
+                  These entries are never shown to players. Review them under Settings → Content Safety.
+                  <Text size="sm" mt={4}>
+                    {entries.filter((entry) => entry.safety_flag).map((entry) => entry.text).join(", ")}
+                  </Text>
+                </Alert>
+              )}
+            </Stack>
+          )}
+          {inspectorTab === "media" && (
+            <Stack>
+              <Text size="sm" c="dimmed">
+                Pictures show next to words at levels 2–3 (PNG, JPEG, GIF or WebP up to {MAX_PICTURE_BYTES / 1024} KB).
+                A clip replaces speech narration for its entry (MP3, OGG, WAV, WebM or M4A up to {MAX_AUDIO_CLIP_BYTES / 1024} KB).
+              </Text>
+              {hasUnsavedInspectorChanges && (
+                <Alert color="yellow">Save the pack first; new lines need to be saved before media can be attached.</Alert>
+              )}
+              <div className="vocab-media-list">
+                {entries.map((entry) => (
+                  <Group key={entry.id} justify="space-between" wrap="nowrap" className="vocab-media-row">
+                    <Group gap="xs" wrap="nowrap">
+                      {entry.has_image
+                        ? <img className="vocab-media-thumb" src={`${vocabularyImageUrl(entry.id)}?v=${imageVersion}`} alt="" />
+                        : <span className="vocab-media-thumb empty" />}
+                      <Text size="sm" truncate>{entry.text}</Text>
+                    </Group>
+                    <Group gap="xs" wrap="nowrap">
+                      <FileButton accept="image/png,image/jpeg,image/gif,image/webp" onChange={(file) => void uploadEntryImage(entry, file)}>
+                        {(props) => (
+                          <Button {...props} size="xs" variant="light" disabled={mediaBusyId === entry.id}>
+                            {entry.has_image ? "Replace picture" : "Add picture"}
+                          </Button>
+                        )}
+                      </FileButton>
+                      {entry.has_image && (
+                        <Button size="xs" color="red" variant="subtle" disabled={mediaBusyId === entry.id} onClick={() => void removeEntryImage(entry)}>Remove picture</Button>
+                      )}
+                      {entry.has_audio && (
+                        <Button size="xs" variant="subtle" onClick={() => void new Audio(vocabularyAudioUrl(entry.id)).play().catch(() => null)}>Play</Button>
+                      )}
+                      <FileButton accept="audio/*" onChange={(file) => void uploadEntryAudio(entry, file)}>
+                        {(props) => (
+                          <Button {...props} size="xs" variant="light" disabled={mediaBusyId === entry.id}>
+                            {entry.has_audio ? "Replace clip" : "Add clip"}
+                          </Button>
+                        )}
+                      </FileButton>
+                      {entry.has_audio && (
+                        <Button size="xs" color="red" variant="subtle" disabled={mediaBusyId === entry.id} onClick={() => void removeEntryAudio(entry)}>Remove clip</Button>
+                      )}
+                    </Group>
+                  </Group>
+                ))}
+              </div>
             </Stack>
           )}
           {inspectorTab === "history" && (
@@ -4346,6 +8779,15 @@ function VocabularyCenterScreen({
               </div>
             </Stack>
           )}
+          {inspectorTab === "review" && (
+            <PackReviewPanel
+              key={`${pack.id}-${pack.version}`}
+              packId={pack.id}
+              mode="author"
+              disabledReason={hasUnsavedInspectorChanges ? "Save the pack first" : undefined}
+              onChanged={() => void refreshAll()}
+            />
+          )}
           {inspectorTab === "diagnostics" && (
             <Stack>
               {lastGenerationError && (
@@ -4394,11 +8836,13 @@ function VocabularyCenterScreen({
         </div>
         <Group>
           <Button onClick={openNewWizard}>New Pack</Button>
-          <Button variant="light" onClick={() => setShowImportPanel((v) => !v)}>Import JSON</Button>
+          <Button variant="light" onClick={() => setShowImportPanel((v) => !v)}>Import</Button>
           <Button variant="light" onClick={onBack}>Back</Button>
         </Group>
       </div>
 
+      {jobs.length > 0 && <GenerationJobsPanel jobs={jobs.slice(0, 8)} onCancel={(job) => void cancelJob(job)} />}
+
       {showCreateWizard && (
         <Card className="vocab-create-wizard" withBorder>
           <div className="vocab-wizard-head">
@@ -4444,10 +8888,34 @@ function VocabularyCenterScreen({
 
       {showImportPanel && (
         <Card className="vocab-import-panel" withBorder>
-          <Textarea label="Import pack JSON" value={importJson} onChange={(e) => setImportJson(e.currentTarget.value)} minRows={6} />
-          <Group>
-            <Button variant="light" onClick={() => void importPack()}>Import JSON</Button>
-          </Group>
+          <SegmentedControl
+            value={importMode}
+            onChange={(value) => setImportMode(value as "table" | "json")}
+            data={[
+              { value: "table", label: "Word list (CSV, TSV, text)" },
+              { value: "json", label: "Pack JSON" }
+            ]}
+          />
+          {importMode === "table" ? (
+            <TableImportPanel
+              targetPack={pack}
+              onImported={(result) => {
+                setShowImportPanel(false);
+                void refreshAll().then(() => loadPackDetail(result.id));
+                onStatus(`Imported ${result.imported} entries; skipped ${result.skipped.invalid} with errors and ${result.skipped.duplicates} duplicates.${result.held ? ` ${result.held} held by the safety filter.` : ""}`);
+              }}
+            />
+          ) : (
+            <>
+              <Textarea label="Import pack JSON" value={importJson} onChange={(e) => setImportJson(e.currentTarget.value)} minRows={6} />
+              <Group>
+                <Button variant="light" onClick={() => void importPack()}>Import JSON</Button>
+                <FileButton accept="application/json,.json" onChange={(file) => void file?.text().then(setImportJson)}>
+                  {(props) => <Button {...props} variant="subtle">Load from file</Button>}
+                </FileButton>
+              </Group>
+            </>
+          )}
         </Card>
       )}
 
@@ -4636,6 +9104,9 @@ function SettingsScreen({
   lastSettingsAppliedAt,
   publicVersion,
   sessionUser,
+  childProfileActive,
+  guestPlayLimits,
+  onGuestPlayLimitsChange,
   selectedLanguage
 }: {
   isAdmin: boolean;
@@ -4664,9 +9135,14 @@ function SettingsScreen({
   lastSettingsAppliedAt: string;
   publicVersion: PublicVersion | null;
   sessionUser: any;
+  childProfileActive: boolean;
+  guestPlayLimits: PlayLimits;
+  onGuestPlayLimitsChange: (limits: PlayLimits) => void;
   selectedLanguage: string;
 }) {
   const [openaiKey, setOpenaiKey] = useState("");
+  const speechVoices = useSpeechVoices();
+  const languageVoices = useMemo(() => voicesForLanguage(speechVoices, selectedLanguage), [speechVoices, selectedLanguage]);
   const [storeKey, setStoreKey] = useState(false);
   const [openaiSavedStoreKey, setOpenaiSavedStoreKey] = useState(false);
   const [openaiModel, setOpenaiModel] = useState("gpt-4o-mini");
@@ -5220,26 +9696,33 @@ function SettingsScreen({
     }));
   };
 
-  const updateTheme = (patch: Partial<AppSettings["customTheme"]>) => {
+  const updateVirtualKeyboard = (patch: Partial<AppSettings["virtualKeyboard"]>) => {
+    setAppSettings((prev) => ({
+      ...prev,
+      virtualKeyboard: { ...prev.virtualKeyboard, ...patch }
+    }));
+  };
+
+  const updateNarration = (patch: Partial<AppSettings["narration"]>) => {
     setAppSettings((prev) => ({
       ...prev,
       agePreset: "custom",
-      customTheme: { ...prev.customTheme, ...patch }
+      narration: { ...prev.narration, ...patch }
     }));
   };
 
-  const applyPreset = (presetKey: string) => {
-    const preset = agePresets[presetKey] || agePresets.custom;
+  const updateTheme = (patch: Partial<AppSettings["customTheme"]>) => {
     setAppSettings((prev) => ({
       ...prev,
-      ...preset,
-      maxAllowedLevel: preset.maxAllowedLevel,
-      allowedLevels: buildAllowedLevels(preset.maxAllowedLevel),
-      correctEffects: { ...prev.correctEffects, ...(preset.correctEffects || {}) },
-      agePreset: presetKey
+      agePreset: "custom",
+      customTheme: { ...prev.customTheme, ...patch }
     }));
   };
 
+  const applyPreset = (presetKey: string) => {
+    setAppSettings((prev) => applyAgePreset(prev, presetKey));
+  };
+
   return (
     <div className="screen settings">
       <div className="settings-shell">
@@ -5251,9 +9734,12 @@ function SettingsScreen({
             { id: "child-text", label: "Child & Text" },
             { id: "theme", label: "Theme & Visibility" },
             { id: "effects", label: "Effects" },
+            { id: "narration", label: "Narration" },
             { id: "rules", label: "Gameplay Rules" },
             { id: "input", label: "Input & Language" },
             { id: "content", label: "Content & Randomness" },
+            { id: "play-time", label: "Play Time" },
+            ...(isAdmin ? [{ id: "contest-rules", label: "Contest Rules" }, { id: "challenges", label: "Challenges" }] : []),
             { id: "preview", label: "Preview & Test" },
             { id: "diagnostics", label: "Diagnostics" },
             { id: "about", label: "About" },
@@ -5430,13 +9916,7 @@ function SettingsScreen({
               <Select
                 value={appSettings.agePreset}
                 onChange={(value) => applyPreset(value || "custom")}
-                data={[
-                  { value: "2-3", label: "2–3 years" },
-                  { value: "3-4", label: "3–4 years" },
-                  { value: "4-5", label: "4–5 years" },
-                  { value: "5-6", label: "5–6 years" },
-                  { value: "custom", label: "Custom" }
-                ]}
+                data={AGE_PRESET_OPTIONS}
               />
             </SettingRow>
             <SettingRow label="Text size" helper="Extra Large is best for early learners.">
@@ -5723,6 +10203,65 @@ function SettingsScreen({
             </SettingRow>
           </SettingsSection>
 
+          <SettingsSection
+            id="narration"
+            title="Narration"
+            description="Read prompts aloud for children who cannot read yet."
+          >
+            <SettingRow label="Read prompts aloud" helper="Uses uploaded clips when a word has one.">
+              <Switch
+                checked={appSettings.narration.enabled}
+                onChange={(e) => updateNarration({ enabled: e.currentTarget.checked })}
+              />
+            </SettingRow>
+            <SettingRow label="When to speak" helper="The speaker button always repeats the prompt.">
+              <Select
+                value={appSettings.narration.speakOn}
+                onChange={(value) => updateNarration({ speakOn: (value || "task") as NarrationTrigger })}
+                data={[
+                  { value: "task", label: "Every new prompt" },
+                  { value: "mistake", label: "After a mistake" },
+                  { value: "tap", label: "Only when tapped" }
+                ]}
+              />
+            </SettingRow>
+            <SettingRow label="Read the whole sentence" helper="Before the first word of a sentence.">
+              <Switch
+                checked={appSettings.narration.sentenceContext}
+                onChange={(e) => updateNarration({ sentenceContext: e.currentTarget.checked })}
+              />
+            </SettingRow>
+            <SettingRow label={`Voice (${selectedLanguage.toUpperCase()})`} helper="Voices come from this device.">
+              <Select
+                value={pickVoice(languageVoices, selectedLanguage, appSettings.narration.voices[selectedLanguage])?.voiceURI || null}
+                onChange={(value) => updateNarration({ voices: { ...appSettings.narration.voices, [selectedLanguage]: value || "" } })}
+                placeholder={languageVoices.length ? "Device default" : "No voice installed for this language"}
+                disabled={!languageVoices.length}
+                data={languageVoices.map((voice) => ({ value: voice.voiceURI, label: `${voice.name} (${voice.lang})` }))}
+              />
+            </SettingRow>
+            <SettingSliderRow
+              label="Speaking rate"
+              helper="Slower is easier to follow."
+              min={50}
+              max={150}
+              step={5}
+              value={Math.round(appSettings.narration.rate * 100)}
+              onChange={(value) => updateNarration({ rate: value / 100 })}
+              formatValue={(value) => `${(value / 100).toFixed(2)}x`}
+            />
+            <SettingSliderRow
+              label="Pitch"
+              helper="Higher voices often sound friendlier."
+              min={50}
+              max={200}
+              step={5}
+              value={Math.round(appSettings.narration.pitch * 100)}
+              onChange={(value) => updateNarration({ pitch: value / 100 })}
+              formatValue={(value) => `${(value / 100).toFixed(2)}`}
+            />
+          </SettingsSection>
+
           <SettingsSection
             id="rules"
             title="Gameplay Rules"
@@ -5789,12 +10328,18 @@ function SettingsScreen({
             title="Input & Language"
             description="Keyboard guidance and safety warnings."
           >
-            <SettingRow label="Show language reminder" helper="Warn when keyboard is not English.">
+            <SettingRow label="Show language reminder" helper="Warn when the keyboard layout does not match the game language.">
               <Switch
                 checked={appSettings.languageReminder}
                 onChange={(e) => updateSettings({ languageReminder: e.currentTarget.checked })}
               />
             </SettingRow>
+            <SettingRow label="Forgiving layout" helper="Accept keys typed in the wrong layout by their position.">
+              <Switch
+                checked={appSettings.forgivingLayout}
+                onChange={(e) => updateSettings({ forgivingLayout: e.currentTarget.checked })}
+              />
+            </SettingRow>
             <SettingRow label="Protect function keys (F1–F12)" helper="Blocks first press to prevent accidental browser actions.">
               <Switch
                 checked={appSettings.protectFunctionKeys}
@@ -5807,6 +10352,30 @@ function SettingsScreen({
                 onChange={(e) => updateSettings({ warnOnExitContest: e.currentTarget.checked })}
               />
             </SettingRow>
+            <SettingRow label="On-screen keyboard" helper="Highlights the next key; tap keys on tablets.">
+              <Select
+                value={appSettings.virtualKeyboard.show}
+                onChange={(value) => updateVirtualKeyboard({ show: (value || "touch") as AppSettings["virtualKeyboard"]["show"] })}
+                data={[
+                  { value: "off", label: "Off" },
+                  { value: "touch", label: "On touch screens" },
+                  { value: "always", label: "Always" }
+                ]}
+              />
+            </SettingRow>
+            <SettingRow label="Keyboard layout" helper="Should match the physical keyboard.">
+              <Select
+                value={appSettings.virtualKeyboard.layout}
+                onChange={(value) => updateVirtualKeyboard({ layout: (value || "auto") as KeyboardLayoutSetting })}
+                data={KEYBOARD_LAYOUT_OPTIONS}
+              />
+            </SettingRow>
+            <SettingRow label="Finger colors" helper="Tint keys by the finger that presses them.">
+              <Switch
+                checked={appSettings.virtualKeyboard.fingerColors}
+                onChange={(e) => updateVirtualKeyboard({ fingerColors: e.currentTarget.checked })}
+              />
+            </SettingRow>
           </SettingsSection>
 
           <SettingsSection
@@ -5837,6 +10406,58 @@ function SettingsScreen({
             )}
           </SettingsSection>
 
+          <SettingsSection
+            id="play-time"
+            title="Play Time"
+            description="A daily goal and a hard screen-time cap. The game ends calmly once the cap is used up."
+          >
+            <div className="setting-row full">
+              {!sessionUser ? (
+                <PlayLimitsEditor limits={guestPlayLimits} onSave={async (limits) => onGuestPlayLimitsChange(limits)} />
+              ) : childProfileActive ? (
+                <Text size="sm">Switch to the parent account to change play time.</Text>
+              ) : (
+                <PlayLimitsAdmin />
+              )}
+            </div>
+          </SettingsSection>
+
+          {isAdmin && (
+            <SettingsSection
+              id="contest-rules"
+              title="Contest Rules"
+              description="Named rule sets players can pick for a contest. Each rule set has its own leaderboard."
+            >
+              <div className="setting-row full">
+                <ContestRuleSetAdmin />
+              </div>
+            </SettingsSection>
+          )}
+
+          {isAdmin && (
+            <SettingsSection
+              id="content-safety"
+              title="Content Safety"
+              description="Generated and imported vocabulary is screened before play. Held entries stay in their pack but are never shown to players."
+            >
+              <div className="setting-row full">
+                <ContentSafetyAdmin />
+              </div>
+            </SettingsSection>
+          )}
+
+          {isAdmin && (
+            <SettingsSection
+              id="challenges"
+              title="Challenges"
+              description="Timed events with a fixed pack and rules. Winners are frozen when an event closes."
+            >
+              <div className="setting-row full">
+                <ChallengeAdmin />
+              </div>
+            </SettingsSection>
+          )}
+
           <SettingsSection
             id="preview"
             title="Preview & Test"
@@ -6178,6 +10799,9 @@ function SettingsScreen({
             {isAdmin && (
               <>
                 <Divider my="sm" />
+                <div className="setting-row full">
+                  <AIProviderAdmin />
+                </div>
                 <SettingRow label="OpenAI API key" helper="Server-side only.">
                   <TextInput
                     value={openaiKey}
@@ -6292,21 +10916,28 @@ function CorrectEffects({
   tick,
   seed,
   settings,
-  intensity
+  intensity,
+  unlocked
 }: {
   show: boolean;
   tick: number;
   seed: number;
   settings: AppSettings;
   intensity: Intensity;
+  unlocked?: Achievement[];
 }) {
   const [visible, setVisible] = useState(false);
-  const duration = Math.max(250, settings.correctEffects.durationMs / settings.animationSpeed);
-  const config = INTENSITY_CONFIG[intensity];
+  // An unlock is a rarer moment than a correct answer, so it lasts longer and throws more.
+  const unlock = unlocked?.[unlocked.length - 1];
+  const duration = Math.max(250, settings.correctEffects.durationMs / settings.animationSpeed) * (unlock ? UNLOCK_EFFECT_SCALE : 1);
+  const baseConfig = INTENSITY_CONFIG[intensity];
+  const config = unlock ? { ...baseConfig, count: baseConfig.count * UNLOCK_EFFECT_SCALE } : baseConfig;
   const visuals = Object.keys(VISUAL_SET_FILES) as VisualSet[];
-  const visual = settings.correctEffects.randomizeVisual
-    ? visuals[Math.abs(seed + tick) % visuals.length]
-    : settings.correctEffects.visualSet;
+  const visual = unlock
+    ? unlock.icon
+    : settings.correctEffects.randomizeVisual
+      ? visuals[Math.abs(seed + tick) % visuals.length]
+      : settings.correctEffects.visualSet;
 
   useEffect(() => {
     if (!show) return;
@@ -6328,9 +10959,15 @@ function CorrectEffects({
 
   return (
     <div
-      className={"effect-layer" + (settings.correctEffects.animated ? "" : " static")}
+      className={"effect-layer" + (settings.correctEffects.animated ? "" : " static") + (unlock ? " unlock" : "")}
       style={{ "--effect-duration": `${duration}ms` } as React.CSSProperties}
     >
+      {unlock && (
+        <div className="unlock-badge">
+          <img src={VISUAL_SET_FILES[unlock.icon]} alt="" />
+          <span>Badge unlocked: {unlock.title}</span>
+        </div>
+      )}
       {particles.map((p) => (
         <img
           key={p.id}
@@ -6477,6 +11114,9 @@ function TaskStage({
   return (
     <div className={`task-stage ${paddingClass}`}>
       <div className="task-stack horizontal">
+        {currentTask.imageUrl && currentTask.level <= 3 && (
+          <img className="task-picture" src={currentTask.imageUrl} alt="" draggable={false} />
+        )}
         <div className="task current">
           <TaskText
             text={currentTask.prompt}
@@ -6585,6 +11225,7 @@ function CarriageBar({
   appSettings,
   setAppSettings,
   onEnd,
+  keyboardLabel,
   showControls = true
 }: {
   prevTask?: Task;
@@ -6594,6 +11235,7 @@ function CarriageBar({
   appSettings: AppSettings;
   setAppSettings: (value: AppSettings | ((prev: AppSettings) => AppSettings)) => void;
   onEnd: () => void;
+  keyboardLabel?: string;
   showControls?: boolean;
 }) {
   return (
@@ -6616,7 +11258,7 @@ function CarriageBar({
           <>
             <Button size="xs" variant="light" className="end-session" onClick={onEnd}>End Session</Button>
             <QuickControls appSettings={appSettings} setAppSettings={setAppSettings} />
-            <div className="keyboard-indicator">Keyboard: English</div>
+            {keyboardLabel && <div className="keyboard-indicator">Keyboard: {keyboardLabel}</div>}
           </>
         )}
       </div>
@@ -6637,15 +11279,121 @@ function CarriageBar({
   );
 }
 
-function LanguageBanner({ show, onDismiss }: { show: boolean; onDismiss: () => void }) {
+const FINGER_LABELS: Record<string, string> = {
+  "l-pinky": "left pinky",
+  "l-ring": "left ring finger",
+  "l-middle": "left middle finger",
+  "l-index": "left index finger",
+  "r-index": "right index finger",
+  "r-middle": "right middle finger",
+  "r-ring": "right ring finger",
+  "r-pinky": "right pinky",
+  thumb: "thumb"
+};
+
+function VirtualKeyboard({
+  layout,
+  nextChar,
+  fingerColors,
+  mistakeFlash,
+  onPress
+}: {
+  layout: KeyboardLayoutId;
+  nextChar: string | undefined;
+  fingerColors: boolean;
+  mistakeFlash: boolean;
+  onPress: (char: string) => void;
+}) {
+  const [pressed, setPressed] = useState<string | null>(null);
+  const rows = getLayoutRows(layout);
+  const target = findKeyTarget(layout, nextChar);
+  const pressedTarget = findKeyTarget(layout, pressed?.toLowerCase());
+
+  useEffect(() => {
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const onKey = (event: KeyboardEvent) => {
+      if (event.key.length !== 1) return;
+      setPressed(event.key);
+      clearTimeout(timer);
+      timer = setTimeout(() => setPressed(null), 400);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      clearTimeout(timer);
+    };
+  }, []);
+
+  const keyClass = (keyId: string, finger: string) => [
+    "vk-key",
+    fingerColors ? `finger-${finger}` : "",
+    target?.keyId === keyId ? "next" : "",
+    pressedTarget?.keyId === keyId ? (mistakeFlash ? "wrong" : "pressed") : ""
+  ].filter(Boolean).join(" ");
+
+  const renderShift = (side: "left" | "right") => (
+    <div className={"vk-key vk-shift" + (target?.shift === side ? " next" : "")} aria-hidden="true">⇧</div>
+  );
+
+  return (
+    <div className="virtual-keyboard" aria-label="On-screen keyboard">
+      {rows.map((row, rowIdx) => (
+        <div key={rowIdx} className={`vk-row vk-row-${rowIdx}`}>
+          {rowIdx === 3 && renderShift("left")}
+          {row.map((key) => (
+            <button
+              key={key.id}
+              type="button"
+              tabIndex={-1}
+              className={keyClass(key.id, key.finger)}
+              aria-label={`${key.base.toUpperCase()}, ${FINGER_LABELS[key.finger]}`}
+              onPointerDown={(event) => {
+                // Keeps focus and selection where they are, and avoids the delayed click on touch screens.
+                event.preventDefault();
+                onPress(touchCharForKey(key));
+              }}
+            >
+              {key.base.toUpperCase()}
+            </button>
+          ))}
+          {rowIdx === 3 && renderShift("right")}
+        </div>
+      ))}
+      <div className="vk-row">
+        <button
+          type="button"
+          tabIndex={-1}
+          className={keyClass(SPACE_KEY_ID, "thumb") + " vk-space"}
+          aria-label="Space"
+          onPointerDown={(event) => {
+            event.preventDefault();
+            onPress(" ");
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function LanguageBanner({
+  show,
+  expectedLayout,
+  detectedLayout,
+  onDismiss
+}: {
+  show: boolean;
+  expectedLayout: string;
+  detectedLayout: string | null;
+  onDismiss: () => void;
+}) {
   if (!show) return null;
   return (
     <div className="language-banner">
       <div className="language-text">
-        Keyboard language is not English — please switch (Alt+Shift / Win+Space).
+        {detectedLayout ? `Keyboard is typing ${detectedLayout}` : "Keyboard layout does not match"} — please switch to {expectedLayout} (Alt+Shift / Win+Space).
         <details>
           <summary>How to switch</summary>
-          Use Alt+Shift (Windows) or Win+Space to switch to English.
+          Use Alt+Shift (Windows) or Win+Space to switch to {expectedLayout}, or turn on "Forgiving layout" in Settings.
         </details>
       </div>
       <Button size="xs" variant="light" onClick={onDismiss}>Hide</Button>
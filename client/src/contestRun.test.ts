@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { buildContestSummary, createContestLog, finishContestTask, noteContestMistake } from "./contestRun";
+
+describe("contest log", () => {
+  it("attributes mistakes to the task they were made on", () => {
+    const log = createContestLog("run-1", 1000);
+    noteContestMistake(log);
+    finishContestTask(log, true, 1800);
+    noteContestMistake(log);
+    noteContestMistake(log);
+    finishContestTask(log, false, 2500);
+    noteContestMistake(log);
+    expect(buildContestSummary(log, 4000)).toEqual({
+      elapsedMs: 3000,
+      tasks: [
+        { ok: true, mistakes: 1, atMs: 800 },
+        { ok: false, mistakes: 2, atMs: 1500 }
+      ],
+      openMistakes: 1
+    });
+  });
+});
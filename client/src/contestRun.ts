@@ -0,0 +1,37 @@
+export type ContestTaskOutcome = { ok: boolean; mistakes: number; atMs: number };
+
+export type ContestLog = {
+  runToken: string;
+  startedAt: number;
+  tasks: ContestTaskOutcome[];
+  openMistakes: number;
+};
+
+/** What the server needs to recompute a contest: outcomes per task, never totals. */
+export type ContestSummary = {
+  elapsedMs: number;
+  tasks: ContestTaskOutcome[];
+  openMistakes: number;
+};
+
+export function createContestLog(runToken: string, startedAt: number): ContestLog {
+  return { runToken, startedAt, tasks: [], openMistakes: 0 };
+}
+
+export function noteContestMistake(log: ContestLog) {
+  log.openMistakes += 1;
+}
+
+/** Closes the task on screen; its mistakes move from the open count onto the task. */
+export function finishContestTask(log: ContestLog, ok: boolean, at: number) {
+  log.tasks.push({ ok, mistakes: log.openMistakes, atMs: Math.max(0, at - log.startedAt) });
+  log.openMistakes = 0;
+}
+
+export function buildContestSummary(log: ContestLog, endedAt: number): ContestSummary {
+  return {
+    elapsedMs: Math.max(0, endedAt - log.startedAt),
+    tasks: log.tasks.slice(),
+    openMistakes: log.openMistakes
+  };
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { createKeyTelemetry, drainKeyTelemetry, recordKeyStroke, MAX_KEY_LATENCY_MS } from "./keyTelemetry";
+
+describe("key telemetry", () => {
+  it("aggregates hits, misses and hit latency per character", () => {
+    const buffer = createKeyTelemetry();
+    recordKeyStroke(buffer, "S", true, 300);
+    recordKeyStroke(buffer, "s", false, 120);
+    recordKeyStroke(buffer, "s", true, MAX_KEY_LATENCY_MS * 4);
+    expect(drainKeyTelemetry(buffer)).toEqual([
+      { char: "s", hits: 2, misses: 1, latencyMs: 300 + MAX_KEY_LATENCY_MS }
+    ]);
+  });
+
+  it("ignores non-letter keys and empties the buffer on drain", () => {
+    const buffer = createKeyTelemetry();
+    recordKeyStroke(buffer, " ", true, 100);
+    recordKeyStroke(buffer, "!", false, 100);
+    recordKeyStroke(buffer, "ж", true, 100);
+    expect(drainKeyTelemetry(buffer).map((entry) => entry.char)).toEqual(["ж"]);
+    expect(drainKeyTelemetry(buffer)).toEqual([]);
+  });
+});
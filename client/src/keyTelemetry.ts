@@ -0,0 +1,34 @@
+export type KeyTelemetryEntry = {
+  char: string;
+  hits: number;
+  misses: number;
+  latencyMs: number;
+};
+
+export type KeyTelemetryBuffer = Map<string, KeyTelemetryEntry>;
+
+// Pauses longer than this are the child looking away, not key difficulty.
+export const MAX_KEY_LATENCY_MS = 5000;
+
+export function createKeyTelemetry(): KeyTelemetryBuffer {
+  return new Map();
+}
+
+export function recordKeyStroke(buffer: KeyTelemetryBuffer, expectedChar: string, hit: boolean, latencyMs: number) {
+  const char = expectedChar.toLowerCase();
+  if (Array.from(char).length !== 1 || !/[\p{L}\p{N}]/u.test(char)) return;
+  const entry = buffer.get(char) || { char, hits: 0, misses: 0, latencyMs: 0 };
+  if (hit) {
+    entry.hits += 1;
+    entry.latencyMs += Math.round(Math.min(Math.max(latencyMs, 0), MAX_KEY_LATENCY_MS));
+  } else {
+    entry.misses += 1;
+  }
+  buffer.set(char, entry);
+}
+
+export function drainKeyTelemetry(buffer: KeyTelemetryBuffer): KeyTelemetryEntry[] {
+  const entries = Array.from(buffer.values());
+  buffer.clear();
+  return entries;
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { findKeyTarget, getLayoutRows, resolveKeyboardLayout, touchCharForKey } from "./keyboardLayouts";
+
+describe("keyboard layouts", () => {
+  it("finds the key for the next character in each layout", () => {
+    expect(findKeyTarget("qwerty", "f")).toEqual({ keyId: "2-3", shift: null });
+    expect(findKeyTarget("qwerty", "F")).toEqual({ keyId: "2-3", shift: null });
+    expect(findKeyTarget("jcuken", "а")).toEqual({ keyId: "2-3", shift: null });
+    expect(findKeyTarget("dvorak", "u")).toEqual({ keyId: "2-3", shift: null });
+    expect(findKeyTarget("qwerty", " ")).toEqual({ keyId: "space", shift: null });
+    expect(findKeyTarget("qwerty", "ж")).toBeNull();
+  });
+
+  it("asks for Shift on the opposite hand when the character is shifted", () => {
+    expect(findKeyTarget("azerty", "1")).toEqual({ keyId: "0-0", shift: "right" });
+    expect(findKeyTarget("azerty", "9")).toEqual({ keyId: "0-8", shift: "left" });
+    const digitKey = getLayoutRows("azerty")[0]?.[0];
+    expect(digitKey && touchCharForKey(digitKey)).toBe("1");
+  });
+
+  it("assigns home-row fingers and resolves the layout from the language", () => {
+    expect(getLayoutRows("qwerty")[2]?.map((key) => key.finger).slice(0, 5)).toEqual(["l-pinky", "l-ring", "l-middle", "l-index", "l-index"]);
+    expect(getLayoutRows("qwerty")[2]?.[6]?.finger).toBe("r-index");
+    expect(resolveKeyboardLayout("auto", "ru")).toBe("jcuken");
+    expect(resolveKeyboardLayout("auto", "en")).toBe("qwerty");
+    expect(resolveKeyboardLayout("dvorak", "ru")).toBe("dvorak");
+  });
+});
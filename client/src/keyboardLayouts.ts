@@ -0,0 +1,109 @@
+export type KeyboardLayoutId = "qwerty" | "jcuken" | "azerty" | "dvorak";
+export type KeyboardLayoutSetting = "auto" | KeyboardLayoutId;
+
+export type Finger = "l-pinky" | "l-ring" | "l-middle" | "l-index" | "r-index" | "r-middle" | "r-ring" | "r-pinky" | "thumb";
+
+export type VirtualKey = {
+  id: string;
+  base: string;
+  shifted: string;
+  finger: Finger;
+};
+
+export type KeyTarget = {
+  keyId: string;
+  shift: "left" | "right" | null;
+};
+
+export const SPACE_KEY_ID = "space";
+
+export const KEYBOARD_LAYOUT_OPTIONS: { value: KeyboardLayoutSetting; label: string }[] = [
+  { value: "auto", label: "Match game language" },
+  { value: "qwerty", label: "QWERTY" },
+  { value: "jcuken", label: "ЙЦУКЕН" },
+  { value: "azerty", label: "AZERTY" },
+  { value: "dvorak", label: "Dvorak" }
+];
+
+// Each row lists [unshifted, shifted] characters from the leftmost key of the row.
+const LAYOUT_ROWS: Record<KeyboardLayoutId, string[][]> = {
+  qwerty: [
+    ["1234567890-=", "!@#$%^&*()_+"],
+    ["qwertyuiop[]", "QWERTYUIOP{}"],
+    ["asdfghjkl;'", "ASDFGHJKL:\""],
+    ["zxcvbnm,./", "ZXCVBNM<>?"]
+  ],
+  jcuken: [
+    ["1234567890-=", "!\"№;%:?*()_+"],
+    ["йцукенгшщзхъ", "ЙЦУКЕНГШЩЗХЪ"],
+    ["фывапролджэ", "ФЫВАПРОЛДЖЭ"],
+    ["ячсмитьбю.", "ЯЧСМИТЬБЮ,"]
+  ],
+  azerty: [
+    ["&é\"'(-è_çà)=", "1234567890°+"],
+    ["azertyuiop^$", "AZERTYUIOP¨£"],
+    ["qsdfghjklmù", "QSDFGHJKLM%"],
+    ["wxcvbn,;:!", "WXCVBN?./§"]
+  ],
+  dvorak: [
+    ["1234567890[]", "!@#$%^&*(){}"],
+    ["',.pyfgcrl/=", "\"<>PYFGCRL?+"],
+    ["aoeuidhtns-", "AOEUIDHTNS_"],
+    [";qjkxbmwvz", ":QJKXBMWVZ"]
+  ]
+};
+
+// WHY: the rows are drawn without Tab/Caps offsets, so touch-typing columns line up across rows.
+const FINGER_BY_COLUMN: Finger[] = ["l-pinky", "l-ring", "l-middle", "l-index", "l-index", "r-index", "r-index", "r-middle", "r-ring"];
+
+function fingerForColumn(column: number): Finger {
+  return FINGER_BY_COLUMN[column] || "r-pinky";
+}
+
+const layoutCache = new Map<KeyboardLayoutId, VirtualKey[][]>();
+
+export function getLayoutRows(layout: KeyboardLayoutId): VirtualKey[][] {
+  const cached = layoutCache.get(layout);
+  if (cached) return cached;
+  const rows = LAYOUT_ROWS[layout].map(([base = "", shifted = ""], rowIdx) => {
+    const shiftedChars = Array.from(shifted);
+    return Array.from(base).map((char, column) => ({
+      id: `${rowIdx}-${column}`,
+      base: char,
+      shifted: shiftedChars[column] || char,
+      finger: fingerForColumn(column)
+    }));
+  });
+  layoutCache.set(layout, rows);
+  return rows;
+}
+
+export function resolveKeyboardLayout(setting: KeyboardLayoutSetting, language: string): KeyboardLayoutId {
+  if (setting !== "auto") return setting;
+  return language === "ru" ? "jcuken" : "qwerty";
+}
+
+/** Finds the key (and Shift, typed with the other hand) that produces `char`; null when the layout lacks it. */
+export function findKeyTarget(layout: KeyboardLayoutId, char: string | undefined): KeyTarget | null {
+  if (!char) return null;
+  if (char === " ") return { keyId: SPACE_KEY_ID, shift: null };
+  for (const row of getLayoutRows(layout)) {
+    for (const key of row) {
+      if (key.base === char || (key.base.toLowerCase() === char.toLowerCase() && /\p{L}/u.test(char))) {
+        return { keyId: key.id, shift: null };
+      }
+      if (key.shifted === char) {
+        return { keyId: key.id, shift: key.finger.startsWith("l-") ? "right" : "left" };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The character a tap on a key types. Touch input has no Shift state, so keys
+ * whose unshifted symbol is punctuation (AZERTY's number row) type their digit.
+ */
+export function touchCharForKey(key: VirtualKey): string {
+  return /[\p{L}\p{N}]/u.test(key.base) ? key.base : key.shifted;
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { charForCode, createLayoutDetector, remapKeystroke, typingLayoutFor } from "./layoutMapping";
+
+describe("layout mapping", () => {
+  it("reads physical keys in any layout", () => {
+    expect(charForCode("qwerty", "KeyC")).toBe("c");
+    expect(charForCode("jcuken", "KeyC")).toBe("с");
+    expect(charForCode("azerty", "Digit1", true)).toBe("1");
+    expect(charForCode("qwerty", "Space")).toBeNull();
+  });
+
+  it("remaps keys typed in another layout but keeps real mistakes", () => {
+    expect(remapKeystroke({ key: "с", code: "KeyC" }, "qwerty")).toBe("c");
+    expect(remapKeystroke({ key: "Ф", code: "KeyA", shiftKey: true }, "qwerty")).toBe("A");
+    expect(remapKeystroke({ key: "x", code: "KeyX" }, "jcuken")).toBe("ч");
+    expect(remapKeystroke({ key: "[", code: "BracketLeft" }, "jcuken")).toBe("х");
+    expect(remapKeystroke({ key: "v", code: "KeyC" }, "qwerty")).toBe("v");
+    expect(remapKeystroke({ key: "с", code: "" }, "qwerty")).toBe("с");
+  });
+
+  it("settles on the layout the device is typing in and follows a switch", () => {
+    const detector = createLayoutDetector();
+    detector.observe({ key: "a", code: "KeyA" });
+    expect(detector.current()).toBeNull();
+    detector.observe({ key: "s", code: "KeyS" });
+    detector.observe({ key: "d", code: "KeyD" });
+    expect(detector.current()).toBe("qwerty");
+    for (const [key, code] of [["ф", "KeyA"], ["ы", "KeyS"], ["в", "KeyD"], ["а", "KeyF"], ["п", "KeyG"]] as const) {
+      detector.observe({ key, code });
+    }
+    expect(detector.current()).toBe("jcuken");
+  });
+
+  it("picks the layout to type in for the game language", () => {
+    expect(typingLayoutFor("auto", "en")).toBe("qwerty");
+    expect(typingLayoutFor("auto", "en", "azerty")).toBe("azerty");
+    expect(typingLayoutFor("jcuken", "en", "jcuken")).toBe("qwerty");
+    expect(typingLayoutFor("dvorak", "ru")).toBe("jcuken");
+  });
+});
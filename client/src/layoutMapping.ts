@@ -0,0 +1,104 @@
+import { KeyboardLayoutId, KeyboardLayoutSetting, getLayoutRows, resolveKeyboardLayout } from "./keyboardLayouts";
+
+export type Keystroke = { key: string; code: string; shiftKey?: boolean };
+
+export const KEYBOARD_LAYOUT_LABELS: Record<KeyboardLayoutId, string> = {
+  qwerty: "QWERTY",
+  jcuken: "ЙЦУКЕН",
+  azerty: "AZERTY",
+  dvorak: "Dvorak"
+};
+
+const LAYOUT_IDS: KeyboardLayoutId[] = ["qwerty", "jcuken", "azerty", "dvorak"];
+
+// KeyboardEvent.code names the physical key by its US position; rows match keyboardLayouts.
+const PHYSICAL_ROWS: string[][] = [
+  ["Digit1", "Digit2", "Digit3", "Digit4", "Digit5", "Digit6", "Digit7", "Digit8", "Digit9", "Digit0", "Minus", "Equal"],
+  ["KeyQ", "KeyW", "KeyE", "KeyR", "KeyT", "KeyY", "KeyU", "KeyI", "KeyO", "KeyP", "BracketLeft", "BracketRight"],
+  ["KeyA", "KeyS", "KeyD", "KeyF", "KeyG", "KeyH", "KeyJ", "KeyK", "KeyL", "Semicolon", "Quote"],
+  ["KeyZ", "KeyX", "KeyC", "KeyV", "KeyB", "KeyN", "KeyM", "Comma", "Period", "Slash"]
+];
+
+const POSITION_BY_CODE = new Map<string, [number, number]>(
+  PHYSICAL_ROWS.flatMap((row, rowIdx) => row.map((code, column) => [code, [rowIdx, column]] as [string, [number, number]]))
+);
+
+const DETECTION_WINDOW = 8;
+const DETECTION_MIN_VOTES = 3;
+
+function isCyrillic(layout: KeyboardLayoutId) {
+  return layout === "jcuken";
+}
+
+/**
+ * The layout a child should be typing in for a game language. A Latin layout
+ * chosen for the on-screen keyboard (or detected on the device) is kept for
+ * English games; otherwise the language decides.
+ */
+export function typingLayoutFor(setting: KeyboardLayoutSetting, language: string, detected?: KeyboardLayoutId | null): KeyboardLayoutId {
+  const wantsCyrillic = language === "ru";
+  if (setting !== "auto" && isCyrillic(setting) === wantsCyrillic) return setting;
+  if (detected && isCyrillic(detected) === wantsCyrillic) return detected;
+  return resolveKeyboardLayout("auto", language);
+}
+
+/** The character a physical key types in `layout`, or null for keys outside the character block. */
+export function charForCode(layout: KeyboardLayoutId, code: string, shift = false): string | null {
+  const position = POSITION_BY_CODE.get(code);
+  if (!position) return null;
+  const key = getLayoutRows(layout)[position[0]]?.[position[1]];
+  if (!key) return null;
+  return shift ? key.shifted : key.base;
+}
+
+/** Layouts in which this physical key types this character. */
+export function layoutsForKeystroke(stroke: Keystroke): KeyboardLayoutId[] {
+  const typed = stroke.key.toLowerCase();
+  return LAYOUT_IDS.filter((layout) => {
+    const base = charForCode(layout, stroke.code, false);
+    const shifted = charForCode(layout, stroke.code, true);
+    return base?.toLowerCase() === typed || shifted?.toLowerCase() === typed;
+  });
+}
+
+/**
+ * True when the physical key and the character it typed only fit other
+ * layouts. A wrong key in the right layout is a mistake, not a layout problem.
+ */
+export function isWrongLayout(stroke: Keystroke, target: KeyboardLayoutId): boolean {
+  const layouts = layoutsForKeystroke(stroke);
+  return layouts.length > 0 && !layouts.includes(target);
+}
+
+/** Returns the keystroke as it would have been typed with `target` active. */
+export function remapKeystroke(stroke: Keystroke, target: KeyboardLayoutId): string {
+  if (!isWrongLayout(stroke, target)) return stroke.key;
+  return charForCode(target, stroke.code, Boolean(stroke.shiftKey)) || stroke.key;
+}
+
+/**
+ * Keeps a short window of keystrokes and reports the layout most of them
+ * agree on. Letters shared by several layouts vote for each of them, so the
+ * answer settles once a distinguishing key is typed and follows a mid-game switch.
+ */
+export function createLayoutDetector() {
+  const recent: KeyboardLayoutId[][] = [];
+  return {
+    observe(stroke: Keystroke) {
+      const candidates = layoutsForKeystroke(stroke);
+      if (candidates.length === 0) return;
+      recent.push(candidates);
+      if (recent.length > DETECTION_WINDOW) recent.shift();
+    },
+    current(): KeyboardLayoutId | null {
+      const votes = new Map<KeyboardLayoutId, number>();
+      for (const candidates of recent) {
+        for (const layout of candidates) votes.set(layout, (votes.get(layout) || 0) + 1);
+      }
+      const ranked = Array.from(votes.entries()).sort((a, b) => b[1] - a[1]);
+      const [leader, runnerUp] = ranked;
+      if (!leader || leader[1] < DETECTION_MIN_VOTES || (runnerUp && runnerUp[1] === leader[1])) return null;
+      return leader[0];
+    }
+  };
+}
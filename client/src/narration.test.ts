@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { buildNarrationSteps, pickVoice } from "./narration";
+
+describe("narration", () => {
+  it("reads letters by name and prefers uploaded clips for words", () => {
+    expect(buildNarrationSteps({ prompt: "a" }, true)).toEqual([{ kind: "speech", text: "A" }]);
+    expect(buildNarrationSteps({ prompt: "cat", audioUrl: "/clip" }, true)).toEqual([{ kind: "clip", url: "/clip", text: "cat" }]);
+  });
+
+  it("reads the sentence once before its first word", () => {
+    const task = { prompt: "the", sentence: "the red ball", wordIndex: 0 };
+    expect(buildNarrationSteps(task, true)).toEqual([
+      { kind: "speech", text: "the red ball" },
+      { kind: "speech", text: "the" }
+    ]);
+    expect(buildNarrationSteps({ ...task, prompt: "red", wordIndex: 1 }, true)).toEqual([{ kind: "speech", text: "red" }]);
+    expect(buildNarrationSteps(task, false)).toEqual([{ kind: "speech", text: "the" }]);
+  });
+
+  it("keeps the saved voice only when it matches the game language", () => {
+    const voices = [
+      { voiceURI: "en-1", name: "Alex", lang: "en-US", default: false },
+      { voiceURI: "en-2", name: "Kate", lang: "en_GB", default: true },
+      { voiceURI: "ru-1", name: "Milena", lang: "ru-RU", default: false }
+    ];
+    expect(pickVoice(voices, "en", "en-1")?.name).toBe("Alex");
+    expect(pickVoice(voices, "en", "ru-1")?.name).toBe("Kate");
+    expect(pickVoice(voices, "ru")?.name).toBe("Milena");
+    expect(pickVoice(voices, "de")).toBeNull();
+  });
+});
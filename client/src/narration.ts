@@ -0,0 +1,53 @@
+export type NarrationTrigger = "task" | "mistake" | "tap";
+
+export type NarrationTask = {
+  prompt: string;
+  sentence?: string;
+  wordIndex?: number;
+  audioUrl?: string;
+};
+
+// A clip step carries the text it stands for so speech can take over when the clip fails to load.
+export type NarrationStep = { kind: "clip"; url: string; text: string } | { kind: "speech"; text: string };
+
+export type VoiceLike = { voiceURI: string; name: string; lang: string; default: boolean };
+
+function speakable(prompt: string) {
+  // Single lowercase letters are often read as words ("a" as the article); capitals are read as letter names.
+  return Array.from(prompt).length === 1 ? prompt.toUpperCase() : prompt;
+}
+
+/**
+ * Plans what to say for a task. Sentence context is read once, before the
+ * first word, and an uploaded clip replaces the speech for the text it records.
+ */
+export function buildNarrationSteps(task: NarrationTask, sentenceContext: boolean): NarrationStep[] {
+  const inSentence = Boolean(task.sentence) && typeof task.wordIndex === "number";
+  if (!inSentence) {
+    return [task.audioUrl
+      ? { kind: "clip", url: task.audioUrl, text: task.prompt }
+      : { kind: "speech", text: speakable(task.prompt) }];
+  }
+  const word: NarrationStep = { kind: "speech", text: task.prompt };
+  if (!sentenceContext || task.wordIndex !== 0) return [word];
+  const sentence = task.sentence as string;
+  return [task.audioUrl ? { kind: "clip", url: task.audioUrl, text: sentence } : { kind: "speech", text: sentence }, word];
+}
+
+function baseLanguage(lang: string) {
+  return lang.toLowerCase().replace("_", "-").split("-")[0] || "";
+}
+
+export function voicesForLanguage<T extends VoiceLike>(voices: T[], language: string): T[] {
+  const target = baseLanguage(language);
+  return voices.filter((voice) => baseLanguage(voice.lang) === target);
+}
+
+/** The saved voice if it still exists for this language, else the platform default for it. */
+export function pickVoice<T extends VoiceLike>(voices: T[], language: string, preferredUri?: string): T | null {
+  const matching = voicesForLanguage(voices, language);
+  return matching.find((voice) => voice.voiceURI === preferredUri)
+    || matching.find((voice) => voice.default)
+    || matching[0]
+    || null;
+}
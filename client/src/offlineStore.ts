@@ -0,0 +1,90 @@
+import type { OfflineBundle } from "./offlineTasks";
+
+export type OutboxItem = {
+  id?: number;
+  url: string;
+  headers: Record<string, string>;
+  body: string;
+  queuedAt: number;
+};
+
+export type OutboxOutcome = "sent" | "retry" | "drop";
+
+const DB_NAME = "ktrain-offline";
+const DB_VERSION = 1;
+const BUNDLE_STORE = "bundles";
+const OUTBOX_STORE = "outbox";
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+let activeFlush: Promise<number> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BUNDLE_STORE)) db.createObjectStore(BUNDLE_STORE, { keyPath: "language" });
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run<T>(storeName: string, mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function saveOfflineBundle(bundle: OfflineBundle) {
+  await run(BUNDLE_STORE, "readwrite", (store) => store.put(bundle));
+}
+
+export async function loadOfflineBundle(language: string): Promise<OfflineBundle | null> {
+  try {
+    return (await run<OfflineBundle | undefined>(BUNDLE_STORE, "readonly", (store) => store.get(language))) || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function enqueueOutbox(item: Omit<OutboxItem, "id">) {
+  await run(OUTBOX_STORE, "readwrite", (store) => store.add(item));
+}
+
+/**
+ * Replays queued requests oldest first. Stops at the first "retry" so results
+ * reach the server in the order they were played.
+ */
+export function flushOutbox(send: (item: OutboxItem) => Promise<OutboxOutcome>): Promise<number> {
+  // WHY: the "online" event and app start can race; one replay at a time avoids double submits.
+  if (!activeFlush) {
+    activeFlush = replayOutbox(send).finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+}
+
+async function replayOutbox(send: (item: OutboxItem) => Promise<OutboxOutcome>): Promise<number> {
+  const items = await run<OutboxItem[]>(OUTBOX_STORE, "readonly", (store) => store.getAll());
+  let sent = 0;
+  for (const item of items) {
+    const outcome = await send(item);
+    if (outcome === "retry") break;
+    await run(OUTBOX_STORE, "readwrite", (store) => store.delete(item.id as number));
+    if (outcome === "sent") sent += 1;
+  }
+  return sent;
+}
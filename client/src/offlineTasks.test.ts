@@ -0,0 +1,24 @@
+import { describe, it, expect } from "vitest";
+import { buildOfflineTasks, type OfflineBundle } from "./offlineTasks";
+
+const bundle: OfflineBundle = {
+  language: "en",
+  generatedAt: "2026-01-01T00:00:00.000Z",
+  fallback: { letters: ["A", "1"], level2Words: ["cat"], level3Words: ["apple"], sentenceWords: ["the", "dog"] },
+  packs: { "2": [], "3": ["rocket"], "4": ["the red ball"] }
+};
+
+describe("offline tasks", () => {
+  it("uses cached pack entries and falls back to defaults per level", () => {
+    expect(buildOfflineTasks(bundle, 2, 2).map((task) => task.answer)).toEqual(["cat", "cat"]);
+    expect(buildOfflineTasks(bundle, 3, 1).map((task) => task.answer)).toEqual(["rocket"]);
+    expect(buildOfflineTasks(bundle, 1, 2, () => 0.9).map((task) => task.answer)).toEqual(["1", "1"]);
+  });
+
+  it("splits sentences into word tasks", () => {
+    const tasks = buildOfflineTasks(bundle, 4, 4);
+    expect(tasks.map((task) => task.answer)).toEqual(["the", "red", "ball", "the"]);
+    expect(tasks[1]).toMatchObject({ sentence: "the red ball", wordIndex: 1, words: ["the", "red", "ball"] });
+    expect(buildOfflineTasks(bundle, 5, 6).every((task) => task.words && task.words.length >= 4)).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+export type OfflineBundle = {
+  language: string;
+  generatedAt: string;
+  fallback: {
+    letters: string[];
+    level2Words: string[];
+    level3Words: string[];
+    sentenceWords: string[];
+  };
+  // Published pack entries keyed by level; levels 4-5 hold whole sentences.
+  packs: Record<string, string[]>;
+};
+
+export type OfflineTask = {
+  id: string;
+  level: number;
+  prompt: string;
+  answer: string;
+  sentence?: string;
+  wordIndex?: number;
+  words?: string[];
+};
+
+function pick<T>(pool: T[], random: () => number): T {
+  return pool[Math.floor(random() * pool.length) % pool.length] as T;
+}
+
+function pushSentence(tasks: OfflineTask[], level: number, words: string[], stamp: number) {
+  const sentence = words.join(" ");
+  words.forEach((word, wordIndex) => {
+    tasks.push({ id: `${level}-s-offline-${stamp}-${tasks.length}`, level, prompt: word, answer: word, sentence, wordIndex, words });
+  });
+}
+
+/**
+ * Mirrors the server's task builders from a cached bundle: published packs
+ * when the bundle has them, otherwise the same defaults as `buildFallbackTasks`.
+ */
+export function buildOfflineTasks(bundle: OfflineBundle, level: number, count: number, random: () => number = Math.random): OfflineTask[] {
+  const tasks: OfflineTask[] = [];
+  const stamp = Date.now();
+  const packEntries = (bundle.packs[String(level)] || []).filter(Boolean);
+
+  if (level <= 3) {
+    const pool = level === 1
+      ? bundle.fallback.letters
+      : packEntries.length
+        ? packEntries
+        : level === 2 ? bundle.fallback.level2Words : bundle.fallback.level3Words;
+    if (!pool.length) return tasks;
+    const kind = level === 1 ? "c" : "w";
+    for (let i = 0; i < count; i += 1) {
+      const text = pick(pool, random);
+      tasks.push({ id: `${level}-${kind}-offline-${stamp}-${i}`, level, prompt: text, answer: text });
+    }
+    return tasks;
+  }
+
+  if (packEntries.length) {
+    while (tasks.length < count) {
+      pushSentence(tasks, level, pick(packEntries, random).split(" ").filter(Boolean), stamp);
+    }
+    return tasks.slice(0, count);
+  }
+
+  const sentenceWords = bundle.fallback.sentenceWords;
+  if (!sentenceWords.length) return tasks;
+  while (tasks.length < count) {
+    const maxWords = level === 4 ? 3 : 9;
+    const minWords = level === 4 ? 2 : 4;
+    const length = Math.floor(random() * (maxWords - minWords + 1)) + minWords;
+    pushSentence(tasks, level, Array.from({ length }, () => pick(sentenceWords, random)), stamp);
+  }
+  return tasks.slice(0, count);
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { describeNewRecords, findPersonalBest, parseLegacyBest, type PersonalBest } from "./personalBests";
+
+const best = (overrides: Partial<PersonalBest>): PersonalBest => ({
+  level: 2,
+  contestType: "time",
+  duration: 60,
+  taskTarget: null,
+  contentMode: "default",
+  language: "en",
+  ruleSetId: null,
+  bestScore: 700,
+  bestAccuracy: 90,
+  bestCpm: 120,
+  bestScoreAt: null,
+  runs: 3,
+  lastAccuracy: 85,
+  lastCpm: 110,
+  lastPlayedAt: null,
+  ...overrides
+});
+
+describe("personal bests", () => {
+  it("reads contest entries from the old localStorage keys", () => {
+    expect(parseLegacyBest("run_contest_3_tasks_60_20_vocab_en", JSON.stringify({ accuracy: 92, cpm: 140 }))).toEqual({
+      level: 3,
+      contestType: "tasks",
+      duration: 60,
+      taskTarget: 20,
+      contentMode: "vocab",
+      language: "en",
+      accuracy: 92,
+      cpm: 140
+    });
+  });
+
+  it("ignores practice keys and unreadable values", () => {
+    expect(parseLegacyBest("run_practice_3_time_60_20_default_en", JSON.stringify({ accuracy: 92, cpm: 140 }))).toBeNull();
+    expect(parseLegacyBest("run_contest_3_time_60_20_default_en", "{")).toBeNull();
+    expect(parseLegacyBest("run_contest_3_time_60_20_default_en", JSON.stringify({ accuracy: "92" }))).toBeNull();
+  });
+
+  it("matches a configuration only on the limit its contest type uses", () => {
+    const bests = [best({}), best({ contestType: "tasks", duration: null, taskTarget: 20, bestScore: 50 })];
+    const config = { level: 2, contestType: "time", duration: 60, taskTarget: 50, contentMode: "default", language: "EN" };
+    expect(findPersonalBest(bests, config)?.bestScore).toBe(700);
+    expect(findPersonalBest(bests, { ...config, contestType: "tasks", duration: 120, taskTarget: 20 })?.bestScore).toBe(50);
+    expect(findPersonalBest(bests, { ...config, duration: 30 })).toBeNull();
+    expect(findPersonalBest(bests, { ...config, ruleSetId: "sprint-45" })).toBeNull();
+  });
+
+  it("describes only the records that were beaten", () => {
+    const result = { score: 820, accuracy: 95, cpm: 118 };
+    expect(describeNewRecords({ records: ["score", "accuracy"], previous: best({}), result })).toEqual([
+      "Score: 820 (was 700)",
+      "Accuracy: 95% (was 90%)"
+    ]);
+    expect(describeNewRecords({ records: [], previous: null, result })).toEqual([]);
+  });
+});
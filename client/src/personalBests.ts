@@ -0,0 +1,105 @@
+export type PersonalBest = {
+  level: number;
+  contestType: "time" | "tasks";
+  duration: number | null;
+  taskTarget: number | null;
+  contentMode: "default" | "vocab";
+  language: string;
+  /** Null for the classic rules. */
+  ruleSetId: string | null;
+  bestScore: number;
+  bestAccuracy: number;
+  bestCpm: number;
+  bestScoreAt: string | null;
+  runs: number;
+  lastAccuracy: number | null;
+  lastCpm: number | null;
+  lastPlayedAt: string | null;
+};
+
+export type PersonalBestRecord = "score" | "accuracy" | "cpm";
+
+/**
+ * What the server reports after a verified contest result: the records it beat,
+ * the bests before it (null on the first run) and the verified numbers.
+ */
+export type PersonalBestOutcome = {
+  records: PersonalBestRecord[];
+  previous: PersonalBest | null;
+  result: { score: number; accuracy: number; cpm: number };
+};
+
+export type PersonalBestConfig = {
+  level: number;
+  contestType: string;
+  duration: number;
+  taskTarget: number;
+  contentMode: string;
+  language: string;
+  ruleSetId?: string;
+};
+
+export type LegacyBestEntry = Omit<PersonalBestConfig, "contestType" | "ruleSetId"> & {
+  contestType: "time" | "tasks";
+  accuracy: number;
+  cpm: number;
+};
+
+// Mirrors settingsKey() in App.tsx; only contest runs had a configuration worth keeping.
+const LEGACY_KEY = /^run_contest_(\d+)_(time|tasks)_(\d+)_(\d+)_(default|vocab)_(.+)$/;
+
+export function findPersonalBest(bests: PersonalBest[], config: PersonalBestConfig) {
+  return bests.find((best) => best.level === config.level
+    && best.contestType === config.contestType
+    && best.contentMode === config.contentMode
+    && best.language === config.language.toLowerCase()
+    && (best.ruleSetId || "") === (config.ruleSetId || "")
+    && (best.contestType === "time" ? best.duration === config.duration : best.taskTarget === config.taskTarget)) || null;
+}
+
+/** Reads one old localStorage entry, or null when the key or value is not one. */
+export function parseLegacyBest(key: string, raw: string | null): LegacyBestEntry | null {
+  const match = LEGACY_KEY.exec(key);
+  if (!match || !raw) return null;
+  try {
+    const value = JSON.parse(raw);
+    if (typeof value?.accuracy !== "number" || typeof value?.cpm !== "number") return null;
+    const [, level, contestType, duration, taskTarget, contentMode = "default", language = "en"] = match;
+    return {
+      level: Number(level),
+      contestType: contestType as "time" | "tasks",
+      duration: Number(duration),
+      taskTarget: Number(taskTarget),
+      contentMode,
+      language,
+      accuracy: value.accuracy,
+      cpm: value.cpm
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Collects every legacy contest entry with the keys it came from, so they can be removed once imported. */
+export function collectLegacyBests(storage: Storage) {
+  const keys: string[] = [];
+  const entries: LegacyBestEntry[] = [];
+  for (let i = 0; i < storage.length; i += 1) {
+    const key = storage.key(i);
+    const entry = key ? parseLegacyBest(key, storage.getItem(key)) : null;
+    if (!key || !entry) continue;
+    keys.push(key);
+    entries.push(entry);
+  }
+  return { keys, entries };
+}
+
+/** One line per beaten record, e.g. "Accuracy: 95% (was 90%)". */
+export function describeNewRecords({ records, previous, result }: PersonalBestOutcome) {
+  if (!previous) return [];
+  return records.map((record) => {
+    if (record === "score") return `Score: ${result.score} (was ${previous.bestScore})`;
+    if (record === "accuracy") return `Accuracy: ${result.accuracy}% (was ${previous.bestAccuracy}%)`;
+    return `CPM: ${result.cpm} (was ${previous.bestCpm})`;
+  });
+}
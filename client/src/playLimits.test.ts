@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { addPlayUsage, describePlayDay, goalPercent, parseLocalPlayDay, parsePlayLimits } from "./playLimits";
+
+describe("play limits", () => {
+  it("keeps only valid limits from storage", () => {
+    expect(parsePlayLimits(JSON.stringify({ goalType: "letters", goalValue: 200, capMinutes: 30 }))).toEqual({
+      goalType: "letters",
+      goalValue: 200,
+      capMinutes: 30
+    });
+    expect(parsePlayLimits(JSON.stringify({ goalType: "hours", goalValue: 2, capMinutes: -5 }))).toEqual({
+      goalType: null,
+      goalValue: null,
+      capMinutes: null
+    });
+    expect(parsePlayLimits("{")).toEqual({ goalType: null, goalValue: null, capMinutes: null });
+  });
+
+  it("starts a new day once the stored usage is from yesterday", () => {
+    const stored = JSON.stringify({ day: "2026-10-18", playedMs: 600_000, letters: 90 });
+    expect(parseLocalPlayDay(stored, "2026-10-19")).toEqual({ day: "2026-10-19", playedMs: 0, letters: 0 });
+    const yesterday = parseLocalPlayDay(stored, "2026-10-18");
+    expect(addPlayUsage(yesterday, "2026-10-19", { playedMs: 10_000 })).toEqual({ day: "2026-10-19", playedMs: 10_000, letters: 0 });
+    expect(addPlayUsage(yesterday, "2026-10-18", { letters: 10 }).letters).toBe(100);
+  });
+
+  it("reports the cap and goal from the day's usage", () => {
+    const limits = { goalType: "minutes" as const, goalValue: 10, capMinutes: 15 };
+    const status = describePlayDay(limits, { day: "2026-10-19", playedMs: 5 * 60_000 + 30_000, letters: 40 });
+    expect(status.capReached).toBe(false);
+    expect(status.remainingMs).toBe(9 * 60_000 + 30_000);
+    expect(status.goal).toEqual({ type: "minutes", value: 10, done: 5, reached: false });
+    expect(goalPercent(status)).toBe(50);
+    expect(describePlayDay(limits, { day: "2026-10-19", playedMs: 15 * 60_000, letters: 0 }).capReached).toBe(true);
+  });
+});
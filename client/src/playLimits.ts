@@ -0,0 +1,83 @@
+export type PlayLimits = {
+  goalType: "minutes" | "letters" | null;
+  goalValue: number | null;
+  capMinutes: number | null;
+};
+
+/** Mirrors describePlayDay() on the server so guests and signed-in players read the same shape. */
+export type PlayDayStatus = {
+  day: string;
+  playedMs: number;
+  letters: number;
+  capMinutes: number | null;
+  capReached: boolean;
+  remainingMs: number | null;
+  goal: { type: "minutes" | "letters"; value: number; done: number; reached: boolean } | null;
+};
+
+export type LocalPlayDay = { day: string; playedMs: number; letters: number };
+
+export const NO_PLAY_LIMITS: PlayLimits = { goalType: null, goalValue: null, capMinutes: null };
+
+/** The local calendar day, in the same form the server derives from the reported timezone offset. */
+export function localDayKey(now = new Date()) {
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60_000).toISOString().slice(0, 10);
+}
+
+function positiveInt(value: unknown) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+export function parsePlayLimits(raw: string | null): PlayLimits {
+  try {
+    const value = raw ? JSON.parse(raw) : null;
+    const goalType = value?.goalType === "minutes" || value?.goalType === "letters" ? value.goalType : null;
+    const goalValue = goalType ? positiveInt(value.goalValue) : null;
+    return { goalType: goalValue ? goalType : null, goalValue, capMinutes: positiveInt(value?.capMinutes) };
+  } catch {
+    return NO_PLAY_LIMITS;
+  }
+}
+
+/** Reads the guest's usage; yesterday's entry reads as a fresh day. */
+export function parseLocalPlayDay(raw: string | null, day: string): LocalPlayDay {
+  try {
+    const value = raw ? JSON.parse(raw) : null;
+    if (value?.day !== day) return { day, playedMs: 0, letters: 0 };
+    return { day, playedMs: Math.max(0, Number(value.playedMs) || 0), letters: Math.max(0, Number(value.letters) || 0) };
+  } catch {
+    return { day, playedMs: 0, letters: 0 };
+  }
+}
+
+export function addPlayUsage(usage: LocalPlayDay, day: string, add: { playedMs?: number; letters?: number }): LocalPlayDay {
+  const base = usage.day === day ? usage : { day, playedMs: 0, letters: 0 };
+  return {
+    day,
+    playedMs: base.playedMs + Math.max(0, add.playedMs || 0),
+    letters: base.letters + Math.max(0, add.letters || 0)
+  };
+}
+
+export function describePlayDay(limits: PlayLimits, usage: LocalPlayDay): PlayDayStatus {
+  const capMs = limits.capMinutes ? limits.capMinutes * 60_000 : null;
+  const goalDone = limits.goalType === "minutes" ? Math.floor(usage.playedMs / 60_000) : usage.letters;
+  return {
+    day: usage.day,
+    playedMs: usage.playedMs,
+    letters: usage.letters,
+    capMinutes: limits.capMinutes,
+    capReached: capMs !== null && usage.playedMs >= capMs,
+    remainingMs: capMs === null ? null : Math.max(0, capMs - usage.playedMs),
+    goal: limits.goalType && limits.goalValue
+      ? { type: limits.goalType, value: limits.goalValue, done: goalDone, reached: goalDone >= limits.goalValue }
+      : null
+  };
+}
+
+/** Goal progress as a 0-100 percentage for the home screen bar. */
+export function goalPercent(status: PlayDayStatus | null) {
+  if (!status?.goal) return 0;
+  return Math.min(100, Math.round((status.goal.done / status.goal.value) * 100));
+}
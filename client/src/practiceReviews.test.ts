@@ -0,0 +1,21 @@
+import { describe, it, expect } from "vitest";
+import { completePracticeEntry, createPracticeTracker, drainPracticeReviews, notePracticeKey } from "./practiceReviews";
+
+describe("practice reviews", () => {
+  it("collects mistakes and typing time until the entry is completed", () => {
+    const tracker = createPracticeTracker();
+    notePracticeKey(tracker, "e1", true, 1000);
+    notePracticeKey(tracker, "e1", false, 1200);
+    notePracticeKey(tracker, "e1", true, 1500);
+    expect(drainPracticeReviews(tracker)).toEqual([]);
+    completePracticeEntry(tracker, "e1", 1800);
+    expect(drainPracticeReviews(tracker)).toEqual([{ entryId: "e1", mistakes: 1, chars: 2, durationMs: 800 }]);
+    expect(drainPracticeReviews(tracker)).toEqual([]);
+  });
+
+  it("ignores completion of entries that were never typed", () => {
+    const tracker = createPracticeTracker();
+    completePracticeEntry(tracker, "e2", 500);
+    expect(drainPracticeReviews(tracker)).toEqual([]);
+  });
+});
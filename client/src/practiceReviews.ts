@@ -0,0 +1,45 @@
+export type PracticeReview = {
+  entryId: string;
+  mistakes: number;
+  durationMs: number;
+  chars: number;
+};
+
+type PendingReview = {
+  mistakes: number;
+  chars: number;
+  startedAt: number;
+};
+
+export type PracticeTracker = {
+  pending: Map<string, PendingReview>;
+  done: PracticeReview[];
+};
+
+export function createPracticeTracker(): PracticeTracker {
+  return { pending: new Map(), done: [] };
+}
+
+export function notePracticeKey(tracker: PracticeTracker, entryId: string, hit: boolean, pressedAt: number) {
+  const entry = tracker.pending.get(entryId) || { mistakes: 0, chars: 0, startedAt: pressedAt };
+  if (hit) entry.chars += 1;
+  else entry.mistakes += 1;
+  tracker.pending.set(entryId, entry);
+}
+
+/** Sentence entries span several word tasks; call this once the last word is typed. */
+export function completePracticeEntry(tracker: PracticeTracker, entryId: string, finishedAt: number) {
+  const entry = tracker.pending.get(entryId);
+  if (!entry) return;
+  tracker.pending.delete(entryId);
+  tracker.done.push({
+    entryId,
+    mistakes: entry.mistakes,
+    chars: entry.chars,
+    durationMs: Math.max(0, finishedAt - entry.startedAt)
+  });
+}
+
+export function drainPracticeReviews(tracker: PracticeTracker): PracticeReview[] {
+  return tracker.done.splice(0);
+}
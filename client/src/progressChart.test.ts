@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { buildLineSegments, formatPlayTime } from "./progressChart";
+
+describe("progress charts", () => {
+  it("scales values into the box and splits the line at missing days", () => {
+    expect(buildLineSegments([50, null, 100, 0], 30, 10, 100)).toEqual([
+      [{ x: 0, y: 5 }],
+      [{ x: 20, y: 0 }, { x: 30, y: 10 }]
+    ]);
+  });
+
+  it("formats play time for parents", () => {
+    expect(formatPlayTime(25 * 60000)).toBe("25 min");
+    expect(formatPlayTime(120 * 60000)).toBe("2 h");
+    expect(formatPlayTime(95 * 60000)).toBe("1 h 35 min");
+  });
+});
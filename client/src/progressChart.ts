@@ -0,0 +1,32 @@
+export type ChartPoint = { x: number; y: number };
+
+/**
+ * Maps a series onto an SVG box. Missing values (null) split the line so a
+ * day without practice shows as a gap instead of a drop to zero.
+ */
+export function buildLineSegments(values: Array<number | null>, width: number, height: number, maxValue?: number): ChartPoint[][] {
+  const known = values.filter((value): value is number => value !== null);
+  const top = Math.max(1, maxValue ?? Math.max(0, ...known));
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const segments: ChartPoint[][] = [];
+  let current: ChartPoint[] = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    const clamped = Math.min(Math.max(value, 0), top);
+    current.push({ x: Math.round(index * step * 10) / 10, y: Math.round((height - (clamped / top) * height) * 10) / 10 });
+  });
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+export function formatPlayTime(ms: number) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { localRaceStart, raceOpponents, raceSocketUrl, type RaceRoom } from "./race";
+
+const room: RaceRoom = {
+  code: "ABCDE",
+  hostId: "p1",
+  status: "racing",
+  settings: { level: 2, language: "en", contentMode: "default", taskCount: 10 },
+  startsAt: 10_000,
+  serverTime: 7_000,
+  players: [
+    { id: "p1", name: "Ann", tasksCompleted: 3, mistakes: 0, finished: false, connected: true },
+    { id: "p2", name: "Ben", tasksCompleted: 1, mistakes: 2, finished: false, connected: true },
+    { id: "p3", name: "Cat", tasksCompleted: 5, mistakes: 1, finished: false, connected: true }
+  ],
+  results: null
+};
+
+describe("race helpers", () => {
+  it("builds a same-origin socket URL with the active profile", () => {
+    expect(raceSocketUrl({ protocol: "https:", host: "ktrain.test" }, "7")).toBe("wss://ktrain.test/api/race/ws?profileId=7");
+    expect(raceSocketUrl({ protocol: "http:", host: "localhost:5173" })).toBe("ws://localhost:5173/api/race/ws");
+  });
+
+  it("starts the countdown on the local clock regardless of server skew", () => {
+    expect(localRaceStart(room, 500_000)).toBe(503_000);
+    expect(localRaceStart({ ...room, startsAt: null }, 500_000)).toBeNull();
+  });
+
+  it("lists opponents with the leader first", () => {
+    expect(raceOpponents(room, "p1").map((player) => player.name)).toEqual(["Cat", "Ben"]);
+  });
+});
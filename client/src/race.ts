@@ -0,0 +1,57 @@
+export type RaceStatus = "lobby" | "racing" | "finished";
+
+export type RacePlayer = {
+  id: string;
+  name: string;
+  tasksCompleted: number;
+  mistakes: number;
+  finished: boolean;
+  connected: boolean;
+};
+
+export type RaceResult = {
+  playerId: string;
+  name: string;
+  place: number;
+  finished: boolean;
+  tasksCompleted: number;
+  mistakes: number;
+  timeSeconds: number;
+  accuracy: number;
+  cpm: number;
+  score: number;
+};
+
+export type RaceRoom = {
+  code: string;
+  hostId: string;
+  status: RaceStatus;
+  settings: { level: number; language: string; contentMode: "default" | "vocab"; taskCount: number };
+  startsAt: number | null;
+  serverTime: number;
+  players: RacePlayer[];
+  results: RaceResult[] | null;
+};
+
+export const RACE_TASK_COUNTS = [10, 20, 30];
+export const RACE_MAX_PLAYERS = 4;
+
+/** Same-origin socket URL; the profile rides in the query because browsers cannot set headers on a WebSocket. */
+export function raceSocketUrl(location: { protocol: string; host: string }, profileId?: string) {
+  const scheme = location.protocol === "https:" ? "wss:" : "ws:";
+  const query = profileId ? `?profileId=${encodeURIComponent(profileId)}` : "";
+  return `${scheme}//${location.host}/api/race/ws${query}`;
+}
+
+/** The local clock time the race starts, corrected for skew between this device and the server. */
+export function localRaceStart(room: RaceRoom, receivedAt: number): number | null {
+  if (room.startsAt === null) return null;
+  return receivedAt + (room.startsAt - room.serverTime);
+}
+
+/** Other racers, leader first. */
+export function raceOpponents(room: RaceRoom, playerId: string): RacePlayer[] {
+  return room.players
+    .filter((player) => player.id !== playerId)
+    .sort((a, b) => b.tasksCompleted - a.tasksCompleted);
+}
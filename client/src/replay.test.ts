@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { buildReplayFrames, ReplayEvent, ReplayTask } from "./replay";
+
+const tasks: ReplayTask[] = [
+  { index: 0, id: "t0", level: 2, prompt: "cat", answer: "cat" },
+  { index: 1, id: "t1", level: 2, prompt: "sun", answer: "sun" }
+];
+
+const event = (seq: number, taskIndex: number, caretIndex: number, key: string, result: "correct" | "wrong"): ReplayEvent => ({
+  seq,
+  taskIndex,
+  caretIndex,
+  offsetMs: seq * 100,
+  key,
+  expected: null,
+  result
+});
+
+describe("buildReplayFrames", () => {
+  it("replays progress, mistakes and task switches in order", () => {
+    const frames = buildReplayFrames(tasks, [
+      event(1, 0, 0, "c", "correct"),
+      event(2, 0, 1, "x", "wrong"),
+      event(3, 0, 1, "a", "correct"),
+      event(4, 0, 2, "t", "correct"),
+      event(5, 1, 0, "s", "correct")
+    ]);
+    expect(frames).toHaveLength(7);
+    expect(frames[2]).toMatchObject({ caretIndex: 1, mistake: true, progress: ["correct", "wrong", "pending"] });
+    expect(frames[4]).toMatchObject({ buffer: "cat", caretIndex: 3, progress: ["correct", "correct", "correct"] });
+    expect(frames[5]).toMatchObject({ atMs: 400, taskIndex: 1, buffer: "", progress: ["pending", "pending", "pending"] });
+  });
+
+  it("skips events for tasks that were never uploaded", () => {
+    expect(buildReplayFrames(tasks, [event(1, 7, 0, "q", "correct")])).toEqual([]);
+  });
+});
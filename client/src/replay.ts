@@ -0,0 +1,79 @@
+export type ReplayResult = "correct" | "wrong";
+
+export type ReplayEvent = {
+  seq: number;
+  taskIndex: number;
+  caretIndex: number;
+  offsetMs: number;
+  key: string;
+  expected: string | null;
+  result: ReplayResult;
+};
+
+export type ReplayTask = {
+  index: number;
+  id: string;
+  level: number;
+  prompt: string;
+  answer: string;
+  sentence?: string;
+  wordIndex?: number;
+  words?: string[];
+};
+
+export type ReplayFrame = {
+  atMs: number;
+  taskIndex: number;
+  caretIndex: number;
+  buffer: string;
+  progress: Array<"correct" | "wrong" | "pending">;
+  mistake: boolean;
+};
+
+function pendingProgress(task: ReplayTask | undefined) {
+  return Array.from({ length: task?.answer.length || 0 }, () => "pending" as const);
+}
+
+/**
+ * Folds a keystroke log into the states TaskStage rendered during the game.
+ * A task switch emits an extra frame so the next task appears when the
+ * previous one finished, not when its first key was pressed.
+ */
+export function buildReplayFrames(tasks: ReplayTask[], events: ReplayEvent[]): ReplayFrame[] {
+  const byIndex = new Map(tasks.map((task) => [task.index, task]));
+  const frames: ReplayFrame[] = [];
+  const ordered = [...events].sort((a, b) => a.seq - b.seq);
+  let taskIndex = -1;
+  let progress: ReplayFrame["progress"] = [];
+  let buffer = "";
+  let lastAtMs = 0;
+
+  for (const event of ordered) {
+    if (!byIndex.has(event.taskIndex)) continue;
+    if (event.taskIndex !== taskIndex) {
+      taskIndex = event.taskIndex;
+      progress = pendingProgress(byIndex.get(taskIndex));
+      buffer = "";
+      frames.push({ atMs: lastAtMs, taskIndex, caretIndex: 0, buffer, progress: [...progress], mistake: false });
+    }
+    const isSpace = event.key === " ";
+    let caretIndex = event.caretIndex;
+    if (event.result === "correct" && !isSpace) {
+      progress[event.caretIndex] = "correct";
+      buffer += event.key;
+      caretIndex = event.caretIndex + 1;
+    }
+    const shown = [...progress];
+    if (event.result === "wrong" && event.caretIndex < shown.length) shown[event.caretIndex] = "wrong";
+    frames.push({
+      atMs: event.offsetMs,
+      taskIndex,
+      caretIndex,
+      buffer,
+      progress: shown,
+      mistake: event.result === "wrong"
+    });
+    lastAtMs = event.offsetMs;
+  }
+  return frames;
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { difficultyMultiplier, scoreRun } from "./scoring";
+
+describe("per-task scoring", () => {
+  it("weights tasks by length, difficulty, streak and mistakes", () => {
+    const breakdown = scoreRun({
+      contestType: "time",
+      elapsedMs: 20_000,
+      accuracy: 75,
+      mistakes: 1,
+      outcomes: [
+        { ok: true, mistakes: 0, atMs: 3000 },
+        { ok: true, mistakes: 1, atMs: 9000 },
+        { ok: true, mistakes: 0, atMs: 12000 }
+      ],
+      tasks: [{ answer: "cat" }, { answer: "elephant", difficulty: 0.9 }, { answer: "dog", difficulty: 0.1 }]
+    });
+    expect(breakdown.tasks.map((task) => [task.streak, task.points])).toEqual([[1, 63], [0, 168], [1, 38]]);
+    expect(breakdown.bonuses).toEqual({ accuracy: 750, speed: 0, streak: 0, penalty: 0 });
+    expect(breakdown.score).toBe(1019);
+    expect(breakdown.version).toBe(2);
+  });
+
+  it("gives skipped tasks nothing and charges the rule set's mistake penalty", () => {
+    const breakdown = scoreRun(
+      {
+        contestType: "tasks",
+        elapsedMs: 50_000,
+        accuracy: 50,
+        mistakes: 3,
+        outcomes: [{ ok: false, mistakes: 3, atMs: 4000 }],
+        tasks: [{ answer: "house" }]
+      },
+      { taskPoints: 100, accuracyPoints: 10, streakPoints: 5, speedPoints: 100000 },
+      20
+    );
+    expect(breakdown.tasks[0]?.points).toBe(0);
+    expect(breakdown.bonuses).toEqual({ accuracy: 500, speed: 2000, streak: 0, penalty: 60 });
+    expect(breakdown.score).toBe(2440);
+  });
+
+  it("treats unscored entries as average difficulty", () => {
+    expect(difficultyMultiplier(null)).toBe(1);
+    expect(difficultyMultiplier(5)).toBe(1.5);
+    expect(difficultyMultiplier(-1)).toBe(0.5);
+  });
+});
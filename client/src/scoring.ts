@@ -0,0 +1,86 @@
+import type { ContestTaskOutcome } from "./contestRun";
+
+export type ScoringWeights = {
+  taskPoints: number;
+  accuracyPoints: number;
+  streakPoints: number;
+  speedPoints: number;
+};
+
+export type TaskPoints = {
+  answer: string;
+  chars: number;
+  difficulty: number | null;
+  streak: number;
+  mistakes: number;
+  points: number;
+};
+
+/** Mirrors scoreContest() on the server; the server's copy is what gets ranked. */
+export type ScoreBreakdown = {
+  version: number;
+  score: number;
+  tasks: TaskPoints[];
+  bonuses: { accuracy: number; speed: number; streak: number; penalty: number };
+};
+
+export type ScoringRun = {
+  contestType: "time" | "tasks";
+  elapsedMs: number;
+  accuracy: number;
+  mistakes: number;
+  outcomes: ContestTaskOutcome[];
+  tasks: { answer: string; difficulty?: number | null }[];
+};
+
+export const CURRENT_SCORING_VERSION = 2;
+
+export const SCORING_VERSION_LABELS: Record<number, string> = {
+  1: "Totals",
+  2: "Per task"
+};
+
+// Mirrors SCORING_FORMULAS.standard on the server, used when no rule set applies.
+export const STANDARD_SCORING_WEIGHTS: ScoringWeights = { taskPoints: 100, accuracyPoints: 10, streakPoints: 5, speedPoints: 100000 };
+
+const REFERENCE_CHARS = 5;
+const MAX_LENGTH_FACTOR = 4;
+const MAX_STREAK_STEPS = 20;
+const MISTAKE_SHARE = 0.25;
+
+export function difficultyMultiplier(difficulty: number | null | undefined) {
+  if (difficulty === null || difficulty === undefined || !Number.isFinite(difficulty)) return 1;
+  return 0.5 + Math.min(1, Math.max(0, difficulty));
+}
+
+/** The current scoring version: per-task points plus the accuracy and speed bonuses. */
+export function scoreRun(run: ScoringRun, weights = STANDARD_SCORING_WEIGHTS, mistakePenalty = 0): ScoreBreakdown {
+  const streakStep = weights.streakPoints / 100;
+  let streak = 0;
+  const tasks = run.outcomes.map((outcome, index) => {
+    const answer = run.tasks[index]?.answer || "";
+    const difficulty = run.tasks[index]?.difficulty ?? null;
+    const chars = Array.from(answer).length;
+    streak = outcome.ok && outcome.mistakes === 0 ? streak + 1 : 0;
+    const points = outcome.ok
+      ? Math.round(
+        weights.taskPoints
+          * Math.min(MAX_LENGTH_FACTOR, Math.max(1, chars) / REFERENCE_CHARS)
+          * difficultyMultiplier(difficulty)
+          * (1 + Math.min(streak, MAX_STREAK_STEPS) * streakStep)
+          * Math.max(0, 1 - outcome.mistakes * MISTAKE_SHARE)
+      )
+      : 0;
+    return { answer, chars, difficulty, streak, mistakes: outcome.mistakes, points };
+  });
+  const accuracy = Math.round(run.accuracy * weights.accuracyPoints);
+  const speed = run.contestType === "tasks" ? weights.speedPoints / Math.max(Math.round(run.elapsedMs / 1000), 1) : 0;
+  const penalty = run.mistakes * mistakePenalty;
+  const taskTotal = tasks.reduce((sum, task) => sum + task.points, 0);
+  return {
+    version: CURRENT_SCORING_VERSION,
+    score: Math.max(0, Math.round(taskTotal + accuracy + speed - penalty)),
+    tasks,
+    bonuses: { accuracy, speed: Math.round(speed), streak: 0, penalty }
+  };
+}
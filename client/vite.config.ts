@@ -18,7 +18,7 @@ export default defineConfig({
   server: {
     port: 5173,
     proxy: {
-      "/api": "http://localhost:3000"
+      "/api": { target: "http://localhost:3000", ws: true }
     }
   }
 });
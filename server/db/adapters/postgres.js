@@ -16,7 +16,8 @@ function mapUserRow(row) {
     createdAt: row.createdat || row.createdAt,
     updatedAt: row.updatedat || row.updatedAt,
     lastLoginAt: row.lastloginat || row.lastLoginAt,
-    avatarUrl: row.avatarurl || row.avatarUrl
+    avatarUrl: row.avatarurl || row.avatarUrl,
+    displayNameLockedAt: row.displaynamelockedat || row.displayNameLockedAt || null
   };
 }
 
@@ -104,33 +105,61 @@ class PostgresAdapter {
     await this.pool.query("INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value", [key, value]);
   }
 
-  async insertLeaderboard(payload) {
-    await this.pool.query(
-      `INSERT INTO leaderboard
-      (playerName, createdAt, contestType, level, contentMode, duration, taskTarget, score, accuracy, cpm, mistakes, tasksCompleted, timeSeconds, maxStreak, userId, isGuest, language, displayName, avatarUrl)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)`,
-      [
-        payload.playerName,
-        payload.createdAt,
-        payload.contestType,
-        payload.level,
-        payload.contentMode,
-        payload.duration,
-        payload.taskTarget,
-        payload.score,
-        payload.accuracy,
-        payload.cpm,
-        payload.mistakes,
-        payload.tasksCompleted,
-        payload.timeSeconds,
-        payload.maxStreak,
-        payload.userId || null,
-        payload.isGuest ? 1 : 0,
-        payload.language || "en",
-        payload.displayName || null,
-        payload.avatarUrl || null
-      ]
-    );
+  /** With `claimRun`, its contest run is marked submitted in the same transaction; resolves to null when it already was. */
+  async insertLeaderboard(payload, { claimRun = null } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (claimRun) {
+        const claimed = await client.query(
+          "UPDATE contest_runs SET submittedAt = $1 WHERE token = $2 AND submittedAt IS NULL",
+          [claimRun.submittedAt, claimRun.token]
+        );
+        if (!claimed.rowCount) {
+          await client.query("ROLLBACK");
+          return null;
+        }
+      }
+      const { rows } = await client.query(
+        `INSERT INTO leaderboard
+        (playerName, createdAt, contestType, level, contentMode, duration, taskTarget, score, accuracy, cpm, mistakes, tasksCompleted, timeSeconds, maxStreak, userId, isGuest, language, displayName, avatarUrl, profileId, challengeId, flagReason, ruleSetId, scoringVersion)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)
+        RETURNING id`,
+        [
+          payload.playerName,
+          payload.createdAt,
+          payload.contestType,
+          payload.level,
+          payload.contentMode,
+          payload.duration,
+          payload.taskTarget,
+          payload.score,
+          payload.accuracy,
+          payload.cpm,
+          payload.mistakes,
+          payload.tasksCompleted,
+          payload.timeSeconds,
+          payload.maxStreak,
+          payload.userId || null,
+          payload.isGuest ? 1 : 0,
+          payload.language || "en",
+          payload.displayName || null,
+          payload.avatarUrl || null,
+          payload.profileId || null,
+          payload.challengeId || null,
+          payload.flagReason || null,
+          payload.ruleSetId || "",
+          payload.scoringVersion || null
+        ]
+      );
+      await client.query("COMMIT");
+      return Number(rows[0].id);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
   }
 
   async queryLeaderboard(filters) {
@@ -141,9 +170,11 @@ class PostgresAdapter {
     if (filters.level) { where += ` AND level = $${i++}`; params.push(Number(filters.level)); }
     if (filters.contentMode) { where += ` AND contentMode = $${i++}`; params.push(filters.contentMode); }
     if (filters.duration && filters.contestType === "time") { where += ` AND duration = $${i++}`; params.push(Number(filters.duration)); }
-    if (filters.taskTarget && filters.contestType === "tasks") { where += ` AND taskTarget = $${i++}`; params.push(Number(filters.taskTarget)); }
+    if (filters.taskTarget && filters.contestType !== "time") { where += ` AND taskTarget = $${i++}`; params.push(Number(filters.taskTarget)); }
     if (filters.onlyAuthorized) { where += " AND isGuest = 0"; }
     if (filters.language) { where += ` AND language = $${i++}`; params.push(filters.language); }
+    if (filters.challengeId) { where += ` AND challengeId = $${i++}`; params.push(filters.challengeId); }
+    where += " AND flagReason IS NULL AND hiddenAt IS NULL";
     const { rows } = await this.pool.query(`SELECT * FROM leaderboard ${where} ORDER BY score DESC, accuracy DESC LIMIT 20`, params);
     return rows;
   }
@@ -156,10 +187,15 @@ class PostgresAdapter {
     if (filters.level) { where += ` AND level = $${i++}`; params.push(Number(filters.level)); }
     if (filters.contentMode) { where += ` AND contentMode = $${i++}`; params.push(filters.contentMode); }
     if (filters.duration && filters.contestType === "time") { where += ` AND duration = $${i++}`; params.push(Number(filters.duration)); }
-    if (filters.taskTarget && filters.contestType === "tasks") { where += ` AND taskTarget = $${i++}`; params.push(Number(filters.taskTarget)); }
+    if (filters.taskTarget && filters.contestType !== "time") { where += ` AND taskTarget = $${i++}`; params.push(Number(filters.taskTarget)); }
     if (filters.onlyAuthorized) { where += " AND isGuest = 0"; }
     if (filters.language) { where += ` AND language = $${i++}`; params.push(filters.language); }
     if (filters.createdAfter) { where += ` AND createdAt >= $${i++}`; params.push(filters.createdAfter); }
+    if (filters.ruleSetId !== undefined) { where += ` AND ruleSetId = $${i++}`; params.push(filters.ruleSetId); }
+    // Challenge entries live in their own partition and stay off the open boards.
+    if (filters.challengeId) { where += ` AND challengeId = $${i++}`; params.push(filters.challengeId); }
+    else { where += " AND challengeId IS NULL"; }
+    where += " AND flagReason IS NULL AND hiddenAt IS NULL";
 
     const sortable = {
       score: "score",
@@ -185,32 +221,94 @@ class PostgresAdapter {
     );
     return { rows, total, page, pageSize };
   }
-  async getGamePreferences(userId) {
-    const { rows } = await this.pool.query("SELECT * FROM game_preferences WHERE userId = $1 LIMIT 1", [userId]);
+  async getGamePreferences(userId, profileId = 0) {
+    const { rows } = await this.pool.query("SELECT * FROM game_preferences WHERE userId = $1 AND profileId = $2 LIMIT 1", [userId, profileId]);
     return rows[0] || null;
   }
 
-  async upsertGamePreferences({ userId, mode, level, contentType, language, updatedAt }) {
+  async upsertGamePreferences({ userId, profileId = 0, mode, level, contentType, language, updatedAt }) {
     await this.pool.query(
-      `INSERT INTO game_preferences (userId, mode, level, contentType, language, updatedAt)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       ON CONFLICT(userId) DO UPDATE SET
+      `INSERT INTO game_preferences (userId, profileId, mode, level, contentType, language, updatedAt)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT(userId, profileId) DO UPDATE SET
          mode = EXCLUDED.mode,
          level = EXCLUDED.level,
          contentType = EXCLUDED.contentType,
          language = EXCLUDED.language,
          updatedAt = EXCLUDED.updatedAt`,
-      [userId, mode, level, contentType, language, updatedAt]
+      [userId, profileId, mode, level, contentType, language, updatedAt]
+    );
+  }
+
+  async setGamePreferencesKeyboardLayout({ userId, profileId = 0, keyboardLayout, updatedAt }) {
+    await this.pool.query(
+      `INSERT INTO game_preferences (userId, profileId, keyboardLayout, updatedAt)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT(userId, profileId) DO UPDATE SET
+         keyboardLayout = EXCLUDED.keyboardLayout`,
+      [userId, profileId, keyboardLayout, updatedAt]
+    );
+  }
+
+  async setPlayLimits({ userId, profileId = 0, goalType, goalValue, capMinutes, updatedAt }) {
+    await this.pool.query(
+      `INSERT INTO game_preferences (userId, profileId, dailyGoalType, dailyGoalValue, dailyCapMinutes, updatedAt)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT(userId, profileId) DO UPDATE SET
+         dailyGoalType = EXCLUDED.dailyGoalType,
+         dailyGoalValue = EXCLUDED.dailyGoalValue,
+         dailyCapMinutes = EXCLUDED.dailyCapMinutes`,
+      [userId, profileId, goalType, goalValue, capMinutes, updatedAt]
+    );
+  }
+
+  async getParentPinHash(userId) {
+    const { rows } = await this.pool.query("SELECT parentPinHash FROM users WHERE id = $1", [userId]);
+    return rows[0]?.parentpinhash || null;
+  }
+
+  async setParentPinHash(userId, { pinHash, updatedAt }) {
+    await this.pool.query("UPDATE users SET parentPinHash = $1, updatedAt = $2 WHERE id = $3", [pinHash, updatedAt, userId]);
+  }
+
+  async getPlayDay(userId, profileId, day) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM play_days WHERE userId = $1 AND profileId = $2 AND day = $3 LIMIT 1",
+      [userId, profileId, day]
     );
+    return rows[0] || null;
   }
 
-  async getPlayerStats(userId) {
-    const { rows } = await this.pool.query("SELECT * FROM player_stats WHERE userId = $1 LIMIT 1", [userId]);
+  async recordPlayBeat({ userId, profileId = 0, day, addMs, beatAt }) {
+    await this.pool.query(
+      `INSERT INTO play_days (userId, profileId, day, playedMs, lastBeatAt) VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT(userId, profileId, day) DO UPDATE SET
+         playedMs = play_days.playedMs + EXCLUDED.playedMs,
+         lastBeatAt = EXCLUDED.lastBeatAt`,
+      [userId, profileId, day, addMs, beatAt]
+    );
+  }
+
+  async addPlayDayLetters({ userId, profileId = 0, day, letters }) {
+    await this.pool.query(
+      `INSERT INTO play_days (userId, profileId, day, letters) VALUES ($1,$2,$3,$4)
+       ON CONFLICT(userId, profileId, day) DO UPDATE SET letters = play_days.letters + EXCLUDED.letters`,
+      [userId, profileId, day, letters]
+    );
+  }
+
+  async cleanupPlayDays(beforeDay) {
+    await this.pool.query("DELETE FROM play_days WHERE day < $1", [beforeDay]);
+  }
+
+  async getPlayerStats(userId, profileId = 0) {
+    const { rows } = await this.pool.query("SELECT * FROM player_stats WHERE userId = $1 AND profileId = $2 LIMIT 1", [userId, profileId]);
     return rows[0] || null;
   }
 
   async upsertPlayerStats({
     userId,
+    profileId = 0,
     totalLettersTyped,
     totalCorrect,
     totalIncorrect,
@@ -222,9 +320,9 @@ class PostgresAdapter {
   }) {
     await this.pool.query(
       `INSERT INTO player_stats
-      (userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-      ON CONFLICT(userId) DO UPDATE SET
+      (userId, profileId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
         totalLettersTyped = EXCLUDED.totalLettersTyped,
         totalCorrect = EXCLUDED.totalCorrect,
         totalIncorrect = EXCLUDED.totalIncorrect,
@@ -233,8 +331,202 @@ class PostgresAdapter {
         totalPlayTimeMs = EXCLUDED.totalPlayTimeMs,
         streakDays = EXCLUDED.streakDays,
         lastSessionAt = EXCLUDED.lastSessionAt`,
-      [userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt || null]
+      [userId, profileId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt || null]
+    );
+  }
+
+  async listPlayerProfiles(userId) {
+    const { rows } = await this.pool.query("SELECT * FROM player_profiles WHERE userId = $1 ORDER BY id ASC", [userId]);
+    return rows;
+  }
+
+  async getPlayerProfile(id) {
+    const { rows } = await this.pool.query("SELECT * FROM player_profiles WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async createPlayerProfile({ userId, displayName, avatar, agePreset, createdAt }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO player_profiles (userId, displayName, avatar, agePreset, createdAt, updatedAt)
+       VALUES ($1,$2,$3,$4,$5,$5)
+       RETURNING *`,
+      [userId, displayName, avatar, agePreset, createdAt]
+    );
+    return rows[0] || null;
+  }
+
+  async updatePlayerProfile(id, { displayName, avatar, agePreset, updatedAt }) {
+    const { rows } = await this.pool.query(
+      "UPDATE player_profiles SET displayName = $1, avatar = $2, agePreset = $3, updatedAt = $4 WHERE id = $5 RETURNING *",
+      [displayName, avatar, agePreset, updatedAt, id]
+    );
+    return rows[0] || null;
+  }
+
+  async deletePlayerProfile(id) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const { rows } = await client.query("SELECT userId FROM player_profiles WHERE id = $1", [id]);
+      const userId = rows[0]?.userid;
+      if (userId !== undefined) {
+        await client.query("DELETE FROM game_preferences WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM player_stats WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM player_key_stats WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM session_results WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM personal_bests WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM player_achievements WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM play_days WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM classroom_members WHERE userId = $1 AND profileId = $2", [userId, id]);
+        await client.query("DELETE FROM player_profiles WHERE id = $1", [id]);
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listPlayerKeyStats(userId, language, profileId = 0) {
+    if (!language) {
+      const { rows } = await this.pool.query(
+        "SELECT * FROM player_key_stats WHERE userId = $1 AND profileId = $2 ORDER BY language ASC, keyChar ASC",
+        [userId, profileId]
+      );
+      return rows;
+    }
+    const { rows } = await this.pool.query(
+      "SELECT * FROM player_key_stats WHERE userId = $1 AND profileId = $2 AND language = $3 ORDER BY keyChar ASC",
+      [userId, profileId, language]
+    );
+    return rows;
+  }
+
+  async addPlayerKeyStats(userId, language, entries = [], { profileId = 0, updatedAt = nowIso() } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const entry of entries) {
+        await client.query(
+          `INSERT INTO player_key_stats (userId, profileId, language, keyChar, hits, misses, totalLatencyMs, updatedAt)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+           ON CONFLICT(userId, profileId, language, keyChar) DO UPDATE SET
+             hits = player_key_stats.hits + EXCLUDED.hits,
+             misses = player_key_stats.misses + EXCLUDED.misses,
+             totalLatencyMs = player_key_stats.totalLatencyMs + EXCLUDED.totalLatencyMs,
+             updatedAt = EXCLUDED.updatedAt`,
+          [userId, profileId, language, entry.keyChar, entry.hits, entry.misses, entry.latencyMs, updatedAt]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertSessionResult({ userId, profileId = 0, mode, level, language, correct, incorrect, cpm, durationMs, endedAt }) {
+    await this.pool.query(
+      `INSERT INTO session_results (userId, profileId, mode, level, language, correct, incorrect, cpm, durationMs, endedAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+      [userId, profileId, mode, level, language, correct, incorrect, cpm, durationMs, endedAt]
+    );
+  }
+
+  async aggregateSessionResults(userId, { profileId = 0, since, bucket = "day" } = {}) {
+    const bucketExpr = bucket === "week"
+      ? "to_char(date_trunc('week', endedAt::timestamptz AT TIME ZONE 'UTC'), 'YYYY-MM-DD')"
+      : "substr(endedAt, 1, 10)";
+    const { rows } = await this.pool.query(
+      `SELECT ${bucketExpr} AS bucket,
+              COUNT(*)::int AS sessions,
+              SUM(correct)::int AS correct,
+              SUM(incorrect)::int AS incorrect,
+              ROUND(AVG(cpm))::int AS avgCpm,
+              SUM(durationMs)::bigint AS durationMs
+       FROM session_results
+       WHERE userId = $1 AND profileId = $2 AND endedAt >= $3
+       GROUP BY bucket
+       ORDER BY bucket ASC`,
+      [userId, profileId, since]
+    );
+    return rows;
+  }
+
+  async aggregateSessionResultsByLevel(userId, { profileId = 0, since } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT level,
+              COUNT(*)::int AS sessions,
+              SUM(correct)::int AS correct,
+              SUM(incorrect)::int AS incorrect,
+              ROUND(AVG(cpm))::int AS avgCpm,
+              SUM(durationMs)::bigint AS durationMs
+       FROM session_results
+       WHERE userId = $1 AND profileId = $2 AND endedAt >= $3
+       GROUP BY level
+       ORDER BY level ASC`,
+      [userId, profileId, since]
+    );
+    return rows;
+  }
+
+  async getGameSession(id) {
+    const { rows } = await this.pool.query("SELECT * FROM game_sessions WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async upsertGameSession({ id, userId, mode, level, contentMode, language, tasksJson, startedAt, endedAt, updatedAt }) {
+    await this.pool.query(
+      `INSERT INTO game_sessions (id, userId, mode, level, contentMode, language, tasksJson, eventCount, startedAt, endedAt, updatedAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,0,$8,$9,$10)
+       ON CONFLICT(id) DO UPDATE SET
+         tasksJson = EXCLUDED.tasksJson,
+         endedAt = COALESCE(EXCLUDED.endedAt, game_sessions.endedAt),
+         updatedAt = EXCLUDED.updatedAt`,
+      [id, userId, mode, level, contentMode, language, tasksJson, startedAt, endedAt || null, updatedAt]
+    );
+  }
+
+  async appendKeystrokeEvents(sessionId, events = []) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      let inserted = 0;
+      for (const event of events) {
+        const result = await client.query(
+          `INSERT INTO keystroke_events (sessionId, seq, taskIndex, caretIndex, offsetMs, keyValue, expected, result)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+           ON CONFLICT(sessionId, seq) DO NOTHING`,
+          [sessionId, event.seq, event.taskIndex, event.caretIndex, event.offsetMs, event.key, event.expected || null, event.result]
+        );
+        inserted += result.rowCount || 0;
+      }
+      await client.query("UPDATE game_sessions SET eventCount = eventCount + $1 WHERE id = $2", [inserted, sessionId]);
+      await client.query("COMMIT");
+      return inserted;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listKeystrokeEvents(sessionId) {
+    const { rows } = await this.pool.query("SELECT * FROM keystroke_events WHERE sessionId = $1 ORDER BY seq ASC", [sessionId]);
+    return rows;
+  }
+
+  async listGameSessionsForUser(userId, limit = 20) {
+    const { rows } = await this.pool.query(
+      "SELECT id, userId, mode, level, contentMode, language, eventCount, startedAt, endedAt FROM game_sessions WHERE userId = $1 ORDER BY startedAt DESC LIMIT $2",
+      [userId, limit]
     );
+    return rows;
   }
 
   async listPacks() {
@@ -556,7 +848,7 @@ class PostgresAdapter {
 
   async getAuthSessionByTokenHash(tokenHash) {
     const { rows } = await this.pool.query(
-      `SELECT s.*, u.* FROM auth_sessions s
+      `SELECT s.*, u.*, s.createdAt AS sessionCreatedAt FROM auth_sessions s
        JOIN users u ON u.id = s.userId
        WHERE s.tokenHash = $1 AND s.revokedAt IS NULL
        LIMIT 1`,
@@ -758,11 +1050,22 @@ class PostgresAdapter {
       await client.query("DELETE FROM vocabulary_entries WHERE pack_id = $1", [packId]);
       for (const row of entries) {
         await client.query(
-          `INSERT INTO vocabulary_entries (id, pack_id, text, order_index, difficulty_score, tags, created_at)
-           VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-          [row.id, packId, row.text, row.order_index, row.difficulty_score ?? null, row.tags ? JSON.stringify(row.tags) : null, row.created_at]
+          `INSERT INTO vocabulary_entries (id, pack_id, text, order_index, difficulty_score, tags, created_at, safety_flag)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+          [row.id, packId, row.text, row.order_index, row.difficulty_score ?? null, row.tags ? JSON.stringify(row.tags) : null, row.created_at, row.safety_flag ?? null]
         );
       }
+      // WHY: clips and pictures are keyed by entry id, so they survive edits but not removal of their entry.
+      await client.query(
+        `DELETE FROM vocabulary_entry_audio
+         WHERE pack_id = $1 AND entry_id NOT IN (SELECT id FROM vocabulary_entries WHERE pack_id = $1)`,
+        [packId]
+      );
+      await client.query(
+        `DELETE FROM vocabulary_entry_images
+         WHERE pack_id = $1 AND entry_id NOT IN (SELECT id FROM vocabulary_entries WHERE pack_id = $1)`,
+        [packId]
+      );
       await client.query("UPDATE vocabulary_packs SET updated_at = $1 WHERE id = $2", [nowIso(), packId]);
       await client.query("COMMIT");
     } catch (err) {
@@ -778,6 +1081,179 @@ class PostgresAdapter {
     return rows.map((row) => ({ ...row, tags: row.tags ? JSON.parse(row.tags) : null }));
   }
 
+  /** Every entry with its pack's language, for rescreening after the safety lists change. */
+  async listVocabularyEntriesForScreening() {
+    const { rows } = await this.pool.query(
+      `SELECT e.id, e.pack_id, e.text, e.safety_flag, p.language
+       FROM vocabulary_entries e
+       JOIN vocabulary_packs p ON p.id = e.pack_id`
+    );
+    return rows;
+  }
+
+  async listFlaggedVocabularyEntries({ limit = 200 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT e.id, e.pack_id, e.text, e.safety_flag, p.name AS pack_name, p.language, p.level, p.status AS pack_status
+       FROM vocabulary_entries e
+       JOIN vocabulary_packs p ON p.id = e.pack_id
+       WHERE e.safety_flag IS NOT NULL
+       ORDER BY p.updated_at DESC, e.order_index ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  }
+
+  async setVocabularyEntrySafetyFlags(updates = []) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const update of updates) {
+        await client.query("UPDATE vocabulary_entries SET safety_flag = $1 WHERE id = $2", [update.safety_flag ?? null, update.id]);
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listVocabularyEntryAudio(packId) {
+    const { rows } = await this.pool.query(
+      "SELECT entry_id, pack_id, mime_type, byte_size, created_at FROM vocabulary_entry_audio WHERE pack_id = $1",
+      [packId]
+    );
+    return rows;
+  }
+
+  async getVocabularyEntryAudio(entryId) {
+    const { rows } = await this.pool.query("SELECT * FROM vocabulary_entry_audio WHERE entry_id = $1", [entryId]);
+    return rows[0] || null;
+  }
+
+  async upsertVocabularyEntryAudio(row) {
+    await this.pool.query(
+      `INSERT INTO vocabulary_entry_audio (entry_id, pack_id, mime_type, byte_size, data, uploaded_by, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       ON CONFLICT (entry_id) DO UPDATE SET
+         pack_id = EXCLUDED.pack_id,
+         mime_type = EXCLUDED.mime_type,
+         byte_size = EXCLUDED.byte_size,
+         data = EXCLUDED.data,
+         uploaded_by = EXCLUDED.uploaded_by,
+         created_at = EXCLUDED.created_at`,
+      [row.entry_id, row.pack_id, row.mime_type, row.data.length, row.data, row.uploaded_by ?? null, row.created_at]
+    );
+  }
+
+  async deleteVocabularyEntryAudio(entryId) {
+    await this.pool.query("DELETE FROM vocabulary_entry_audio WHERE entry_id = $1", [entryId]);
+  }
+
+  async listVocabularyEntryImages(packId) {
+    const { rows } = await this.pool.query(
+      "SELECT entry_id, pack_id, mime_type, byte_size, created_at FROM vocabulary_entry_images WHERE pack_id = $1",
+      [packId]
+    );
+    return rows;
+  }
+
+  async getVocabularyEntryImage(entryId) {
+    const { rows } = await this.pool.query("SELECT * FROM vocabulary_entry_images WHERE entry_id = $1", [entryId]);
+    return rows[0] || null;
+  }
+
+  async upsertVocabularyEntryImage(row) {
+    await this.pool.query(
+      `INSERT INTO vocabulary_entry_images (entry_id, pack_id, mime_type, byte_size, data, uploaded_by, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       ON CONFLICT (entry_id) DO UPDATE SET
+         pack_id = EXCLUDED.pack_id,
+         mime_type = EXCLUDED.mime_type,
+         byte_size = EXCLUDED.byte_size,
+         data = EXCLUDED.data,
+         uploaded_by = EXCLUDED.uploaded_by,
+         created_at = EXCLUDED.created_at`,
+      [row.entry_id, row.pack_id, row.mime_type, row.data.length, row.data, row.uploaded_by ?? null, row.created_at]
+    );
+  }
+
+  async deleteVocabularyEntryImage(entryId) {
+    await this.pool.query("DELETE FROM vocabulary_entry_images WHERE entry_id = $1", [entryId]);
+  }
+
+  async getVocabularyEntriesByIds(ids = []) {
+    if (!ids.length) return [];
+    const { rows } = await this.pool.query("SELECT id, pack_id, text FROM vocabulary_entries WHERE id = ANY($1::text[])", [ids]);
+    return rows;
+  }
+
+  async listVocabularyReviewStates(userId, entryIds = []) {
+    if (!entryIds.length) return [];
+    const { rows } = await this.pool.query(
+      "SELECT * FROM vocabulary_review_state WHERE user_id = $1 AND entry_id = ANY($2::text[])",
+      [userId, entryIds]
+    );
+    return rows;
+  }
+
+  async listDueVocabularyReviews(userId, { packIds = [], dueBefore, limit = 1000 } = {}) {
+    if (!packIds.length) return [];
+    const { rows } = await this.pool.query(
+      `SELECT r.entry_id, r.pack_id, r.due_at, r.lapses
+       FROM vocabulary_review_state r
+       JOIN vocabulary_entries e ON e.id = r.entry_id AND e.pack_id = r.pack_id
+       WHERE r.user_id = $1 AND r.due_at <= $2 AND r.pack_id = ANY($3::text[])
+       ORDER BY r.due_at ASC, r.lapses DESC
+       LIMIT $4`,
+      [userId, dueBefore, packIds, limit]
+    );
+    return rows;
+  }
+
+  async upsertVocabularyReviewStates(userId, rows = []) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO vocabulary_review_state
+           (user_id, entry_id, pack_id, ease_factor, interval_days, repetitions, lapses, last_quality, due_at, last_reviewed_at)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+           ON CONFLICT(user_id, entry_id) DO UPDATE SET
+             pack_id = EXCLUDED.pack_id,
+             ease_factor = EXCLUDED.ease_factor,
+             interval_days = EXCLUDED.interval_days,
+             repetitions = EXCLUDED.repetitions,
+             lapses = EXCLUDED.lapses,
+             last_quality = EXCLUDED.last_quality,
+             due_at = EXCLUDED.due_at,
+             last_reviewed_at = EXCLUDED.last_reviewed_at`,
+          [
+            userId,
+            row.entry_id,
+            row.pack_id,
+            row.ease_factor,
+            row.interval_days,
+            row.repetitions,
+            row.lapses,
+            row.last_quality ?? null,
+            row.due_at,
+            row.last_reviewed_at || null
+          ]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
   async createVocabularyVersion(versionRow) {
     await this.pool.query(
       `INSERT INTO vocabulary_pack_versions (id, pack_id, version, snapshot_json, change_note, created_by, created_at)
@@ -799,17 +1275,49 @@ class PostgresAdapter {
     return rows.map((row) => ({ ...row, snapshot_json: row.snapshot_json ? JSON.parse(row.snapshot_json) : null }));
   }
 
-  async upsertActiveSession({ sessionId, userId, mode, isAuthorized }) {
+  async setVocabularyPackReview(id, { review_status, review_version, review_requested_by }) {
+    await this.pool.query(
+      "UPDATE vocabulary_packs SET review_status = $1, review_version = $2, review_requested_by = $3 WHERE id = $4",
+      [review_status ?? null, review_version ?? null, review_requested_by ?? null, id]
+    );
+  }
+
+  async addVocabularyPackReview(row) {
+    await this.pool.query(
+      `INSERT INTO vocabulary_pack_reviews (id, pack_id, pack_version, action, comment, actor_id, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [row.id, row.pack_id, row.pack_version, row.action, row.comment || null, row.actor_id || null, row.created_at]
+    );
+  }
+
+  async listVocabularyPackReviews(packId) {
+    const { rows } = await this.pool.query("SELECT * FROM vocabulary_pack_reviews WHERE pack_id = $1 ORDER BY created_at DESC", [packId]);
+    return rows;
+  }
+
+  async listVocabularyPacksAwaitingReview() {
+    const { rows } = await this.pool.query(`
+      SELECT p.*, (SELECT COUNT(*) FROM vocabulary_entries e WHERE e.pack_id = p.id)::int AS entry_count
+      FROM vocabulary_packs p
+      WHERE p.review_status = 'pending'
+      ORDER BY p.updated_at ASC
+    `);
+    return rows;
+  }
+
+  async upsertActiveSession({ sessionId, userId, profileId = null, mode, level = null, isAuthorized }) {
     const now = nowIso();
     await this.pool.query(
-      `INSERT INTO active_sessions (sessionId, userId, startedAt, lastSeenAt, mode, isAuthorized)
-       VALUES ($1,$2,$3,$3,$4,$5)
+      `INSERT INTO active_sessions (sessionId, userId, profileId, startedAt, lastSeenAt, mode, level, isAuthorized)
+       VALUES ($1,$2,$3,$4,$4,$5,$6,$7)
        ON CONFLICT(sessionId) DO UPDATE SET
        userId = EXCLUDED.userId,
+       profileId = EXCLUDED.profileId,
        lastSeenAt = EXCLUDED.lastSeenAt,
        mode = EXCLUDED.mode,
+       level = EXCLUDED.level,
        isAuthorized = EXCLUDED.isAuthorized`,
-      [sessionId, userId || null, now, mode, isAuthorized ? 1 : 0]
+      [sessionId, userId || null, profileId, now, mode, level, isAuthorized ? 1 : 0]
     );
   }
 
@@ -818,8 +1326,9 @@ class PostgresAdapter {
     await this.pool.query("DELETE FROM active_sessions WHERE lastSeenAt < $1", [threshold]);
   }
 
-  async getActiveSessionStats(maxAgeSeconds = 120) {
+  async getActiveSessionStats(maxAgeSeconds = 120, { classroomId = null } = {}) {
     const threshold = new Date(Date.now() - maxAgeSeconds * 1000).toISOString();
+    if (classroomId) return this.getClassroomSessionStats(classroomId, threshold);
     const totals = await this.pool.query(
       `SELECT COUNT(*)::int as total,
               COALESCE(SUM(CASE WHEN isAuthorized = 1 THEN 1 ELSE 0 END),0)::int as authorized,
@@ -834,6 +1343,499 @@ class PostgresAdapter {
     return { ...totals.rows[0], modes: modes.rows };
   }
 
+  async getClassroomSessionStats(classroomId, threshold) {
+    // Each member's most recent session inside the window; members without one are offline.
+    const { rows: students } = await this.pool.query(
+      `SELECT m.userId, m.profileId, m.displayName, s.mode, s.level, s.lastSeenAt
+       FROM classroom_members m
+       LEFT JOIN LATERAL (
+         SELECT mode, level, lastSeenAt FROM active_sessions
+         WHERE userId = m.userId AND COALESCE(profileId, 0) = m.profileId AND lastSeenAt >= $1
+         ORDER BY lastSeenAt DESC
+         LIMIT 1
+       ) s ON TRUE
+       WHERE m.classroomId = $2
+       ORDER BY m.displayName ASC`,
+      [threshold, classroomId]
+    );
+    const online = students.filter((student) => student.lastseenat);
+    const modes = new Map();
+    for (const student of online) modes.set(student.mode, (modes.get(student.mode) || 0) + 1);
+    return {
+      total: online.length,
+      authorized: online.length,
+      guests: 0,
+      modes: Array.from(modes, ([mode, count]) => ({ mode, count })).sort((a, b) => b.count - a.count),
+      students
+    };
+  }
+
+  async createClassroom({ id, teacherUserId, name, joinCode, createdAt }) {
+    await this.pool.query(
+      `INSERT INTO classrooms (id, teacherUserId, name, joinCode, createdAt, updatedAt)
+       VALUES ($1,$2,$3,$4,$5,$5)`,
+      [id, teacherUserId, name, joinCode, createdAt]
+    );
+    return this.getClassroom(id);
+  }
+
+  async getClassroom(id) {
+    const { rows } = await this.pool.query("SELECT * FROM classrooms WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async getClassroomByJoinCode(joinCode) {
+    const { rows } = await this.pool.query("SELECT * FROM classrooms WHERE joinCode = $1 LIMIT 1", [joinCode]);
+    return rows[0] || null;
+  }
+
+  async listClassrooms({ teacherUserId = null } = {}) {
+    const where = teacherUserId === null ? "" : "WHERE c.teacherUserId = $1";
+    const { rows } = await this.pool.query(
+      `SELECT c.*, (SELECT COUNT(*)::int FROM classroom_members m WHERE m.classroomId = c.id) AS memberCount
+       FROM classrooms c
+       ${where}
+       ORDER BY c.createdAt DESC`,
+      teacherUserId === null ? [] : [teacherUserId]
+    );
+    return rows;
+  }
+
+  async updateClassroomAssignment(id, { assignedPackId, assignedLevel, assignedAt }) {
+    await this.pool.query(
+      "UPDATE classrooms SET assignedPackId = $1, assignedLevel = $2, assignedAt = $3, updatedAt = $3 WHERE id = $4",
+      [assignedPackId, assignedLevel, assignedAt, id]
+    );
+    return this.getClassroom(id);
+  }
+
+  async deleteClassroom(id) {
+    await this.pool.query("DELETE FROM classrooms WHERE id = $1", [id]);
+  }
+
+  async upsertClassroomMember({ classroomId, userId, profileId = 0, displayName, joinedAt }) {
+    await this.pool.query(
+      `INSERT INTO classroom_members (userId, profileId, classroomId, displayName, joinedAt)
+       VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT(userId, profileId) DO UPDATE SET
+         classroomId = EXCLUDED.classroomId,
+         displayName = EXCLUDED.displayName,
+         joinedAt = CASE WHEN classroom_members.classroomId = EXCLUDED.classroomId THEN classroom_members.joinedAt ELSE EXCLUDED.joinedAt END`,
+      [userId, profileId, classroomId, displayName, joinedAt]
+    );
+  }
+
+  async getClassroomMembership(userId, profileId = 0) {
+    const { rows } = await this.pool.query(
+      `SELECT m.joinedAt, c.*
+       FROM classroom_members m
+       JOIN classrooms c ON c.id = m.classroomId
+       WHERE m.userId = $1 AND m.profileId = $2
+       LIMIT 1`,
+      [userId, profileId]
+    );
+    return rows[0] || null;
+  }
+
+  async removeClassroomMember(userId, profileId = 0, classroomId = null) {
+    if (classroomId) {
+      await this.pool.query(
+        "DELETE FROM classroom_members WHERE userId = $1 AND profileId = $2 AND classroomId = $3",
+        [userId, profileId, classroomId]
+      );
+      return;
+    }
+    await this.pool.query("DELETE FROM classroom_members WHERE userId = $1 AND profileId = $2", [userId, profileId]);
+  }
+
+  async aggregateClassroomResults(classroomId, { since } = {}) {
+    // Only sessions played after joining count toward the class.
+    const { rows } = await this.pool.query(
+      `SELECT m.userId, m.profileId, m.displayName, m.joinedAt,
+              COUNT(r.id)::int AS sessions,
+              COALESCE(SUM(r.correct), 0)::int AS correct,
+              COALESCE(SUM(r.incorrect), 0)::int AS incorrect,
+              ROUND(AVG(r.cpm))::int AS avgCpm,
+              COALESCE(SUM(r.durationMs), 0)::bigint AS durationMs,
+              MAX(r.level) AS maxLevel,
+              MAX(r.endedAt) AS lastSessionAt
+       FROM classroom_members m
+       LEFT JOIN session_results r
+         ON r.userId = m.userId AND r.profileId = m.profileId AND r.endedAt >= m.joinedAt AND r.endedAt >= $1
+       WHERE m.classroomId = $2
+       GROUP BY m.userId, m.profileId, m.displayName, m.joinedAt
+       ORDER BY m.displayName ASC`,
+      [since, classroomId]
+    );
+    return rows;
+  }
+
+  async createChallenge(row) {
+    await this.pool.query(
+      `INSERT INTO challenges
+       (id, title, description, startsAt, endsAt, packId, level, language, contestType, duration, taskTarget, createdBy, createdAt, updatedAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$13)`,
+      [row.id, row.title, row.description, row.startsAt, row.endsAt, row.packId, row.level, row.language, row.contestType, row.duration, row.taskTarget, row.createdBy, row.createdAt]
+    );
+    return this.getChallenge(row.id);
+  }
+
+  async getChallenge(id) {
+    const { rows } = await this.pool.query("SELECT * FROM challenges WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async listChallenges({ endsAfter = null } = {}) {
+    if (endsAfter) {
+      const { rows } = await this.pool.query("SELECT * FROM challenges WHERE endsAt >= $1 ORDER BY startsAt ASC", [endsAfter]);
+      return rows;
+    }
+    const { rows } = await this.pool.query("SELECT * FROM challenges ORDER BY startsAt DESC");
+    return rows;
+  }
+
+  async updateChallenge(id, row) {
+    await this.pool.query(
+      `UPDATE challenges SET
+         title = $1, description = $2, startsAt = $3, endsAt = $4, packId = $5,
+         level = $6, language = $7, contestType = $8, duration = $9, taskTarget = $10,
+         updatedAt = $11
+       WHERE id = $12`,
+      [row.title, row.description, row.startsAt, row.endsAt, row.packId, row.level, row.language, row.contestType, row.duration, row.taskTarget, row.updatedAt, id]
+    );
+    return this.getChallenge(id);
+  }
+
+  async deleteChallenge(id) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("DELETE FROM leaderboard WHERE challengeId = $1", [id]);
+      await client.query("DELETE FROM challenges WHERE id = $1", [id]);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listChallengesToClose(now) {
+    const { rows } = await this.pool.query("SELECT * FROM challenges WHERE closedAt IS NULL AND endsAt <= $1", [now]);
+    return rows;
+  }
+
+  /** Freezes the podium once; returns false when another caller already closed the event. */
+  async closeChallenge(id, { winnersJson, closedAt }) {
+    const result = await this.pool.query(
+      "UPDATE challenges SET winnersJson = $1, closedAt = $2 WHERE id = $3 AND closedAt IS NULL",
+      [winnersJson, closedAt, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  async createContestRun({ token, userId, profileId = 0, level, language, answers, difficulties = [], issuedAt }) {
+    await this.pool.query(
+      `INSERT INTO contest_runs (token, userId, profileId, level, language, answersJson, difficultiesJson, issuedAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [token, userId, profileId, level, language, JSON.stringify(answers), JSON.stringify(difficulties), issuedAt]
+    );
+  }
+
+  async getContestRun(token) {
+    const { rows } = await this.pool.query("SELECT * FROM contest_runs WHERE token = $1 LIMIT 1", [token]);
+    return rows[0] || null;
+  }
+
+  async appendContestRunAnswers(token, answers, difficulties = []) {
+    // WHY: appended in SQL so two batch requests racing each other cannot drop answers.
+    // A run issued before difficulties were kept stays NULL there rather than misaligned.
+    await this.pool.query(
+      `UPDATE contest_runs
+       SET answersJson = ((answersJson::jsonb) || ($1::jsonb))::text,
+           difficultiesJson = ((difficultiesJson::jsonb) || ($2::jsonb))::text
+       WHERE token = $3 AND submittedAt IS NULL`,
+      [JSON.stringify(answers), JSON.stringify(difficulties), token]
+    );
+  }
+
+  async cleanupContestRuns(issuedBefore) {
+    await this.pool.query("DELETE FROM contest_runs WHERE issuedAt < $1", [issuedBefore]);
+  }
+
+  async getPersonalBest({ userId, profileId = 0, level, contestType, duration, taskTarget, contentMode, language, ruleSetId = "" }) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM personal_bests
+       WHERE userId = $1 AND profileId = $2 AND level = $3 AND contestType = $4 AND duration = $5 AND taskTarget = $6 AND contentMode = $7 AND language = $8 AND ruleSetId = $9
+       LIMIT 1`,
+      [userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId]
+    );
+    return rows[0] || null;
+  }
+
+  async recordPersonalBest({ userId, profileId = 0, level, contestType, duration, taskTarget, contentMode, language, ruleSetId = "", score, accuracy, cpm, playedAt }) {
+    await this.pool.query(
+      `INSERT INTO personal_bests
+       (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId,
+        bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,1,$11,$12,$13)
+       ON CONFLICT(userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId) DO UPDATE SET
+         bestScoreAt = CASE WHEN EXCLUDED.bestScore > personal_bests.bestScore THEN EXCLUDED.bestScoreAt ELSE personal_bests.bestScoreAt END,
+         bestScore = GREATEST(personal_bests.bestScore, EXCLUDED.bestScore),
+         bestAccuracy = GREATEST(personal_bests.bestAccuracy, EXCLUDED.bestAccuracy),
+         bestCpm = GREATEST(personal_bests.bestCpm, EXCLUDED.bestCpm),
+         runs = personal_bests.runs + 1,
+         lastAccuracy = EXCLUDED.lastAccuracy,
+         lastCpm = EXCLUDED.lastCpm,
+         lastPlayedAt = EXCLUDED.lastPlayedAt`,
+      [userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId, score, accuracy, cpm, playedAt]
+    );
+  }
+
+  async listPersonalBests(userId, profileId = 0) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM personal_bests WHERE userId = $1 AND profileId = $2
+       ORDER BY ruleSetId ASC, contestType ASC, level ASC, duration ASC, taskTarget ASC, contentMode ASC, language ASC`,
+      [userId, profileId]
+    );
+    return rows;
+  }
+
+  async listPlayerAchievements(userId, profileId = 0) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM player_achievements WHERE userId = $1 AND profileId = $2 ORDER BY unlockedAt ASC",
+      [userId, profileId]
+    );
+    return rows;
+  }
+
+  /** Stores unlocks; returns the ids that were new, so a racing request cannot celebrate twice. */
+  async unlockPlayerAchievements({ userId, profileId = 0, ids, unlockedAt }) {
+    const stored = [];
+    for (const id of ids) {
+      const result = await this.pool.query(
+        `INSERT INTO player_achievements (userId, profileId, achievementId, unlockedAt) VALUES ($1,$2,$3,$4)
+         ON CONFLICT DO NOTHING`,
+        [userId, profileId, id, unlockedAt]
+      );
+      if (result.rowCount > 0) stored.push(id);
+    }
+    return stored;
+  }
+
+  /** Fills configurations that have no row yet; returns how many were added. */
+  async importPersonalBests({ userId, profileId = 0, entries, importedAt }) {
+    let imported = 0;
+    for (const entry of entries) {
+      const result = await this.pool.query(
+        `INSERT INTO personal_bests
+         (userId, profileId, level, contestType, duration, taskTarget, contentMode, language,
+          bestAccuracy, bestCpm, runs, lastAccuracy, lastCpm, lastPlayedAt)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,1,$9,$10,$11)
+         ON CONFLICT DO NOTHING`,
+        [userId, profileId, entry.level, entry.contestType, entry.duration, entry.taskTarget, entry.contentMode, entry.language,
+          entry.accuracy, entry.cpm, importedAt]
+      );
+      imported += result.rowCount;
+    }
+    return imported;
+  }
+
+  async getLeaderboardEntry(id) {
+    const { rows } = await this.pool.query("SELECT * FROM leaderboard WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async hideLeaderboardEntry(id, { hiddenAt, hiddenBy }) {
+    await this.pool.query("UPDATE leaderboard SET hiddenAt = $1, hiddenBy = $2 WHERE id = $3", [hiddenAt, hiddenBy, id]);
+  }
+
+  /** Puts an entry back on the boards, clearing both a manual hide and an automatic hold. */
+  async restoreLeaderboardEntry(id) {
+    await this.pool.query("UPDATE leaderboard SET hiddenAt = NULL, hiddenBy = NULL, flagReason = NULL WHERE id = $1", [id]);
+  }
+
+  async listHiddenLeaderboardEntries({ limit = 100 } = {}) {
+    const { rows } = await this.pool.query("SELECT * FROM leaderboard WHERE hiddenAt IS NOT NULL ORDER BY hiddenAt DESC LIMIT $1", [limit]);
+    return rows;
+  }
+
+  /** Rewrites the name on every board entry of one identity; a null profile means the account itself. */
+  async renameLeaderboardIdentity({ userId, profileId = null, displayName }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (profileId) {
+        await client.query(
+          "UPDATE leaderboard SET playerName = $1, displayName = $1 WHERE userId = $2 AND profileId = $3",
+          [displayName, userId, profileId]
+        );
+      } else {
+        await client.query(
+          "UPDATE leaderboard SET playerName = $1, displayName = $1 WHERE userId = $2 AND profileId IS NULL",
+          [displayName, userId]
+        );
+      }
+      await client.query(
+        "UPDATE classroom_members SET displayName = $1 WHERE userId = $2 AND profileId = $3",
+        [displayName, userId, profileId || 0]
+      );
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async forceUserDisplayName(id, { displayName, lockedAt }) {
+    await this.pool.query(
+      "UPDATE users SET displayName = $1, displayNameLockedAt = $2, updatedAt = $2 WHERE id = $3",
+      [displayName, lockedAt, id]
+    );
+    return this.findUserById(id);
+  }
+
+  /** Opens a review item unless one is already open for the same target. */
+  async createModerationFlag({ targetType, targetId, reason, detail = null, createdAt }) {
+    const result = await this.pool.query(
+      `INSERT INTO moderation_flags (targetType, targetId, reason, detail, createdAt)
+       SELECT $1, $2, $3, $4, $5
+       WHERE NOT EXISTS (
+         SELECT 1 FROM moderation_flags WHERE targetType = $1 AND targetId = $2 AND resolvedAt IS NULL
+       )`,
+      [targetType, String(targetId), reason, detail, createdAt]
+    );
+    return result.rowCount > 0;
+  }
+
+  async getModerationFlag(id) {
+    const { rows } = await this.pool.query("SELECT * FROM moderation_flags WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async listOpenModerationFlags({ limit = 100 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT f.*,
+         l.playerName AS entryName, l.score AS entryScore, l.accuracy AS entryAccuracy, l.cpm AS entryCpm,
+         l.contestType AS entryContestType, l.level AS entryLevel, l.createdAt AS entryCreatedAt,
+         l.userId AS entryUserId, l.profileId AS entryProfileId,
+         u.displayName AS userName, p.displayName AS profileName, p.userId AS profileUserId
+       FROM moderation_flags f
+       LEFT JOIN leaderboard l ON f.targetType = 'leaderboard' AND CAST(l.id AS TEXT) = f.targetId
+       LEFT JOIN users u ON f.targetType = 'user' AND CAST(u.id AS TEXT) = f.targetId
+       LEFT JOIN player_profiles p ON f.targetType = 'profile' AND CAST(p.id AS TEXT) = f.targetId
+       WHERE f.resolvedAt IS NULL
+       ORDER BY f.createdAt DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  }
+
+  async resolveModerationFlags({ targetType, targetId, resolution, resolvedBy, resolvedAt }) {
+    await this.pool.query(
+      `UPDATE moderation_flags SET resolvedAt = $1, resolvedBy = $2, resolution = $3
+       WHERE targetType = $4 AND targetId = $5 AND resolvedAt IS NULL`,
+      [resolvedAt, resolvedBy, resolution, targetType, String(targetId)]
+    );
+  }
+
+  /** Queues a job; with a `dedupeKey`, only while no queued or running job holds that key. */
+  async createGenerationJob(job) {
+    const result = await this.pool.query(
+      `INSERT INTO generation_jobs
+         (id, kind, status, dedupeKey, payloadJson, total, maxAttempts, runAfter, createdBy, requestId, createdAt, updatedAt)
+       SELECT $1, $2, 'queued', $3::text, $4, $5, $6, $7, $8, $9, $10, $10
+       WHERE $3::text IS NULL OR NOT EXISTS (
+         SELECT 1 FROM generation_jobs WHERE dedupeKey = $3::text AND status IN ('queued', 'running')
+       )`,
+      [job.id, job.kind, job.dedupeKey, job.payloadJson, job.total, job.maxAttempts, job.runAfter, job.createdBy, job.requestId, job.createdAt]
+    );
+    return result.rowCount > 0;
+  }
+
+  async getGenerationJob(id) {
+    const { rows } = await this.pool.query("SELECT * FROM generation_jobs WHERE id = $1 LIMIT 1", [id]);
+    return rows[0] || null;
+  }
+
+  async listGenerationJobs({ status = null, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM generation_jobs
+       WHERE $1::text IS NULL OR status = $1::text
+       ORDER BY createdAt DESC
+       LIMIT $2`,
+      [status, limit]
+    );
+    return rows;
+  }
+
+  /** Moves the oldest due job to running and counts the attempt; null when nothing is due. */
+  async claimGenerationJob({ now }) {
+    const { rows } = await this.pool.query(
+      `UPDATE generation_jobs
+       SET status = 'running', attempts = attempts + 1, startedAt = COALESCE(startedAt, $1), updatedAt = $1
+       WHERE id = (
+         SELECT id FROM generation_jobs
+         WHERE status = 'queued' AND runAfter <= $1
+         ORDER BY runAfter ASC, createdAt ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now]
+    );
+    return rows[0] || null;
+  }
+
+  async updateGenerationJobProgress(id, { progress, total, resultJson, updatedAt }) {
+    await this.pool.query(
+      "UPDATE generation_jobs SET progress = $1, total = $2, resultJson = $3, updatedAt = $4 WHERE id = $5",
+      [progress, total, resultJson, updatedAt, id]
+    );
+  }
+
+  /** Records the outcome of an attempt: a final status, or `queued` again for a retry. */
+  async settleGenerationJob(id, { status, resultJson, lastError = null, lastErrorCode = null, runAfter = null, finishedAt = null, updatedAt }) {
+    await this.pool.query(
+      `UPDATE generation_jobs
+       SET status = $1, resultJson = COALESCE($2, resultJson), lastError = $3, lastErrorCode = $4,
+         runAfter = COALESCE($5, runAfter), finishedAt = $6, updatedAt = $7
+       WHERE id = $8`,
+      [status, resultJson ?? null, lastError, lastErrorCode, runAfter, finishedAt, updatedAt, id]
+    );
+  }
+
+  /** Cancels a queued job outright; a running one is flagged and stops at its next checkpoint. */
+  async requestGenerationJobCancel(id, at) {
+    const { rows } = await this.pool.query(
+      `UPDATE generation_jobs
+       SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finishedAt = CASE WHEN status = 'queued' THEN $1 ELSE finishedAt END,
+         cancelRequestedAt = COALESCE(cancelRequestedAt, $1),
+         updatedAt = $1
+       WHERE id = $2 AND status IN ('queued', 'running')
+       RETURNING *`,
+      [at, id]
+    );
+    return rows[0] || this.getGenerationJob(id);
+  }
+
+  async requeueRunningGenerationJobs(at) {
+    const result = await this.pool.query(
+      "UPDATE generation_jobs SET status = 'queued', runAfter = $1, updatedAt = $1 WHERE status = 'running'",
+      [at]
+    );
+    return result.rowCount;
+  }
+
+  async cleanupGenerationJobs(finishedBefore) {
+    await this.pool.query("DELETE FROM generation_jobs WHERE finishedAt IS NOT NULL AND finishedAt < $1", [finishedBefore]);
+  }
+
   async reset(scope) {
     if (scope === "all") {
       await this.pool.query("TRUNCATE TABLE leaderboard, vocab_packs, settings RESTART IDENTITY");
@@ -91,13 +91,24 @@ class SqliteAdapter {
     this.db.prepare("INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value").run(key, value);
   }
 
-  async insertLeaderboard(payload) {
-    this.db.prepare(`
+  /** With `claimRun`, its contest run is marked submitted in the same transaction; resolves to null when it already was. */
+  async insertLeaderboard(payload, { claimRun = null } = {}) {
+    const insert = this.db.prepare(`
       INSERT INTO leaderboard
-      (playerName, createdAt, contestType, level, contentMode, duration, taskTarget, score, accuracy, cpm, mistakes, tasksCompleted, timeSeconds, maxStreak, userId, isGuest, language, displayName, avatarUrl)
+      (playerName, createdAt, contestType, level, contentMode, duration, taskTarget, score, accuracy, cpm, mistakes, tasksCompleted, timeSeconds, maxStreak, userId, isGuest, language, displayName, avatarUrl, profileId, challengeId, flagReason, ruleSetId, scoringVersion)
       VALUES
-      (@playerName, @createdAt, @contestType, @level, @contentMode, @duration, @taskTarget, @score, @accuracy, @cpm, @mistakes, @tasksCompleted, @timeSeconds, @maxStreak, @userId, @isGuest, @language, @displayName, @avatarUrl)
-    `).run(payload);
+      (@playerName, @createdAt, @contestType, @level, @contentMode, @duration, @taskTarget, @score, @accuracy, @cpm, @mistakes, @tasksCompleted, @timeSeconds, @maxStreak, @userId, @isGuest, @language, @displayName, @avatarUrl, @profileId, @challengeId, @flagReason, @ruleSetId, @scoringVersion)
+    `);
+    const tx = this.db.transaction(() => {
+      if (claimRun) {
+        const claimed = this.db.prepare("UPDATE contest_runs SET submittedAt = ? WHERE token = ? AND submittedAt IS NULL")
+          .run(claimRun.submittedAt, claimRun.token);
+        if (!claimed.changes) return null;
+      }
+      const result = insert.run({ profileId: null, challengeId: null, flagReason: null, ruleSetId: "", scoringVersion: null, ...payload });
+      return Number(result.lastInsertRowid);
+    });
+    return tx();
   }
 
   async queryLeaderboard(filters) {
@@ -107,9 +118,11 @@ class SqliteAdapter {
     if (filters.level) { where += " AND level = ?"; params.push(Number(filters.level)); }
     if (filters.contentMode) { where += " AND contentMode = ?"; params.push(filters.contentMode); }
     if (filters.duration && filters.contestType === "time") { where += " AND duration = ?"; params.push(Number(filters.duration)); }
-    if (filters.taskTarget && filters.contestType === "tasks") { where += " AND taskTarget = ?"; params.push(Number(filters.taskTarget)); }
+    if (filters.taskTarget && filters.contestType !== "time") { where += " AND taskTarget = ?"; params.push(Number(filters.taskTarget)); }
     if (filters.onlyAuthorized) { where += " AND isGuest = 0"; }
     if (filters.language) { where += " AND language = ?"; params.push(filters.language); }
+    if (filters.challengeId) { where += " AND challengeId = ?"; params.push(filters.challengeId); }
+    where += " AND flagReason IS NULL AND hiddenAt IS NULL";
     return this.db.prepare(`SELECT * FROM leaderboard ${where} ORDER BY score DESC, accuracy DESC LIMIT 20`).all(...params);
   }
 
@@ -120,10 +133,15 @@ class SqliteAdapter {
     if (filters.level) { where += " AND level = ?"; params.push(Number(filters.level)); }
     if (filters.contentMode) { where += " AND contentMode = ?"; params.push(filters.contentMode); }
     if (filters.duration && filters.contestType === "time") { where += " AND duration = ?"; params.push(Number(filters.duration)); }
-    if (filters.taskTarget && filters.contestType === "tasks") { where += " AND taskTarget = ?"; params.push(Number(filters.taskTarget)); }
+    if (filters.taskTarget && filters.contestType !== "time") { where += " AND taskTarget = ?"; params.push(Number(filters.taskTarget)); }
     if (filters.onlyAuthorized) { where += " AND isGuest = 0"; }
     if (filters.language) { where += " AND language = ?"; params.push(filters.language); }
     if (filters.createdAfter) { where += " AND createdAt >= ?"; params.push(filters.createdAfter); }
+    if (filters.ruleSetId !== undefined) { where += " AND ruleSetId = ?"; params.push(filters.ruleSetId); }
+    // Challenge entries live in their own partition and stay off the open boards.
+    if (filters.challengeId) { where += " AND challengeId = ?"; params.push(filters.challengeId); }
+    else { where += " AND challengeId IS NULL"; }
+    where += " AND flagReason IS NULL AND hiddenAt IS NULL";
 
     const sortable = {
       score: "score",
@@ -145,29 +163,82 @@ class SqliteAdapter {
       .all(...params, pageSize, offset);
     return { rows, total, page, pageSize };
   }
-  async getGamePreferences(userId) {
-    return this.db.prepare("SELECT * FROM game_preferences WHERE userId = ? LIMIT 1").get(userId) || null;
+  async getGamePreferences(userId, profileId = 0) {
+    return this.db.prepare("SELECT * FROM game_preferences WHERE userId = ? AND profileId = ? LIMIT 1").get(userId, profileId) || null;
   }
 
-  async upsertGamePreferences({ userId, mode, level, contentType, language, updatedAt }) {
+  async upsertGamePreferences({ userId, profileId = 0, mode, level, contentType, language, updatedAt }) {
     this.db.prepare(`
-      INSERT INTO game_preferences (userId, mode, level, contentType, language, updatedAt)
-      VALUES (?, ?, ?, ?, ?, ?)
-      ON CONFLICT(userId) DO UPDATE SET
+      INSERT INTO game_preferences (userId, profileId, mode, level, contentType, language, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
         mode = excluded.mode,
         level = excluded.level,
         contentType = excluded.contentType,
         language = excluded.language,
         updatedAt = excluded.updatedAt
-    `).run(userId, mode, level, contentType, language, updatedAt);
+    `).run(userId, profileId, mode, level, contentType, language, updatedAt);
+  }
+
+  async setGamePreferencesKeyboardLayout({ userId, profileId = 0, keyboardLayout, updatedAt }) {
+    this.db.prepare(`
+      INSERT INTO game_preferences (userId, profileId, keyboardLayout, updatedAt)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
+        keyboardLayout = excluded.keyboardLayout
+    `).run(userId, profileId, keyboardLayout, updatedAt);
+  }
+
+  async setPlayLimits({ userId, profileId = 0, goalType, goalValue, capMinutes, updatedAt }) {
+    this.db.prepare(`
+      INSERT INTO game_preferences (userId, profileId, dailyGoalType, dailyGoalValue, dailyCapMinutes, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
+        dailyGoalType = excluded.dailyGoalType,
+        dailyGoalValue = excluded.dailyGoalValue,
+        dailyCapMinutes = excluded.dailyCapMinutes
+    `).run(userId, profileId, goalType, goalValue, capMinutes, updatedAt);
+  }
+
+  async getParentPinHash(userId) {
+    return this.db.prepare("SELECT parentPinHash FROM users WHERE id = ?").get(userId)?.parentPinHash || null;
+  }
+
+  async setParentPinHash(userId, { pinHash, updatedAt }) {
+    this.db.prepare("UPDATE users SET parentPinHash = ?, updatedAt = ? WHERE id = ?").run(pinHash, updatedAt, userId);
   }
 
-  async getPlayerStats(userId) {
-    return this.db.prepare("SELECT * FROM player_stats WHERE userId = ? LIMIT 1").get(userId) || null;
+  async getPlayDay(userId, profileId, day) {
+    return this.db.prepare("SELECT * FROM play_days WHERE userId = ? AND profileId = ? AND day = ? LIMIT 1").get(userId, profileId, day) || null;
+  }
+
+  async recordPlayBeat({ userId, profileId = 0, day, addMs, beatAt }) {
+    this.db.prepare(`
+      INSERT INTO play_days (userId, profileId, day, playedMs, lastBeatAt) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId, day) DO UPDATE SET
+        playedMs = play_days.playedMs + excluded.playedMs,
+        lastBeatAt = excluded.lastBeatAt
+    `).run(userId, profileId, day, addMs, beatAt);
+  }
+
+  async addPlayDayLetters({ userId, profileId = 0, day, letters }) {
+    this.db.prepare(`
+      INSERT INTO play_days (userId, profileId, day, letters) VALUES (?, ?, ?, ?)
+      ON CONFLICT(userId, profileId, day) DO UPDATE SET letters = play_days.letters + excluded.letters
+    `).run(userId, profileId, day, letters);
+  }
+
+  async cleanupPlayDays(beforeDay) {
+    this.db.prepare("DELETE FROM play_days WHERE day < ?").run(beforeDay);
+  }
+
+  async getPlayerStats(userId, profileId = 0) {
+    return this.db.prepare("SELECT * FROM player_stats WHERE userId = ? AND profileId = ? LIMIT 1").get(userId, profileId) || null;
   }
 
   async upsertPlayerStats({
     userId,
+    profileId = 0,
     totalLettersTyped,
     totalCorrect,
     totalIncorrect,
@@ -179,9 +250,9 @@ class SqliteAdapter {
   }) {
     this.db.prepare(`
       INSERT INTO player_stats
-      (userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(userId) DO UPDATE SET
+      (userId, profileId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
         totalLettersTyped = excluded.totalLettersTyped,
         totalCorrect = excluded.totalCorrect,
         totalIncorrect = excluded.totalIncorrect,
@@ -190,7 +261,156 @@ class SqliteAdapter {
         totalPlayTimeMs = excluded.totalPlayTimeMs,
         streakDays = excluded.streakDays,
         lastSessionAt = excluded.lastSessionAt
-    `).run(userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt || null);
+    `).run(userId, profileId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt || null);
+  }
+
+  async listPlayerProfiles(userId) {
+    return this.db.prepare("SELECT * FROM player_profiles WHERE userId = ? ORDER BY id ASC").all(userId);
+  }
+
+  async getPlayerProfile(id) {
+    return this.db.prepare("SELECT * FROM player_profiles WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async createPlayerProfile({ userId, displayName, avatar, agePreset, createdAt }) {
+    const result = this.db.prepare(`
+      INSERT INTO player_profiles (userId, displayName, avatar, agePreset, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, displayName, avatar, agePreset, createdAt, createdAt);
+    return this.getPlayerProfile(result.lastInsertRowid);
+  }
+
+  async updatePlayerProfile(id, { displayName, avatar, agePreset, updatedAt }) {
+    this.db.prepare("UPDATE player_profiles SET displayName = ?, avatar = ?, agePreset = ?, updatedAt = ? WHERE id = ?")
+      .run(displayName, avatar, agePreset, updatedAt, id);
+    return this.getPlayerProfile(id);
+  }
+
+  async deletePlayerProfile(id) {
+    const tx = this.db.transaction(() => {
+      const profile = this.db.prepare("SELECT userId FROM player_profiles WHERE id = ?").get(id);
+      if (!profile) return;
+      this.db.prepare("DELETE FROM game_preferences WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM player_stats WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM player_key_stats WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM session_results WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM personal_bests WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM player_achievements WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM play_days WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM classroom_members WHERE userId = ? AND profileId = ?").run(profile.userId, id);
+      this.db.prepare("DELETE FROM player_profiles WHERE id = ?").run(id);
+    });
+    tx();
+  }
+
+  async listPlayerKeyStats(userId, language, profileId = 0) {
+    if (!language) {
+      return this.db
+        .prepare("SELECT * FROM player_key_stats WHERE userId = ? AND profileId = ? ORDER BY language ASC, keyChar ASC")
+        .all(userId, profileId);
+    }
+    return this.db
+      .prepare("SELECT * FROM player_key_stats WHERE userId = ? AND profileId = ? AND language = ? ORDER BY keyChar ASC")
+      .all(userId, profileId, language);
+  }
+
+  async addPlayerKeyStats(userId, language, entries = [], { profileId = 0, updatedAt = new Date().toISOString() } = {}) {
+    const stmt = this.db.prepare(`
+      INSERT INTO player_key_stats (userId, profileId, language, keyChar, hits, misses, totalLatencyMs, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId, language, keyChar) DO UPDATE SET
+        hits = player_key_stats.hits + excluded.hits,
+        misses = player_key_stats.misses + excluded.misses,
+        totalLatencyMs = player_key_stats.totalLatencyMs + excluded.totalLatencyMs,
+        updatedAt = excluded.updatedAt
+    `);
+    const tx = this.db.transaction(() => {
+      for (const entry of entries) {
+        stmt.run(userId, profileId, language, entry.keyChar, entry.hits, entry.misses, entry.latencyMs, updatedAt);
+      }
+    });
+    tx();
+  }
+
+  async insertSessionResult({ userId, profileId = 0, mode, level, language, correct, incorrect, cpm, durationMs, endedAt }) {
+    this.db.prepare(`
+      INSERT INTO session_results (userId, profileId, mode, level, language, correct, incorrect, cpm, durationMs, endedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, profileId, mode, level, language, correct, incorrect, cpm, durationMs, endedAt);
+  }
+
+  async aggregateSessionResults(userId, { profileId = 0, since, bucket = "day" } = {}) {
+    // Weeks start on Monday: step back six days, then forward to the next Monday.
+    const bucketExpr = bucket === "week" ? "date(endedAt, '-6 days', 'weekday 1')" : "substr(endedAt, 1, 10)";
+    return this.db.prepare(`
+      SELECT ${bucketExpr} AS bucket,
+             COUNT(*) AS sessions,
+             SUM(correct) AS correct,
+             SUM(incorrect) AS incorrect,
+             ROUND(AVG(cpm)) AS avgCpm,
+             SUM(durationMs) AS durationMs
+      FROM session_results
+      WHERE userId = ? AND profileId = ? AND endedAt >= ?
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `).all(userId, profileId, since);
+  }
+
+  async aggregateSessionResultsByLevel(userId, { profileId = 0, since } = {}) {
+    return this.db.prepare(`
+      SELECT level,
+             COUNT(*) AS sessions,
+             SUM(correct) AS correct,
+             SUM(incorrect) AS incorrect,
+             ROUND(AVG(cpm)) AS avgCpm,
+             SUM(durationMs) AS durationMs
+      FROM session_results
+      WHERE userId = ? AND profileId = ? AND endedAt >= ?
+      GROUP BY level
+      ORDER BY level ASC
+    `).all(userId, profileId, since);
+  }
+
+  async getGameSession(id) {
+    return this.db.prepare("SELECT * FROM game_sessions WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async upsertGameSession({ id, userId, mode, level, contentMode, language, tasksJson, startedAt, endedAt, updatedAt }) {
+    this.db.prepare(`
+      INSERT INTO game_sessions (id, userId, mode, level, contentMode, language, tasksJson, eventCount, startedAt, endedAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        tasksJson = excluded.tasksJson,
+        endedAt = COALESCE(excluded.endedAt, game_sessions.endedAt),
+        updatedAt = excluded.updatedAt
+    `).run(id, userId, mode, level, contentMode, language, tasksJson, startedAt, endedAt || null, updatedAt);
+  }
+
+  async appendKeystrokeEvents(sessionId, events = []) {
+    const insert = this.db.prepare(`
+      INSERT INTO keystroke_events (sessionId, seq, taskIndex, caretIndex, offsetMs, keyValue, expected, result)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(sessionId, seq) DO NOTHING
+    `);
+    const tx = this.db.transaction(() => {
+      let inserted = 0;
+      for (const event of events) {
+        inserted += insert.run(sessionId, event.seq, event.taskIndex, event.caretIndex, event.offsetMs, event.key, event.expected || null, event.result).changes;
+      }
+      this.db.prepare("UPDATE game_sessions SET eventCount = eventCount + ? WHERE id = ?").run(inserted, sessionId);
+      return inserted;
+    });
+    return tx();
+  }
+
+  async listKeystrokeEvents(sessionId) {
+    return this.db.prepare("SELECT * FROM keystroke_events WHERE sessionId = ? ORDER BY seq ASC").all(sessionId);
+  }
+
+  async listGameSessionsForUser(userId, limit = 20) {
+    return this.db
+      .prepare("SELECT id, userId, mode, level, contentMode, language, eventCount, startedAt, endedAt FROM game_sessions WHERE userId = ? ORDER BY startedAt DESC LIMIT ?")
+      .all(userId, limit);
   }
 
   async listPacks() {
@@ -489,7 +709,7 @@ class SqliteAdapter {
 
   async getAuthSessionByTokenHash(tokenHash) {
     const row = this.db.prepare(`
-      SELECT s.*, u.id as userIdReal, u.externalSubject, u.email, u.displayName, u.avatarUrl, u.role, u.isActive
+      SELECT s.*, s.createdAt as sessionCreatedAt, u.id as userIdReal, u.externalSubject, u.email, u.displayName, u.avatarUrl, u.role, u.isActive
       FROM auth_sessions s
       JOIN users u ON u.id = s.userId
       WHERE s.tokenHash = ? AND s.revokedAt IS NULL
@@ -675,8 +895,8 @@ class SqliteAdapter {
     const tx = this.db.transaction(() => {
       this.db.prepare("DELETE FROM vocabulary_entries WHERE pack_id = ?").run(packId);
       const stmt = this.db.prepare(`
-        INSERT INTO vocabulary_entries (id, pack_id, text, order_index, difficulty_score, tags, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO vocabulary_entries (id, pack_id, text, order_index, difficulty_score, tags, created_at, safety_flag)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
       for (const row of entries) {
         stmt.run(
@@ -686,9 +906,19 @@ class SqliteAdapter {
           row.order_index,
           row.difficulty_score ?? null,
           row.tags ? JSON.stringify(row.tags) : null,
-          row.created_at
+          row.created_at,
+          row.safety_flag ?? null
         );
       }
+      // WHY: clips and pictures are keyed by entry id, so they survive edits but not removal of their entry.
+      this.db.prepare(`
+        DELETE FROM vocabulary_entry_audio
+        WHERE pack_id = ? AND entry_id NOT IN (SELECT id FROM vocabulary_entries WHERE pack_id = ?)
+      `).run(packId, packId);
+      this.db.prepare(`
+        DELETE FROM vocabulary_entry_images
+        WHERE pack_id = ? AND entry_id NOT IN (SELECT id FROM vocabulary_entries WHERE pack_id = ?)
+      `).run(packId, packId);
       this.db.prepare("UPDATE vocabulary_packs SET updated_at = ? WHERE id = ?").run(nowIso(), packId);
     });
     tx();
@@ -699,6 +929,151 @@ class SqliteAdapter {
       .map((row) => ({ ...row, tags: row.tags ? JSON.parse(row.tags) : null }));
   }
 
+  /** Every entry with its pack's language, for rescreening after the safety lists change. */
+  async listVocabularyEntriesForScreening() {
+    return this.db.prepare(`
+      SELECT e.id, e.pack_id, e.text, e.safety_flag, p.language
+      FROM vocabulary_entries e
+      JOIN vocabulary_packs p ON p.id = e.pack_id
+    `).all();
+  }
+
+  async listFlaggedVocabularyEntries({ limit = 200 } = {}) {
+    return this.db.prepare(`
+      SELECT e.id, e.pack_id, e.text, e.safety_flag, p.name AS pack_name, p.language, p.level, p.status AS pack_status
+      FROM vocabulary_entries e
+      JOIN vocabulary_packs p ON p.id = e.pack_id
+      WHERE e.safety_flag IS NOT NULL
+      ORDER BY p.updated_at DESC, e.order_index ASC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  async setVocabularyEntrySafetyFlags(updates = []) {
+    const stmt = this.db.prepare("UPDATE vocabulary_entries SET safety_flag = ? WHERE id = ?");
+    const tx = this.db.transaction(() => {
+      for (const update of updates) stmt.run(update.safety_flag ?? null, update.id);
+    });
+    tx();
+  }
+
+  async listVocabularyEntryAudio(packId) {
+    return this.db.prepare(`
+      SELECT entry_id, pack_id, mime_type, byte_size, created_at FROM vocabulary_entry_audio WHERE pack_id = ?
+    `).all(packId);
+  }
+
+  async getVocabularyEntryAudio(entryId) {
+    return this.db.prepare("SELECT * FROM vocabulary_entry_audio WHERE entry_id = ?").get(entryId) || null;
+  }
+
+  async upsertVocabularyEntryAudio(row) {
+    this.db.prepare(`
+      INSERT INTO vocabulary_entry_audio (entry_id, pack_id, mime_type, byte_size, data, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(entry_id) DO UPDATE SET
+        pack_id = excluded.pack_id,
+        mime_type = excluded.mime_type,
+        byte_size = excluded.byte_size,
+        data = excluded.data,
+        uploaded_by = excluded.uploaded_by,
+        created_at = excluded.created_at
+    `).run(row.entry_id, row.pack_id, row.mime_type, row.data.length, row.data, row.uploaded_by ?? null, row.created_at);
+  }
+
+  async deleteVocabularyEntryAudio(entryId) {
+    this.db.prepare("DELETE FROM vocabulary_entry_audio WHERE entry_id = ?").run(entryId);
+  }
+
+  async listVocabularyEntryImages(packId) {
+    return this.db.prepare(`
+      SELECT entry_id, pack_id, mime_type, byte_size, created_at FROM vocabulary_entry_images WHERE pack_id = ?
+    `).all(packId);
+  }
+
+  async getVocabularyEntryImage(entryId) {
+    return this.db.prepare("SELECT * FROM vocabulary_entry_images WHERE entry_id = ?").get(entryId) || null;
+  }
+
+  async upsertVocabularyEntryImage(row) {
+    this.db.prepare(`
+      INSERT INTO vocabulary_entry_images (entry_id, pack_id, mime_type, byte_size, data, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(entry_id) DO UPDATE SET
+        pack_id = excluded.pack_id,
+        mime_type = excluded.mime_type,
+        byte_size = excluded.byte_size,
+        data = excluded.data,
+        uploaded_by = excluded.uploaded_by,
+        created_at = excluded.created_at
+    `).run(row.entry_id, row.pack_id, row.mime_type, row.data.length, row.data, row.uploaded_by ?? null, row.created_at);
+  }
+
+  async deleteVocabularyEntryImage(entryId) {
+    this.db.prepare("DELETE FROM vocabulary_entry_images WHERE entry_id = ?").run(entryId);
+  }
+
+  async getVocabularyEntriesByIds(ids = []) {
+    if (!ids.length) return [];
+    const placeholders = ids.map(() => "?").join(", ");
+    return this.db.prepare(`SELECT id, pack_id, text FROM vocabulary_entries WHERE id IN (${placeholders})`).all(...ids);
+  }
+
+  async listVocabularyReviewStates(userId, entryIds = []) {
+    if (!entryIds.length) return [];
+    const placeholders = entryIds.map(() => "?").join(", ");
+    return this.db
+      .prepare(`SELECT * FROM vocabulary_review_state WHERE user_id = ? AND entry_id IN (${placeholders})`)
+      .all(userId, ...entryIds);
+  }
+
+  async listDueVocabularyReviews(userId, { packIds = [], dueBefore, limit = 1000 } = {}) {
+    if (!packIds.length) return [];
+    const placeholders = packIds.map(() => "?").join(", ");
+    return this.db.prepare(`
+      SELECT r.entry_id, r.pack_id, r.due_at, r.lapses
+      FROM vocabulary_review_state r
+      JOIN vocabulary_entries e ON e.id = r.entry_id AND e.pack_id = r.pack_id
+      WHERE r.user_id = ? AND r.due_at <= ? AND r.pack_id IN (${placeholders})
+      ORDER BY r.due_at ASC, r.lapses DESC
+      LIMIT ?
+    `).all(userId, dueBefore, ...packIds, limit);
+  }
+
+  async upsertVocabularyReviewStates(userId, rows = []) {
+    const stmt = this.db.prepare(`
+      INSERT INTO vocabulary_review_state
+      (user_id, entry_id, pack_id, ease_factor, interval_days, repetitions, lapses, last_quality, due_at, last_reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, entry_id) DO UPDATE SET
+        pack_id = excluded.pack_id,
+        ease_factor = excluded.ease_factor,
+        interval_days = excluded.interval_days,
+        repetitions = excluded.repetitions,
+        lapses = excluded.lapses,
+        last_quality = excluded.last_quality,
+        due_at = excluded.due_at,
+        last_reviewed_at = excluded.last_reviewed_at
+    `);
+    const tx = this.db.transaction(() => {
+      for (const row of rows) {
+        stmt.run(
+          userId,
+          row.entry_id,
+          row.pack_id,
+          row.ease_factor,
+          row.interval_days,
+          row.repetitions,
+          row.lapses,
+          row.last_quality ?? null,
+          row.due_at,
+          row.last_reviewed_at || null
+        );
+      }
+    });
+    tx();
+  }
+
   async createVocabularyVersion(versionRow) {
     this.db.prepare(`
       INSERT INTO vocabulary_pack_versions (id, pack_id, version, snapshot_json, change_note, created_by, created_at)
@@ -719,17 +1094,44 @@ class SqliteAdapter {
       .map((row) => ({ ...row, snapshot_json: row.snapshot_json ? JSON.parse(row.snapshot_json) : null }));
   }
 
-  async upsertActiveSession({ sessionId, userId, mode, isAuthorized }) {
+  async setVocabularyPackReview(id, { review_status, review_version, review_requested_by }) {
+    this.db.prepare("UPDATE vocabulary_packs SET review_status = ?, review_version = ?, review_requested_by = ? WHERE id = ?")
+      .run(review_status ?? null, review_version ?? null, review_requested_by ?? null, id);
+  }
+
+  async addVocabularyPackReview(row) {
+    this.db.prepare(`
+      INSERT INTO vocabulary_pack_reviews (id, pack_id, pack_version, action, comment, actor_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(row.id, row.pack_id, row.pack_version, row.action, row.comment || null, row.actor_id || null, row.created_at);
+  }
+
+  async listVocabularyPackReviews(packId) {
+    return this.db.prepare("SELECT * FROM vocabulary_pack_reviews WHERE pack_id = ? ORDER BY created_at DESC").all(packId);
+  }
+
+  async listVocabularyPacksAwaitingReview() {
+    return this.db.prepare(`
+      SELECT p.*, (SELECT COUNT(*) FROM vocabulary_entries e WHERE e.pack_id = p.id) AS entry_count
+      FROM vocabulary_packs p
+      WHERE p.review_status = 'pending'
+      ORDER BY p.updated_at ASC
+    `).all();
+  }
+
+  async upsertActiveSession({ sessionId, userId, profileId = null, mode, level = null, isAuthorized }) {
     const now = nowIso();
     this.db.prepare(`
-      INSERT INTO active_sessions (sessionId, userId, startedAt, lastSeenAt, mode, isAuthorized)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO active_sessions (sessionId, userId, profileId, startedAt, lastSeenAt, mode, level, isAuthorized)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(sessionId) DO UPDATE SET
       userId = excluded.userId,
+      profileId = excluded.profileId,
       lastSeenAt = excluded.lastSeenAt,
       mode = excluded.mode,
+      level = excluded.level,
       isAuthorized = excluded.isAuthorized
-    `).run(sessionId, userId || null, now, now, mode, isAuthorized ? 1 : 0);
+    `).run(sessionId, userId || null, profileId, now, now, mode, level, isAuthorized ? 1 : 0);
   }
 
   async cleanupActiveSessions(maxAgeSeconds = 120) {
@@ -737,8 +1139,9 @@ class SqliteAdapter {
     this.db.prepare("DELETE FROM active_sessions WHERE lastSeenAt < ?").run(threshold);
   }
 
-  async getActiveSessionStats(maxAgeSeconds = 120) {
+  async getActiveSessionStats(maxAgeSeconds = 120, { classroomId = null } = {}) {
     const threshold = new Date(Date.now() - maxAgeSeconds * 1000).toISOString();
+    if (classroomId) return this.getClassroomSessionStats(classroomId, threshold);
     const row = this.db.prepare(`
       SELECT
         COUNT(*) as total,
@@ -762,6 +1165,424 @@ class SqliteAdapter {
     };
   }
 
+  async getClassroomSessionStats(classroomId, threshold) {
+    // Each member's most recent session inside the window; members without one are offline.
+    const students = this.db.prepare(`
+      SELECT m.userId, m.profileId, m.displayName, s.mode, s.level, s.lastSeenAt
+      FROM classroom_members m
+      LEFT JOIN active_sessions s ON s.sessionId = (
+        SELECT sessionId FROM active_sessions
+        WHERE userId = m.userId AND COALESCE(profileId, 0) = m.profileId AND lastSeenAt >= ?
+        ORDER BY lastSeenAt DESC
+        LIMIT 1
+      )
+      WHERE m.classroomId = ?
+      ORDER BY m.displayName ASC
+    `).all(threshold, classroomId);
+    const online = students.filter((student) => student.lastSeenAt);
+    const modes = new Map();
+    for (const student of online) modes.set(student.mode, (modes.get(student.mode) || 0) + 1);
+    return {
+      total: online.length,
+      authorized: online.length,
+      guests: 0,
+      modes: Array.from(modes, ([mode, count]) => ({ mode, count })).sort((a, b) => b.count - a.count),
+      students
+    };
+  }
+
+  async createClassroom({ id, teacherUserId, name, joinCode, createdAt }) {
+    this.db.prepare(`
+      INSERT INTO classrooms (id, teacherUserId, name, joinCode, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, teacherUserId, name, joinCode, createdAt, createdAt);
+    return this.getClassroom(id);
+  }
+
+  async getClassroom(id) {
+    return this.db.prepare("SELECT * FROM classrooms WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async getClassroomByJoinCode(joinCode) {
+    return this.db.prepare("SELECT * FROM classrooms WHERE joinCode = ? LIMIT 1").get(joinCode) || null;
+  }
+
+  async listClassrooms({ teacherUserId = null } = {}) {
+    const where = teacherUserId === null ? "" : "WHERE c.teacherUserId = ?";
+    return this.db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM classroom_members m WHERE m.classroomId = c.id) AS memberCount
+      FROM classrooms c
+      ${where}
+      ORDER BY c.createdAt DESC
+    `).all(...(teacherUserId === null ? [] : [teacherUserId]));
+  }
+
+  async updateClassroomAssignment(id, { assignedPackId, assignedLevel, assignedAt }) {
+    this.db.prepare("UPDATE classrooms SET assignedPackId = ?, assignedLevel = ?, assignedAt = ?, updatedAt = ? WHERE id = ?")
+      .run(assignedPackId, assignedLevel, assignedAt, assignedAt, id);
+    return this.getClassroom(id);
+  }
+
+  async deleteClassroom(id) {
+    this.db.prepare("DELETE FROM classrooms WHERE id = ?").run(id);
+  }
+
+  async upsertClassroomMember({ classroomId, userId, profileId = 0, displayName, joinedAt }) {
+    this.db.prepare(`
+      INSERT INTO classroom_members (userId, profileId, classroomId, displayName, joinedAt)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(userId, profileId) DO UPDATE SET
+        classroomId = excluded.classroomId,
+        displayName = excluded.displayName,
+        joinedAt = CASE WHEN classroom_members.classroomId = excluded.classroomId THEN classroom_members.joinedAt ELSE excluded.joinedAt END
+    `).run(userId, profileId, classroomId, displayName, joinedAt);
+  }
+
+  async getClassroomMembership(userId, profileId = 0) {
+    return this.db.prepare(`
+      SELECT m.joinedAt, c.*
+      FROM classroom_members m
+      JOIN classrooms c ON c.id = m.classroomId
+      WHERE m.userId = ? AND m.profileId = ?
+      LIMIT 1
+    `).get(userId, profileId) || null;
+  }
+
+  async removeClassroomMember(userId, profileId = 0, classroomId = null) {
+    if (classroomId) {
+      this.db.prepare("DELETE FROM classroom_members WHERE userId = ? AND profileId = ? AND classroomId = ?").run(userId, profileId, classroomId);
+      return;
+    }
+    this.db.prepare("DELETE FROM classroom_members WHERE userId = ? AND profileId = ?").run(userId, profileId);
+  }
+
+  async aggregateClassroomResults(classroomId, { since } = {}) {
+    // Only sessions played after joining count toward the class.
+    return this.db.prepare(`
+      SELECT m.userId, m.profileId, m.displayName, m.joinedAt,
+             COUNT(r.id) AS sessions,
+             COALESCE(SUM(r.correct), 0) AS correct,
+             COALESCE(SUM(r.incorrect), 0) AS incorrect,
+             ROUND(AVG(r.cpm)) AS avgCpm,
+             COALESCE(SUM(r.durationMs), 0) AS durationMs,
+             MAX(r.level) AS maxLevel,
+             MAX(r.endedAt) AS lastSessionAt
+      FROM classroom_members m
+      LEFT JOIN session_results r
+        ON r.userId = m.userId AND r.profileId = m.profileId AND r.endedAt >= m.joinedAt AND r.endedAt >= ?
+      WHERE m.classroomId = ?
+      GROUP BY m.userId, m.profileId, m.displayName, m.joinedAt
+      ORDER BY m.displayName ASC
+    `).all(since, classroomId);
+  }
+
+  async createChallenge(row) {
+    this.db.prepare(`
+      INSERT INTO challenges
+      (id, title, description, startsAt, endsAt, packId, level, language, contestType, duration, taskTarget, createdBy, createdAt, updatedAt)
+      VALUES (@id, @title, @description, @startsAt, @endsAt, @packId, @level, @language, @contestType, @duration, @taskTarget, @createdBy, @createdAt, @createdAt)
+    `).run(row);
+    return this.getChallenge(row.id);
+  }
+
+  async getChallenge(id) {
+    return this.db.prepare("SELECT * FROM challenges WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async listChallenges({ endsAfter = null } = {}) {
+    if (endsAfter) {
+      return this.db.prepare("SELECT * FROM challenges WHERE endsAt >= ? ORDER BY startsAt ASC").all(endsAfter);
+    }
+    return this.db.prepare("SELECT * FROM challenges ORDER BY startsAt DESC").all();
+  }
+
+  async updateChallenge(id, row) {
+    this.db.prepare(`
+      UPDATE challenges SET
+        title = @title, description = @description, startsAt = @startsAt, endsAt = @endsAt, packId = @packId,
+        level = @level, language = @language, contestType = @contestType, duration = @duration, taskTarget = @taskTarget,
+        updatedAt = @updatedAt
+      WHERE id = @id
+    `).run({ ...row, id });
+    return this.getChallenge(id);
+  }
+
+  async deleteChallenge(id) {
+    const tx = this.db.transaction(() => {
+      this.db.prepare("DELETE FROM leaderboard WHERE challengeId = ?").run(id);
+      this.db.prepare("DELETE FROM challenges WHERE id = ?").run(id);
+    });
+    tx();
+  }
+
+  async listChallengesToClose(now) {
+    return this.db.prepare("SELECT * FROM challenges WHERE closedAt IS NULL AND endsAt <= ?").all(now);
+  }
+
+  /** Freezes the podium once; returns false when another caller already closed the event. */
+  async closeChallenge(id, { winnersJson, closedAt }) {
+    const result = this.db.prepare("UPDATE challenges SET winnersJson = ?, closedAt = ? WHERE id = ? AND closedAt IS NULL")
+      .run(winnersJson, closedAt, id);
+    return result.changes > 0;
+  }
+
+  async createContestRun({ token, userId, profileId = 0, level, language, answers, difficulties = [], issuedAt }) {
+    this.db.prepare(`
+      INSERT INTO contest_runs (token, userId, profileId, level, language, answersJson, difficultiesJson, issuedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(token, userId, profileId, level, language, JSON.stringify(answers), JSON.stringify(difficulties), issuedAt);
+  }
+
+  async getContestRun(token) {
+    return this.db.prepare("SELECT * FROM contest_runs WHERE token = ? LIMIT 1").get(token) || null;
+  }
+
+  async appendContestRunAnswers(token, answers, difficulties = []) {
+    const tx = this.db.transaction(() => {
+      const row = this.db.prepare("SELECT answersJson, difficultiesJson FROM contest_runs WHERE token = ? AND submittedAt IS NULL").get(token);
+      if (!row) return;
+      const merged = JSON.parse(row.answersJson || "[]").concat(answers);
+      // A run issued before difficulties were kept stays without them rather than misaligned.
+      const mergedDifficulties = row.difficultiesJson ? JSON.stringify(JSON.parse(row.difficultiesJson).concat(difficulties)) : null;
+      this.db.prepare("UPDATE contest_runs SET answersJson = ?, difficultiesJson = ? WHERE token = ?")
+        .run(JSON.stringify(merged), mergedDifficulties, token);
+    });
+    tx();
+  }
+
+  async cleanupContestRuns(issuedBefore) {
+    this.db.prepare("DELETE FROM contest_runs WHERE issuedAt < ?").run(issuedBefore);
+  }
+
+  async getPersonalBest({ userId, profileId = 0, level, contestType, duration, taskTarget, contentMode, language, ruleSetId = "" }) {
+    return this.db.prepare(`
+      SELECT * FROM personal_bests
+      WHERE userId = ? AND profileId = ? AND level = ? AND contestType = ? AND duration = ? AND taskTarget = ? AND contentMode = ? AND language = ? AND ruleSetId = ?
+      LIMIT 1
+    `).get(userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId) || null;
+  }
+
+  async recordPersonalBest({ userId, profileId = 0, level, contestType, duration, taskTarget, contentMode, language, ruleSetId = "", score, accuracy, cpm, playedAt }) {
+    this.db.prepare(`
+      INSERT INTO personal_bests
+      (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId,
+       bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+      ON CONFLICT(userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId) DO UPDATE SET
+        bestScoreAt = CASE WHEN excluded.bestScore > personal_bests.bestScore THEN excluded.bestScoreAt ELSE personal_bests.bestScoreAt END,
+        bestScore = MAX(personal_bests.bestScore, excluded.bestScore),
+        bestAccuracy = MAX(personal_bests.bestAccuracy, excluded.bestAccuracy),
+        bestCpm = MAX(personal_bests.bestCpm, excluded.bestCpm),
+        runs = personal_bests.runs + 1,
+        lastAccuracy = excluded.lastAccuracy,
+        lastCpm = excluded.lastCpm,
+        lastPlayedAt = excluded.lastPlayedAt
+    `).run(userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId, score, accuracy, cpm, playedAt, accuracy, cpm, playedAt);
+  }
+
+  async listPersonalBests(userId, profileId = 0) {
+    return this.db.prepare(`
+      SELECT * FROM personal_bests WHERE userId = ? AND profileId = ?
+      ORDER BY ruleSetId ASC, contestType ASC, level ASC, duration ASC, taskTarget ASC, contentMode ASC, language ASC
+    `).all(userId, profileId);
+  }
+
+  async listPlayerAchievements(userId, profileId = 0) {
+    return this.db.prepare("SELECT * FROM player_achievements WHERE userId = ? AND profileId = ? ORDER BY unlockedAt ASC").all(userId, profileId);
+  }
+
+  /** Stores unlocks; returns the ids that were new, so a racing request cannot celebrate twice. */
+  async unlockPlayerAchievements({ userId, profileId = 0, ids, unlockedAt }) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO player_achievements (userId, profileId, achievementId, unlockedAt) VALUES (?, ?, ?, ?)
+    `);
+    const tx = this.db.transaction(() => ids.filter((id) => insert.run(userId, profileId, id, unlockedAt).changes > 0));
+    return tx();
+  }
+
+  /** Fills configurations that have no row yet; returns how many were added. */
+  async importPersonalBests({ userId, profileId = 0, entries, importedAt }) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO personal_bests
+      (userId, profileId, level, contestType, duration, taskTarget, contentMode, language,
+       bestAccuracy, bestCpm, runs, lastAccuracy, lastCpm, lastPlayedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+    `);
+    const tx = this.db.transaction(() => entries.reduce((count, entry) => count + insert.run(
+      userId, profileId, entry.level, entry.contestType, entry.duration, entry.taskTarget, entry.contentMode, entry.language,
+      entry.accuracy, entry.cpm, entry.accuracy, entry.cpm, importedAt
+    ).changes, 0));
+    return tx();
+  }
+
+  async getLeaderboardEntry(id) {
+    return this.db.prepare("SELECT * FROM leaderboard WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async hideLeaderboardEntry(id, { hiddenAt, hiddenBy }) {
+    this.db.prepare("UPDATE leaderboard SET hiddenAt = ?, hiddenBy = ? WHERE id = ?").run(hiddenAt, hiddenBy, id);
+  }
+
+  /** Puts an entry back on the boards, clearing both a manual hide and an automatic hold. */
+  async restoreLeaderboardEntry(id) {
+    this.db.prepare("UPDATE leaderboard SET hiddenAt = NULL, hiddenBy = NULL, flagReason = NULL WHERE id = ?").run(id);
+  }
+
+  async listHiddenLeaderboardEntries({ limit = 100 } = {}) {
+    return this.db.prepare("SELECT * FROM leaderboard WHERE hiddenAt IS NOT NULL ORDER BY hiddenAt DESC LIMIT ?").all(limit);
+  }
+
+  /** Rewrites the name on every board entry of one identity; a null profile means the account itself. */
+  async renameLeaderboardIdentity({ userId, profileId = null, displayName }) {
+    const tx = this.db.transaction(() => {
+      if (profileId) {
+        this.db.prepare("UPDATE leaderboard SET playerName = ?, displayName = ? WHERE userId = ? AND profileId = ?")
+          .run(displayName, displayName, userId, profileId);
+      } else {
+        this.db.prepare("UPDATE leaderboard SET playerName = ?, displayName = ? WHERE userId = ? AND profileId IS NULL")
+          .run(displayName, displayName, userId);
+      }
+      this.db.prepare("UPDATE classroom_members SET displayName = ? WHERE userId = ? AND profileId = ?")
+        .run(displayName, userId, profileId || 0);
+    });
+    tx();
+  }
+
+  async forceUserDisplayName(id, { displayName, lockedAt }) {
+    this.db.prepare("UPDATE users SET displayName = ?, displayNameLockedAt = ?, updatedAt = ? WHERE id = ?")
+      .run(displayName, lockedAt, lockedAt, id);
+    return this.findUserById(id);
+  }
+
+  /** Opens a review item unless one is already open for the same target. */
+  async createModerationFlag({ targetType, targetId, reason, detail = null, createdAt }) {
+    const result = this.db.prepare(`
+      INSERT INTO moderation_flags (targetType, targetId, reason, detail, createdAt)
+      SELECT ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (
+        SELECT 1 FROM moderation_flags WHERE targetType = ? AND targetId = ? AND resolvedAt IS NULL
+      )
+    `).run(targetType, String(targetId), reason, detail, createdAt, targetType, String(targetId));
+    return result.changes > 0;
+  }
+
+  async getModerationFlag(id) {
+    return this.db.prepare("SELECT * FROM moderation_flags WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async listOpenModerationFlags({ limit = 100 } = {}) {
+    return this.db.prepare(`
+      SELECT f.*,
+        l.playerName AS entryName, l.score AS entryScore, l.accuracy AS entryAccuracy, l.cpm AS entryCpm,
+        l.contestType AS entryContestType, l.level AS entryLevel, l.createdAt AS entryCreatedAt,
+        l.userId AS entryUserId, l.profileId AS entryProfileId,
+        u.displayName AS userName, p.displayName AS profileName, p.userId AS profileUserId
+      FROM moderation_flags f
+      LEFT JOIN leaderboard l ON f.targetType = 'leaderboard' AND CAST(l.id AS TEXT) = f.targetId
+      LEFT JOIN users u ON f.targetType = 'user' AND CAST(u.id AS TEXT) = f.targetId
+      LEFT JOIN player_profiles p ON f.targetType = 'profile' AND CAST(p.id AS TEXT) = f.targetId
+      WHERE f.resolvedAt IS NULL
+      ORDER BY f.createdAt DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  async resolveModerationFlags({ targetType, targetId, resolution, resolvedBy, resolvedAt }) {
+    this.db.prepare(`
+      UPDATE moderation_flags SET resolvedAt = ?, resolvedBy = ?, resolution = ?
+      WHERE targetType = ? AND targetId = ? AND resolvedAt IS NULL
+    `).run(resolvedAt, resolvedBy, resolution, targetType, String(targetId));
+  }
+
+  /** Queues a job; with a `dedupeKey`, only while no queued or running job holds that key. */
+  async createGenerationJob(job) {
+    const result = this.db.prepare(`
+      INSERT INTO generation_jobs
+        (id, kind, status, dedupeKey, payloadJson, total, maxAttempts, runAfter, createdBy, requestId, createdAt, updatedAt)
+      SELECT ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE ? IS NULL OR NOT EXISTS (
+        SELECT 1 FROM generation_jobs WHERE dedupeKey = ? AND status IN ('queued', 'running')
+      )
+    `).run(
+      job.id, job.kind, job.dedupeKey, job.payloadJson, job.total, job.maxAttempts, job.runAfter,
+      job.createdBy, job.requestId, job.createdAt, job.createdAt, job.dedupeKey, job.dedupeKey
+    );
+    return result.changes > 0;
+  }
+
+  async getGenerationJob(id) {
+    return this.db.prepare("SELECT * FROM generation_jobs WHERE id = ? LIMIT 1").get(id) || null;
+  }
+
+  async listGenerationJobs({ status = null, limit = 50 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM generation_jobs
+      WHERE ? IS NULL OR status = ?
+      ORDER BY createdAt DESC
+      LIMIT ?
+    `).all(status, status, limit);
+  }
+
+  /** Moves the oldest due job to running and counts the attempt; null when nothing is due. */
+  async claimGenerationJob({ now }) {
+    const tx = this.db.transaction(() => {
+      const row = this.db.prepare(`
+        SELECT id FROM generation_jobs
+        WHERE status = 'queued' AND runAfter <= ?
+        ORDER BY runAfter ASC, createdAt ASC
+        LIMIT 1
+      `).get(now);
+      if (!row) return null;
+      this.db.prepare(`
+        UPDATE generation_jobs
+        SET status = 'running', attempts = attempts + 1, startedAt = COALESCE(startedAt, ?), updatedAt = ?
+        WHERE id = ?
+      `).run(now, now, row.id);
+      return this.db.prepare("SELECT * FROM generation_jobs WHERE id = ?").get(row.id);
+    });
+    return tx();
+  }
+
+  async updateGenerationJobProgress(id, { progress, total, resultJson, updatedAt }) {
+    this.db.prepare("UPDATE generation_jobs SET progress = ?, total = ?, resultJson = ?, updatedAt = ? WHERE id = ?")
+      .run(progress, total, resultJson, updatedAt, id);
+  }
+
+  /** Records the outcome of an attempt: a final status, or `queued` again for a retry. */
+  async settleGenerationJob(id, { status, resultJson, lastError = null, lastErrorCode = null, runAfter = null, finishedAt = null, updatedAt }) {
+    this.db.prepare(`
+      UPDATE generation_jobs
+      SET status = ?, resultJson = COALESCE(?, resultJson), lastError = ?, lastErrorCode = ?,
+        runAfter = COALESCE(?, runAfter), finishedAt = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(status, resultJson ?? null, lastError, lastErrorCode, runAfter, finishedAt, updatedAt, id);
+  }
+
+  /** Cancels a queued job outright; a running one is flagged and stops at its next checkpoint. */
+  async requestGenerationJobCancel(id, at) {
+    const tx = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE generation_jobs SET status = 'cancelled', cancelRequestedAt = ?, finishedAt = ?, updatedAt = ?
+        WHERE id = ? AND status = 'queued'
+      `).run(at, at, at, id);
+      this.db.prepare(`
+        UPDATE generation_jobs SET cancelRequestedAt = ?, updatedAt = ?
+        WHERE id = ? AND status = 'running' AND cancelRequestedAt IS NULL
+      `).run(at, at, id);
+      return this.db.prepare("SELECT * FROM generation_jobs WHERE id = ?").get(id) || null;
+    });
+    return tx();
+  }
+
+  async requeueRunningGenerationJobs(at) {
+    return this.db.prepare("UPDATE generation_jobs SET status = 'queued', runAfter = ?, updatedAt = ? WHERE status = 'running'")
+      .run(at, at).changes;
+  }
+
+  async cleanupGenerationJobs(finishedBefore) {
+    this.db.prepare("DELETE FROM generation_jobs WHERE finishedAt IS NOT NULL AND finishedAt < ?").run(finishedBefore);
+  }
+
   async reset(scope) {
     if (scope === "all") {
       this.db.prepare("DELETE FROM leaderboard").run();
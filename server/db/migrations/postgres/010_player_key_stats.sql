@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS player_key_stats (
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  language TEXT NOT NULL DEFAULT 'en',
+  keyChar TEXT NOT NULL,
+  hits BIGINT NOT NULL DEFAULT 0,
+  misses BIGINT NOT NULL DEFAULT 0,
+  totalLatencyMs BIGINT NOT NULL DEFAULT 0,
+  updatedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, language, keyChar)
+);
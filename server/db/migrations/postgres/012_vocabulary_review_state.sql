@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS vocabulary_review_state (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  entry_id TEXT NOT NULL,
+  pack_id TEXT NOT NULL REFERENCES vocabulary_packs(id) ON DELETE CASCADE,
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  last_quality INTEGER,
+  due_at TEXT NOT NULL,
+  last_reviewed_at TEXT,
+  PRIMARY KEY (user_id, entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_review_state_due ON vocabulary_review_state (user_id, due_at ASC);
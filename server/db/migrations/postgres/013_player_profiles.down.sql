@@ -0,0 +1,14 @@
+ALTER TABLE leaderboard DROP COLUMN IF EXISTS profileId;
+
+DELETE FROM player_stats WHERE profileId <> 0;
+ALTER TABLE player_stats DROP CONSTRAINT IF EXISTS player_stats_pkey;
+ALTER TABLE player_stats DROP COLUMN IF EXISTS profileId;
+ALTER TABLE player_stats ADD PRIMARY KEY (userId);
+
+DELETE FROM game_preferences WHERE profileId <> 0;
+ALTER TABLE game_preferences DROP CONSTRAINT IF EXISTS game_preferences_pkey;
+ALTER TABLE game_preferences DROP COLUMN IF EXISTS profileId;
+ALTER TABLE game_preferences ADD PRIMARY KEY (userId);
+
+DROP INDEX IF EXISTS idx_player_profiles_user;
+DROP TABLE IF EXISTS player_profiles;
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS player_profiles (
+  id BIGSERIAL PRIMARY KEY,
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  displayName TEXT NOT NULL,
+  avatar TEXT NOT NULL DEFAULT 'star',
+  agePreset TEXT NOT NULL DEFAULT 'custom',
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  UNIQUE (userId, displayName)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_profiles_user ON player_profiles (userId, id ASC);
+
+-- profileId 0 is the parent account itself; child profiles use player_profiles.id.
+ALTER TABLE game_preferences ADD COLUMN IF NOT EXISTS profileId BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE game_preferences DROP CONSTRAINT IF EXISTS game_preferences_pkey;
+ALTER TABLE game_preferences ADD PRIMARY KEY (userId, profileId);
+
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS profileId BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE player_stats DROP CONSTRAINT IF EXISTS player_stats_pkey;
+ALTER TABLE player_stats ADD PRIMARY KEY (userId, profileId);
+
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS profileId BIGINT;
@@ -0,0 +1,7 @@
+DELETE FROM player_key_stats WHERE profileId <> 0;
+ALTER TABLE player_key_stats DROP CONSTRAINT IF EXISTS player_key_stats_pkey;
+ALTER TABLE player_key_stats DROP COLUMN IF EXISTS profileId;
+ALTER TABLE player_key_stats ADD PRIMARY KEY (userId, language, keyChar);
+
+DROP INDEX IF EXISTS idx_session_results_owner;
+DROP TABLE IF EXISTS session_results;
@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS session_results (
+  id BIGSERIAL PRIMARY KEY,
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId BIGINT NOT NULL DEFAULT 0,
+  mode TEXT NOT NULL DEFAULT 'learning',
+  level INTEGER NOT NULL DEFAULT 1,
+  language TEXT NOT NULL DEFAULT 'en',
+  correct INTEGER NOT NULL DEFAULT 0,
+  incorrect INTEGER NOT NULL DEFAULT 0,
+  cpm INTEGER NOT NULL DEFAULT 0,
+  durationMs BIGINT NOT NULL DEFAULT 0,
+  endedAt TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_results_owner ON session_results (userId, profileId, endedAt);
+
+-- Key stats follow the active child profile as well (profileId 0 = the account itself).
+ALTER TABLE player_key_stats ADD COLUMN IF NOT EXISTS profileId BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE player_key_stats DROP CONSTRAINT IF EXISTS player_key_stats_pkey;
+ALTER TABLE player_key_stats ADD PRIMARY KEY (userId, profileId, language, keyChar);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_vocabulary_entry_audio_pack;
+DROP TABLE IF EXISTS vocabulary_entry_audio;
@@ -0,0 +1 @@
+ALTER TABLE game_preferences DROP COLUMN IF EXISTS keyboardLayout;
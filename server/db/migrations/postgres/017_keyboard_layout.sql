@@ -0,0 +1,2 @@
+-- Physical keyboard layout last detected on the player's device; NULL until detected.
+ALTER TABLE game_preferences ADD COLUMN IF NOT EXISTS keyboardLayout TEXT;
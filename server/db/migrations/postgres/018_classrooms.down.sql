@@ -0,0 +1,6 @@
+ALTER TABLE active_sessions DROP COLUMN IF EXISTS level;
+ALTER TABLE active_sessions DROP COLUMN IF EXISTS profileId;
+DROP INDEX IF EXISTS idx_classroom_members_classroom;
+DROP INDEX IF EXISTS idx_classrooms_teacher;
+DROP TABLE IF EXISTS classroom_members;
+DROP TABLE IF EXISTS classrooms;
@@ -0,0 +1,25 @@
+CREATE TABLE IF NOT EXISTS challenges (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  startsAt TEXT NOT NULL,
+  endsAt TEXT NOT NULL,
+  packId TEXT REFERENCES vocabulary_packs(id) ON DELETE SET NULL,
+  level INTEGER NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en',
+  contestType TEXT NOT NULL,
+  duration INTEGER,
+  taskTarget INTEGER,
+  -- Podium captured once when the event closes; later edits never change it.
+  winnersJson TEXT,
+  closedAt TEXT,
+  createdBy BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenges_window ON challenges (endsAt, startsAt);
+
+-- Entries played for a challenge form their own leaderboard partition.
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS challengeId TEXT;
+CREATE INDEX IF NOT EXISTS idx_leaderboard_challenge ON leaderboard (challengeId, score DESC);
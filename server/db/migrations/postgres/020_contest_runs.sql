@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS contest_runs (
+  token TEXT PRIMARY KEY,
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId BIGINT NOT NULL DEFAULT 0,
+  level INTEGER NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en',
+  -- Answers of every task batch served to the run, in play order.
+  answersJson TEXT NOT NULL,
+  issuedAt TEXT NOT NULL,
+  submittedAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_contest_runs_issued ON contest_runs (issuedAt);
+
+-- Flagged entries are kept for review but never shown on a public board.
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS flagReason TEXT;
+
+UPDATE leaderboard SET flagReason = 'legacy_outlier'
+WHERE cpm > 600
+  OR accuracy > 100
+  OR (contestType = 'time' AND tasksCompleted > COALESCE(duration, 120) * 10)
+  OR (contestType = 'tasks' AND timeSeconds * 10 < tasksCompleted);
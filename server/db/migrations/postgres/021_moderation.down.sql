@@ -0,0 +1,6 @@
+ALTER TABLE users DROP COLUMN IF EXISTS displayNameLockedAt;
+ALTER TABLE leaderboard DROP COLUMN IF EXISTS hiddenBy;
+ALTER TABLE leaderboard DROP COLUMN IF EXISTS hiddenAt;
+DROP INDEX IF EXISTS idx_moderation_flags_target;
+DROP INDEX IF EXISTS idx_moderation_flags_open;
+DROP TABLE IF EXISTS moderation_flags;
@@ -0,0 +1,33 @@
+-- One row per player identity and contest configuration. Duration and task
+-- target are 0 when they do not apply, so the key stays unique without NULLs.
+CREATE TABLE IF NOT EXISTS personal_bests (
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId BIGINT NOT NULL DEFAULT 0,
+  level INTEGER NOT NULL,
+  contestType TEXT NOT NULL,
+  duration INTEGER NOT NULL DEFAULT 0,
+  taskTarget INTEGER NOT NULL DEFAULT 0,
+  contentMode TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  bestScore INTEGER NOT NULL DEFAULT 0,
+  bestAccuracy INTEGER NOT NULL DEFAULT 0,
+  bestCpm INTEGER NOT NULL DEFAULT 0,
+  bestScoreAt TEXT,
+  runs INTEGER NOT NULL DEFAULT 0,
+  lastAccuracy INTEGER,
+  lastCpm INTEGER,
+  lastPlayedAt TEXT,
+  PRIMARY KEY (userId, profileId, level, contestType, duration, taskTarget, contentMode, language)
+);
+
+-- Seed from verified leaderboard entries so existing players keep their records;
+-- when each best was set is not recoverable, so bestScoreAt starts empty.
+INSERT INTO personal_bests
+  (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastPlayedAt)
+  SELECT userId, COALESCE(profileId, 0), level, contestType, COALESCE(duration, 0), COALESCE(taskTarget, 0), contentMode, language,
+    CAST(ROUND(MAX(score)) AS INTEGER), CAST(ROUND(MAX(accuracy)) AS INTEGER), CAST(ROUND(MAX(cpm)) AS INTEGER),
+    NULL, COUNT(*), MAX(createdAt)
+  FROM leaderboard
+  WHERE userId IN (SELECT id FROM users) AND flagReason IS NULL AND hiddenAt IS NULL AND contestType IN ('time', 'tasks')
+  GROUP BY userId, COALESCE(profileId, 0), level, contestType, COALESCE(duration, 0), COALESCE(taskTarget, 0), contentMode, language
+ON CONFLICT DO NOTHING;
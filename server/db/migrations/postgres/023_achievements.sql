@@ -0,0 +1,8 @@
+-- Rules live in code; only unlocks are stored, so retired rules leave harmless rows.
+CREATE TABLE IF NOT EXISTS player_achievements (
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId BIGINT NOT NULL DEFAULT 0,
+  achievementId TEXT NOT NULL,
+  unlockedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, profileId, achievementId)
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS play_days;
+ALTER TABLE game_preferences DROP COLUMN IF EXISTS dailyCapMinutes;
+ALTER TABLE game_preferences DROP COLUMN IF EXISTS dailyGoalValue;
+ALTER TABLE game_preferences DROP COLUMN IF EXISTS dailyGoalType;
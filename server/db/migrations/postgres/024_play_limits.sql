@@ -0,0 +1,15 @@
+-- Limits are set per player identity; NULL means no goal or no cap.
+ALTER TABLE game_preferences ADD COLUMN IF NOT EXISTS dailyGoalType TEXT;
+ALTER TABLE game_preferences ADD COLUMN IF NOT EXISTS dailyGoalValue INTEGER;
+ALTER TABLE game_preferences ADD COLUMN IF NOT EXISTS dailyCapMinutes INTEGER;
+
+-- Play time accumulates from live heartbeats; `day` is the player's local date.
+CREATE TABLE IF NOT EXISTS play_days (
+  userId BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId BIGINT NOT NULL DEFAULT 0,
+  day TEXT NOT NULL,
+  playedMs BIGINT NOT NULL DEFAULT 0,
+  letters INTEGER NOT NULL DEFAULT 0,
+  lastBeatAt TEXT,
+  PRIMARY KEY (userId, profileId, day)
+);
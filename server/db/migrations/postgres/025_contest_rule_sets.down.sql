@@ -0,0 +1,7 @@
+DELETE FROM personal_bests WHERE ruleSetId <> '';
+ALTER TABLE personal_bests DROP CONSTRAINT IF EXISTS personal_bests_pkey;
+ALTER TABLE personal_bests DROP COLUMN IF EXISTS ruleSetId;
+ALTER TABLE personal_bests ADD PRIMARY KEY (userId, profileId, level, contestType, duration, taskTarget, contentMode, language);
+
+DROP INDEX IF EXISTS idx_leaderboard_rule_set;
+ALTER TABLE leaderboard DROP COLUMN IF EXISTS ruleSetId;
@@ -0,0 +1,8 @@
+-- Results played under an admin-defined rule set form their own board; the
+-- classic configurations keep an empty rule set id.
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS ruleSetId TEXT NOT NULL DEFAULT '';
+CREATE INDEX IF NOT EXISTS idx_leaderboard_rule_set ON leaderboard (ruleSetId, level, score DESC);
+
+ALTER TABLE personal_bests ADD COLUMN IF NOT EXISTS ruleSetId TEXT NOT NULL DEFAULT '';
+ALTER TABLE personal_bests DROP CONSTRAINT IF EXISTS personal_bests_pkey;
+ALTER TABLE personal_bests ADD PRIMARY KEY (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId);
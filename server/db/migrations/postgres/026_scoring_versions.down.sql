@@ -0,0 +1,2 @@
+ALTER TABLE contest_runs DROP COLUMN IF EXISTS difficultiesJson;
+ALTER TABLE leaderboard DROP COLUMN IF EXISTS scoringVersion;
@@ -0,0 +1,7 @@
+-- The formula a row was scored with; NULL for races, which score on their own.
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS scoringVersion INTEGER;
+
+UPDATE leaderboard SET scoringVersion = 1 WHERE contestType <> 'race' AND scoringVersion IS NULL;
+
+-- Difficulty of every served task, parallel to answersJson; NULL for runs issued before it was kept.
+ALTER TABLE contest_runs ADD COLUMN IF NOT EXISTS difficultiesJson TEXT;
@@ -0,0 +1,28 @@
+-- Long-running generation work. Rows outlive the process, so a restart picks
+-- queued jobs back up and returns interrupted ones to the queue.
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  status TEXT NOT NULL,
+  -- Jobs with the same key never run side by side; NULL means no such limit.
+  dedupeKey TEXT,
+  payloadJson TEXT NOT NULL,
+  resultJson TEXT,
+  progress INTEGER NOT NULL DEFAULT 0,
+  total INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  maxAttempts INTEGER NOT NULL DEFAULT 3,
+  lastError TEXT,
+  lastErrorCode TEXT,
+  runAfter TEXT NOT NULL,
+  cancelRequestedAt TEXT,
+  createdBy BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  requestId TEXT,
+  createdAt TEXT NOT NULL,
+  startedAt TEXT,
+  finishedAt TEXT,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_queue ON generation_jobs (status, runAfter);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_created ON generation_jobs (createdAt);
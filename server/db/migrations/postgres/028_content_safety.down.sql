@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_vocabulary_entries_safety;
+ALTER TABLE vocabulary_entries DROP COLUMN IF EXISTS safety_flag;
@@ -0,0 +1,2 @@
+-- bcrypt hash of the PIN a parent enters to change play limits; NULL until one is chosen.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS parentPinHash TEXT;
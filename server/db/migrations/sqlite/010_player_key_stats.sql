@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS player_key_stats (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  language TEXT NOT NULL DEFAULT 'en',
+  keyChar TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  totalLatencyMs INTEGER NOT NULL DEFAULT 0,
+  updatedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, language, keyChar)
+);
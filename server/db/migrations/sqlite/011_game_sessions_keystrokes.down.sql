@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_keystroke_events_session;
+DROP INDEX IF EXISTS idx_game_sessions_user;
+DROP TABLE IF EXISTS keystroke_events;
+DROP TABLE IF EXISTS game_sessions;
@@ -0,0 +1,29 @@
+CREATE TABLE IF NOT EXISTS game_sessions (
+  id TEXT PRIMARY KEY,
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL DEFAULT 'learning',
+  level INTEGER NOT NULL DEFAULT 1,
+  contentMode TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  tasksJson TEXT NOT NULL DEFAULT '[]',
+  eventCount INTEGER NOT NULL DEFAULT 0,
+  startedAt TEXT NOT NULL,
+  endedAt TEXT,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS keystroke_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sessionId TEXT NOT NULL REFERENCES game_sessions(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  taskIndex INTEGER NOT NULL,
+  caretIndex INTEGER NOT NULL DEFAULT 0,
+  offsetMs INTEGER NOT NULL,
+  keyValue TEXT NOT NULL,
+  expected TEXT,
+  result TEXT NOT NULL,
+  UNIQUE (sessionId, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_user ON game_sessions (userId, startedAt DESC);
+CREATE INDEX IF NOT EXISTS idx_keystroke_events_session ON keystroke_events (sessionId, seq ASC);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_vocabulary_review_state_due;
+DROP TABLE IF EXISTS vocabulary_review_state;
@@ -0,0 +1,36 @@
+ALTER TABLE leaderboard DROP COLUMN profileId;
+
+CREATE TABLE game_preferences_prev (
+  userId INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL DEFAULT 'learning',
+  level INTEGER NOT NULL DEFAULT 1,
+  contentType TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  updatedAt TEXT NOT NULL
+);
+INSERT INTO game_preferences_prev (userId, mode, level, contentType, language, updatedAt)
+  SELECT userId, mode, level, contentType, language, updatedAt FROM game_preferences WHERE profileId = 0;
+DROP TABLE game_preferences;
+ALTER TABLE game_preferences_prev RENAME TO game_preferences;
+
+DROP INDEX IF EXISTS idx_player_stats_sessions;
+CREATE TABLE player_stats_prev (
+  userId INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  totalLettersTyped INTEGER NOT NULL DEFAULT 0,
+  totalCorrect INTEGER NOT NULL DEFAULT 0,
+  totalIncorrect INTEGER NOT NULL DEFAULT 0,
+  bestWPM INTEGER NOT NULL DEFAULT 0,
+  sessionsCount INTEGER NOT NULL DEFAULT 0,
+  totalPlayTimeMs INTEGER NOT NULL DEFAULT 0,
+  streakDays INTEGER NOT NULL DEFAULT 0,
+  lastSessionAt TEXT
+);
+INSERT INTO player_stats_prev
+  (userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
+  SELECT userId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt FROM player_stats WHERE profileId = 0;
+DROP TABLE player_stats;
+ALTER TABLE player_stats_prev RENAME TO player_stats;
+CREATE INDEX IF NOT EXISTS idx_player_stats_sessions ON player_stats (sessionsCount DESC);
+
+DROP INDEX IF EXISTS idx_player_profiles_user;
+DROP TABLE IF EXISTS player_profiles;
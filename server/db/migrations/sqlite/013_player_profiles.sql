@@ -0,0 +1,51 @@
+CREATE TABLE IF NOT EXISTS player_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  displayName TEXT NOT NULL,
+  avatar TEXT NOT NULL DEFAULT 'star',
+  agePreset TEXT NOT NULL DEFAULT 'custom',
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  UNIQUE (userId, displayName)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_profiles_user ON player_profiles (userId, id ASC);
+
+-- profileId 0 is the parent account itself; child profiles use player_profiles.id.
+CREATE TABLE game_preferences_next (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  mode TEXT NOT NULL DEFAULT 'learning',
+  level INTEGER NOT NULL DEFAULT 1,
+  contentType TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  updatedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, profileId)
+);
+INSERT INTO game_preferences_next (userId, profileId, mode, level, contentType, language, updatedAt)
+  SELECT userId, 0, mode, level, contentType, language, updatedAt FROM game_preferences;
+DROP TABLE game_preferences;
+ALTER TABLE game_preferences_next RENAME TO game_preferences;
+
+DROP INDEX IF EXISTS idx_player_stats_sessions;
+CREATE TABLE player_stats_next (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  totalLettersTyped INTEGER NOT NULL DEFAULT 0,
+  totalCorrect INTEGER NOT NULL DEFAULT 0,
+  totalIncorrect INTEGER NOT NULL DEFAULT 0,
+  bestWPM INTEGER NOT NULL DEFAULT 0,
+  sessionsCount INTEGER NOT NULL DEFAULT 0,
+  totalPlayTimeMs INTEGER NOT NULL DEFAULT 0,
+  streakDays INTEGER NOT NULL DEFAULT 0,
+  lastSessionAt TEXT,
+  PRIMARY KEY (userId, profileId)
+);
+INSERT INTO player_stats_next
+  (userId, profileId, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt)
+  SELECT userId, 0, totalLettersTyped, totalCorrect, totalIncorrect, bestWPM, sessionsCount, totalPlayTimeMs, streakDays, lastSessionAt FROM player_stats;
+DROP TABLE player_stats;
+ALTER TABLE player_stats_next RENAME TO player_stats;
+CREATE INDEX IF NOT EXISTS idx_player_stats_sessions ON player_stats (sessionsCount DESC);
+
+ALTER TABLE leaderboard ADD COLUMN profileId INTEGER;
@@ -0,0 +1,17 @@
+CREATE TABLE player_key_stats_prev (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  language TEXT NOT NULL DEFAULT 'en',
+  keyChar TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  totalLatencyMs INTEGER NOT NULL DEFAULT 0,
+  updatedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, language, keyChar)
+);
+INSERT INTO player_key_stats_prev (userId, language, keyChar, hits, misses, totalLatencyMs, updatedAt)
+  SELECT userId, language, keyChar, hits, misses, totalLatencyMs, updatedAt FROM player_key_stats WHERE profileId = 0;
+DROP TABLE player_key_stats;
+ALTER TABLE player_key_stats_prev RENAME TO player_key_stats;
+
+DROP INDEX IF EXISTS idx_session_results_owner;
+DROP TABLE IF EXISTS session_results;
@@ -0,0 +1,32 @@
+CREATE TABLE IF NOT EXISTS session_results (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  mode TEXT NOT NULL DEFAULT 'learning',
+  level INTEGER NOT NULL DEFAULT 1,
+  language TEXT NOT NULL DEFAULT 'en',
+  correct INTEGER NOT NULL DEFAULT 0,
+  incorrect INTEGER NOT NULL DEFAULT 0,
+  cpm INTEGER NOT NULL DEFAULT 0,
+  durationMs INTEGER NOT NULL DEFAULT 0,
+  endedAt TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_results_owner ON session_results (userId, profileId, endedAt);
+
+-- Key stats follow the active child profile as well (profileId 0 = the account itself).
+CREATE TABLE player_key_stats_next (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  language TEXT NOT NULL DEFAULT 'en',
+  keyChar TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  totalLatencyMs INTEGER NOT NULL DEFAULT 0,
+  updatedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, profileId, language, keyChar)
+);
+INSERT INTO player_key_stats_next (userId, profileId, language, keyChar, hits, misses, totalLatencyMs, updatedAt)
+  SELECT userId, 0, language, keyChar, hits, misses, totalLatencyMs, updatedAt FROM player_key_stats;
+DROP TABLE player_key_stats;
+ALTER TABLE player_key_stats_next RENAME TO player_key_stats;
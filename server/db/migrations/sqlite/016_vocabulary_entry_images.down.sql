@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_vocabulary_entry_images_pack;
+DROP TABLE IF EXISTS vocabulary_entry_images;
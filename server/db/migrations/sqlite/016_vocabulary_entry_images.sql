@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS vocabulary_entry_images (
+  entry_id TEXT PRIMARY KEY,
+  pack_id TEXT NOT NULL REFERENCES vocabulary_packs(id) ON DELETE CASCADE,
+  mime_type TEXT NOT NULL,
+  byte_size INTEGER NOT NULL,
+  data BLOB NOT NULL,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_entry_images_pack ON vocabulary_entry_images (pack_id);
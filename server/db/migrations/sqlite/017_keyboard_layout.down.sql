@@ -0,0 +1 @@
+ALTER TABLE game_preferences DROP COLUMN keyboardLayout;
@@ -0,0 +1,27 @@
+CREATE TABLE IF NOT EXISTS classrooms (
+  id TEXT PRIMARY KEY,
+  teacherUserId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  joinCode TEXT NOT NULL UNIQUE,
+  assignedPackId TEXT REFERENCES vocabulary_packs(id) ON DELETE SET NULL,
+  assignedLevel INTEGER,
+  assignedAt TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+-- A learner (the account itself as profileId 0, or a child profile) sits in one classroom at a time.
+CREATE TABLE IF NOT EXISTS classroom_members (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  classroomId TEXT NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+  displayName TEXT NOT NULL,
+  joinedAt TEXT NOT NULL,
+  PRIMARY KEY (userId, profileId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_classrooms_teacher ON classrooms (teacherUserId, createdAt DESC);
+CREATE INDEX IF NOT EXISTS idx_classroom_members_classroom ON classroom_members (classroomId, displayName ASC);
+
+ALTER TABLE active_sessions ADD COLUMN profileId INTEGER;
+ALTER TABLE active_sessions ADD COLUMN level INTEGER;
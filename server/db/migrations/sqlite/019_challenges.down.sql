@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_leaderboard_challenge;
+ALTER TABLE leaderboard DROP COLUMN challengeId;
+DROP INDEX IF EXISTS idx_challenges_window;
+DROP TABLE IF EXISTS challenges;
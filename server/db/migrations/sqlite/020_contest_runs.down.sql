@@ -0,0 +1,3 @@
+ALTER TABLE leaderboard DROP COLUMN flagReason;
+DROP INDEX IF EXISTS idx_contest_runs_issued;
+DROP TABLE IF EXISTS contest_runs;
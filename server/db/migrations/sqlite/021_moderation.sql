@@ -0,0 +1,24 @@
+-- One open review item per target; resolved items stay as history.
+CREATE TABLE IF NOT EXISTS moderation_flags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  targetType TEXT NOT NULL,
+  targetId TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  detail TEXT,
+  createdAt TEXT NOT NULL,
+  resolvedAt TEXT,
+  resolvedBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolution TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_flags_open ON moderation_flags (resolvedAt, createdAt);
+CREATE INDEX IF NOT EXISTS idx_moderation_flags_target ON moderation_flags (targetType, targetId);
+
+ALTER TABLE leaderboard ADD COLUMN hiddenAt TEXT;
+ALTER TABLE leaderboard ADD COLUMN hiddenBy INTEGER;
+
+-- A name set by a moderator is no longer overwritten by the sign-in provider.
+ALTER TABLE users ADD COLUMN displayNameLockedAt TEXT;
+
+INSERT INTO moderation_flags (targetType, targetId, reason, createdAt)
+SELECT 'leaderboard', CAST(id AS TEXT), flagReason, createdAt FROM leaderboard WHERE flagReason IS NOT NULL;
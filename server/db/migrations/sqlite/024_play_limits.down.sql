@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS play_days;
+ALTER TABLE game_preferences DROP COLUMN dailyCapMinutes;
+ALTER TABLE game_preferences DROP COLUMN dailyGoalValue;
+ALTER TABLE game_preferences DROP COLUMN dailyGoalType;
@@ -0,0 +1,26 @@
+CREATE TABLE personal_bests_prev (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  level INTEGER NOT NULL,
+  contestType TEXT NOT NULL,
+  duration INTEGER NOT NULL DEFAULT 0,
+  taskTarget INTEGER NOT NULL DEFAULT 0,
+  contentMode TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  bestScore INTEGER NOT NULL DEFAULT 0,
+  bestAccuracy INTEGER NOT NULL DEFAULT 0,
+  bestCpm INTEGER NOT NULL DEFAULT 0,
+  bestScoreAt TEXT,
+  runs INTEGER NOT NULL DEFAULT 0,
+  lastAccuracy INTEGER,
+  lastCpm INTEGER,
+  lastPlayedAt TEXT,
+  PRIMARY KEY (userId, profileId, level, contestType, duration, taskTarget, contentMode, language)
+);
+INSERT INTO personal_bests_prev (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt)
+  SELECT userId, profileId, level, contestType, duration, taskTarget, contentMode, language, bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt FROM personal_bests WHERE ruleSetId = '';
+DROP TABLE personal_bests;
+ALTER TABLE personal_bests_prev RENAME TO personal_bests;
+
+DROP INDEX IF EXISTS idx_leaderboard_rule_set;
+ALTER TABLE leaderboard DROP COLUMN ruleSetId;
@@ -0,0 +1,29 @@
+-- Results played under an admin-defined rule set form their own board; the
+-- classic configurations keep an empty rule set id.
+ALTER TABLE leaderboard ADD COLUMN ruleSetId TEXT NOT NULL DEFAULT '';
+CREATE INDEX IF NOT EXISTS idx_leaderboard_rule_set ON leaderboard (ruleSetId, level, score DESC);
+
+CREATE TABLE personal_bests_next (
+  userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  profileId INTEGER NOT NULL DEFAULT 0,
+  level INTEGER NOT NULL,
+  contestType TEXT NOT NULL,
+  duration INTEGER NOT NULL DEFAULT 0,
+  taskTarget INTEGER NOT NULL DEFAULT 0,
+  contentMode TEXT NOT NULL DEFAULT 'default',
+  language TEXT NOT NULL DEFAULT 'en',
+  ruleSetId TEXT NOT NULL DEFAULT '',
+  bestScore INTEGER NOT NULL DEFAULT 0,
+  bestAccuracy INTEGER NOT NULL DEFAULT 0,
+  bestCpm INTEGER NOT NULL DEFAULT 0,
+  bestScoreAt TEXT,
+  runs INTEGER NOT NULL DEFAULT 0,
+  lastAccuracy INTEGER,
+  lastCpm INTEGER,
+  lastPlayedAt TEXT,
+  PRIMARY KEY (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, ruleSetId)
+);
+INSERT INTO personal_bests_next (userId, profileId, level, contestType, duration, taskTarget, contentMode, language, bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt)
+  SELECT userId, profileId, level, contestType, duration, taskTarget, contentMode, language, bestScore, bestAccuracy, bestCpm, bestScoreAt, runs, lastAccuracy, lastCpm, lastPlayedAt FROM personal_bests;
+DROP TABLE personal_bests;
+ALTER TABLE personal_bests_next RENAME TO personal_bests;
@@ -0,0 +1,2 @@
+ALTER TABLE contest_runs DROP COLUMN difficultiesJson;
+ALTER TABLE leaderboard DROP COLUMN scoringVersion;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_generation_jobs_created;
+DROP INDEX IF EXISTS idx_generation_jobs_queue;
+DROP TABLE IF EXISTS generation_jobs;
@@ -0,0 +1,5 @@
+-- What the safety screen matched, e.g. "blocklist:word"; NULL for clean entries.
+-- Flagged entries stay in their pack for review but are never served.
+ALTER TABLE vocabulary_entries ADD COLUMN safety_flag TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_entries_safety ON vocabulary_entries (safety_flag);
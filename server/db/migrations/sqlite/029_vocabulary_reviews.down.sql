@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_vocabulary_packs_review;
+DROP INDEX IF EXISTS idx_vocabulary_pack_reviews_pack;
+DROP TABLE IF EXISTS vocabulary_pack_reviews;
+ALTER TABLE vocabulary_packs DROP COLUMN review_requested_by;
+ALTER TABLE vocabulary_packs DROP COLUMN review_version;
+ALTER TABLE vocabulary_packs DROP COLUMN review_status;
@@ -0,0 +1,19 @@
+-- Review state of the pack's current content: 'pending', 'approved', 'rejected' or NULL.
+-- Any content change clears it, so an approval never covers words nobody reviewed.
+ALTER TABLE vocabulary_packs ADD COLUMN review_status TEXT;
+-- The snapshot version that was submitted; reviewers diff it against the last approved one.
+ALTER TABLE vocabulary_packs ADD COLUMN review_version INTEGER;
+ALTER TABLE vocabulary_packs ADD COLUMN review_requested_by TEXT;
+
+CREATE TABLE IF NOT EXISTS vocabulary_pack_reviews (
+  id TEXT PRIMARY KEY,
+  pack_id TEXT NOT NULL REFERENCES vocabulary_packs(id) ON DELETE CASCADE,
+  pack_version INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  comment TEXT,
+  actor_id TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_pack_reviews_pack ON vocabulary_pack_reviews (pack_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_packs_review ON vocabulary_packs (review_status);
@@ -38,12 +38,74 @@ const {
 const { seedBuiltinLanguagePacks, strictPrompt } = require("./src/application/language-packs");
 const { checkConfigSchema, checkMigrations, checkRequiredIndexes, checkEncryption } = require("./src/application/self-checks");
 const { computeConfigStatus } = require("./src/application/config-status");
+const {
+  normalizeKeyTelemetry,
+  mergeKeyStats,
+  buildKeyWeaknessProfile,
+  chooseWeighted,
+  orderIndicesByWeakness
+} = require("./src/application/key-weakness");
+const { normalizeReviewReports, scheduleReview } = require("./src/application/spaced-repetition");
+const { progressWindowStart, buildProgressReport } = require("./src/application/progress-report");
+const { RaceRoomRegistry } = require("./src/application/race-rooms");
+const {
+  generateJoinCode,
+  normalizeJoinCode,
+  mapClassroom,
+  mapLiveStudents,
+  summarizeClassroomResults,
+  classroomResultsCsv
+} = require("./src/application/classrooms");
+const { verifyContestRun } = require("./src/application/score-verification");
+const { JOB_STATUSES, JobQueue } = require("./src/application/job-queue");
+const { normalizeContestRules, readContestRules, mapRuleSet } = require("./src/application/contest-rules");
+const { createSafetyScreen, normalizeSafetyLists, readSafetyLists } = require("./src/application/content-safety");
+const {
+  assertCanReview,
+  currentReviewStatus,
+  diffVocabularySnapshots,
+  normalizeReviewDecision,
+  readReviewSettings
+} = require("./src/application/vocabulary-review");
+const { IMPORT_FORMATS, parseVocabularyTable, toVocabularyCsv } = require("./src/application/vocabulary-import");
+const {
+  findBlockedNameFragment,
+  isScoreOutlier,
+  placeholderName,
+  mapModerationFlag,
+  mapHiddenEntry
+} = require("./src/application/moderation");
+const {
+  bestConfigKey,
+  findNewRecords,
+  mapPersonalBest,
+  normalizeLegacyEntries
+} = require("./src/application/personal-bests");
+const { evaluateAchievements, describeAchievement, mapAchievementGallery } = require("./src/application/achievements");
+const {
+  normalizeChallengeInput,
+  challengeStatus,
+  mapChallenge,
+  pickWinners,
+  resultMatchesChallenge
+} = require("./src/application/challenges");
+const {
+  normalizePlayLimits,
+  normalizeParentPin,
+  signedInRecently,
+  mapPlayLimits,
+  localDayKey,
+  beatIncrementMs,
+  describePlayDay
+} = require("./src/application/play-limits");
 const { requestContextMiddleware, requirePermission, withAsync, errorHandler } = require("./src/interface/http/middleware");
 const { asEnum, asNumber, asString, parseJsonArrayOfStrings, requireObject } = require("./src/interface/http/validation");
 const { ConfigStore, SAFE_CONFIG_KEYS } = require("./src/infrastructure/config/config-store");
 const { EncryptionService } = require("./src/infrastructure/security/encryption");
 const { SmtpService } = require("./src/infrastructure/email/smtp-service");
+const { AI_PROVIDER_TYPES, availableProviderTypes, createTextProvider } = require("./src/infrastructure/ai/text-providers");
 const { CrashHandler } = require("./src/infrastructure/reliability/crash-handler");
+const { attachRaceSocket } = require("./src/interface/realtime/race-socket");
 const logger = require("./src/shared/logger");
 const { AppError, badRequest } = require("./src/shared/errors");
 const defaults = require("./data/defaults");
@@ -55,6 +117,7 @@ let repo;
 let configStore;
 let encryptionService;
 let smtpService;
+let jobQueue;
 let activeDriver = resolveDriver();
 let maintenanceMode = false;
 let startupSelfChecks = {};
@@ -67,8 +130,22 @@ let configStatusExpiresAt = 0;
 const OPENAI_EPHEMERAL_TTL_MS = 12 * 60 * 60 * 1000;
 const openaiEphemeralKeys = new Map();
 const defaultModeSessionState = new Map();
-const defaultModeGenerationInFlight = new Map();
 const DEFAULT_MODE_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_REPLAY_EVENTS_PER_BATCH = 500;
+const MAX_REPLAY_EVENTS_PER_SESSION = 20_000;
+const MAX_REPLAY_TASKS_PER_BATCH = 200;
+const MAX_REPLAY_TASKS_PER_SESSION = 2_000;
+const MAX_PROFILES_PER_ACCOUNT = 8;
+const PROFILE_AVATARS = ["star", "cat", "dog", "fox", "owl", "bear", "rabbit", "fish"];
+const PROFILE_AGE_PRESETS = ["2-3", "3-4", "4-5", "5-6", "custom"];
+const KEYBOARD_LAYOUTS = ["qwerty", "jcuken", "azerty", "dvorak"];
+const OFFLINE_PACKS_PER_LEVEL = 20;
+const OFFLINE_ENTRIES_PER_LEVEL = 500;
+const OFFLINE_RESULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const PLAY_DAYS_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const FINISHED_JOB_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_AUDIO_CLIP_BYTES = 512 * 1024;
+const MAX_PICTURE_BYTES = 300 * 1024;
 
 const BUILD_INFO = {
   version: process.env.APP_VERSION || "0.0.0",
@@ -147,7 +224,10 @@ app.use(helmet({
   referrerPolicy: { policy: "no-referrer" }
 }));
 app.use(cors());
-app.use(express.json({ limit: "2mb" }));
+const jsonBody = express.json({ limit: "2mb" });
+// WHY: pack imports carry picture cards inline, so only that route gets a larger allowance.
+const packImportJsonBody = express.json({ limit: "25mb" });
+app.use((req, res, next) => (req.path === "/api/admin/vocabulary/import" ? packImportJsonBody : jsonBody)(req, res, next));
 app.disable("x-powered-by");
 
 app.use(requestContextMiddleware());
@@ -162,7 +242,17 @@ app.use(withAsync(enforceSetupMode));
  * @returns {Promise<void>}
  */
 async function resolveRequestActor(req, res, next) {
-  req.actor = await resolveActor({
+  req.actor = await resolveActorFor(req);
+  return next();
+}
+
+/**
+ * Resolves the actor for any incoming HTTP message, including WebSocket upgrades.
+ * @param {import("http").IncomingMessage} req - Request carrying session cookies or proxy headers
+ * @returns {Promise<object>} The resolved actor
+ */
+function resolveActorFor(req) {
+  return resolveActor({
     req,
     repo,
     options: {
@@ -174,7 +264,6 @@ async function resolveRequestActor(req, res, next) {
       moderatorGroups: AUTH_MODERATOR_GROUPS
     }
   });
-  return next();
 }
 
 /**
@@ -312,6 +401,10 @@ function clampNumber(value, min, max, fallback = 0) {
   return Math.min(Math.max(num, min), max);
 }
 
+function normalizeGameMode(value) {
+  return value === "contest" || value === "practice" ? value : "learning";
+}
+
 function defaultGamePreferences(userId = null) {
   return {
     userId,
@@ -319,6 +412,7 @@ function defaultGamePreferences(userId = null) {
     level: 1,
     contentType: "default",
     language: "en",
+    keyboardLayout: null,
     updatedAt: new Date().toISOString()
   };
 }
@@ -363,6 +457,50 @@ function normalizeVocabularySource(input = "manual") {
   return "manual";
 }
 
+/**
+ * Identifies an uploaded narration clip by its leading bytes. The declared
+ * MIME type from the browser is ignored so only real audio is ever served back.
+ */
+function detectAudioMime(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WAVE") return "audio/wav";
+  if (buffer.toString("ascii", 0, 4) === "OggS") return "audio/ogg";
+  if (buffer.toString("ascii", 0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "audio/webm";
+  if (buffer.toString("ascii", 4, 8) === "ftyp") return "audio/mp4";
+  return null;
+}
+
+/**
+ * Identifies an uploaded picture card by its leading bytes. SVG is rejected on
+ * purpose: it can carry script and is served from our own origin.
+ */
+function detectImageMime(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.toString("ascii", 0, 4) === "GIF8") return "image/gif";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+function decodePictureUpload(encoded, field = "image") {
+  const text = asString(encoded, { min: 16, max: Math.ceil(MAX_PICTURE_BYTES / 3) * 4 + 4, field });
+  const data = Buffer.from(text, "base64");
+  if (data.length > MAX_PICTURE_BYTES) throw badRequest(`Pictures must be at most ${MAX_PICTURE_BYTES / 1024} KB.`);
+  const mimeType = detectImageMime(data);
+  if (!mimeType) throw badRequest("Unsupported picture format. Use PNG, JPEG, GIF or WebP.");
+  return { data, mimeType };
+}
+
+function vocabularyImageUrl(entryId) {
+  return `/api/vocab/entries/${encodeURIComponent(entryId)}/image`;
+}
+
+function vocabularyAudioUrl(entryId) {
+  return `/api/vocab/entries/${encodeURIComponent(entryId)}/audio`;
+}
+
 function safeParseJson(input, fallback) {
   try {
     return input ? JSON.parse(input) : fallback;
@@ -684,7 +822,7 @@ function summarizeOpenAIServiceStatus(config) {
   };
 }
 
-function classifyOpenAITestError(err) {
+function classifyOpenAITestError(err, vendor = "OpenAI") {
   const status = Number(err?.status || 0);
   const message = String(err?.message || err?.body || "OpenAI request failed");
   if (status === 401 || status === 403 || /invalid api key|incorrect api key|unauthorized|forbidden/i.test(message)) {
@@ -697,9 +835,9 @@ function classifyOpenAITestError(err) {
     return { code: "rate_limited", message: "Rate limited or quota exceeded." };
   }
   if (err?.name === "AbortError" || /timed out|network|fetch failed|ENOTFOUND|ECONN/i.test(message)) {
-    return { code: "network", message: "Network error while contacting OpenAI." };
+    return { code: "network", message: `Network error while contacting ${vendor}.` };
   }
-  return { code: "unknown", message: "OpenAI test failed." };
+  return { code: "unknown", message: vendor === "OpenAI" ? "OpenAI test failed." : "AI provider test failed." };
 }
 
 async function resolveOpenAIExecutionContext(actor, { includeLegacy = true } = {}) {
@@ -838,23 +976,143 @@ async function runOpenAIConnectivityTest(actor, requestId) {
     });
   }
   const model = String(resolved.model || OPENAI_MODEL);
-  await callOpenAI({
-    apiKey: resolved.apiKey,
+  await pingTextProvider(createTextProvider({ type: "openai", apiKey: resolved.apiKey }), model);
+  return {
+    ok: true,
+    source: resolved.source,
+    model,
+    requestId: requestId || null,
+    testedAt: startedAt
+  };
+}
+
+function pingTextProvider(provider, model) {
+  return provider.complete({
     model,
     temperature: 0,
     maxTokens: 64,
     systemPrompt: "Return only JSON.",
     prompt: "Return ONLY this JSON object: {\"ok\":true}"
   });
+}
+
+async function getAIServiceConfig() {
+  const stored = await configStore.get("service.ai", { scope: "global", scopeId: "global", fallback: null });
   return {
-    ok: true,
-    source: resolved.source,
-    model,
-    requestId: requestId || null,
-    testedAt: startedAt
+    provider: AI_PROVIDER_TYPES.includes(stored?.provider) ? stored.provider : "openai",
+    compatible: {
+      baseUrl: String(stored?.compatible?.baseUrl || ""),
+      model: String(stored?.compatible?.model || ""),
+      apiKeyEnc: stored?.compatible?.apiKeyEnc || null
+    },
+    lastTestAt: stored?.lastTestAt || null,
+    lastTestOk: Boolean(stored?.lastTestOk),
+    lastTestError: stored?.lastTestError || null
+  };
+}
+
+function summarizeAIServiceStatus(config) {
+  return {
+    provider: config.provider,
+    providers: availableProviderTypes(),
+    compatible: {
+      baseUrl: config.compatible.baseUrl,
+      model: config.compatible.model,
+      hasApiKey: hasEncryptedOpenAIKey(config.compatible.apiKeyEnc)
+    },
+    lastTestAt: config.lastTestAt,
+    lastTestOk: config.lastTestOk,
+    lastTestError: config.lastTestError
+  };
+}
+
+/**
+ * Saves the active provider and the OpenAI-compatible endpoint. OpenAI's own key
+ * stays under `service.openai`; an empty `apiKey` keeps the stored one.
+ */
+async function applyAIServiceSettings(actor, body) {
+  const current = await getAIServiceConfig();
+  const provider = body.provider === undefined ? current.provider : asEnum(String(body.provider), availableProviderTypes(), "provider");
+  const input = body.compatible && typeof body.compatible === "object" ? body.compatible : {};
+  const compatible = {
+    baseUrl: input.baseUrl === undefined ? current.compatible.baseUrl : String(input.baseUrl || "").trim(),
+    model: input.model === undefined ? current.compatible.model : String(input.model || "").trim().slice(0, 120),
+    apiKeyEnc: input.clearApiKey ? null : current.compatible.apiKeyEnc
+  };
+  if (compatible.baseUrl && !/^https?:\/\/[^\s]+$/i.test(compatible.baseUrl)) throw badRequest("Base URL must start with http:// or https://");
+  if (provider === "openai_compatible" && (!compatible.baseUrl || !compatible.model)) {
+    throw badRequest("An OpenAI-compatible provider needs a base URL and a model");
+  }
+  const apiKey = String(input.apiKey || "").trim();
+  if (apiKey) {
+    if (!encryptionService?.isConfigured()) {
+      throw new AppError("Encryption is not configured for DB key storage", { status: 400, code: "ENCRYPTION_NOT_CONFIGURED", expose: true });
+    }
+    // SECURITY: provider keys are encrypted at rest like the OpenAI key and never returned.
+    compatible.apiKeyEnc = encryptionService.encrypt(apiKey);
+  }
+  const changed = provider !== current.provider || JSON.stringify(compatible) !== JSON.stringify(current.compatible);
+  const next = {
+    provider,
+    compatible,
+    lastTestAt: changed ? null : current.lastTestAt,
+    lastTestOk: changed ? false : current.lastTestOk,
+    lastTestError: changed ? null : current.lastTestError
+  };
+  await configStore.setSafe("service.ai", next, { scope: "global", scopeId: "global", updatedBy: actor?.externalSubject || "admin" });
+  return summarizeAIServiceStatus(next);
+}
+
+/**
+ * The provider generation runs against, or null when the active one is not usable.
+ * OpenAI keeps its own key sources, including the legacy ones.
+ */
+async function resolveAIExecutionContext(actor) {
+  const config = await getAIServiceConfig();
+  if (config.provider === "offline_stub") {
+    // A stub saved by a test or development run is not usable once the process runs in production.
+    if (!availableProviderTypes().includes("offline_stub")) return null;
+    return { provider: createTextProvider({ type: "offline_stub" }), model: "offline-stub", source: "service.ai.offline_stub" };
+  }
+  if (config.provider === "openai_compatible") {
+    if (!config.compatible.baseUrl || !config.compatible.model) return null;
+    return {
+      provider: createTextProvider({
+        type: "openai_compatible",
+        baseUrl: config.compatible.baseUrl,
+        apiKey: decryptOpenAIEncryptedKey(config.compatible.apiKeyEnc) || ""
+      }),
+      model: config.compatible.model,
+      source: "service.ai.openai_compatible"
+    };
+  }
+  const openaiCtx = await resolveOpenAIExecutionContext(actor, { includeLegacy: true });
+  if (!openaiCtx?.apiKey) return null;
+  return {
+    provider: createTextProvider({ type: "openai", apiKey: openaiCtx.apiKey }),
+    model: openaiCtx.model || OPENAI_MODEL,
+    source: openaiCtx.source
   };
 }
 
+async function requireAIExecutionContext(actor, requestId = null) {
+  const ai = await resolveAIExecutionContext(actor);
+  if (!ai) {
+    throw new AppError("No AI provider is configured", { status: 400, code: "AI_PROVIDER_MISSING", expose: true, metadata: { requestId } });
+  }
+  return ai;
+}
+
+async function persistAITestStatus({ ok, errorMessage = null }) {
+  const stored = await configStore.get("service.ai", { scope: "global", scopeId: "global", fallback: {} });
+  await configStore.setSafe("service.ai", {
+    ...(stored || {}),
+    lastTestAt: new Date().toISOString(),
+    lastTestOk: Boolean(ok),
+    lastTestError: errorMessage ? String(errorMessage).slice(0, 400) : null
+  }, { scope: "global", scopeId: "global", updatedBy: "ai-test" });
+}
+
 async function persistOpenAITestStatus({ ok, code = null, errorMessage = null }) {
   const current = await getOpenAIServiceConfig();
   await saveOpenAIServiceConfig({
@@ -906,8 +1164,8 @@ function normalizeGameSessionId(raw, actor, ip) {
   return `guest:${String(ip || "unknown").slice(0, 64)}`;
 }
 
-function makeDefaultModeChannelKey(language, level, type) {
-  return `${String(language || "en").toLowerCase()}|${Number(level || 1)}|${type}|default`;
+function makeDefaultModeChannelKey(language, level, type, variant = "default") {
+  return `${String(language || "en").toLowerCase()}|${Number(level || 1)}|${type}|${variant}`;
 }
 
 function cleanupDefaultModeSessions() {
@@ -924,6 +1182,7 @@ function ensureDefaultModeSession(sessionId) {
   if (!defaultModeSessionState.has(sessionId)) {
     defaultModeSessionState.set(sessionId, {
       channels: new Map(),
+      keyStatsByLanguage: new Map(),
       lastTouchedAtMs: Date.now()
     });
   }
@@ -945,7 +1204,112 @@ function ensureDefaultModeChannel(sessionState, channelKey) {
   return sessionState.channels.get(channelKey);
 }
 
-function buildFallbackTasks(level, count, language) {
+async function recordKeyTelemetry({ actor, profileId = 0, sessionId, language, entries }) {
+  if (!entries.length) return;
+  const sessionState = ensureDefaultModeSession(sessionId);
+  if (!sessionState.keyStatsByLanguage.has(language)) {
+    sessionState.keyStatsByLanguage.set(language, new Map());
+  }
+  mergeKeyStats(sessionState.keyStatsByLanguage.get(language), entries);
+  if (actor?.isAuthenticated && actor?.id) {
+    await repo.addPlayerKeyStats(actor.id, language, entries, { profileId });
+  }
+}
+
+function normalizeReplayEvent(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const result = raw.result === "correct" || raw.result === "wrong" ? raw.result : null;
+  const key = String(raw.key ?? "").slice(0, 8);
+  if (!result || !key) return null;
+  return {
+    seq: Math.round(clampNumber(raw.seq, 0, MAX_REPLAY_EVENTS_PER_SESSION, 0)),
+    taskIndex: Math.round(clampNumber(raw.taskIndex, 0, MAX_REPLAY_TASKS_PER_SESSION, 0)),
+    caretIndex: Math.round(clampNumber(raw.caretIndex, 0, 1000, 0)),
+    offsetMs: Math.round(clampNumber(raw.offsetMs, 0, 86_400_000, 0)),
+    key,
+    expected: raw.expected ? String(raw.expected).slice(0, 8) : null,
+    result
+  };
+}
+
+function normalizeReplayTask(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const prompt = String(raw.prompt ?? "").slice(0, 256);
+  const answer = String(raw.answer ?? "").slice(0, 256);
+  if (!prompt || !answer) return null;
+  const task = {
+    index: Math.round(clampNumber(raw.index, 0, MAX_REPLAY_TASKS_PER_SESSION, 0)),
+    id: String(raw.id ?? "").slice(0, 128),
+    level: clampNumber(raw.level, 1, 5, 1),
+    prompt,
+    answer
+  };
+  if (raw.sentence) {
+    task.sentence = String(raw.sentence).slice(0, 2000);
+    task.words = Array.isArray(raw.words) ? raw.words.slice(0, 100).map((word) => String(word).slice(0, 128)) : [];
+    task.wordIndex = Math.round(clampNumber(raw.wordIndex, 0, 100, 0));
+  }
+  return task;
+}
+
+function normalizeProfileName(value) {
+  // WHY: unlike cleanName this keeps non-Latin letters; children's names are rarely ASCII.
+  const name = String(value || "").replace(/[^\p{L}\p{N}\s'-]/gu, "").replace(/\s+/g, " ").trim().slice(0, 24);
+  if (!name) throw badRequest("Invalid profile name");
+  return name;
+}
+
+function mapPlayerProfileRow(row) {
+  return {
+    id: Number(row.id),
+    displayName: row.displayname || row.displayName,
+    avatar: row.avatar,
+    agePreset: row.agepreset || row.agePreset,
+    createdAt: row.createdat || row.createdAt,
+    updatedAt: row.updatedat || row.updatedAt
+  };
+}
+
+async function resolveActiveProfile(req) {
+  return resolveProfileForActor(req.actor, req.get("x-profile-id"));
+}
+
+async function resolveProfileForActor(actor, rawProfileId) {
+  if (!actor?.isAuthenticated) return null;
+  const raw = String(rawProfileId || "").trim();
+  if (!raw || raw === "0") return null;
+  const id = Number(raw);
+  const row = Number.isSafeInteger(id) && id > 0 ? await repo.getPlayerProfile(id) : null;
+  // SECURITY: a parent can only act as profiles they own.
+  if (!row || Number(row.userid || row.userId) !== Number(actor.id)) {
+    throw new AppError("Profile not found", { status: 404, code: "PROFILE_NOT_FOUND", expose: true });
+  }
+  return mapPlayerProfileRow(row);
+}
+
+function mapGameSessionRow(row) {
+  return {
+    id: row.id,
+    mode: row.mode,
+    level: Number(row.level || 1),
+    contentMode: row.contentmode || row.contentMode,
+    language: row.language,
+    eventCount: Number(row.eventcount ?? row.eventCount ?? 0),
+    startedAt: row.startedat || row.startedAt,
+    endedAt: row.endedat || row.endedAt || null
+  };
+}
+
+async function resolveKeyWeaknessProfile({ actor, profileId = 0, sessionId, language }) {
+  // WHY: authorized players keep a long-term model; guests only get the current play session.
+  if (actor?.isAuthenticated && actor?.id) {
+    return buildKeyWeaknessProfile(await repo.listPlayerKeyStats(actor.id, language, profileId));
+  }
+  const sessionStats = defaultModeSessionState.get(sessionId)?.keyStatsByLanguage?.get(language);
+  return buildKeyWeaknessProfile(sessionStats ? Array.from(sessionStats.values()) : []);
+}
+
+function buildFallbackTasks(level, count, language, keyProfile = null) {
   const tasks = [];
   const useRuDefaults = language === "ru";
   const level2Words = useRuDefaults ? defaults.level2WordsRu : defaults.level2Words;
@@ -955,7 +1319,7 @@ function buildFallbackTasks(level, count, language) {
   if (level === 1) {
     for (let i = 0; i < count; i += 1) {
       const pool = [...(language === "ru" ? defaults.lettersRu : defaults.letters), ...defaults.digits];
-      const letter = chooseRandom(pool);
+      const letter = chooseWeighted(pool, keyProfile);
       tasks.push({ id: `${level}-c-${Date.now()}-${i}`, level, prompt: letter, answer: letter });
     }
     return tasks;
@@ -963,7 +1327,7 @@ function buildFallbackTasks(level, count, language) {
 
   if (level === 2) {
     for (let i = 0; i < count; i += 1) {
-      const word = chooseRandom(level2Words);
+      const word = chooseWeighted(level2Words, keyProfile);
       tasks.push({ id: `${level}-w-${Date.now()}-${i}`, level, prompt: word, answer: word });
     }
     return tasks;
@@ -971,7 +1335,7 @@ function buildFallbackTasks(level, count, language) {
 
   if (level === 3) {
     for (let i = 0; i < count; i += 1) {
-      const word = chooseRandom(level3Words);
+      const word = chooseWeighted(level3Words, keyProfile);
       tasks.push({ id: `${level}-w-${Date.now()}-${i}`, level, prompt: word, answer: word });
     }
     return tasks;
@@ -981,7 +1345,7 @@ function buildFallbackTasks(level, count, language) {
     const maxWords = level === 4 ? 3 : 9;
     const minWords = level === 4 ? 2 : 4;
     const length = Math.floor(Math.random() * (maxWords - minWords + 1)) + minWords;
-    const words = Array.from({ length }, () => chooseRandom(sentenceWords));
+    const words = Array.from({ length }, () => chooseWeighted(sentenceWords, keyProfile));
     const sentence = words.join(" ");
     words.forEach((word, idx) => {
       tasks.push({
@@ -998,7 +1362,7 @@ function buildFallbackTasks(level, count, language) {
   return tasks.slice(0, count);
 }
 
-function buildTasksFromVocabularyEntries({ level, count, entries, channelState, packId }) {
+function buildTasksFromVocabularyEntries({ level, count, entries, channelState, packId, keyProfile = null, entryIds = null, dueEntryIds = null, audioUrls = null, imageUrls = null, difficulties = null }) {
   const tasks = [];
   if (!Array.isArray(entries) || entries.length === 0) return { tasks, depleted: true, remainingEntries: 0 };
   const total = entries.length;
@@ -1006,13 +1370,23 @@ function buildTasksFromVocabularyEntries({ level, count, entries, channelState,
   if (!channelState.usedEntryIndicesByPack.has(packId)) {
     channelState.usedEntryIndicesByPack.set(packId, usedSet);
   }
+  const dueIndices = [];
   const unservedIndices = [];
+  const dueSet = dueEntryIds instanceof Set && Array.isArray(entryIds) ? dueEntryIds : null;
   for (let i = 0; i < total; i += 1) {
-    if (!usedSet.has(i)) unservedIndices.push(i);
+    if (usedSet.has(i)) continue;
+    if (dueSet && dueSet.has(entryIds[i])) dueIndices.push(i);
+    else unservedIndices.push(i);
   }
+  // WHY: due reviews keep their scheduler order and always come before new material.
+  const orderedIndices = [...dueIndices, ...orderIndicesByWeakness(unservedIndices, entries, keyProfile)];
+  const entryIdAt = (idx) => (Array.isArray(entryIds) && entryIds[idx] ? { entryId: entryIds[idx] } : {});
+  const audioAt = (idx) => (Array.isArray(audioUrls) && audioUrls[idx] ? { audioUrl: audioUrls[idx] } : {});
+  const imageAt = (idx) => (Array.isArray(imageUrls) && imageUrls[idx] ? { imageUrl: imageUrls[idx] } : {});
+  const difficultyAt = (idx) => (Array.isArray(difficulties) && difficulties[idx] !== null && difficulties[idx] !== undefined ? { difficulty: difficulties[idx] } : {});
 
   if (level <= 3) {
-    const candidate = [...unservedIndices];
+    const candidate = [...orderedIndices];
     while (candidate.length < count) {
       candidate.push(Math.floor(Math.random() * total));
     }
@@ -1025,11 +1399,15 @@ function buildTasksFromVocabularyEntries({ level, count, entries, channelState,
         id: `${level}-w-${packId}-${Date.now()}-${tasks.length}`,
         level,
         prompt: text,
-        answer: text
+        answer: text,
+        ...entryIdAt(idx),
+        ...audioAt(idx),
+        ...imageAt(idx),
+        ...difficultyAt(idx)
       });
     }
   } else {
-    const candidate = [...unservedIndices];
+    const candidate = [...orderedIndices];
     while (candidate.length < total * 3 && tasks.length < count) {
       candidate.push(Math.floor(Math.random() * total));
       if (candidate.length > count * 4) break;
@@ -1050,7 +1428,10 @@ function buildTasksFromVocabularyEntries({ level, count, entries, channelState,
           answer: word,
           sentence,
           wordIndex,
-          words
+          words,
+          ...entryIdAt(idx),
+          ...audioAt(idx),
+          ...difficultyAt(idx)
         });
       }
     }
@@ -1063,7 +1444,7 @@ function buildTasksFromVocabularyEntries({ level, count, entries, channelState,
 }
 
 async function generateStrictVocabularyItems({
-  apiKey,
+  ai,
   model,
   language,
   level,
@@ -1079,8 +1460,7 @@ async function generateStrictVocabularyItems({
     const prompt = attempt === 1
       ? prompts.developer
       : `Fix this model output. Return ONLY a valid JSON array of strings with exactly ${count} items.\n\n${lastRaw}`;
-    lastRaw = await callOpenAI({
-      apiKey,
+    lastRaw = await ai.provider.complete({
       model,
       temperature: 0.4,
       maxTokens: 1400,
@@ -1103,17 +1483,74 @@ async function generateStrictVocabularyItems({
   });
 }
 
-async function persistGeneratedPack({ language, level, type, items, model, metadata = {}, createdBy = null }) {
+let safetyScreenCache = { key: null, screen: null };
+
+async function loadSafetyLists() {
+  return readSafetyLists(await configStore.get("content.safety", { scope: "global", scopeId: "global", fallback: null }));
+}
+
+async function getSafetyScreen() {
+  const lists = await loadSafetyLists();
+  const key = JSON.stringify(lists);
+  if (safetyScreenCache.key !== key) safetyScreenCache = { key, screen: createSafetyScreen(lists) };
+  return safetyScreenCache.screen;
+}
+
+function safetyFlagOf(match) {
+  return match ? `${match.source}:${match.term}` : null;
+}
+
+/** Stores entries with their safety flag; flagged entries stay in the pack for review but are never served. */
+async function saveVocabularyEntries(packId, rows) {
+  const screen = await getSafetyScreen();
+  const screened = rows.map((row) => ({ ...row, safety_flag: safetyFlagOf(screen(row.text)) }));
+  await repo.replaceVocabularyEntries(packId, screened);
+  return screened.filter((row) => row.safety_flag).length;
+}
+
+async function saveLanguagePackItems(packId, items) {
+  const screen = await getSafetyScreen();
+  await repo.replaceLanguagePackItems(packId, items.map((item) => {
+    const flag = safetyFlagOf(screen(item.text));
+    return flag ? { ...item, metadataJson: { ...(item.metadataJson || {}), safetyFlag: flag } } : item;
+  }));
+}
+
+/** Published legacy pack items that pass the current screen. */
+async function getServablePackItems(filters) {
+  const screen = await getSafetyScreen();
+  return (await repo.getPublishedPackItems(filters)).filter((row) => !screen(row.text));
+}
+
+/** Re-screens every stored entry after the lists (or the built-in blocklists) changed. */
+async function rescreenVocabularyEntries() {
+  const screen = await getSafetyScreen();
+  const updates = (await repo.listVocabularyEntriesForScreening())
+    .map((row) => ({ id: String(row.id), packId: String(row.pack_id), safety_flag: safetyFlagOf(screen(row.text)), previous: row.safety_flag || null }))
+    .filter((row) => row.safety_flag !== row.previous);
+  await repo.setVocabularyEntrySafetyFlags(updates.map(({ id, safety_flag }) => ({ id, safety_flag })));
+  // WHY: a released entry becomes visible to players without anyone having reviewed it, so its pack is reviewed again.
+  for (const packId of new Set(updates.filter((row) => !row.safety_flag).map((row) => row.packId))) {
+    await resetPackReview(packId);
+  }
+  return {
+    flagged: updates.filter((row) => row.safety_flag).length,
+    cleared: updates.filter((row) => !row.safety_flag).length
+  };
+}
+
+async function persistGeneratedPack({ language, level, type, items, model, metadata = {}, createdBy = null, autoPublish = true }) {
   const now = new Date().toISOString();
   const id = randomUUID();
   const normalizedType = normalizeVocabularyType(type);
+  const reviewSettings = await loadReviewSettings();
   await repo.createVocabularyPack({
     id,
     name: `Auto ${String(language || "en").toUpperCase()} L${level} ${normalizedType} ${now.slice(0, 16).replace("T", " ")}`,
     language: String(language || "en").toLowerCase(),
     level: clampNumber(level, 1, 5, 1),
     type: normalizedType,
-    status: "published",
+    status: autoPublish ? draftUnlessReviewed("published", reviewSettings) : "draft",
     source: "online_generated",
     version: 1,
     generator_config: {
@@ -1136,7 +1573,7 @@ async function persistGeneratedPack({ language, level, type, items, model, metad
     tags: null,
     created_at: now
   })).filter((row) => row.text);
-  await repo.replaceVocabularyEntries(id, entries);
+  await saveVocabularyEntries(id, entries);
   await repo.createVocabularyVersion({
     id: randomUUID(),
     pack_id: id,
@@ -1149,9 +1586,22 @@ async function persistGeneratedPack({ language, level, type, items, model, metad
     created_by: createdBy ? String(createdBy) : null,
     created_at: now
   });
+  if (reviewSettings.required) {
+    // WHY: nobody pressed submit, so the generated pack enters the review queue on its own instead of going live.
+    await repo.setVocabularyPackReview(id, { review_status: "pending", review_version: 1, review_requested_by: null });
+    await repo.addVocabularyPackReview({ id: randomUUID(), pack_id: id, pack_version: 1, action: "submitted", comment: "Generated for default mode", actor_id: null, created_at: now });
+  }
   return id;
 }
 
+/** Whether a generated default-mode pack for this slot is still waiting for a reviewer. */
+async function hasGeneratedPackAwaitingReview({ language, level, type }) {
+  return (await repo.listVocabularyPacksAwaitingReview()).some((pack) => pack.source === "online_generated"
+    && pack.language === language
+    && Number(pack.level) === Number(level)
+    && normalizeVocabularyType(pack.type) === type);
+}
+
 async function scheduleBackgroundGenerationIfNeeded({
   actor,
   requestId,
@@ -1162,57 +1612,28 @@ async function scheduleBackgroundGenerationIfNeeded({
   requestCount = 60
 }) {
   const lockKey = `${String(language || "en").toLowerCase()}|${level}|${normalizeVocabularyType(type)}|default`;
-  if (defaultModeGenerationInFlight.has(lockKey)) return false;
-  const openaiCtx = await resolveOpenAIExecutionContext(actor, { includeLegacy: true });
-  if (!openaiCtx?.apiKey) return false;
-
-  const run = (async () => {
-    try {
-      const generated = await generateStrictVocabularyItems({
-        apiKey: openaiCtx.apiKey,
-        model: openaiCtx.model || OPENAI_MODEL,
-        language,
-        level,
-        type: normalizeVocabularyType(type),
-        count: clampNumber(requestCount, 10, 200, 60),
-        requestId,
-        theme: "default gameplay rotation"
-      });
-      const packId = await persistGeneratedPack({
-        language,
-        level,
-        type: normalizeVocabularyType(type),
-        items: generated.items,
-        model: openaiCtx.model || OPENAI_MODEL,
-        createdBy: actor?.id || null,
-        metadata: {
-          source_hint: openaiCtx.source,
-          request_id: requestId || null,
-          trigger_reason: triggerReason
-        }
-      });
-      logger.info("default_mode_background_generation_ok", {
-        requestId: requestId || null,
-        language,
-        level,
-        type: normalizeVocabularyType(type),
-        packId,
-        source: openaiCtx.source
-      });
-    } catch (err) {
-      logger.warn("default_mode_background_generation_failed", {
-        requestId: requestId || null,
-        language,
-        level,
-        type: normalizeVocabularyType(type),
-        error: String(err?.message || err || "unknown")
-      });
-    } finally {
-      defaultModeGenerationInFlight.delete(lockKey);
-    }
-  })();
-  defaultModeGenerationInFlight.set(lockKey, run);
-  return true;
+  // WHY: while review is required a generated pack only goes live once approved; one waiting pack per slot is enough.
+  if (await hasGeneratedPackAwaitingReview({ language: String(language || "en").toLowerCase(), level, type: normalizeVocabularyType(type) })) return false;
+  const ai = await resolveAIExecutionContext(actor);
+  if (!ai) return false;
+  // WHY: the lock lives on the job row, so a restart neither loses the job nor queues a duplicate.
+  const job = await jobQueue.enqueue({
+    kind: "vocabulary.default_pack",
+    payload: {
+      language,
+      level,
+      type: normalizeVocabularyType(type),
+      count: clampNumber(requestCount, 10, 200, 60),
+      triggerReason
+    },
+    total: 1,
+    createdBy: actor?.isAuthenticated ? actor.id : null,
+    requestId: requestId || null,
+    dedupeKey: `default_pack:${lockKey}`,
+    maxAttempts: 2
+  });
+  if (job) logger.info("default_mode_background_generation_queued", { requestId: requestId || null, jobId: job.id, lockKey, source: ai.source });
+  return Boolean(job);
 }
 
 async function selectNextContentPack(sessionCtx, playerSettings) {
@@ -1238,8 +1659,36 @@ async function selectNextContentPack(sessionCtx, playerSettings) {
   const packsById = new Map(packs.map((pack) => [String(pack.id), pack]));
   let selectedPack = null;
   let reason = "none";
+  const dueEntryIds = new Set();
+
+  if (sessionCtx.practiceUserId && packs.length > 0) {
+    const dueRows = await repo.listDueVocabularyReviews(sessionCtx.practiceUserId, {
+      packIds: packs.map((pack) => String(pack.id)),
+      dueBefore: new Date().toISOString()
+    });
+    const dueByPack = new Map();
+    for (const row of dueRows) {
+      const packId = String(row.pack_id);
+      if (!dueByPack.has(packId)) dueByPack.set(packId, []);
+      dueByPack.get(packId).push(String(row.entry_id));
+    }
+    let bestPackId = null;
+    for (const [packId, ids] of dueByPack) {
+      const usedSet = channelState.usedEntryIndicesByPack.get(packId);
+      // WHY: a pack whose entries were all served this session cannot serve its due items again.
+      if (usedSet && usedSet.size >= Number(packsById.get(packId)?.entry_count || 0)) continue;
+      if (!bestPackId || ids.length > dueByPack.get(bestPackId).length) bestPackId = packId;
+    }
+    if (bestPackId) {
+      selectedPack = packsById.get(bestPackId);
+      channelState.activePackId = bestPackId;
+      channelState.usedPackIds.add(bestPackId);
+      dueByPack.get(bestPackId).forEach((id) => dueEntryIds.add(id));
+      reason = "due_reviews";
+    }
+  }
 
-  if (channelState.activePackId && packsById.has(String(channelState.activePackId))) {
+  if (!selectedPack && channelState.activePackId && packsById.has(String(channelState.activePackId))) {
     selectedPack = packsById.get(String(channelState.activePackId));
     const usedSet = channelState.usedEntryIndicesByPack.get(String(selectedPack.id));
     const total = Number(selectedPack.entry_count || 0);
@@ -1249,7 +1698,7 @@ async function selectNextContentPack(sessionCtx, playerSettings) {
     } else {
       reason = "active_pack";
     }
-  } else if (channelState.activePackId) {
+  } else if (!selectedPack && channelState.activePackId) {
     channelState.activePackId = null;
   }
 
@@ -1269,7 +1718,7 @@ async function selectNextContentPack(sessionCtx, playerSettings) {
     reason = "fallback_reuse_pack";
   }
   const unusedPacksExist = packs.some((pack) => !channelState.usedPackIds.has(String(pack.id)));
-  return { selectedPack, packs, reason, allUsed, unusedPacksExist };
+  return { selectedPack, packs, reason, allUsed, unusedPacksExist, dueEntryIds };
 }
 
 const contentService = {
@@ -1282,31 +1731,33 @@ async function generateTasks(level, count, contentMode, language = "en", runtime
   const safeLevel = clampNumber(level, 1, 5, 1);
   const safeCount = clampNumber(count, 5, 200, 10);
   const safeLanguage = String(language || "en").toLowerCase();
+  const keyProfile = runtimeCtx.keyProfile || null;
+  const practiceUserId = runtimeCtx.mode === "practice" && runtimeCtx.actor?.isAuthenticated ? runtimeCtx.actor.id : null;
 
   // Legacy published packs path remains unchanged for explicit vocab mode.
   if (contentMode === "vocab") {
     const tasks = [];
-    const level2PackItems = await repo.getPublishedPackItems({ language: safeLanguage, type: "level2" });
-    const level3PackItems = await repo.getPublishedPackItems({ language: safeLanguage, type: "level3" });
-    const sentencePackItems = await repo.getPublishedPackItems({ language: safeLanguage, type: "sentence_words" });
+    const level2PackItems = await getServablePackItems({ language: safeLanguage, type: "level2" });
+    const level3PackItems = await getServablePackItems({ language: safeLanguage, type: "level3" });
+    const sentencePackItems = await getServablePackItems({ language: safeLanguage, type: "sentence_words" });
     const useRuDefaults = safeLanguage === "ru";
     const level2Words = level2PackItems.length ? level2PackItems.map((row) => row.text) : (useRuDefaults ? defaults.level2WordsRu : defaults.level2Words);
     const level3Words = level3PackItems.length ? level3PackItems.map((row) => row.text) : (useRuDefaults ? defaults.level3WordsRu : defaults.level3Words);
     const sentenceWords = sentencePackItems.length ? sentencePackItems.map((row) => row.text) : (useRuDefaults ? defaults.sentenceWordsRu : defaults.sentenceWords);
 
     if (safeLevel === 1) {
-      return buildFallbackTasks(1, safeCount, safeLanguage);
+      return buildFallbackTasks(1, safeCount, safeLanguage, keyProfile);
     }
     if (safeLevel === 2) {
       for (let i = 0; i < safeCount; i += 1) {
-        const word = chooseRandom(level2Words);
+        const word = chooseWeighted(level2Words, keyProfile);
         tasks.push({ id: `${safeLevel}-w-${Date.now()}-${i}`, level: safeLevel, prompt: word, answer: word });
       }
       return tasks;
     }
     if (safeLevel === 3) {
       for (let i = 0; i < safeCount; i += 1) {
-        const word = chooseRandom(level3Words);
+        const word = chooseWeighted(level3Words, keyProfile);
         tasks.push({ id: `${safeLevel}-w-${Date.now()}-${i}`, level: safeLevel, prompt: word, answer: word });
       }
       return tasks;
@@ -1315,7 +1766,7 @@ async function generateTasks(level, count, contentMode, language = "en", runtime
       const maxWords = safeLevel === 4 ? 3 : 9;
       const minWords = safeLevel === 4 ? 2 : 4;
       const length = Math.floor(Math.random() * (maxWords - minWords + 1)) + minWords;
-      const words = Array.from({ length }, () => chooseRandom(sentenceWords));
+      const words = Array.from({ length }, () => chooseWeighted(sentenceWords, keyProfile));
       const sentence = words.join(" ");
       words.forEach((word, idx) => {
         tasks.push({
@@ -1333,18 +1784,22 @@ async function generateTasks(level, count, contentMode, language = "en", runtime
   }
 
   if (safeLevel === 1) {
-    return buildFallbackTasks(1, safeCount, safeLanguage);
+    return buildFallbackTasks(1, safeCount, safeLanguage, keyProfile);
   }
 
   const sessionId = normalizeGameSessionId(runtimeCtx.sessionId, runtimeCtx.actor, runtimeCtx.ip);
   const sessionState = ensureDefaultModeSession(sessionId);
   const contentType = getVocabularyTypeForLevel(safeLevel);
-  const channelKey = makeDefaultModeChannelKey(safeLanguage, safeLevel, contentType);
+  const channelKey = makeDefaultModeChannelKey(safeLanguage, safeLevel, contentType, practiceUserId ? "practice" : "default");
   const channelState = ensureDefaultModeChannel(sessionState, channelKey);
-  const selection = await contentService.selectNextContentPack(
-    { sessionId, channelKey, channelState },
-    { language: safeLanguage, level: safeLevel, type: contentType }
-  );
+  const assignedPack = runtimeCtx.assignedPackId ? await repo.getVocabularyPackById(runtimeCtx.assignedPackId) : null;
+  // WHY: a pack pushed by the student's teacher replaces pack rotation while the class plays its level.
+  const selection = assignedPack && assignedPack.status === "published" && assignedPack.language === safeLanguage
+    ? { selectedPack: assignedPack, packs: [assignedPack], allUsed: false, unusedPacksExist: true, dueEntryIds: new Set() }
+    : await contentService.selectNextContentPack(
+      { sessionId, channelKey, channelState, practiceUserId },
+      { language: safeLanguage, level: safeLevel, type: contentType }
+    );
   let selectedPack = selection.selectedPack;
 
   if (selection.allUsed) {
@@ -1373,23 +1828,41 @@ async function generateTasks(level, count, contentMode, language = "en", runtime
       triggerReason: "no_matching_packs",
       requestCount: Math.max(40, safeCount)
     });
-    return buildFallbackTasks(safeLevel, safeCount, safeLanguage);
+    return buildFallbackTasks(safeLevel, safeCount, safeLanguage, keyProfile);
   }
 
   const selectedPackId = String(selectedPack.id);
-  const packEntries = (await repo.listVocabularyEntries(selectedPackId))
-    .map((row) => String(row.text || "").trim())
-    .filter(Boolean);
+  const packRows = (await repo.listVocabularyEntries(selectedPackId))
+    // SECURITY: entries held by the safety screen stay in the pack for review but never reach a player.
+    .filter((row) => !row.safety_flag)
+    .map((row) => ({
+      id: String(row.id),
+      text: String(row.text || "").trim(),
+      difficulty: row.difficulty_score === null || row.difficulty_score === undefined ? null : Number(row.difficulty_score)
+    }))
+    .filter((row) => row.text);
+  const packEntries = packRows.map((row) => row.text);
+  const clippedEntryIds = new Set((await repo.listVocabularyEntryAudio(selectedPackId)).map((row) => String(row.entry_id)));
+  // Picture cards are a word-level aid; sentence levels never show them.
+  const picturedEntryIds = safeLevel <= 3
+    ? new Set((await repo.listVocabularyEntryImages(selectedPackId)).map((row) => String(row.entry_id)))
+    : new Set();
   if (!packEntries.length) {
     channelState.activePackId = null;
-    return buildFallbackTasks(safeLevel, safeCount, safeLanguage);
+    return buildFallbackTasks(safeLevel, safeCount, safeLanguage, keyProfile);
   }
   const result = buildTasksFromVocabularyEntries({
     level: safeLevel,
     count: safeCount,
     entries: packEntries,
     channelState,
-    packId: selectedPackId
+    packId: selectedPackId,
+    keyProfile,
+    entryIds: practiceUserId ? packRows.map((row) => row.id) : null,
+    dueEntryIds: practiceUserId ? selection.dueEntryIds : null,
+    audioUrls: clippedEntryIds.size ? packRows.map((row) => (clippedEntryIds.has(row.id) ? vocabularyAudioUrl(row.id) : null)) : null,
+    imageUrls: picturedEntryIds.size ? packRows.map((row) => (picturedEntryIds.has(row.id) ? vocabularyImageUrl(row.id) : null)) : null,
+    difficulties: packRows.map((row) => row.difficulty)
   });
   channelState.lastServedAtMs = Date.now();
 
@@ -1413,50 +1886,11 @@ async function generateTasks(level, count, contentMode, language = "en", runtime
   }
 
   if (!result.tasks.length) {
-    return buildFallbackTasks(safeLevel, safeCount, safeLanguage);
+    return buildFallbackTasks(safeLevel, safeCount, safeLanguage, keyProfile);
   }
   return result.tasks;
 }
 
-async function callOpenAI({ apiKey, prompt, systemPrompt = "", model = OPENAI_MODEL, temperature = 0.7, maxTokens = null }) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 20000);
-  const input = [];
-  if (systemPrompt) input.push({ role: "system", content: systemPrompt });
-  input.push({ role: "user", content: String(prompt || "") });
-  if (Array.isArray(prompt)) {
-    input.length = 0;
-    input.push(...prompt);
-  }
-  const response = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
-    },
-    signal: controller.signal,
-    body: JSON.stringify({
-      model,
-      input,
-      temperature,
-      ...(maxTokens ? { max_output_tokens: Number(maxTokens) } : {})
-    })
-  });
-  clearTimeout(timeout);
-
-  if (!response.ok) {
-    const text = await response.text();
-    const err = new Error(`OpenAI request failed (${response.status})`);
-    err.status = response.status;
-    err.body = text;
-    throw err;
-  }
-
-  const data = await response.json();
-  const output = data.output?.[0]?.content?.[0]?.text || data.output_text || "";
-  return output;
-}
-
 async function verifyGoogleCredential(idToken) {
   const providers = await configStore.get("auth.providers", {
     scope: "global",
@@ -1487,18 +1921,19 @@ function buildPrompt(packType, count) {
   return `You are generating simple English words for toddler sentences. Output STRICT JSON only.\n\nTask: Generate ${count} simple English words suitable for building short sentences. Use only lowercase a-z. Avoid proper nouns, slang, or unsafe words.\n\nOutput format: {"words": ["the", "dog", "runs", ...]}\nNo extra text.`;
 }
 
-async function generateWithRetry({ apiKey, packType, count }) {
+async function generateWithRetry({ ai, packType, count }) {
   const prompt = buildPrompt(packType, count);
-  let output = await callOpenAI({ apiKey, prompt });
+  let output = await ai.provider.complete({ model: ai.model, prompt });
   let json;
   try {
     json = JSON.parse(output);
   } catch {
-    output = await callOpenAI({ apiKey, prompt });
+    output = await ai.provider.complete({ model: ai.model, prompt });
     json = JSON.parse(output);
   }
   if (!json.words || !Array.isArray(json.words)) throw new Error("Invalid JSON structure");
-  const cleaned = sanitizeList(json.words);
+  const screen = await getSafetyScreen();
+  const cleaned = sanitizeList(json.words).filter((word) => !screen(word));
   return filterWordsByType(cleaned, packType);
 }
 
@@ -1822,7 +2257,10 @@ app.post("/api/auth/google", authLimiter, withAsync(async (req, res) => {
     providerSubject: String(payload.sub || ""),
     passwordHash: null
   });
-  await repo.updateUserProfile(user.id, { displayName: payload.name || user.displayName, avatarUrl: payload.picture || "" });
+  // WHY: a name set by a moderator must survive the next Google sign-in.
+  const googleName = user.displayNameLockedAt || user.displaynamelockedat ? null : payload.name;
+  await repo.updateUserProfile(user.id, { displayName: googleName || user.displayName, avatarUrl: payload.picture || "" });
+  if (googleName) await flagNameIfBlocked("user", user.id, googleName);
   await repo.touchUserLogin(user.id);
   user = await repo.findUserById(user.id);
   await issueSessionForUser(req, res, user, "auth.google.login");
@@ -1857,6 +2295,7 @@ app.post("/api/auth/register", authLimiter, withAsync(async (req, res) => {
   });
   const passwordHash = await hashPassword(password);
   await upsertPasswordIdentity(repo, user.id, passwordHash);
+  await flagNameIfBlocked("user", user.id, displayName);
   await repo.touchUserLogin(user.id);
   const fresh = await repo.findUserById(user.id);
   await issueSessionForUser(req, res, fresh, "auth.password.register");
@@ -1975,6 +2414,7 @@ app.put("/api/user/profile", requirePermission(Permissions.SESSION_READ), withAs
   }
   const avatarUrl = String(req.body?.avatarUrl || "");
   const user = await repo.updateUserProfile(req.actor.id, { displayName, avatarUrl });
+  await flagNameIfBlocked("user", req.actor.id, displayName);
   await audit(req, "user.profile.update", "user", String(req.actor.id));
   res.json({ ok: true, profile: user });
 }));
@@ -2033,10 +2473,78 @@ app.put("/api/user/openai-key", requirePermission(Permissions.SESSION_READ), wit
   res.json({ ok: true });
 }));
 
+async function requireOwnedProfile(req) {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const id = asNumber(req.params.id, { min: 1, max: Number.MAX_SAFE_INTEGER, field: "profile id" });
+  const row = await repo.getPlayerProfile(id);
+  if (!row || Number(row.userid || row.userId) !== Number(req.actor.id)) {
+    throw new AppError("Profile not found", { status: 404, code: "PROFILE_NOT_FOUND", expose: true });
+  }
+  return mapPlayerProfileRow(row);
+}
+
+function assertProfileNameFree(profiles, displayName, exceptId = null) {
+  const taken = profiles.some((row) => Number(row.id) !== exceptId
+    && String(row.displayname || row.displayName).toLowerCase() === displayName.toLowerCase());
+  if (taken) throw new AppError("Profile name is already used", { status: 409, code: "PROFILE_NAME_TAKEN", expose: true });
+}
+
+app.get("/api/profiles", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, profiles: [] });
+  const rows = await repo.listPlayerProfiles(req.actor.id);
+  res.json({ ok: true, profiles: rows.map(mapPlayerProfileRow) });
+}));
+
+app.post("/api/profiles", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "profile");
+  const displayName = normalizeProfileName(body.displayName);
+  const avatar = asEnum(body.avatar || PROFILE_AVATARS[0], PROFILE_AVATARS, "avatar");
+  const agePreset = asEnum(body.agePreset || "custom", PROFILE_AGE_PRESETS, "agePreset");
+  const existing = await repo.listPlayerProfiles(req.actor.id);
+  if (existing.length >= MAX_PROFILES_PER_ACCOUNT) {
+    throw new AppError("Profile limit reached", { status: 409, code: "PROFILE_LIMIT", expose: true });
+  }
+  assertProfileNameFree(existing, displayName);
+  const row = await repo.createPlayerProfile({
+    userId: req.actor.id,
+    displayName,
+    avatar,
+    agePreset,
+    createdAt: new Date().toISOString()
+  });
+  const profile = mapPlayerProfileRow(row);
+  await flagNameIfBlocked("profile", profile.id, displayName);
+  await audit(req, "user.child_profile.create", "player_profile", String(profile.id), { avatar, agePreset });
+  res.status(201).json({ ok: true, profile });
+}));
+
+app.put("/api/profiles/:id", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  const current = await requireOwnedProfile(req);
+  const body = requireObject(req.body || {}, "profile");
+  const displayName = body.displayName === undefined ? current.displayName : normalizeProfileName(body.displayName);
+  const avatar = body.avatar === undefined ? current.avatar : asEnum(body.avatar, PROFILE_AVATARS, "avatar");
+  const agePreset = body.agePreset === undefined ? current.agePreset : asEnum(body.agePreset, PROFILE_AGE_PRESETS, "agePreset");
+  assertProfileNameFree(await repo.listPlayerProfiles(req.actor.id), displayName, current.id);
+  const row = await repo.updatePlayerProfile(current.id, { displayName, avatar, agePreset, updatedAt: new Date().toISOString() });
+  if (displayName !== current.displayName) await flagNameIfBlocked("profile", current.id, displayName);
+  await audit(req, "user.child_profile.update", "player_profile", String(current.id), { avatar, agePreset });
+  res.json({ ok: true, profile: mapPlayerProfileRow(row) });
+}));
+
+app.delete("/api/profiles/:id", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  const current = await requireOwnedProfile(req);
+  await repo.deletePlayerProfile(current.id);
+  await audit(req, "user.child_profile.delete", "player_profile", String(current.id));
+  res.json({ ok: true });
+}));
+
 app.get("/api/user/history", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
   if (!req.actor?.isAuthenticated) return res.json({ ok: true, entries: [] });
+  const profile = await resolveActiveProfile(req);
   const entries = await repo.queryLeaderboard({ onlyAuthorized: true });
-  const own = entries.filter((row) => Number(row.userid || row.userId) === Number(req.actor.id));
+  const own = entries.filter((row) => Number(row.userid || row.userId) === Number(req.actor.id)
+    && Number(row.profileid || row.profileId || 0) === (profile?.id || 0));
   res.json({ ok: true, entries: own });
 }));
 
@@ -2044,14 +2552,16 @@ app.get("/api/user/preferences", requirePermission(Permissions.SESSION_READ), wi
   if (!req.actor?.isAuthenticated) {
     return res.json({ ok: true, preferences: defaultGamePreferences(null), source: "guest_default" });
   }
-  const existing = await repo.getGamePreferences(req.actor.id);
+  const profile = await resolveActiveProfile(req);
+  const existing = await repo.getGamePreferences(req.actor.id, profile?.id || 0);
   const normalized = existing
     ? {
         userId: Number(existing.userid || existing.userId || req.actor.id),
-        mode: existing.mode === "contest" ? "contest" : "learning",
+        mode: normalizeGameMode(existing.mode),
         level: clampNumber(existing.level, 1, 5, 1),
         contentType: existing.contenttype || existing.contentType || "default",
         language: String(existing.language || "en").toLowerCase(),
+        keyboardLayout: existing.keyboardlayout || existing.keyboardLayout || null,
         updatedAt: existing.updatedat || existing.updatedAt || new Date().toISOString()
       }
     : defaultGamePreferences(req.actor.id);
@@ -2061,20 +2571,22 @@ app.get("/api/user/preferences", requirePermission(Permissions.SESSION_READ), wi
 app.put("/api/user/preferences", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
   if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
   const body = requireObject(req.body || {}, "preferences");
-  const mode = body.mode === "contest" ? "contest" : "learning";
+  const mode = normalizeGameMode(body.mode);
   const level = clampNumber(body.level, 1, 5, 1);
   const contentType = body.contentType === "vocab" ? "vocab" : "default";
   const language = String(body.language || "en").toLowerCase();
   const updatedAt = new Date().toISOString();
+  const profile = await resolveActiveProfile(req);
   await repo.upsertGamePreferences({
     userId: req.actor.id,
+    profileId: profile?.id || 0,
     mode,
     level,
     contentType,
     language,
     updatedAt
   });
-  await audit(req, "user.preferences.update", "user", String(req.actor.id), { mode, level, contentType, language });
+  await audit(req, "user.preferences.update", "user", String(req.actor.id), { mode, level, contentType, language, profileId: profile?.id || null });
   res.json({
     ok: true,
     preferences: {
@@ -2088,11 +2600,28 @@ app.put("/api/user/preferences", requirePermission(Permissions.SESSION_READ), wi
   });
 }));
 
+// The client reports the layout it detects from KeyboardEvent.code. It has its own route so that
+// saving menu preferences never clears it.
+app.put("/api/user/preferences/keyboard-layout", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "keyboard layout");
+  const keyboardLayout = asEnum(body.keyboardLayout, KEYBOARD_LAYOUTS, "keyboardLayout");
+  const profile = await resolveActiveProfile(req);
+  await repo.setGamePreferencesKeyboardLayout({
+    userId: req.actor.id,
+    profileId: profile?.id || 0,
+    keyboardLayout,
+    updatedAt: new Date().toISOString()
+  });
+  res.json({ ok: true, keyboardLayout });
+}));
+
 app.get("/api/user/stats", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
   if (!req.actor?.isAuthenticated) {
     return res.json({ ok: true, stats: null, source: "guest" });
   }
-  const row = await repo.getPlayerStats(req.actor.id);
+  const profile = await resolveActiveProfile(req);
+  const row = await repo.getPlayerStats(req.actor.id, profile?.id || 0);
   const stats = row
     ? {
         userId: Number(row.userid || row.userId || req.actor.id),
@@ -2119,6 +2648,144 @@ app.get("/api/user/stats", requirePermission(Permissions.SESSION_READ), withAsyn
   res.json({ ok: true, stats, source: row ? "db" : "default" });
 }));
 
+app.get("/api/user/progress", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, report: null, source: "guest" });
+  const days = Math.round(asNumber(req.query.days ?? 30, { min: 7, max: 180, field: "days" }));
+  const profile = await resolveActiveProfile(req);
+  const profileId = profile?.id || 0;
+  const now = new Date();
+  const since = progressWindowStart(days, now);
+  const [daily, weekly, levels, keyStats] = await Promise.all([
+    repo.aggregateSessionResults(req.actor.id, { profileId, since, bucket: "day" }),
+    repo.aggregateSessionResults(req.actor.id, { profileId, since, bucket: "week" }),
+    repo.aggregateSessionResultsByLevel(req.actor.id, { profileId, since }),
+    repo.listPlayerKeyStats(req.actor.id, null, profileId)
+  ]);
+  res.json({
+    ok: true,
+    profileId: profile?.id || null,
+    report: buildProgressReport({ daily, weekly, levels, keyStats, days, now })
+  });
+}));
+
+/**
+ * Evaluates achievement rules against what was just played and stores new unlocks.
+ * @param {{ userId: number, profileId: number, stats: object|null, run: object, language?: string|null, records?: string[] }} context
+ * @returns {Promise<object[]>} The achievements this call unlocked, for the client to celebrate
+ */
+async function awardAchievements({ userId, profileId, stats, run, language = null, records = [] }) {
+  const unlockedIds = (await repo.listPlayerAchievements(userId, profileId)).map((row) => row.achievementid || row.achievementId);
+  const keyStats = language ? await repo.listPlayerKeyStats(userId, language, profileId) : [];
+  const earned = evaluateAchievements({ stats, run, keyStats, language, records }, unlockedIds);
+  if (!earned.length) return [];
+  const unlockedAt = new Date().toISOString();
+  const stored = await repo.unlockPlayerAchievements({ userId, profileId, ids: earned, unlockedAt });
+  return stored.map((id) => describeAchievement(id, unlockedAt));
+}
+
+async function describePlayLimits(userId, profileId, tzOffsetMinutes) {
+  const day = localDayKey(tzOffsetMinutes);
+  const preferences = await repo.getGamePreferences(userId, profileId);
+  return describePlayDay(mapPlayLimits(preferences), await repo.getPlayDay(userId, profileId, day), day);
+}
+
+async function requirePlayTimeLeft(actor, profile, tzOffsetMinutes) {
+  if (!actor?.isAuthenticated) return;
+  const status = await describePlayLimits(actor.id, profile?.id || 0, tzOffsetMinutes);
+  if (status.capReached) {
+    throw new AppError("Play time for today is used up", { status: 403, code: "PLAY_LIMIT_REACHED", expose: true });
+  }
+}
+
+app.get("/api/user/play-limits", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, status: null, identities: [], source: "guest" });
+  const profile = await resolveActiveProfile(req);
+  const status = await describePlayLimits(req.actor.id, profile?.id || 0, req.query.tzOffsetMinutes);
+  // A child profile gets its own status and nothing else; changing limits also needs the parent PIN.
+  if (profile) return res.json({ ok: true, status, identities: [], source: "db" });
+  const profiles = await repo.listPlayerProfiles(req.actor.id);
+  const identities = await Promise.all([{ id: 0, displayName: null }, ...profiles.map(mapPlayerProfileRow)].map(async (entry) => ({
+    profileId: entry.id,
+    displayName: entry.displayName,
+    limits: mapPlayLimits(await repo.getGamePreferences(req.actor.id, entry.id))
+  })));
+  res.json({ ok: true, status, identities, pinSet: Boolean(await repo.getParentPinHash(req.actor.id)), source: "db" });
+}));
+
+/**
+ * SECURITY: the active profile is only the X-Profile-Id header, which a child on the same device can drop.
+ * The PIN is what proves the parent is present; the header check just gives a clearer message.
+ */
+async function requireParentPin(req, rawPin) {
+  if (await resolveActiveProfile(req)) {
+    throw new AppError("Switch to the parent account to change play limits", { status: 403, code: "PARENT_ONLY", expose: true });
+  }
+  const pinHash = await repo.getParentPinHash(req.actor.id);
+  if (!pinHash) throw new AppError("Choose a parent PIN first", { status: 403, code: "PARENT_PIN_NOT_SET", expose: true });
+  if (!(await verifyPassword(String(rawPin ?? ""), pinHash))) {
+    throw new AppError("Wrong parent PIN", { status: 403, code: "PARENT_PIN_INVALID", expose: true });
+  }
+}
+
+app.put("/api/user/parent-pin", requirePermission(Permissions.SESSION_READ), authLimiter, withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "parentPin");
+  const pin = normalizeParentPin(body.pin);
+  if (await resolveActiveProfile(req)) {
+    throw new AppError("Switch to the parent account to change the parent PIN", { status: 403, code: "PARENT_ONLY", expose: true });
+  }
+  const hadPin = Boolean(await repo.getParentPinHash(req.actor.id));
+  // WHY: a forgotten PIN is replaced by signing in again, which a child on the device cannot do without the account's credentials.
+  if (hadPin && !signedInRecently(req.actor.sessionStartedAt)) await requireParentPin(req, body.currentPin);
+  await repo.setParentPinHash(req.actor.id, { pinHash: await hashPassword(pin), updatedAt: new Date().toISOString() });
+  await audit(req, hadPin ? "user.parent_pin.change" : "user.parent_pin.set", "user", String(req.actor.id));
+  res.json({ ok: true, pinSet: true });
+}));
+
+app.put("/api/user/play-limits", requirePermission(Permissions.SESSION_READ), authLimiter, withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "playLimits");
+  await requireParentPin(req, body.parentPin);
+  const target = await resolveProfileForActor(req.actor, body.profileId);
+  const limits = normalizePlayLimits(body);
+  await repo.setPlayLimits({ userId: req.actor.id, profileId: target?.id || 0, ...limits, updatedAt: new Date().toISOString() });
+  await audit(req, "user.play_limits.update", "user", String(req.actor.id), { ...limits, profileId: target?.id || null });
+  res.json({ ok: true, profileId: target?.id || 0, limits });
+}));
+
+app.get("/api/user/achievements", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) {
+    return res.json({ ok: true, achievements: mapAchievementGallery([]), source: "guest" });
+  }
+  const profile = await resolveActiveProfile(req);
+  const rows = await repo.listPlayerAchievements(req.actor.id, profile?.id || 0);
+  res.json({ ok: true, achievements: mapAchievementGallery(rows), source: "db" });
+}));
+
+app.get("/api/user/personal-bests", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) {
+    return res.json({ ok: true, bests: [], source: "guest" });
+  }
+  const profile = await resolveActiveProfile(req);
+  const rows = await repo.listPersonalBests(req.actor.id, profile?.id || 0);
+  res.json({ ok: true, bests: rows.map(mapPersonalBest), source: "db" });
+}));
+
+// WHY: bests used to live in each device's localStorage; this lets a client hand them over once.
+app.post("/api/user/personal-bests/import", requirePermission(Permissions.SESSION_READ), resultsLimiter, withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "import");
+  const profile = await resolveActiveProfile(req);
+  const imported = await repo.importPersonalBests({
+    userId: req.actor.id,
+    profileId: profile?.id || 0,
+    entries: normalizeLegacyEntries(body.entries),
+    importedAt: new Date().toISOString()
+  });
+  const rows = await repo.listPersonalBests(req.actor.id, profile?.id || 0);
+  res.json({ ok: true, imported, bests: rows.map(mapPersonalBest) });
+}));
+
 app.post("/api/user/stats/session-end", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
   if (!req.actor?.isAuthenticated) return res.json({ ok: true, saved: false, reason: "guest" });
   const body = requireObject(req.body || {}, "sessionStats");
@@ -2127,9 +2794,17 @@ app.post("/api/user/stats/session-end", requirePermission(Permissions.SESSION_RE
   const incorrect = clampNumber(body.incorrect, 0, 5_000_000, 0);
   const bestWPMSession = clampNumber(body.bestWPM, 0, 100_000, 0);
   const playTimeMs = clampNumber(body.totalPlayTimeMs, 0, 86_400_000, 0);
+  // WHY: older queued payloads carry no cpm; the session average follows from what they do carry, while bestWPM is a peak.
+  const sessionCpm = body.cpm === undefined
+    ? Math.round(correct / Math.max(playTimeMs / 60000, 1 / 60))
+    : clampNumber(body.cpm, 0, 100_000, 0);
   const sessionEndedAt = new Date(body.lastSessionAt || Date.now()).toISOString();
+  const mode = normalizeGameMode(body.mode);
+  const level = Math.round(clampNumber(body.level, 1, 5, 1));
+  const language = String(body.language || "en").toLowerCase().slice(0, 16);
 
-  const existing = await repo.getPlayerStats(req.actor.id);
+  const profile = await resolveActiveProfile(req);
+  const existing = await repo.getPlayerStats(req.actor.id, profile?.id || 0);
   const prior = existing
     ? {
         totalLettersTyped: Number(existing.totalletterstyped || existing.totalLettersTyped || 0),
@@ -2166,6 +2841,7 @@ app.post("/api/user/stats/session-end", requirePermission(Permissions.SESSION_RE
 
   const next = {
     userId: req.actor.id,
+    profileId: profile?.id || 0,
     totalLettersTyped: prior.totalLettersTyped + lettersTyped,
     totalCorrect: prior.totalCorrect + correct,
     totalIncorrect: prior.totalIncorrect + incorrect,
@@ -2176,14 +2852,162 @@ app.post("/api/user/stats/session-end", requirePermission(Permissions.SESSION_RE
     lastSessionAt: sessionEndedAt
   };
   await repo.upsertPlayerStats(next);
+  if (correct + incorrect > 0) {
+    await repo.insertSessionResult({
+      userId: req.actor.id,
+      profileId: profile?.id || 0,
+      mode,
+      level,
+      language,
+      correct: Math.round(correct),
+      incorrect: Math.round(incorrect),
+      cpm: Math.round(sessionCpm),
+      durationMs: Math.round(playTimeMs),
+      endedAt: sessionEndedAt
+    });
+  }
   await audit(req, "user.stats.session_end", "user", String(req.actor.id), {
     lettersTyped,
     correct,
     incorrect,
     bestWPMSession,
-    playTimeMs
+    playTimeMs,
+    profileId: profile?.id || null
+  });
+  if (lettersTyped > 0) {
+    await repo.addPlayDayLetters({
+      userId: req.actor.id,
+      profileId: profile?.id || 0,
+      day: localDayKey(body.tzOffsetMinutes, new Date(sessionEndedAt)),
+      letters: Math.round(lettersTyped)
+    });
+  }
+  const achievements = await awardAchievements({
+    userId: req.actor.id,
+    profileId: profile?.id || 0,
+    stats: next,
+    run: { source: "session", level, correct, incorrect, cpm: bestWPMSession },
+    language
+  });
+  res.json({ ok: true, saved: true, stats: next, achievements });
+}));
+
+app.post("/api/user/stats/keys", requirePermission(Permissions.SESSION_READ), resultsLimiter, withAsync(async (req, res) => {
+  const body = requireObject(req.body || {}, "keyStats");
+  const entries = normalizeKeyTelemetry(body.keys);
+  const language = asString(body.language || "en", { min: 2, max: 16, field: "language" }).toLowerCase();
+  const sessionId = normalizeGameSessionId(body.sessionId, req.actor, req.ip);
+  const profile = await resolveActiveProfile(req);
+  await recordKeyTelemetry({ actor: req.actor, profileId: profile?.id || 0, sessionId, language, entries });
+  res.json({ ok: true, saved: entries.length > 0, persisted: Boolean(req.actor?.isAuthenticated) });
+}));
+
+app.post("/api/user/practice/reviews", requirePermission(Permissions.SESSION_READ), resultsLimiter, withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, saved: false, reason: "guest" });
+  const body = requireObject(req.body || {}, "practiceReviews");
+  const reports = normalizeReviewReports(body.reviews);
+  if (!reports.length) return res.json({ ok: true, saved: false, reviews: [] });
+
+  // SECURITY: only entries that still exist are scheduled; pack ownership comes from the DB, not the client.
+  const entries = await repo.getVocabularyEntriesByIds(reports.map((item) => item.entryId));
+  const packByEntry = new Map(entries.map((row) => [String(row.id), String(row.pack_id)]));
+  const states = await repo.listVocabularyReviewStates(req.actor.id, Array.from(packByEntry.keys()));
+  const stateByEntry = new Map(states.map((row) => [String(row.entry_id), row]));
+  const now = new Date();
+  const rows = reports
+    .filter((item) => packByEntry.has(item.entryId))
+    .map((item) => ({
+      entry_id: item.entryId,
+      pack_id: packByEntry.get(item.entryId),
+      ...scheduleReview(stateByEntry.get(item.entryId), item.quality, now)
+    }));
+  await repo.upsertVocabularyReviewStates(req.actor.id, rows);
+  res.json({
+    ok: true,
+    saved: rows.length > 0,
+    reviews: rows.map((row) => ({
+      entryId: row.entry_id,
+      quality: row.last_quality,
+      intervalDays: row.interval_days,
+      dueAt: row.due_at
+    }))
+  });
+}));
+
+app.post("/api/user/sessions/:id/events", requirePermission(Permissions.SESSION_READ), resultsLimiter, withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, saved: false, reason: "guest" });
+  const sessionId = asString(req.params.id, { min: 8, max: 128, field: "session id" });
+  const body = requireObject(req.body || {}, "sessionEvents");
+  const meta = requireObject(body.session || {}, "session");
+  if (body.events !== undefined && (!Array.isArray(body.events) || body.events.length > MAX_REPLAY_EVENTS_PER_BATCH)) {
+    throw badRequest("Invalid events");
+  }
+  if (body.tasks !== undefined && (!Array.isArray(body.tasks) || body.tasks.length > MAX_REPLAY_TASKS_PER_BATCH)) {
+    throw badRequest("Invalid tasks");
+  }
+  const events = (body.events || []).map(normalizeReplayEvent).filter(Boolean);
+  const incomingTasks = (body.tasks || []).map(normalizeReplayTask).filter(Boolean);
+
+  const existing = await repo.getGameSession(sessionId);
+  if (existing && Number(existing.userid || existing.userId) !== Number(req.actor.id)) {
+    throw new AppError("Session not found", { status: 404, code: "SESSION_NOT_FOUND", expose: true });
+  }
+  const eventCount = Number(existing?.eventcount ?? existing?.eventCount ?? 0);
+  if (eventCount + events.length > MAX_REPLAY_EVENTS_PER_SESSION) {
+    throw new AppError("Session event limit reached", { status: 413, code: "SESSION_EVENT_LIMIT", expose: true });
+  }
+  const tasksByIndex = new Map(
+    safeParseJson(existing?.tasksjson || existing?.tasksJson, []).map((task) => [Number(task.index), task])
+  );
+  for (const task of incomingTasks) tasksByIndex.set(task.index, task);
+  if (tasksByIndex.size > MAX_REPLAY_TASKS_PER_SESSION) throw badRequest("Too many tasks");
+
+  const now = new Date().toISOString();
+  await repo.upsertGameSession({
+    id: sessionId,
+    userId: req.actor.id,
+    mode: normalizeGameMode(meta.mode),
+    level: clampNumber(meta.level, 1, 5, 1),
+    contentMode: meta.contentMode === "vocab" ? "vocab" : "default",
+    language: String(meta.language || "en").toLowerCase().slice(0, 16),
+    tasksJson: JSON.stringify(Array.from(tasksByIndex.values()).sort((a, b) => a.index - b.index)),
+    startedAt: new Date(Number(meta.startedAt) || Date.now()).toISOString(),
+    endedAt: body.ended ? now : null,
+    updatedAt: now
+  });
+  const inserted = events.length ? await repo.appendKeystrokeEvents(sessionId, events) : 0;
+  res.json({ ok: true, saved: true, inserted });
+}));
+
+app.get("/api/user/sessions", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) return res.json({ ok: true, sessions: [] });
+  const limit = clampNumber(req.query.limit, 1, 100, 20);
+  const rows = await repo.listGameSessionsForUser(req.actor.id, limit);
+  res.json({ ok: true, sessions: rows.map(mapGameSessionRow) });
+}));
+
+app.get("/api/user/sessions/:id/replay", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const sessionId = asString(req.params.id, { min: 8, max: 128, field: "session id" });
+  const row = await repo.getGameSession(sessionId);
+  if (!row || Number(row.userid || row.userId) !== Number(req.actor.id)) {
+    throw new AppError("Session not found", { status: 404, code: "SESSION_NOT_FOUND", expose: true });
+  }
+  const events = (await repo.listKeystrokeEvents(sessionId)).map((event) => ({
+    seq: Number(event.seq),
+    taskIndex: Number(event.taskindex ?? event.taskIndex),
+    caretIndex: Number(event.caretindex ?? event.caretIndex ?? 0),
+    offsetMs: Number(event.offsetms ?? event.offsetMs),
+    key: event.keyvalue || event.keyValue,
+    expected: event.expected || null,
+    result: event.result
+  }));
+  res.json({
+    ok: true,
+    session: mapGameSessionRow(row),
+    tasks: safeParseJson(row.tasksjson || row.tasksJson, []),
+    events
   });
-  res.json({ ok: true, saved: true, stats: next });
 }));
 
 app.post("/api/tasks/generate", requirePermission(Permissions.TASKS_GENERATE), requireNotMaintenance, generationLimiter, withAsync(async (req, res) => {
@@ -2193,6 +3017,7 @@ app.post("/api/tasks/generate", requirePermission(Permissions.TASKS_GENERATE), r
   const safeLevel = asNumber(body.level, { min: 1, max: maxLevel, field: "level" });
   const safeCount = asNumber(body.count ?? 10, { min: 5, max: 100, field: "count" });
   const safeContentMode = body.contentMode === "vocab" ? "vocab" : "default";
+  const mode = asEnum(body.mode || "learning", ["learning", "contest", "practice"], "mode");
   const requestedLanguage = String(body.language || "en").toLowerCase();
   const telemetry = body.telemetry && typeof body.telemetry === "object" ? body.telemetry : {};
   const sessionId = normalizeGameSessionId(body.sessionId, req.actor, req.ip);
@@ -2223,18 +3048,70 @@ app.post("/api/tasks/generate", requirePermission(Permissions.TASKS_GENERATE), r
       language = requestedLanguage === "ru" ? "ru" : "en";
     }
   }
+  const profile = await resolveActiveProfile(req);
+  await requirePlayTimeLeft(req.actor, profile, body.tzOffsetMinutes);
+  await recordKeyTelemetry({
+    actor: req.actor,
+    profileId: profile?.id || 0,
+    sessionId,
+    language,
+    entries: normalizeKeyTelemetry(telemetry.keys)
+  });
+  const keyProfile = await resolveKeyWeaknessProfile({ actor: req.actor, profileId: profile?.id || 0, sessionId, language });
+  const challengeRow = body.challengeId && safeContentMode === "default" ? await repo.getChallenge(String(body.challengeId)) : null;
+  const membership = safeContentMode === "default" && !challengeRow ? await findClassroomMembership(req.actor, profile) : null;
+  // A running challenge's fixed pack comes before the classroom's.
+  const assignedPackId = challengeRow && challengeStatus(challengeRow) === "active" && Number(challengeRow.level) === safeLevel
+    ? (challengeRow.packid || challengeRow.packId || null)
+    : membership && Number(membership.assignedlevel ?? membership.assignedLevel) === safeLevel
+      ? (membership.assignedpackid || membership.assignedPackId || null)
+      : null;
   const tasks = await generateTasks(safeLevel, safeCount, safeContentMode, language, {
     sessionId,
+    assignedPackId,
     telemetry: {
       cpm: clampNumber(telemetry.cpm, 0, 10_000, 0)
     },
+    keyProfile,
+    mode,
     actor: req.actor,
     ip: req.ip,
     requestId: req.requestId || null
   });
-  res.json({ tasks, language, fallbackNotice, safeDefaultsApplied: !actorIsAuthorized });
+  const runToken = mode === "contest" && actorIsAuthorized
+    ? await bindContestRun(body.runToken, { actor: req.actor, profile, level: safeLevel, language, tasks })
+    : null;
+  res.json({ tasks, language, fallbackNotice, focusKeys: keyProfile.weakKeys, safeDefaultsApplied: !actorIsAuthorized, runToken });
 }));
 
+/**
+ * Records the answers served to a contest so its result can be recomputed later.
+ * A token the caller does not own, or one already submitted, starts a fresh run.
+ */
+async function bindContestRun(token, { actor, profile, level, language, tasks }) {
+  const answers = tasks.map((task) => String(task.answer || ""));
+  const difficulties = tasks.map((task) => task.difficulty ?? null);
+  const run = token ? await repo.getContestRun(String(token)) : null;
+  if (run && !(run.submittedat || run.submittedAt)
+    && Number(run.userid ?? run.userId) === Number(actor.id)
+    && Number(run.profileid ?? run.profileId) === (profile?.id || 0)) {
+    await repo.appendContestRunAnswers(run.token, answers, difficulties);
+    return run.token;
+  }
+  const fresh = randomUUID();
+  await repo.createContestRun({
+    token: fresh,
+    userId: actor.id,
+    profileId: profile?.id || 0,
+    level,
+    language,
+    answers,
+    difficulties,
+    issuedAt: new Date().toISOString()
+  });
+  return fresh;
+}
+
 app.post("/api/results", requirePermission(Permissions.RESULTS_WRITE), requireNotMaintenance, resultsLimiter, withAsync(async (req, res) => {
   const body = requireObject(req.body || {}, "result");
   if (body.mode && body.mode !== "contest") return res.json({ ok: true, saved: false });
@@ -2243,46 +3120,238 @@ app.post("/api/results", requirePermission(Permissions.RESULTS_WRITE), requireNo
     return res.json({ ok: true, saved: false, reason: "auth_required_for_global_leaderboard" });
   }
 
-  const createdAt = new Date().toISOString();
-  const contestType = body.contestType === "tasks" ? "tasks" : "time";
+  // WHY: results queued offline keep the time they were played, within a bounded window.
+  const playedAtMs = Date.parse(String(body.playedAt || ""));
+  const createdAt = Number.isFinite(playedAtMs) && playedAtMs <= Date.now() && Date.now() - playedAtMs <= OFFLINE_RESULT_MAX_AGE_MS
+    ? new Date(playedAtMs).toISOString()
+    : new Date().toISOString();
   const level = clampNumber(body.level, 1, 5, 1);
+  let ruleSet = null;
+  if (body.ruleSetId) {
+    if (body.challengeId) throw badRequest("Challenges use their own rules");
+    ruleSet = (await loadContestRules()).ruleSets.find((entry) => entry.id === String(body.ruleSetId)) || null;
+    // WHY: a rule set removed or narrowed mid-run leaves nothing to rank the result against.
+    if (!ruleSet || !ruleSet.levels.includes(level)) return res.json({ ok: true, saved: false, reason: "rule_set_unavailable" });
+  }
+  // SECURITY: a rule set fixes the contest shape, so submitted limits are ignored for it.
+  const contestType = ruleSet ? ruleSet.contestType : body.contestType === "tasks" ? "tasks" : "time";
   const contentMode = body.contentMode === "vocab" ? "vocab" : "default";
-  const duration = contestType === "time" ? clampNumber(body.duration, 30, 120, 60) : null;
-  const taskTarget = contestType === "tasks" ? clampNumber(body.taskTarget, 10, 50, 20) : null;
-  const accuracy = clampNumber(body.accuracy, 0, 100, 0);
+  const duration = ruleSet ? ruleSet.duration : contestType === "time" ? clampNumber(body.duration, 30, 120, 60) : null;
+  const taskTarget = ruleSet ? ruleSet.taskTarget : contestType === "tasks" ? clampNumber(body.taskTarget, 10, 50, 20) : null;
+  const ruleSetId = ruleSet?.id || "";
+  const language = String(body.language || "en").toLowerCase();
+  // WHY: with a child profile active the leaderboard identity is the profile, not the free-text name.
+  const profile = await resolveActiveProfile(req);
+
+  let run = null;
+  if (body.runToken) {
+    run = await repo.getContestRun(String(body.runToken));
+    if (!run || Number(run.userid ?? run.userId) !== Number(req.actor.id) || Number(run.profileid ?? run.profileId) !== (profile?.id || 0)) {
+      throw badRequest("Unknown contest run");
+    }
+    if (run.submittedat || run.submittedAt) return res.json({ ok: true, saved: false, reason: "run_already_submitted" });
+  }
+
+  let challengeId = null;
+  if (body.challengeId) {
+    // WHY: podiums freeze on the periodic sweep; closing due ones here keeps results from landing after the end in between.
+    await closeEndedChallenges();
+    const challengeRow = await repo.getChallenge(String(body.challengeId));
+    if (!challengeRow) throw new AppError("Challenge not found", { status: 404, code: "CHALLENGE_NOT_FOUND", expose: true });
+    const challenge = mapChallenge(challengeRow);
+    // SECURITY: playedAt is the client's word, so the window is checked against when the server issued the run, or now without one.
+    const startedAt = run ? new Date(Date.parse(run.issuedAt || run.issuedat)).toISOString() : new Date().toISOString();
+    if (challenge.closedAt || startedAt < challenge.startsAt || startedAt >= challenge.endsAt) {
+      return res.json({ ok: true, saved: false, reason: "challenge_closed" });
+    }
+    if (!resultMatchesChallenge(challenge, { contestType, level, contentMode, duration, taskTarget, language })) {
+      throw badRequest("Result does not match the challenge rules");
+    }
+    challengeId = challenge.id;
+  }
+
+  // SECURITY: totals are recomputed from the run the server issued; the client's score is ignored.
+  let flagReason = "unverified";
+  let stats = null;
+  let breakdown = null;
+  if (run) {
+    const verdict = verifyContestRun({
+      run,
+      summary: body.summary,
+      contest: { contestType, duration, taskTarget, maxStreak: body.maxStreak, scoring: ruleSet ? mapRuleSet(ruleSet) : undefined }
+    });
+    stats = verdict.stats;
+    breakdown = verdict.breakdown;
+    flagReason = Number(run.level) !== level || run.language !== language ? "run_mismatch" : verdict.flagReason;
+  }
+  if (!flagReason) {
+    flagReason = await findScoreOutlier(
+      { contestType, level, contentMode, duration, taskTarget, language, challengeId, ruleSetId: challengeId ? undefined : ruleSetId },
+      stats.score
+    );
+  }
+  // WHY: runs played offline never had a token to send; they are kept unranked, not reported as suspicious.
+  const unranked = flagReason === "unverified";
+  if (flagReason && !unranked) {
+    logger.warn("contest_result_flagged", { userId: req.actor.id, reason: flagReason, requestId: req.requestId || null });
+  }
+  // Unverifiable results keep their clamped client numbers so a reviewer can see what was claimed.
+  stats = stats || {
+    score: clampNumber(body.score, 0, 1_000_000, 0),
+    accuracy: clampNumber(body.accuracy, 0, 100, 0),
+    cpm: clampNumber(body.cpm, 0, 10_000, 0),
+    mistakes: clampNumber(body.mistakes, 0, 100_000, 0),
+    tasksCompleted: clampNumber(body.tasksCompleted, 0, 100_000, 0),
+    timeSeconds: clampNumber(body.timeSeconds, 0, 100_000, 0),
+    maxStreak: clampNumber(body.maxStreak, 0, 100_000, 0),
+    scoringVersion: null
+  };
 
-  await repo.insertLeaderboard({
-    playerName: cleanName(body.playerName || req.actor.displayName || "Player"),
+  const entryId = await repo.insertLeaderboard({
+    playerName: profile ? profile.displayName : cleanName(body.playerName || req.actor.displayName || "Player"),
     createdAt,
     contestType,
     level,
     contentMode,
     duration,
     taskTarget,
-    score: clampNumber(body.score, 0, 1_000_000, 0),
-    accuracy,
-    cpm: clampNumber(body.cpm, 0, 10_000, 0),
-    mistakes: clampNumber(body.mistakes, 0, 100_000, 0),
-    tasksCompleted: clampNumber(body.tasksCompleted, 0, 100_000, 0),
-    timeSeconds: clampNumber(body.timeSeconds, 0, 100_000, 0),
-    maxStreak: clampNumber(body.maxStreak, 0, 100_000, 0),
+    ...stats,
     userId: req.actor.id,
     isGuest: 0,
-    language: String(body.language || "en").toLowerCase(),
-    displayName: req.actor.displayName || cleanName(body.playerName || "Player"),
-    avatarUrl: body.avatarUrl || null
+    language,
+    displayName: profile ? profile.displayName : (req.actor.displayName || cleanName(body.playerName || "Player")),
+    avatarUrl: body.avatarUrl || null,
+    profileId: profile?.id || null,
+    challengeId,
+    flagReason,
+    ruleSetId
+  }, {
+    // WHY: the run is claimed with the insert, so a result that fails to save can be sent again.
+    claimRun: run ? { token: run.token, submittedAt: new Date().toISOString() } : null
   });
+  if (entryId === null) return res.json({ ok: true, saved: false, reason: "run_already_submitted" });
+  let personalBest = null;
+  let achievements = [];
+  if (flagReason) {
+    if (!unranked) await repo.createModerationFlag({ targetType: "leaderboard", targetId: entryId, reason: flagReason, createdAt: new Date().toISOString() });
+  } else {
+    // WHY: only verified runs count, so a held-back result can never set a record.
+    const bestKey = { userId: req.actor.id, profileId: profile?.id || 0, ...bestConfigKey({ level, contestType, duration, taskTarget, contentMode, language, ruleSetId }) };
+    const previous = await repo.getPersonalBest(bestKey);
+    await repo.recordPersonalBest({ ...bestKey, score: stats.score, accuracy: stats.accuracy, cpm: stats.cpm, playedAt: createdAt });
+    personalBest = {
+      records: findNewRecords(previous, stats),
+      previous: previous ? mapPersonalBest(previous) : null
+    };
+    achievements = await awardAchievements({
+      userId: req.actor.id,
+      profileId: profile?.id || 0,
+      stats: await repo.getPlayerStats(req.actor.id, profile?.id || 0),
+      run: { source: "contest", level, correct: stats.tasksCompleted, accuracy: stats.accuracy, cpm: stats.cpm, maxStreak: stats.maxStreak },
+      records: personalBest.records
+    });
+  }
 
-  res.json({ ok: true, saved: true });
+  res.json({
+    ok: true,
+    saved: !flagReason,
+    ...(flagReason ? { reason: unranked ? "result_unranked" : "result_flagged" } : {}),
+    result: { score: stats.score, accuracy: stats.accuracy, cpm: stats.cpm, tasksCompleted: stats.tasksCompleted, scoringVersion: stats.scoringVersion },
+    breakdown,
+    personalBest,
+    achievements
+  });
 }));
 
+/** "score_outlier" when the score is far above the top of its public board, else null. */
+async function findScoreOutlier(filters, score) {
+  const board = await repo.queryLeaderboardPage(
+    { ...filters, onlyAuthorized: true },
+    { sortBy: "score", sortDir: "desc", page: 1, pageSize: 5 }
+  );
+  return isScoreOutlier(score, (board.rows || []).map((row) => row.score)) ? "score_outlier" : null;
+}
+
+const raceRooms = new RaceRoomRegistry();
+
+/**
+ * Identifies a racer from the WebSocket handshake. Browsers cannot set the profile
+ * header on a WebSocket, so the child profile arrives as a query parameter.
+ * @param {import("http").IncomingMessage} req - The upgrade request
+ * @returns {Promise<{ userId: number, profileId: number|null, name: string }>}
+ */
+async function authenticateRacer(req) {
+  const actor = await resolveActorFor(req);
+  if (!actor.isAuthenticated || !hasPermission(actor.role, Permissions.RESULTS_WRITE)) {
+    throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  }
+  const profileId = new URL(req.url, "http://localhost").searchParams.get("profileId");
+  const profile = await resolveProfileForActor(actor, profileId);
+  return {
+    userId: actor.id,
+    profileId: profile?.id || null,
+    name: profile ? profile.displayName : cleanName(actor.displayName || "Player")
+  };
+}
+
+/**
+ * Stores finished racers on the leaderboard under the "race" contest type.
+ * Race counts are paced against the server clock as they arrive; the rows then
+ * get the same outlier check and moderation flags as contest results.
+ * @param {object} room - A finished room from the race registry
+ * @returns {Promise<void>}
+ */
+async function recordRaceResults(room) {
+  const createdAt = new Date(room.finishedAt).toISOString();
+  for (const result of room.results.filter((row) => row.finished)) {
+    const flagReason = result.flagReason || await findScoreOutlier({
+      contestType: "race",
+      level: room.settings.level,
+      contentMode: room.settings.contentMode,
+      duration: null,
+      taskTarget: room.settings.taskCount,
+      language: room.settings.language,
+      ruleSetId: ""
+    }, result.score);
+    const entryId = await repo.insertLeaderboard({
+      playerName: result.name,
+      createdAt,
+      contestType: "race",
+      level: room.settings.level,
+      contentMode: room.settings.contentMode,
+      duration: null,
+      taskTarget: room.settings.taskCount,
+      score: result.score,
+      accuracy: result.accuracy,
+      cpm: result.cpm,
+      mistakes: result.mistakes,
+      tasksCompleted: result.tasksCompleted,
+      timeSeconds: result.timeSeconds,
+      maxStreak: 0,
+      userId: result.userId,
+      isGuest: 0,
+      language: room.settings.language,
+      displayName: result.name,
+      avatarUrl: null,
+      profileId: result.profileId,
+      flagReason
+    });
+    if (flagReason) {
+      logger.warn("race_result_flagged", { userId: result.userId, reason: flagReason, code: room.code });
+      await repo.createModerationFlag({ targetType: "leaderboard", targetId: entryId, reason: flagReason, createdAt: new Date().toISOString() });
+    }
+  }
+}
+
 app.get("/api/leaderboard", requirePermission(Permissions.LEADERBOARD_READ), withAsync(async (req, res) => {
   const raw = req.query || {};
-  const contestType = raw.contestType === "tasks" ? "tasks" : "time";
+  if (raw.challengeId) return sendChallengeLeaderboard(req, res);
+  const ruleSetId = raw.ruleSetId ? String(raw.ruleSetId).slice(0, 32) : "";
+  const contestType = ["tasks", "race"].includes(raw.contestType) ? raw.contestType : "time";
   const level = clampNumber(raw.level, 1, 5, 1);
   const contentMode = raw.contentMode === "vocab" ? "vocab" : "default";
   const duration = contestType === "time" ? clampNumber(raw.duration, 30, 120, 60) : null;
-  const taskTarget = contestType === "tasks" ? clampNumber(raw.taskTarget, 10, 50, 20) : null;
+  const taskTarget = contestType === "time" ? null : clampNumber(raw.taskTarget, 10, 50, 20);
   const language = raw.language ? String(raw.language).toLowerCase() : "";
   const sortBy = ["score", "accuracy", "cpm", "date", "createdAt"].includes(String(raw.sort || "")) ? String(raw.sort) : "score";
   const sortDir = String(raw.order || "desc").toLowerCase() === "asc" ? "asc" : "desc";
@@ -2295,16 +3364,20 @@ app.get("/api/leaderboard", requirePermission(Permissions.LEADERBOARD_READ), wit
       ? new Date(Date.now() - 30 * 86400000).toISOString()
       : "";
 
-  const filters = {
-    contestType,
-    level,
-    contentMode,
-    duration,
-    taskTarget,
-    language,
-    createdAfter,
-    onlyAuthorized: true
-  };
+  // A rule set is its own board; its contest shape is part of the rule set, not a filter.
+  const filters = ruleSetId
+    ? { ruleSetId, level, contentMode, language, createdAfter, onlyAuthorized: true }
+    : {
+        contestType,
+        level,
+        contentMode,
+        duration,
+        taskTarget,
+        language,
+        createdAfter,
+        onlyAuthorized: true,
+        ruleSetId: ""
+      };
   const options = { sortBy, sortDir, page, pageSize };
   const pageResult = repo.queryLeaderboardPage
     ? await repo.queryLeaderboardPage(filters, options)
@@ -2320,6 +3393,203 @@ app.get("/api/leaderboard", requirePermission(Permissions.LEADERBOARD_READ), wit
   res.json({ rows, total, page, pageSize, myRank, entries: rows });
 }));
 
+async function sendChallengeLeaderboard(req, res) {
+  await closeEndedChallenges();
+  const row = await repo.getChallenge(String(req.query.challengeId));
+  if (!row) throw new AppError("Challenge not found", { status: 404, code: "CHALLENGE_NOT_FOUND", expose: true });
+  const sortBy = ["score", "accuracy", "cpm", "date", "createdAt"].includes(String(req.query.sort || "")) ? String(req.query.sort) : "score";
+  const sortDir = String(req.query.order || "desc").toLowerCase() === "asc" ? "asc" : "desc";
+  const page = clampNumber(req.query.page, 1, 5000, 1);
+  const pageSize = clampNumber(req.query.pageSize, 5, 100, 20);
+  const pageResult = await repo.queryLeaderboardPage({ challengeId: row.id, onlyAuthorized: true }, { sortBy, sortDir, page, pageSize });
+  const rows = pageResult.rows || [];
+  let myRank = null;
+  if (req.actor?.isAuthenticated) {
+    const idx = rows.findIndex((entry) => Number(entry.userid || entry.userId) === Number(req.actor.id));
+    if (idx >= 0) myRank = (page - 1) * pageSize + idx + 1;
+  }
+  res.json({ rows, total: Number(pageResult.total || rows.length), page, pageSize, myRank, entries: rows, challenge: await describeChallenge(row) });
+}
+
+async function describeChallenge(row) {
+  const packId = row.packid || row.packId;
+  const pack = packId ? await repo.getVocabularyPackById(packId) : null;
+  return mapChallenge(row, { pack });
+}
+
+/** Freezes the podium of every event whose end time has passed. Safe to call from any request. */
+async function closeEndedChallenges() {
+  const closedAt = new Date().toISOString();
+  for (const row of await repo.listChallengesToClose(closedAt)) {
+    const pageResult = await repo.queryLeaderboardPage(
+      { challengeId: row.id, onlyAuthorized: true },
+      { sortBy: "score", sortDir: "desc", page: 1, pageSize: 100 }
+    );
+    const winners = pickWinners(pageResult.rows || []);
+    if (await repo.closeChallenge(row.id, { winnersJson: JSON.stringify(winners), closedAt })) {
+      logger.info("challenge_closed", { id: row.id, winners: winners.length });
+    }
+  }
+}
+
+async function validateChallengePack(input) {
+  if (!input.packId) return;
+  const pack = await repo.getVocabularyPackById(input.packId);
+  if (!pack || pack.status !== "published") throw badRequest("Pick a published vocabulary pack");
+  if (Number(pack.level) !== input.level || pack.language !== input.language) {
+    throw badRequest("The pack must match the challenge level and language");
+  }
+}
+
+async function loadContestRules() {
+  return readContestRules(await configStore.get("contest.rules", { scope: "global", scopeId: "global", fallback: null }));
+}
+
+app.get("/api/contest/rule-sets", requirePermission(Permissions.LEADERBOARD_READ), withAsync(async (req, res) => {
+  const rules = await loadContestRules();
+  res.json({ ok: true, ruleSets: rules.ruleSets.map(mapRuleSet) });
+}));
+
+app.put("/api/admin/contest/rule-sets", requirePermission(Permissions.ADMIN_CONFIG_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const body = requireObject(req.body || {}, "ruleSets");
+  const current = await configStore.get("contest.rules", { scope: "global", scopeId: "global", fallback: {} });
+  const next = normalizeContestRules({ ...(current || {}), ruleSets: body.ruleSets });
+  await configStore.setSafe("contest.rules", next, { scope: "global", scopeId: "global", updatedBy: req.actor?.externalSubject || "admin" });
+  await audit(req, "contest.rule_sets.update", "config", "global:global:contest.rules", { ids: next.ruleSets.map((ruleSet) => ruleSet.id) });
+  res.json({ ok: true, ruleSets: next.ruleSets.map(mapRuleSet) });
+}));
+
+app.get("/api/challenges", requirePermission(Permissions.LEADERBOARD_READ), withAsync(async (req, res) => {
+  await closeEndedChallenges();
+  // Closed events stay listed for two weeks so their winners can be shown.
+  const rows = await repo.listChallenges({ endsAfter: new Date(Date.now() - 14 * 86400000).toISOString() });
+  res.json({ ok: true, challenges: await Promise.all(rows.map(describeChallenge)) });
+}));
+
+app.get("/api/admin/challenges", requirePermission(Permissions.CHALLENGE_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  await closeEndedChallenges();
+  const rows = await repo.listChallenges();
+  res.json({ ok: true, challenges: await Promise.all(rows.map(describeChallenge)) });
+}));
+
+app.post("/api/admin/challenges", requirePermission(Permissions.CHALLENGE_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const input = normalizeChallengeInput(requireObject(req.body || {}, "challenge"));
+  await validateChallengePack(input);
+  const row = await repo.createChallenge({
+    id: randomUUID(),
+    ...input,
+    createdBy: req.actor?.id || null,
+    createdAt: new Date().toISOString()
+  });
+  await audit(req, "challenge.create", "challenge", row.id, { title: input.title, startsAt: input.startsAt, endsAt: input.endsAt });
+  res.status(201).json({ ok: true, challenge: await describeChallenge(row) });
+}));
+
+app.put("/api/admin/challenges/:id", requirePermission(Permissions.CHALLENGE_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const current = await repo.getChallenge(String(req.params.id || ""));
+  if (!current) throw new AppError("Challenge not found", { status: 404, code: "CHALLENGE_NOT_FOUND", expose: true });
+  const input = normalizeChallengeInput(requireObject(req.body || {}, "challenge"), current);
+  await validateChallengePack(input);
+  const row = await repo.updateChallenge(current.id, { ...input, updatedAt: new Date().toISOString() });
+  await audit(req, "challenge.update", "challenge", row.id, { title: input.title, endsAt: input.endsAt });
+  res.json({ ok: true, challenge: await describeChallenge(row) });
+}));
+
+app.delete("/api/admin/challenges/:id", requirePermission(Permissions.CHALLENGE_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const current = await repo.getChallenge(String(req.params.id || ""));
+  if (!current) throw new AppError("Challenge not found", { status: 404, code: "CHALLENGE_NOT_FOUND", expose: true });
+  await repo.deleteChallenge(current.id);
+  await audit(req, "challenge.delete", "challenge", current.id, { title: current.title });
+  res.json({ ok: true });
+}));
+
+async function flagNameIfBlocked(targetType, targetId, name) {
+  const fragment = findBlockedNameFragment(name);
+  if (!fragment) return;
+  await repo.createModerationFlag({ targetType, targetId, reason: "name_blocklist", detail: fragment, createdAt: new Date().toISOString() });
+}
+
+async function requireLeaderboardEntry(req) {
+  const id = asNumber(req.params.id, { min: 1, max: Number.MAX_SAFE_INTEGER, field: "entry id" });
+  const row = await repo.getLeaderboardEntry(id);
+  if (!row) throw new AppError("Leaderboard entry not found", { status: 404, code: "ENTRY_NOT_FOUND", expose: true });
+  return row;
+}
+
+app.get("/api/moderation/queue", requirePermission(Permissions.LEADERBOARD_MODERATE), adminLimiter, withAsync(async (req, res) => {
+  const [flags, hidden] = await Promise.all([
+    repo.listOpenModerationFlags({ limit: 100 }),
+    repo.listHiddenLeaderboardEntries({ limit: 100 })
+  ]);
+  res.json({ ok: true, flags: flags.map(mapModerationFlag), hidden: hidden.map(mapHiddenEntry) });
+}));
+
+app.post("/api/moderation/entries/:id/hide", requirePermission(Permissions.LEADERBOARD_MODERATE), adminLimiter, withAsync(async (req, res) => {
+  const row = await requireLeaderboardEntry(req);
+  const now = new Date().toISOString();
+  const reason = String(req.body?.reason || "").trim().slice(0, 200) || null;
+  await repo.hideLeaderboardEntry(row.id, { hiddenAt: now, hiddenBy: req.actor.id });
+  await repo.resolveModerationFlags({ targetType: "leaderboard", targetId: row.id, resolution: "hidden", resolvedBy: req.actor.id, resolvedAt: now });
+  await audit(req, "moderation.entry.hide", "leaderboard", String(row.id), { score: row.score, playerName: row.playername || row.playerName, reason });
+  res.json({ ok: true });
+}));
+
+app.post("/api/moderation/entries/:id/restore", requirePermission(Permissions.LEADERBOARD_MODERATE), adminLimiter, withAsync(async (req, res) => {
+  const row = await requireLeaderboardEntry(req);
+  await repo.restoreLeaderboardEntry(row.id);
+  await repo.resolveModerationFlags({ targetType: "leaderboard", targetId: row.id, resolution: "restored", resolvedBy: req.actor.id, resolvedAt: new Date().toISOString() });
+  await audit(req, "moderation.entry.restore", "leaderboard", String(row.id), { flagReason: row.flagreason || row.flagReason || null });
+  res.json({ ok: true });
+}));
+
+app.post("/api/moderation/flags/:id/dismiss", requirePermission(Permissions.USER_NAME_MODERATE), adminLimiter, withAsync(async (req, res) => {
+  const id = asNumber(req.params.id, { min: 1, max: Number.MAX_SAFE_INTEGER, field: "flag id" });
+  const flag = await repo.getModerationFlag(id);
+  if (!flag || flag.resolvedat || flag.resolvedAt) throw new AppError("Flag not found", { status: 404, code: "FLAG_NOT_FOUND", expose: true });
+  const targetType = flag.targettype || flag.targetType;
+  // Held board entries are settled by hiding or restoring them, so only name flags are dismissed.
+  if (targetType === "leaderboard") throw badRequest("Hide or restore the entry instead");
+  const targetId = flag.targetid || flag.targetId;
+  await repo.resolveModerationFlags({ targetType, targetId, resolution: "dismissed", resolvedBy: req.actor.id, resolvedAt: new Date().toISOString() });
+  await audit(req, "moderation.flag.dismiss", targetType, String(targetId), { reason: flag.reason });
+  res.json({ ok: true });
+}));
+
+app.post("/api/moderation/names", requirePermission(Permissions.USER_NAME_MODERATE), adminLimiter, withAsync(async (req, res) => {
+  const body = requireObject(req.body || {}, "rename");
+  const targetType = asEnum(body.targetType, ["user", "profile"], "targetType");
+  const targetId = asNumber(body.targetId, { min: 1, max: Number.MAX_SAFE_INTEGER, field: "targetId" });
+  const displayName = body.displayName
+    ? asString(body.displayName, { min: 1, max: 64, field: "displayName" }).trim()
+    : placeholderName();
+  if (findBlockedNameFragment(displayName)) throw badRequest("Pick a different name");
+  const now = new Date().toISOString();
+  let previousName;
+  if (targetType === "user") {
+    const user = await repo.findUserById(targetId);
+    if (!user) throw new AppError("User not found", { status: 404, code: "USER_NOT_FOUND", expose: true });
+    const taken = await repo.findUserByDisplayName(displayName);
+    if (taken && Number(taken.id) !== targetId) {
+      throw new AppError("Display name is already taken", { status: 409, code: "DISPLAY_NAME_TAKEN", expose: true });
+    }
+    previousName = user.displayName;
+    await repo.forceUserDisplayName(targetId, { displayName, lockedAt: now });
+    await repo.renameLeaderboardIdentity({ userId: targetId, profileId: null, displayName });
+  } else {
+    const row = await repo.getPlayerProfile(targetId);
+    if (!row) throw new AppError("Profile not found", { status: 404, code: "PROFILE_NOT_FOUND", expose: true });
+    const profile = mapPlayerProfileRow(row);
+    const ownerId = Number(row.userid || row.userId);
+    assertProfileNameFree(await repo.listPlayerProfiles(ownerId), displayName, profile.id);
+    previousName = profile.displayName;
+    await repo.updatePlayerProfile(profile.id, { displayName, avatar: profile.avatar, agePreset: profile.agePreset, updatedAt: now });
+    await repo.renameLeaderboardIdentity({ userId: ownerId, profileId: profile.id, displayName });
+  }
+  await repo.resolveModerationFlags({ targetType, targetId, resolution: "renamed", resolvedBy: req.actor.id, resolvedAt: now });
+  await audit(req, "moderation.name.force", targetType, String(targetId), { previousName, displayName });
+  res.json({ ok: true, displayName });
+}));
+
 app.get("/api/packs/languages", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
   const level = asNumber(req.query.level || 2, { min: 1, max: 5, field: "level" });
   const contentMode = req.query.contentMode === "vocab" ? "vocab" : "default";
@@ -2349,10 +3619,68 @@ app.get("/api/packs/languages", requirePermission(Permissions.TASKS_GENERATE), w
 app.get("/api/packs/items", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
   const language = asString(req.query.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase();
   const type = asEnum(req.query.type || "level2", ["level2", "level3", "sentence_words"], "type");
-  const items = await repo.getPublishedPackItems({ language, type });
+  const items = await getServablePackItems({ language, type });
   res.json({ ok: true, items });
 }));
 
+app.get("/api/vocab/entries/:entryId/audio", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
+  const clip = await repo.getVocabularyEntryAudio(String(req.params.entryId || ""));
+  if (!clip) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  res.set("Content-Type", clip.mime_type);
+  res.set("Cache-Control", "private, max-age=86400");
+  res.send(Buffer.from(clip.data));
+}));
+
+app.get("/api/vocab/entries/:entryId/image", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
+  const image = await repo.getVocabularyEntryImage(String(req.params.entryId || ""));
+  if (!image) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  res.set("Content-Type", image.mime_type);
+  res.set("Cache-Control", "private, max-age=86400");
+  res.send(Buffer.from(image.data));
+}));
+
+// WHY: tablets lose connectivity mid-session; this bundle lets the client generate tasks locally.
+app.get("/api/packs/offline", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
+  const language = asString(req.query.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase();
+  const useRuDefaults = language === "ru";
+  const packs = {};
+  for (const level of [2, 3, 4, 5]) {
+    const packResult = await repo.listVocabularyPacks({
+      language,
+      level,
+      type: getVocabularyTypeForLevel(level),
+      status: "published"
+    }, {
+      page: 1,
+      pageSize: OFFLINE_PACKS_PER_LEVEL,
+      sortBy: "updated_at",
+      sortDir: "desc"
+    });
+    const texts = new Set();
+    for (const pack of Array.isArray(packResult?.rows) ? packResult.rows : []) {
+      if (texts.size >= OFFLINE_ENTRIES_PER_LEVEL) break;
+      const entries = await repo.listVocabularyEntries(String(pack.id));
+      entries.filter((row) => !row.safety_flag).forEach((row) => {
+        const text = String(row.text || "").replace(/\s+/g, " ").trim();
+        if (text && texts.size < OFFLINE_ENTRIES_PER_LEVEL) texts.add(text);
+      });
+    }
+    packs[level] = Array.from(texts);
+  }
+  res.json({
+    ok: true,
+    language,
+    generatedAt: new Date().toISOString(),
+    fallback: {
+      letters: [...(useRuDefaults ? defaults.lettersRu : defaults.letters), ...defaults.digits],
+      level2Words: useRuDefaults ? defaults.level2WordsRu : defaults.level2Words,
+      level3Words: useRuDefaults ? defaults.level3WordsRu : defaults.level3Words,
+      sentenceWords: useRuDefaults ? defaults.sentenceWordsRu : defaults.sentenceWords
+    },
+    packs
+  });
+}));
+
 app.get("/api/admin/language-packs", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
   const filters = {
     language: req.query.language ? String(req.query.language).toLowerCase() : undefined,
@@ -2374,7 +3702,7 @@ app.post("/api/admin/language-packs", requirePermission(Permissions.VOCAB_MANAGE
   const status = asEnum(String(req.body?.status || "DRAFT").toUpperCase(), ["DRAFT", "PUBLISHED", "ARCHIVED"], "status");
   const items = parseJsonArrayOfStrings(req.body?.items || [], "items").map((text) => ({ text, difficulty: null, metadataJson: {} }));
   const packId = await repo.createLanguagePack({ language, type, topic, status, createdBy: req.actor?.id || null });
-  await repo.replaceLanguagePackItems(packId, items);
+  await saveLanguagePackItems(packId, items);
   await audit(req, "language_pack.create", "pack", String(packId), { language, type, status, count: items.length });
   res.json({ ok: true, packId });
 }));
@@ -2386,7 +3714,7 @@ app.put("/api/admin/language-packs/:id", requirePermission(Permissions.VOCAB_MAN
   await repo.updateLanguagePack(id, { topic, status });
   if (Array.isArray(req.body?.items)) {
     const items = parseJsonArrayOfStrings(req.body.items, "items").map((text) => ({ text, difficulty: null, metadataJson: {} }));
-    await repo.replaceLanguagePackItems(id, items);
+    await saveLanguagePackItems(id, items);
   }
   await audit(req, "language_pack.update", "pack", String(id), { status, topic });
   res.json({ ok: true });
@@ -2410,7 +3738,7 @@ app.post("/api/admin/language-packs/import", requirePermission(Permissions.VOCAB
     const status = asEnum(String(pack.status || "DRAFT").toUpperCase(), ["DRAFT", "PUBLISHED", "ARCHIVED"], "status");
     const items = parseJsonArrayOfStrings(pack.items || [], "items").map((text) => ({ text, difficulty: null, metadataJson: { source: "import" } }));
     const packId = await repo.createLanguagePack({ language, type, topic, status, createdBy: req.actor?.id || null });
-    await repo.replaceLanguagePackItems(packId, items);
+    await saveLanguagePackItems(packId, items);
   }
   await audit(req, "language_pack.import", "pack", "bulk", { count: packs.length });
   res.json({ ok: true, imported: packs.length });
@@ -2418,35 +3746,69 @@ app.post("/api/admin/language-packs/import", requirePermission(Permissions.VOCAB
 
 app.post("/api/admin/language-packs/generate", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, generationLimiter, withAsync(async (req, res) => {
   if (!req.actor?.isAuthenticated) throw badRequest("Authentication required");
-  const openaiCtx = await resolveOpenAIExecutionContext(req.actor, { includeLegacy: true });
-  if (!openaiCtx?.apiKey) throw badRequest("OpenAI key is required for generation");
+  const ai = await requireAIExecutionContext(req.actor, req.requestId || null);
   const language = asString(req.body?.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase();
   const type = asEnum(req.body?.type || "level2", ["level2", "level3", "sentence_words"], "type");
   const count = asNumber(req.body?.count || 30, { min: 5, max: 200, field: "count" });
   const topic = String(req.body?.topic || "general toddler-safe learning");
   const prompt = strictPrompt({ language, type, count, topic });
-  const output = await callOpenAI({ apiKey: openaiCtx.apiKey, model: openaiCtx.model || OPENAI_MODEL, prompt });
+  const output = await ai.provider.complete({ model: ai.model, prompt });
   const parsed = JSON.parse(output);
   const items = parseJsonArrayOfStrings(parsed.items || [], "items", 500);
   const packId = await repo.createLanguagePack({ language, type, topic, status: "DRAFT", createdBy: req.actor.id });
-  await repo.replaceLanguagePackItems(packId, items.map((text) => ({ text, difficulty: null, metadataJson: { source: "openai" } })));
+  await saveLanguagePackItems(packId, items.map((text) => ({ text, difficulty: null, metadataJson: { source: "openai" } })));
   await audit(req, "language_pack.generate", "pack", String(packId), { language, type, count: items.length });
   res.json({ ok: true, packId, status: "DRAFT", count: items.length });
 }));
 
+app.get("/api/admin/content-safety", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const lists = await loadSafetyLists();
+  const held = await repo.listFlaggedVocabularyEntries({ limit: 200 });
+  res.json({ ok: true, allow: lists.allow, deny: lists.deny, held });
+}));
+
+app.put("/api/admin/content-safety", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const lists = normalizeSafetyLists(requireObject(req.body || {}, "content safety lists"));
+  await configStore.setSafe("content.safety", { allow: lists.allow, deny: lists.deny }, { scope: "global", scopeId: "global", updatedBy: req.actor?.externalSubject || "admin" });
+  const rescreened = await rescreenVocabularyEntries();
+  await audit(req, "content_safety.update", "config", "global:global:content.safety", { allow: lists.allow.length, deny: lists.deny.length, ...rescreened });
+  res.json({ ok: true, allow: lists.allow, deny: lists.deny, rescreened, held: await repo.listFlaggedVocabularyEntries({ limit: 200 }) });
+}));
+
+// Releasing a held entry puts its text on the allow list, so the next import or rescreen keeps it too.
+app.post("/api/admin/content-safety/allow", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const text = asString(req.body?.text || "", { min: 1, max: 200, field: "text" });
+  const current = await loadSafetyLists();
+  const lists = normalizeSafetyLists({ allow: [...current.allow, text], deny: current.deny });
+  await configStore.setSafe("content.safety", { allow: lists.allow, deny: lists.deny }, { scope: "global", scopeId: "global", updatedBy: req.actor?.externalSubject || "admin" });
+  const rescreened = await rescreenVocabularyEntries();
+  await audit(req, "content_safety.allow", "config", "global:global:content.safety", { text, ...rescreened });
+  res.json({ ok: true, allow: lists.allow, deny: lists.deny, rescreened, held: await repo.listFlaggedVocabularyEntries({ limit: 200 }) });
+}));
+
+app.post("/api/admin/content-safety/check", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const text = asString(req.body?.text || "", { min: 1, max: 500, field: "text" });
+  const screen = await getSafetyScreen();
+  res.json({ ok: true, match: screen(text) });
+}));
+
 app.get("/api/admin/vocabulary/generator/status", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
   const serviceConfig = await getOpenAIServiceConfig();
   const summary = summarizeOpenAIServiceStatus(serviceConfig);
-  const resolved = await resolveOpenAIExecutionContext(req.actor, { includeLegacy: true });
+  const aiConfig = await getAIServiceConfig();
+  const resolved = await resolveAIExecutionContext(req.actor);
+  // WHY: OpenAI keeps its verification under service.openai; other providers record theirs on service.ai.
+  const verification = aiConfig.provider === "openai" ? summary : aiConfig;
   res.json({
     ok: true,
-    enabled: Boolean(resolved?.apiKey),
-    configured: summary.configured || Boolean(resolved?.apiKey),
+    enabled: Boolean(resolved),
+    configured: aiConfig.provider === "openai" ? summary.configured || Boolean(resolved) : Boolean(resolved),
+    provider: aiConfig.provider,
     source: resolved?.source || null,
-    defaultModel: String(summary.model || OPENAI_MODEL),
-    verified: Boolean(summary.lastTestOk),
-    lastTestAt: summary.lastTestAt || null,
-    lastTestError: summary.lastTestError || null
+    defaultModel: resolved?.model || String(summary.model || OPENAI_MODEL),
+    verified: Boolean(verification.lastTestOk),
+    lastTestAt: verification.lastTestAt || null,
+    lastTestError: verification.lastTestError || null
   });
 }));
 
@@ -2509,7 +3871,13 @@ app.get("/api/admin/vocabulary/packs/:id", requirePermission(Permissions.VOCAB_M
   const id = String(req.params.id || "");
   const pack = await repo.getVocabularyPackById(id);
   if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
-  const entries = await repo.listVocabularyEntries(id);
+  const clippedEntryIds = new Set((await repo.listVocabularyEntryAudio(id)).map((row) => String(row.entry_id)));
+  const picturedEntryIds = new Set((await repo.listVocabularyEntryImages(id)).map((row) => String(row.entry_id)));
+  const entries = (await repo.listVocabularyEntries(id)).map((entry) => ({
+    ...entry,
+    has_audio: clippedEntryIds.has(String(entry.id)),
+    has_image: picturedEntryIds.has(String(entry.id))
+  }));
   const versions = await repo.listVocabularyVersions(id);
   res.json({
     ok: true,
@@ -2535,7 +3903,7 @@ app.post("/api/admin/vocabulary/packs", requirePermission(Permissions.VOCAB_MANA
     language: asString(body.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase(),
     level: asNumber(body.level || 1, { min: 1, max: 5, field: "level" }),
     type: normalizeVocabularyType(body.type),
-    status: normalizeVocabularyStatus(body.status || "draft"),
+    status: draftUnlessReviewed(normalizeVocabularyStatus(body.status || "draft"), await loadReviewSettings()),
     source: normalizeVocabularySource(body.source || "manual"),
     version: 1,
     generator_config: body.generator_config || null,
@@ -2545,7 +3913,7 @@ app.post("/api/admin/vocabulary/packs", requirePermission(Permissions.VOCAB_MANA
   };
   const entries = Array.isArray(body.entries) ? body.entries : [];
   await repo.createVocabularyPack(pack);
-  await repo.replaceVocabularyEntries(id, entries.map((entry, idx) => ({
+  await saveVocabularyEntries(id, entries.map((entry, idx) => ({
     id: randomUUID(),
     text: String(entry.text || "").trim(),
     order_index: idx,
@@ -2590,7 +3958,7 @@ app.put("/api/admin/vocabulary/packs/:id", requirePermission(Permissions.VOCAB_M
   await repo.updateVocabularyPack(id, patch);
   if (Array.isArray(body.entries)) {
     const now = new Date().toISOString();
-    await repo.replaceVocabularyEntries(id, body.entries.map((entry, idx) => ({
+    await saveVocabularyEntries(id, body.entries.map((entry, idx) => ({
       id: entry.id || randomUUID(),
       text: String(entry.text || "").trim(),
       order_index: idx,
@@ -2599,6 +3967,7 @@ app.put("/api/admin/vocabulary/packs/:id", requirePermission(Permissions.VOCAB_M
       created_at: entry.created_at || now
     })).filter((e) => e.text));
   }
+  await resetPackReview(id);
   const snapshot = {
     pack: await repo.getVocabularyPackById(id),
     entries: await repo.listVocabularyEntries(id)
@@ -2616,10 +3985,219 @@ app.put("/api/admin/vocabulary/packs/:id", requirePermission(Permissions.VOCAB_M
   res.json({ ok: true });
 }));
 
-app.post("/api/admin/vocabulary/packs/:id/publish", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+async function loadReviewSettings() {
+  return readReviewSettings(await configStore.get("vocabulary.review", { scope: "global", scopeId: "global", fallback: null }));
+}
+
+function draftUnlessReviewed(status, settings) {
+  return settings.required && status === "published" ? "draft" : status;
+}
+
+/**
+ * Runs after a pack's content changed: the review no longer covers what is
+ * stored, so it is cleared, and a published pack goes back to draft.
+ */
+async function resetPackReview(id) {
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) return;
+  if (currentReviewStatus(pack)) await repo.setVocabularyPackReview(id, {});
+  if (pack.status === "published" && (await loadReviewSettings()).required) {
+    await repo.updateVocabularyPack(id, { status: "draft" });
+  }
+}
+
+/**
+ * Media sit outside entry snapshots, so a media change gets its own version:
+ * the review is cleared and the uploader counts as an author of what comes next.
+ */
+async function recordPackMediaChange(req, packId, note) {
+  const pack = await repo.getVocabularyPackById(packId);
+  const nextVersion = Number(pack.version || 1) + 1;
+  await repo.updateVocabularyPack(packId, { version: nextVersion });
+  await resetPackReview(packId);
+  await repo.createVocabularyVersion({
+    id: randomUUID(),
+    pack_id: packId,
+    version: nextVersion,
+    snapshot_json: {
+      pack: await repo.getVocabularyPackById(packId),
+      entries: await repo.listVocabularyEntries(packId)
+    },
+    change_note: note,
+    created_by: String(req.actor?.id || ""),
+    created_at: new Date().toISOString()
+  });
+}
+
+async function assertPublishable(pack) {
+  if (!(await loadReviewSettings()).required || currentReviewStatus(pack) === "approved") return;
+  throw new AppError("This pack needs an approved review before it can be published", { status: 409, code: "REVIEW_REQUIRED", expose: true });
+}
+
+/** The snapshot of the pack as it is stored now, taken if no edit recorded one for this version. */
+async function ensureCurrentSnapshot(pack, createdBy) {
+  const versions = await repo.listVocabularyVersions(String(pack.id));
+  const current = versions.find((row) => Number(row.version) === Number(pack.version));
+  if (current) return current;
+  const row = {
+    id: randomUUID(),
+    pack_id: String(pack.id),
+    version: Number(pack.version),
+    snapshot_json: { pack, entries: await repo.listVocabularyEntries(String(pack.id)) },
+    change_note: "submitted for review",
+    created_by: createdBy ? String(createdBy) : "",
+    created_at: new Date().toISOString()
+  };
+  await repo.createVocabularyVersion(row);
+  return row;
+}
+
+function lastApprovedVersion(history, beforeVersion = Infinity) {
+  const approved = history.find((row) => row.action === "approved" && Number(row.pack_version) < beforeVersion);
+  return approved ? Number(approved.pack_version) : null;
+}
+
+async function userNamesById(ids) {
+  const names = {};
+  for (const id of Array.from(new Set(ids.filter(Boolean).map(String)))) {
+    const user = Number.isInteger(Number(id)) ? await repo.findUserById(Number(id)) : null;
+    names[id] = user ? (user.displayname || user.displayName || `User ${id}`) : `User ${id}`;
+  }
+  return names;
+}
+
+function mapReviewPack(pack, names = {}) {
+  return {
+    id: String(pack.id),
+    name: pack.name,
+    language: pack.language,
+    level: Number(pack.level),
+    type: normalizeVocabularyType(pack.type),
+    status: normalizeVocabularyStatus(pack.status),
+    version: Number(pack.version || 1),
+    reviewStatus: currentReviewStatus(pack),
+    reviewVersion: pack.review_version === null || pack.review_version === undefined ? null : Number(pack.review_version),
+    requestedBy: pack.review_requested_by || null,
+    requestedByName: pack.review_requested_by ? names[String(pack.review_requested_by)] || null : null,
+    entryCount: pack.entry_count === undefined ? undefined : Number(pack.entry_count),
+    updatedAt: pack.updated_at
+  };
+}
+
+app.get("/api/admin/vocabulary/reviews", requirePermission(Permissions.VOCAB_REVIEW), adminLimiter, withAsync(async (req, res) => {
+  const packs = await repo.listVocabularyPacksAwaitingReview();
+  const names = await userNamesById(packs.map((pack) => pack.review_requested_by));
+  const settings = await loadReviewSettings();
+  res.json({ ok: true, required: settings.required, packs: packs.map((pack) => mapReviewPack(pack, names)) });
+}));
+
+app.put("/api/admin/vocabulary/reviews/settings", requirePermission(Permissions.ADMIN_CONFIG_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const required = req.body?.required;
+  if (typeof required !== "boolean") throw badRequest("required must be true or false");
+  await configStore.setSafe("vocabulary.review", { required }, { scope: "global", scopeId: "global", updatedBy: req.actor?.externalSubject || "admin" });
+  await audit(req, "vocabulary.review.settings", "config", "global:global:vocabulary.review", { required });
+  res.json({ ok: true, required });
+}));
+
+app.get("/api/admin/vocabulary/packs/:id/review", requirePermission(Permissions.VOCAB_REVIEW), adminLimiter, withAsync(async (req, res) => {
   const id = String(req.params.id || "");
   const pack = await repo.getVocabularyPackById(id);
   if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const history = await repo.listVocabularyPackReviews(id);
+  const versions = await repo.listVocabularyVersions(id);
+  const names = await userNamesById([pack.review_requested_by, ...history.map((row) => row.actor_id), ...versions.map((row) => row.created_by)]);
+  res.json({
+    ok: true,
+    required: (await loadReviewSettings()).required,
+    pack: mapReviewPack(pack, names),
+    approvedVersion: lastApprovedVersion(history),
+    history: history.map((row) => ({
+      id: String(row.id),
+      version: Number(row.pack_version),
+      action: row.action,
+      comment: row.comment || null,
+      actorId: row.actor_id || null,
+      actorName: row.actor_id ? names[String(row.actor_id)] : null,
+      createdAt: row.created_at
+    })),
+    versions: versions.map((row) => ({
+      version: Number(row.version),
+      changeNote: row.change_note || null,
+      createdBy: row.created_by || null,
+      createdByName: row.created_by ? names[String(row.created_by)] : null,
+      createdAt: row.created_at
+    }))
+  });
+}));
+
+// Without `from`, the diff is against the last approved version before `to`, or an empty pack.
+app.get("/api/admin/vocabulary/packs/:id/diff", requirePermission(Permissions.VOCAB_REVIEW), adminLimiter, withAsync(async (req, res) => {
+  const id = String(req.params.id || "");
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const versions = await repo.listVocabularyVersions(id);
+  const toVersion = req.query.to
+    ? asNumber(req.query.to, { min: 1, max: 100000, field: "to" })
+    : Number(pack.review_version || versions[0]?.version || 0);
+  const to = versions.find((row) => Number(row.version) === toVersion);
+  if (!to) throw new AppError("Version not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const fromVersion = req.query.from
+    ? asNumber(req.query.from, { min: 1, max: 100000, field: "from" })
+    : lastApprovedVersion(await repo.listVocabularyPackReviews(id), toVersion);
+  const from = fromVersion === null ? null : versions.find((row) => Number(row.version) === fromVersion);
+  if (fromVersion !== null && !from) throw new AppError("Version not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const entries = Array.isArray(to.snapshot_json?.entries) ? to.snapshot_json.entries : [];
+  res.json({
+    ok: true,
+    from: fromVersion,
+    to: toVersion,
+    diff: diffVocabularySnapshots(from?.snapshot_json || null, to.snapshot_json),
+    // Held entries are never served, but a reviewer should still see what the screen caught.
+    held: entries.filter((entry) => entry.safety_flag).map((entry) => ({ text: entry.text, flag: entry.safety_flag }))
+  });
+}));
+
+app.post("/api/admin/vocabulary/packs/:id/submit", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const id = String(req.params.id || "");
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const status = currentReviewStatus(pack);
+  if (status === "pending" || status === "approved") {
+    throw new AppError(status === "pending" ? "This pack is already waiting for review" : "This version is already approved", { status: 409, code: "REVIEW_EXISTS", expose: true });
+  }
+  const comment = req.body?.comment ? asString(req.body.comment, { max: 1000, field: "comment" }) : null;
+  const snapshot = await ensureCurrentSnapshot(pack, req.actor?.id);
+  const now = new Date().toISOString();
+  await repo.setVocabularyPackReview(id, { review_status: "pending", review_version: snapshot.version, review_requested_by: req.actor?.id ? String(req.actor.id) : null });
+  await repo.addVocabularyPackReview({ id: randomUUID(), pack_id: id, pack_version: snapshot.version, action: "submitted", comment, actor_id: req.actor?.id ? String(req.actor.id) : null, created_at: now });
+  await audit(req, "vocabulary.pack.submit", "vocabulary_pack", id, { version: snapshot.version });
+  res.json({ ok: true, pack: mapReviewPack(await repo.getVocabularyPackById(id)) });
+}));
+
+app.post("/api/admin/vocabulary/packs/:id/review", requirePermission(Permissions.VOCAB_REVIEW), adminLimiter, withAsync(async (req, res) => {
+  const id = String(req.params.id || "");
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const { decision, comment } = normalizeReviewDecision(req.body);
+  const reviewVersion = Number(pack.review_version);
+  const since = lastApprovedVersion(await repo.listVocabularyPackReviews(id), reviewVersion) || 0;
+  // SECURITY: everyone who wrote a version since the last approval counts as an author, not just whoever pressed submit.
+  const authorIds = (await repo.listVocabularyVersions(id))
+    .filter((row) => Number(row.version) > since && Number(row.version) <= reviewVersion)
+    .map((row) => row.created_by);
+  assertCanReview({ pack, reviewerId: req.actor?.id, authorIds });
+  const action = decision === "approve" ? "approved" : "rejected";
+  await repo.setVocabularyPackReview(id, { review_status: action, review_version: reviewVersion, review_requested_by: pack.review_requested_by });
+  await repo.addVocabularyPackReview({ id: randomUUID(), pack_id: id, pack_version: reviewVersion, action, comment, actor_id: String(req.actor.id), created_at: new Date().toISOString() });
+  await audit(req, `vocabulary.pack.review.${decision}`, "vocabulary_pack", id, { version: reviewVersion });
+  res.json({ ok: true, pack: mapReviewPack(await repo.getVocabularyPackById(id)) });
+}));
+
+app.post("/api/admin/vocabulary/packs/:id/publish", requirePermission(Permissions.VOCAB_PUBLISH), adminLimiter, withAsync(async (req, res) => {
+  const id = String(req.params.id || "");
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  await assertPublishable(pack);
   await repo.updateVocabularyPack(id, { status: "published", version: Number(pack.version || 1) + 1 });
   await audit(req, "vocabulary.pack.publish", "vocabulary_pack", id);
   res.json({ ok: true });
@@ -2654,7 +4232,7 @@ app.post("/api/admin/vocabulary/packs/:id/rollback", requirePermission(Permissio
     version: Number((await repo.getVocabularyPackById(id)).version || 1) + 1
   });
   const now = new Date().toISOString();
-  await repo.replaceVocabularyEntries(id, (snap.entries || []).map((entry, idx) => ({
+  await saveVocabularyEntries(id, (snap.entries || []).map((entry, idx) => ({
     id: randomUUID(),
     text: String(entry.text || "").trim(),
     order_index: idx,
@@ -2662,6 +4240,7 @@ app.post("/api/admin/vocabulary/packs/:id/rollback", requirePermission(Permissio
     tags: entry.tags || null,
     created_at: now
   })).filter((e) => e.text));
+  await resetPackReview(id);
   await audit(req, "vocabulary.pack.rollback", "vocabulary_pack", id, { version: targetVersion });
   res.json({ ok: true });
 }));
@@ -2677,7 +4256,21 @@ app.get("/api/admin/vocabulary/packs/:id/export", requirePermission(Permissions.
   const id = String(req.params.id || "");
   const pack = await repo.getVocabularyPackById(id);
   if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
-  const entries = await repo.listVocabularyEntries(id);
+  const picturedEntryIds = new Set((await repo.listVocabularyEntryImages(id)).map((row) => String(row.entry_id)));
+  // WHY: pictures travel inline so an exported pack stays complete on another server.
+  const entries = await Promise.all((await repo.listVocabularyEntries(id)).map(async (entry) => {
+    if (!picturedEntryIds.has(String(entry.id))) return entry;
+    const image = await repo.getVocabularyEntryImage(String(entry.id));
+    return image ? { ...entry, image: { mime_type: image.mime_type, data: Buffer.from(image.data).toString("base64") } } : entry;
+  }));
+  if (req.query.format === "csv") {
+    const filename = String(pack.name || "pack").replace(/[^\p{L}\p{N}_-]+/gu, "_");
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(filename)}.csv`);
+    // The byte order mark makes spreadsheet apps read the file as UTF-8, which Cyrillic packs need.
+    res.send(`\uFEFF${toVocabularyCsv(entries)}`);
+    return;
+  }
   const payload = {
     pack: {
       ...pack,
@@ -2689,6 +4282,70 @@ app.get("/api/admin/vocabulary/packs/:id/export", requirePermission(Permissions.
   res.json({ ok: true, payload });
 }));
 
+app.put("/api/admin/vocabulary/packs/:id/entries/:entryId/audio", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const packId = String(req.params.id || "");
+  const entryId = String(req.params.entryId || "");
+  const [entry] = await repo.getVocabularyEntriesByIds([entryId]);
+  if (!entry || String(entry.pack_id) !== packId) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const encoded = asString(req.body?.data, { min: 16, max: Math.ceil(MAX_AUDIO_CLIP_BYTES / 3) * 4 + 4, field: "data" });
+  const data = Buffer.from(encoded, "base64");
+  if (data.length > MAX_AUDIO_CLIP_BYTES) throw badRequest(`Audio clip must be at most ${MAX_AUDIO_CLIP_BYTES / 1024} KB.`);
+  const mimeType = detectAudioMime(data);
+  if (!mimeType) throw badRequest("Unsupported audio format. Use MP3, OGG, WAV, WebM or M4A.");
+  await repo.upsertVocabularyEntryAudio({
+    entry_id: entryId,
+    pack_id: packId,
+    mime_type: mimeType,
+    data,
+    uploaded_by: req.actor?.id || null,
+    created_at: new Date().toISOString()
+  });
+  await recordPackMediaChange(req, packId, `audio set for "${entry.text}"`);
+  await audit(req, "vocabulary.entry_audio.upload", "vocabulary_entry", entryId, { packId, mimeType, bytes: data.length });
+  res.json({ ok: true, audioUrl: vocabularyAudioUrl(entryId) });
+}));
+
+app.delete("/api/admin/vocabulary/packs/:id/entries/:entryId/audio", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const packId = String(req.params.id || "");
+  const entryId = String(req.params.entryId || "");
+  const clip = await repo.getVocabularyEntryAudio(entryId);
+  if (!clip || String(clip.pack_id) !== packId) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  await repo.deleteVocabularyEntryAudio(entryId);
+  await recordPackMediaChange(req, packId, "audio removed");
+  await audit(req, "vocabulary.entry_audio.delete", "vocabulary_entry", entryId, { packId });
+  res.json({ ok: true });
+}));
+
+app.put("/api/admin/vocabulary/packs/:id/entries/:entryId/image", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const packId = String(req.params.id || "");
+  const entryId = String(req.params.entryId || "");
+  const [entry] = await repo.getVocabularyEntriesByIds([entryId]);
+  if (!entry || String(entry.pack_id) !== packId) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const { data, mimeType } = decodePictureUpload(req.body?.data, "data");
+  await repo.upsertVocabularyEntryImage({
+    entry_id: entryId,
+    pack_id: packId,
+    mime_type: mimeType,
+    data,
+    uploaded_by: req.actor?.id || null,
+    created_at: new Date().toISOString()
+  });
+  await recordPackMediaChange(req, packId, `picture set for "${entry.text}"`);
+  await audit(req, "vocabulary.entry_image.upload", "vocabulary_entry", entryId, { packId, mimeType, bytes: data.length });
+  res.json({ ok: true, imageUrl: vocabularyImageUrl(entryId) });
+}));
+
+app.delete("/api/admin/vocabulary/packs/:id/entries/:entryId/image", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const packId = String(req.params.id || "");
+  const entryId = String(req.params.entryId || "");
+  const image = await repo.getVocabularyEntryImage(entryId);
+  if (!image || String(image.pack_id) !== packId) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  await repo.deleteVocabularyEntryImage(entryId);
+  await recordPackMediaChange(req, packId, "picture removed");
+  await audit(req, "vocabulary.entry_image.delete", "vocabulary_entry", entryId, { packId });
+  res.json({ ok: true });
+}));
+
 app.post("/api/admin/vocabulary/import", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
   const body = requireObject(req.body || {}, "body");
   const payload = requireObject(body.payload || {}, "payload");
@@ -2701,7 +4358,7 @@ app.post("/api/admin/vocabulary/import", requirePermission(Permissions.VOCAB_MAN
     language: asString(incomingPack.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase(),
     level: asNumber(incomingPack.level || 1, { min: 1, max: 5, field: "level" }),
     type: normalizeVocabularyType(incomingPack.type),
-    status: normalizeVocabularyStatus(incomingPack.status || "draft"),
+    status: draftUnlessReviewed(normalizeVocabularyStatus(incomingPack.status || "draft"), await loadReviewSettings()),
     source: "imported",
     version: 1,
     generator_config: incomingPack.generator_config || null,
@@ -2710,15 +4367,28 @@ app.post("/api/admin/vocabulary/import", requirePermission(Permissions.VOCAB_MAN
     updated_at: now
   };
   const entries = Array.isArray(payload.entries) ? payload.entries : [];
-  await repo.createVocabularyPack(pack);
-  await repo.replaceVocabularyEntries(id, entries.map((entry, idx) => ({
+  const rows = entries.map((entry, idx) => ({
     id: randomUUID(),
-    text: String(entry.text || "").trim(),
+    text: String(entry?.text || "").trim(),
     order_index: idx,
-    difficulty_score: entry.difficulty_score ?? null,
-    tags: entry.tags || null,
-    created_at: now
-  })).filter((e) => e.text));
+    difficulty_score: entry?.difficulty_score ?? null,
+    tags: entry?.tags || null,
+    created_at: now,
+    // Decoded up front so a bad picture rejects the import before anything is written.
+    image: entry?.image ? decodePictureUpload(entry.image.data, `entries[${idx}].image`) : null
+  })).filter((e) => e.text);
+  await repo.createVocabularyPack(pack);
+  const held = await saveVocabularyEntries(id, rows.map(({ image, ...row }) => row));
+  for (const row of rows.filter((e) => e.image)) {
+    await repo.upsertVocabularyEntryImage({
+      entry_id: row.id,
+      pack_id: id,
+      mime_type: row.image.mimeType,
+      data: row.image.data,
+      uploaded_by: req.actor?.id || null,
+      created_at: now
+    });
+  }
   await repo.createVocabularyVersion({
     id: randomUUID(),
     pack_id: id,
@@ -2728,28 +4398,123 @@ app.post("/api/admin/vocabulary/import", requirePermission(Permissions.VOCAB_MAN
     created_by: String(req.actor?.id || ""),
     created_at: now
   });
-  await audit(req, "vocabulary.pack.import", "vocabulary_pack", id, { source: "imported" });
-  res.json({ ok: true, id });
+  await audit(req, "vocabulary.pack.import", "vocabulary_pack", id, { source: "imported", pictures: rows.filter((e) => e.image).length, held });
+  res.json({ ok: true, id, held });
 }));
 
-app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, generationLimiter, withAsync(async (req, res) => {
-  const id = String(req.params.id || "");
-  const pack = await repo.getVocabularyPackById(id);
-  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
-  const openaiCtx = await resolveOpenAIExecutionContext(req.actor, { includeLegacy: true });
-  if (!openaiCtx?.apiKey) throw new AppError("OpenAI key missing", { status: 400, code: "OPENAI_KEY_MISSING", expose: true });
+/** Parses an uploaded word list against the pack it would go into; shared by preview and import so both see the same rows. */
+async function readTableImport(body) {
+  const packId = body.packId ? String(body.packId) : null;
+  const target = packId ? await repo.getVocabularyPackById(packId) : null;
+  if (packId && !target) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  const existingEntries = target ? await repo.listVocabularyEntries(packId) : [];
+  const parsed = parseVocabularyTable({
+    // Not trimmed: a leading tab is an empty first column in TSV.
+    content: typeof body.content === "string" ? body.content : "",
+    format: asEnum(body.format || "auto", IMPORT_FORMATS, "format"),
+    mapping: body.mapping && typeof body.mapping === "object" ? body.mapping : {},
+    hasHeader: typeof body.hasHeader === "boolean" ? body.hasHeader : null,
+    existingTexts: existingEntries.map((entry) => entry.text)
+  });
+  return { target, existingEntries, parsed };
+}
+
+app.post("/api/admin/vocabulary/import/preview", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const { parsed } = await readTableImport(requireObject(req.body || {}, "body"));
+  res.json({ ok: true, ...parsed });
+}));
+
+// Rows with errors are never imported; duplicates are skipped unless `skipDuplicates` is false.
+app.post("/api/admin/vocabulary/import/table", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
   const body = requireObject(req.body || {}, "body");
-  const count = asNumber(body.count || 30, { min: 5, max: 500, field: "count" });
-  const model = asString(body.model || openaiCtx.model || OPENAI_MODEL, { min: 3, max: 120, field: "model" });
-  const temperature = clampNumber(body.temperature ?? 0.5, 0, 1.2, 0.5);
-  const maxTokens = clampNumber(body.max_tokens ?? 1200, 128, 4000, 1200);
-  const promptTemplate = String(body.prompt_template || "").trim();
+  const { target, existingEntries, parsed } = await readTableImport(body);
+  const skipDuplicates = body.skipDuplicates !== false;
+  const accepted = parsed.rows.filter((row) => !row.errors.length && !(skipDuplicates && row.duplicate));
+  if (!accepted.length) throw badRequest("No rows left to import");
+  const now = new Date().toISOString();
+  const newRows = accepted.map((row, idx) => ({
+    id: randomUUID(),
+    text: row.text,
+    order_index: existingEntries.length + idx,
+    difficulty_score: row.difficulty_score,
+    tags: row.tags,
+    created_at: now
+  }));
+  const id = target ? String(target.id) : randomUUID();
+  let version = 1;
+  let held;
+  if (target) {
+    version = Number(target.version || 1) + 1;
+    await repo.updateVocabularyPack(id, { version });
+    held = await saveVocabularyEntries(id, [...existingEntries.map((entry) => ({
+      id: String(entry.id),
+      text: entry.text,
+      order_index: Number(entry.order_index),
+      difficulty_score: entry.difficulty_score ?? null,
+      tags: entry.tags || null,
+      created_at: entry.created_at
+    })), ...newRows]);
+    await resetPackReview(id);
+  } else {
+    const incomingPack = requireObject(body.pack || {}, "pack");
+    await repo.createVocabularyPack({
+      id,
+      name: asString(incomingPack.name || "Imported Pack", { min: 2, max: 120, field: "name" }),
+      language: asString(incomingPack.language || "en", { min: 2, max: 10, field: "language" }).toLowerCase(),
+      level: asNumber(incomingPack.level || 1, { min: 1, max: 5, field: "level" }),
+      type: normalizeVocabularyType(incomingPack.type),
+      status: "draft",
+      source: "imported",
+      version,
+      generator_config: null,
+      metadata: { import_format: parsed.format },
+      created_at: now,
+      updated_at: now
+    });
+    held = await saveVocabularyEntries(id, newRows);
+  }
+  await repo.createVocabularyVersion({
+    id: randomUUID(),
+    pack_id: id,
+    version,
+    snapshot_json: { pack: await repo.getVocabularyPackById(id), entries: await repo.listVocabularyEntries(id) },
+    change_note: `${parsed.format} import`,
+    created_by: String(req.actor?.id || ""),
+    created_at: now
+  });
+  const skipped = {
+    invalid: parsed.summary.invalid,
+    duplicates: skipDuplicates ? parsed.rows.filter((row) => !row.errors.length && row.duplicate).length : 0
+  };
+  await audit(req, "vocabulary.pack.import", "vocabulary_pack", id, { source: parsed.format, appended: Boolean(target), imported: newRows.length, skipped, held });
+  res.json({ ok: true, id, imported: newRows.length, skipped, held });
+}));
+
+/** Options a regenerate job runs with, validated once when it is queued. */
+function readRegenerateOptions(body) {
+  return {
+    count: asNumber(body.count || 30, { min: 5, max: 500, field: "count" }),
+    model: body.model ? asString(body.model, { min: 3, max: 120, field: "model" }) : null,
+    temperature: clampNumber(body.temperature ?? 0.5, 0, 1.2, 0.5),
+    maxTokens: clampNumber(body.max_tokens ?? 1200, 128, 4000, 1200),
+    promptTemplate: String(body.prompt_template || "").trim(),
+    theme: body.theme || null,
+    randomSeed: body.random_seed || null,
+    advanced: body.advanced || null
+  };
+}
+
+async function regenerateVocabularyPackDraft({ pack, options, ai, requestId, createdBy }) {
+  const id = String(pack.id);
+  const { count, temperature, maxTokens, promptTemplate } = options;
+  // WHY: a model name picked for OpenAI means nothing to another provider.
+  const model = ai.provider.type === "openai" && options.model ? options.model : ai.model;
   const prompts = buildVocabularyGenerationPrompts({
     language: String(pack.language || "en"),
     level: Number(pack.level || 1),
     type: normalizeVocabularyType(pack.type),
     count,
-    theme: body.theme || ""
+    theme: options.theme || ""
   });
   const promptToRun = promptTemplate || prompts.developer;
 
@@ -2758,8 +4523,7 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
   let parseError = "";
   const minRequired = Math.max(3, Math.floor(count * 0.6));
   for (let attempt = 1; attempt <= 3; attempt += 1) {
-    output = await callOpenAI({
-      apiKey: openaiCtx.apiKey,
+    output = await ai.provider.complete({
       model,
       temperature,
       maxTokens,
@@ -2780,7 +4544,7 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
   if (validated.items.length < minRequired) {
     const diagnostics = {
       at: new Date().toISOString(),
-      requestId: req.requestId || null,
+      requestId,
       code: "GEN_INVALID_OUTPUT",
       message: parseError || "Generator output is invalid JSON items array",
       parsedCount: parsedItems.length,
@@ -2795,18 +4559,13 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
         generation_last: diagnostics
       }
     });
-    throw new AppError("Generator output is invalid JSON items array", {
-      status: 400,
-      code: "GEN_INVALID_OUTPUT",
-      expose: true,
-      metadata: { requestId: req.requestId, parsedCount: parsedItems.length, minRequired }
-    });
+    throw new AppError("Generator output is invalid JSON items array", { status: 400, code: "GEN_INVALID_OUTPUT", expose: true });
   }
   const now = new Date().toISOString();
   const priorMetadata = typeof pack.metadata === "string" ? safeParseJson(pack.metadata, {}) : (pack.metadata || {});
   const generationLast = {
     at: now,
-    requestId: req.requestId || null,
+    requestId,
     code: "OK",
     message: "",
     requestedCount: count,
@@ -2820,20 +4579,21 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
     source: "openai",
     version: Number(pack.version || 1) + 1,
     generator_config: {
+      provider: ai.provider.type,
       model,
       prompt_template: promptTemplate,
       temperature,
       max_tokens: maxTokens,
-      theme: body.theme || null,
-      random_seed: body.random_seed || null,
-      advanced: body.advanced || null
+      theme: options.theme,
+      random_seed: options.randomSeed,
+      advanced: options.advanced
     },
     metadata: {
       ...(priorMetadata || {}),
       generation_last: generationLast
     }
   });
-  await repo.replaceVocabularyEntries(id, validated.items.map((text, idx) => ({
+  await saveVocabularyEntries(id, validated.items.map((text, idx) => ({
     id: randomUUID(),
     text: String(text || "").trim(),
     order_index: idx,
@@ -2841,6 +4601,7 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
     tags: null,
     created_at: now
   })).filter((e) => e.text));
+  await resetPackReview(id);
   await repo.createVocabularyVersion({
     id: randomUUID(),
     pack_id: id,
@@ -2850,11 +4611,109 @@ app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permiss
       entries: await repo.listVocabularyEntries(id)
     },
     change_note: "regenerate draft",
-    created_by: String(req.actor?.id || ""),
+    created_by: createdBy ? String(createdBy) : "",
     created_at: now
   });
-  await audit(req, "vocabulary.pack.regenerate", "vocabulary_pack", id, { count });
-  res.json({ ok: true, count: validated.items.length, requestId: req.requestId || null });
+  return { count: validated.items.length };
+}
+
+function jobActor(job) {
+  return job.createdBy ? { id: job.createdBy, isAuthenticated: true } : null;
+}
+
+function permanentJobError(message, code) {
+  const err = new AppError(message, { status: 400, code, expose: true });
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * Regenerates each pack in turn. A retry only redoes the packs that failed,
+ * and the job fails once its attempts run out with any pack still failing.
+ */
+async function runVocabularyRegenerateJob(payload, ctx) {
+  const ai = await resolveAIExecutionContext(jobActor(ctx.job));
+  if (!ai) throw permanentJobError("No AI provider is configured", "AI_PROVIDER_MISSING");
+  const packIds = Array.isArray(payload.packIds) ? payload.packIds.map(String) : [];
+  const results = (Array.isArray(ctx.result?.results) ? ctx.result.results : []).filter((entry) => entry.ok);
+  const done = new Set(results.map((entry) => entry.id));
+  await ctx.progress(results.length, packIds.length, { results });
+  for (const id of packIds.filter((packId) => !done.has(packId))) {
+    try {
+      const pack = await repo.getVocabularyPackById(id);
+      if (!pack) throw permanentJobError("Not found", "NOT_FOUND");
+      const outcome = await regenerateVocabularyPackDraft({
+        pack,
+        options: payload.options || {},
+        ai,
+        requestId: ctx.job.requestId,
+        createdBy: ctx.job.createdBy
+      });
+      results.push({ id, ok: true, count: outcome.count });
+    } catch (err) {
+      results.push({ id, ok: false, code: err?.code || null, error: String(err?.message || err || "Unknown error"), retryable: err?.retryable !== false });
+    }
+    await ctx.progress(results.length, packIds.length, { results });
+  }
+  const failed = results.filter((entry) => !entry.ok);
+  if (failed.length) {
+    const err = new AppError(`${failed.length} of ${packIds.length} packs failed: ${failed[0].error}`, { status: 400, code: failed[0].code || "GEN_FAILED", expose: true });
+    err.retryable = failed.some((entry) => entry.retryable);
+    throw err;
+  }
+  return { results };
+}
+
+async function runDefaultPackGenerationJob(payload, ctx) {
+  const ai = await resolveAIExecutionContext(jobActor(ctx.job));
+  if (!ai) throw permanentJobError("No AI provider is configured", "AI_PROVIDER_MISSING");
+  const type = normalizeVocabularyType(payload.type);
+  await ctx.progress(0, 1, null);
+  const generated = await generateStrictVocabularyItems({
+    ai,
+    model: ai.model,
+    language: payload.language,
+    level: payload.level,
+    type,
+    count: clampNumber(payload.count, 10, 200, 60),
+    requestId: ctx.job.requestId,
+    theme: "default gameplay rotation"
+  });
+  const packId = await persistGeneratedPack({
+    language: payload.language,
+    level: payload.level,
+    type,
+    items: generated.items,
+    model: ai.model,
+    createdBy: ctx.job.createdBy,
+    // WHY: stub output is placeholder syllables; it may fill a draft for testing but never goes live on its own.
+    autoPublish: ai.provider.type !== "offline_stub",
+    metadata: {
+      source_hint: ai.source,
+      request_id: ctx.job.requestId,
+      trigger_reason: payload.triggerReason,
+      job_id: ctx.job.id
+    }
+  });
+  await ctx.progress(1, 1, { packId });
+  return { packId };
+}
+
+app.post("/api/admin/vocabulary/packs/:id/regenerate", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, generationLimiter, withAsync(async (req, res) => {
+  const id = String(req.params.id || "");
+  const pack = await repo.getVocabularyPackById(id);
+  if (!pack) throw new AppError("Not found", { status: 404, code: "NOT_FOUND", expose: true });
+  await requireAIExecutionContext(req.actor, req.requestId || null);
+  const options = readRegenerateOptions(requireObject(req.body || {}, "body"));
+  const job = await jobQueue.enqueue({
+    kind: "vocabulary.regenerate",
+    payload: { packIds: [id], options },
+    total: 1,
+    createdBy: req.actor?.id || null,
+    requestId: req.requestId || null
+  });
+  await audit(req, "vocabulary.pack.regenerate", "vocabulary_pack", id, { count: options.count, jobId: job.id });
+  res.status(202).json({ ok: true, job, requestId: req.requestId || null });
 }));
 
 app.post("/api/admin/vocabulary/packs/batch", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, generationLimiter, withAsync(async (req, res) => {
@@ -2863,14 +4722,30 @@ app.post("/api/admin/vocabulary/packs/batch", requirePermission(Permissions.VOCA
   const ids = Array.isArray(body.ids) ? body.ids.map((id) => String(id || "").trim()).filter(Boolean) : [];
   if (!ids.length) throw new AppError("No pack IDs provided", { status: 400, code: "BATCH_EMPTY", expose: true });
   if (ids.length > 100) throw new AppError("Batch size too large", { status: 400, code: "BATCH_TOO_LARGE", expose: true });
+  if (action === "regenerate") {
+    await requireAIExecutionContext(req.actor, req.requestId || null);
+    const options = readRegenerateOptions({ count: clampNumber(body.count ?? 30, 5, 500, 30), theme: body.theme || "" });
+    const job = await jobQueue.enqueue({
+      kind: "vocabulary.regenerate",
+      payload: { packIds: ids, options },
+      total: ids.length,
+      createdBy: req.actor?.id || null,
+      requestId: req.requestId || null
+    });
+    await audit(req, "vocabulary.pack.batch", "vocabulary_pack", action, { count: ids.length, action, jobId: job.id });
+    res.status(202).json({ ok: true, action, job, results: [], requestId: req.requestId || null });
+    return;
+  }
   const results = [];
-  const count = clampNumber(body.count ?? 30, 5, 500, 30);
-  const batchOpenAICtx = action === "regenerate"
-    ? await resolveOpenAIExecutionContext(req.actor, { includeLegacy: true })
-    : null;
   for (const id of ids) {
     try {
-      if (action === "publish") await repo.updateVocabularyPack(id, { status: "published" });
+      if (action === "publish") {
+        if (!hasPermission(req.actor?.role || Roles.GUEST, Permissions.VOCAB_PUBLISH)) throw new Error("Forbidden");
+        const pack = await repo.getVocabularyPackById(id);
+        if (!pack) throw new Error("Not found");
+        await assertPublishable(pack);
+        await repo.updateVocabularyPack(id, { status: "published" });
+      }
       if (action === "unpublish") await repo.updateVocabularyPack(id, { status: "draft" });
       if (action === "delete") await repo.deleteVocabularyPack(id);
       if (action === "export") {
@@ -2880,54 +4755,6 @@ app.post("/api/admin/vocabulary/packs/batch", requirePermission(Permissions.VOCA
         results.push({ id, ok: true, payload: { pack, entries } });
         continue;
       }
-      if (action === "regenerate") {
-        const pack = await repo.getVocabularyPackById(id);
-        if (!pack) throw new Error("Not found");
-        if (!batchOpenAICtx?.apiKey) throw new Error("OpenAI key missing");
-        const prompts = buildVocabularyGenerationPrompts({
-          language: String(pack.language || "en"),
-          level: Number(pack.level || 1),
-          type: normalizeVocabularyType(pack.type),
-          count,
-          theme: body.theme || ""
-        });
-        const output = await callOpenAI({
-          apiKey: batchOpenAICtx.apiKey,
-          model: batchOpenAICtx.model || OPENAI_MODEL,
-          systemPrompt: prompts.system,
-          prompt: prompts.developer
-        });
-        const parsedItems = safeParseJsonArrayOfStrings(output, count);
-        const validated = validateGeneratedVocabularyItems(parsedItems, {
-          type: normalizeVocabularyType(pack.type),
-          level: Number(pack.level || 1),
-          language: String(pack.language || "en")
-        });
-        if (!validated.items.length) throw new Error("No valid generated items");
-        await repo.updateVocabularyPack(id, {
-          source: "openai",
-          version: Number(pack.version || 1) + 1,
-          metadata: {
-            ...(typeof pack.metadata === "string" ? safeParseJson(pack.metadata, {}) : (pack.metadata || {})),
-            generation_last: {
-              at: new Date().toISOString(),
-              requestId: req.requestId || null,
-              code: "OK",
-              parsedCount: parsedItems.length,
-              validatedCount: validated.items.length,
-              outputPreview: String(output || "").slice(0, 2000)
-            }
-          }
-        });
-        await repo.replaceVocabularyEntries(id, validated.items.map((text, idx) => ({
-          id: randomUUID(),
-          text,
-          order_index: idx,
-          difficulty_score: null,
-          tags: null,
-          created_at: new Date().toISOString()
-        })));
-      }
       results.push({ id, ok: true });
     } catch (err) {
       results.push({ id, ok: false, error: String(err?.message || err || "Unknown error") });
@@ -2937,6 +4764,25 @@ app.post("/api/admin/vocabulary/packs/batch", requirePermission(Permissions.VOCA
   res.json({ ok: true, action, results, requestId: req.requestId || null });
 }));
 
+app.get("/api/admin/jobs", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const status = req.query.status ? asEnum(String(req.query.status), JOB_STATUSES, "status") : null;
+  const limit = clampNumber(req.query.limit, 1, 200, 50);
+  res.json({ ok: true, jobs: await jobQueue.list({ status, limit }) });
+}));
+
+app.get("/api/admin/jobs/:id", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const job = await jobQueue.get(String(req.params.id || ""));
+  if (!job) throw new AppError("Job not found", { status: 404, code: "JOB_NOT_FOUND", expose: true });
+  res.json({ ok: true, job });
+}));
+
+app.post("/api/admin/jobs/:id/cancel", requirePermission(Permissions.VOCAB_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const job = await jobQueue.cancel(String(req.params.id || ""));
+  if (!job) throw new AppError("Job not found", { status: 404, code: "JOB_NOT_FOUND", expose: true });
+  await audit(req, "job.cancel", "generation_job", job.id, { kind: job.kind, status: job.status });
+  res.json({ ok: true, job });
+}));
+
 app.get("/api/live/stats", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
   await repo.cleanupActiveSessions(120);
   const stats = await repo.getActiveSessionStats(120);
@@ -2951,16 +4797,186 @@ app.get("/api/admin/live/stats", requirePermission(Permissions.ADMIN_DIAGNOSTICS
 
 app.post("/api/live/heartbeat", requirePermission(Permissions.TASKS_GENERATE), withAsync(async (req, res) => {
   const sessionId = asString(req.body?.sessionId || "", { min: 8, max: 128, field: "sessionId" });
-  const mode = asEnum(req.body?.mode || "learning", ["learning", "contest"], "mode");
+  const mode = asEnum(req.body?.mode || "learning", ["learning", "contest", "practice"], "mode");
+  const profile = await resolveActiveProfile(req);
   await repo.upsertActiveSession({
     sessionId,
     userId: req.actor?.isAuthenticated ? req.actor.id : null,
+    profileId: profile?.id || (req.actor?.isAuthenticated ? 0 : null),
     mode,
+    level: req.body?.level === undefined ? null : clampNumber(req.body.level, 1, 5, 1),
     isAuthorized: Boolean(req.actor?.isAuthenticated)
   });
   await repo.cleanupActiveSessions(120);
   const stats = await repo.getActiveSessionStats(120);
-  res.json({ ok: true, stats });
+  let playLimits = null;
+  if (req.actor?.isAuthenticated) {
+    const now = new Date();
+    const day = localDayKey(req.body?.tzOffsetMinutes, now);
+    const previous = await repo.getPlayDay(req.actor.id, profile?.id || 0, day);
+    // WHY: the gap is measured from the identity's last beat on any device, so two open tabs still add up to wall time.
+    await repo.recordPlayBeat({
+      userId: req.actor.id,
+      profileId: profile?.id || 0,
+      day,
+      addMs: beatIncrementMs(previous?.lastBeatAt ?? previous?.lastbeatat, now),
+      beatAt: now.toISOString()
+    });
+    playLimits = await describePlayLimits(req.actor.id, profile?.id || 0, req.body?.tzOffsetMinutes);
+  }
+  // WHY: devices already heartbeat while playing, so a teacher's push reaches them within one beat.
+  const membership = await findClassroomMembership(req.actor, profile);
+  res.json({ ok: true, stats, classroom: membership ? await describeClassroom(membership) : null, playLimits });
+}));
+
+async function findClassroomMembership(actor, profile) {
+  if (!actor?.isAuthenticated) return null;
+  return repo.getClassroomMembership(actor.id, profile?.id || 0);
+}
+
+async function describeClassroom(row, options = {}) {
+  const packId = row.assignedpackid || row.assignedPackId;
+  const pack = packId ? await repo.getVocabularyPackById(packId) : null;
+  return mapClassroom(row, { ...options, pack });
+}
+
+async function requireManagedClassroom(req) {
+  const row = await repo.getClassroom(String(req.params.id || ""));
+  // SECURITY: teachers reach only their own classrooms; admins may step in for any.
+  const canManageAny = [Roles.ADMIN, Roles.OWNER].includes(normalizeRole(req.actor?.role));
+  if (!row || (!canManageAny && Number(row.teacheruserid || row.teacherUserId) !== Number(req.actor?.id))) {
+    throw new AppError("Classroom not found", { status: 404, code: "CLASSROOM_NOT_FOUND", expose: true });
+  }
+  return row;
+}
+
+app.get("/api/classrooms", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const canManageAny = [Roles.ADMIN, Roles.OWNER].includes(normalizeRole(req.actor?.role));
+  const rows = await repo.listClassrooms({ teacherUserId: canManageAny ? null : req.actor.id });
+  const classrooms = await Promise.all(rows.map((row) => describeClassroom(row, { includeJoinCode: true })));
+  res.json({ ok: true, classrooms });
+}));
+
+app.get("/api/classrooms/packs", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const result = await repo.listVocabularyPacks({ status: "published" }, { page: 1, pageSize: 100, sortBy: "name", sortDir: "asc" });
+  const packs = (result?.rows || []).map((row) => ({
+    id: String(row.id),
+    name: row.name,
+    language: row.language,
+    level: Number(row.level),
+    entryCount: Number(row.entry_count || 0)
+  }));
+  res.json({ ok: true, packs });
+}));
+
+app.post("/api/classrooms", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const body = requireObject(req.body || {}, "classroom");
+  const name = asString(body.name, { min: 1, max: 60, field: "name" }).trim();
+  if (!name) throw badRequest("name is required");
+  let joinCode = generateJoinCode();
+  for (let attempt = 0; attempt < 10 && await repo.getClassroomByJoinCode(joinCode); attempt += 1) joinCode = generateJoinCode();
+  const row = await repo.createClassroom({
+    id: randomUUID(),
+    teacherUserId: req.actor.id,
+    name,
+    joinCode,
+    createdAt: new Date().toISOString()
+  });
+  await audit(req, "classroom.create", "classroom", row.id, { name });
+  res.status(201).json({ ok: true, classroom: await describeClassroom(row, { includeJoinCode: true }) });
+}));
+
+app.delete("/api/classrooms/:id", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const row = await requireManagedClassroom(req);
+  await repo.deleteClassroom(row.id);
+  await audit(req, "classroom.delete", "classroom", row.id);
+  res.json({ ok: true });
+}));
+
+app.put("/api/classrooms/:id/assignment", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const row = await requireManagedClassroom(req);
+  const body = requireObject(req.body || {}, "assignment");
+  let assignedPackId = null;
+  let assignedLevel = body.level === null || body.level === undefined || body.level === ""
+    ? null
+    : asNumber(body.level, { min: 1, max: 5, field: "level" });
+  if (body.packId) {
+    const pack = await repo.getVocabularyPackById(String(body.packId));
+    if (!pack || pack.status !== "published") throw badRequest("Pick a published vocabulary pack");
+    assignedPackId = String(pack.id);
+    // A pack only serves the level it was written for.
+    assignedLevel = Number(pack.level);
+  }
+  const updated = await repo.updateClassroomAssignment(row.id, {
+    assignedPackId,
+    assignedLevel,
+    assignedAt: assignedPackId || assignedLevel ? new Date().toISOString() : null
+  });
+  await audit(req, "classroom.assignment.update", "classroom", row.id, { packId: assignedPackId, level: assignedLevel });
+  res.json({ ok: true, classroom: await describeClassroom(updated, { includeJoinCode: true }) });
+}));
+
+app.get("/api/classrooms/:id/live", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const row = await requireManagedClassroom(req);
+  await repo.cleanupActiveSessions(120);
+  const stats = await repo.getActiveSessionStats(120, { classroomId: row.id });
+  res.json({ ok: true, stats: { ...stats, students: mapLiveStudents(stats.students) } });
+}));
+
+app.get("/api/classrooms/:id/results", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const row = await requireManagedClassroom(req);
+  const days = Math.round(asNumber(req.query.days ?? 30, { min: 1, max: 365, field: "days" }));
+  const format = asEnum(req.query.format || "json", ["json", "csv"], "format");
+  const students = summarizeClassroomResults(await repo.aggregateClassroomResults(row.id, { since: progressWindowStart(days) }));
+  if (format === "csv") {
+    await audit(req, "classroom.results.export", "classroom", row.id, { days, students: students.length });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="classroom-results-${days}d.csv"`);
+    return res.send(classroomResultsCsv(students));
+  }
+  res.json({ ok: true, days, students });
+}));
+
+app.delete("/api/classrooms/:id/members/:userId/:profileId", requirePermission(Permissions.CLASSROOM_MANAGE), withAsync(async (req, res) => {
+  const row = await requireManagedClassroom(req);
+  const userId = asNumber(req.params.userId, { min: 1, max: Number.MAX_SAFE_INTEGER, field: "userId" });
+  const profileId = asNumber(req.params.profileId, { min: 0, max: Number.MAX_SAFE_INTEGER, field: "profileId" });
+  await repo.removeClassroomMember(userId, profileId, row.id);
+  await audit(req, "classroom.member.remove", "classroom", row.id, { userId, profileId });
+  res.json({ ok: true });
+}));
+
+app.get("/api/classroom", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  const membership = await findClassroomMembership(req.actor, await resolveActiveProfile(req));
+  res.json({ ok: true, classroom: membership ? await describeClassroom(membership) : null });
+}));
+
+app.post("/api/classroom/join", requirePermission(Permissions.CLASSROOM_JOIN), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const joinCode = normalizeJoinCode(req.body?.code);
+  const row = joinCode ? await repo.getClassroomByJoinCode(joinCode) : null;
+  if (!row) throw new AppError("No classroom has that code", { status: 404, code: "CLASSROOM_NOT_FOUND", expose: true });
+  // The active child profile joins, not the whole family account.
+  const profile = await resolveActiveProfile(req);
+  await repo.upsertClassroomMember({
+    classroomId: row.id,
+    userId: req.actor.id,
+    profileId: profile?.id || 0,
+    displayName: profile ? profile.displayName : (req.actor.displayName || "Student"),
+    joinedAt: new Date().toISOString()
+  });
+  await audit(req, "classroom.join", "classroom", row.id, { profileId: profile?.id || null });
+  res.json({ ok: true, classroom: await describeClassroom(row) });
+}));
+
+app.delete("/api/classroom", requirePermission(Permissions.SESSION_READ), withAsync(async (req, res) => {
+  if (!req.actor?.isAuthenticated) throw new AppError("Authentication required", { status: 401, code: "UNAUTHORIZED", expose: true });
+  const profile = await resolveActiveProfile(req);
+  const membership = await findClassroomMembership(req.actor, profile);
+  await repo.removeClassroomMember(req.actor.id, profile?.id || 0);
+  if (membership) await audit(req, "classroom.leave", "classroom", membership.id, { profileId: profile?.id || null });
+  res.json({ ok: true });
 }));
 
 app.get("/api/vocab/packs", requirePermission(Permissions.VOCAB_READ), withAsync(async (req, res) => {
@@ -3013,12 +5029,11 @@ app.post("/api/vocab/generate", requirePermission(Permissions.VOCAB_MANAGE), adm
       model: body.model || OPENAI_MODEL
     });
   }
-  const openaiCtx = rawApiKey
-    ? { apiKey: rawApiKey, source: body.storeKey ? "service.openai.db" : "service.openai.ephemeral", model: OPENAI_MODEL }
-    : await resolveOpenAIExecutionContext(req.actor, { includeLegacy: true });
-  if (!openaiCtx?.apiKey) throw badRequest("OpenAI key required");
+  const ai = rawApiKey
+    ? { provider: createTextProvider({ type: "openai", apiKey: rawApiKey }), source: body.storeKey ? "service.openai.db" : "service.openai.ephemeral", model: OPENAI_MODEL }
+    : await requireAIExecutionContext(req.actor, req.requestId || null);
 
-  const words = await generateWithRetry({ apiKey: openaiCtx.apiKey, packType: safeType, count: safeCount });
+  const words = await generateWithRetry({ ai, packType: safeType, count: safeCount });
   await repo.insertPack({
     name: body.name || "Generated Pack",
     packType: safeType,
@@ -3182,6 +5197,7 @@ app.get("/api/admin/service-settings", requirePermission(Permissions.ADMIN_CONFI
         lastTestError: openaiSummary.lastTestError || null,
         source: openaiActive?.source || null
       },
+      ai: summarizeAIServiceStatus(await getAIServiceConfig()),
       db: {
         activeDriver,
         dbConfig: resolveDbConfig()
@@ -3274,6 +5290,44 @@ app.post("/api/admin/service-settings/auth/google", requirePermission(Permission
   res.json({ ok: true, settings: { enabled, clientId, hasClientSecret: Boolean(await repo.getSystemSecret("google.client_secret")) } });
 }));
 
+app.post("/api/admin/service-settings/ai", requirePermission(Permissions.ADMIN_SECRET_MANAGE), adminLimiter, withAsync(async (req, res) => {
+  const payload = requireObject(req.body || {}, "AI provider settings");
+  const settings = await applyAIServiceSettings(req.actor, payload);
+  await audit(req, "service_settings.ai.update", "config", "service.ai", {
+    provider: settings.provider,
+    baseUrl: settings.compatible.baseUrl || null,
+    model: settings.compatible.model || null,
+    hasApiKey: settings.compatible.hasApiKey
+  });
+  await refreshConfigStatus({ force: true });
+  res.json({ ok: true, settings });
+}));
+
+app.post("/api/admin/service-settings/ai/test", requirePermission(Permissions.ADMIN_SECRET_MANAGE), adminLimiter, generationLimiter, withAsync(async (req, res) => {
+  const config = await getAIServiceConfig();
+  const ai = await requireAIExecutionContext(req.actor, req.requestId || null);
+  // WHY: the OpenAI provider keeps its verification where the key settings already show it.
+  const persist = config.provider === "openai" ? persistOpenAITestStatus : persistAITestStatus;
+  try {
+    await pingTextProvider(ai.provider, ai.model);
+    await persist({ ok: true, code: "ok", errorMessage: null });
+    await audit(req, "service_settings.ai.test", "config", "service.ai", { provider: config.provider, model: ai.model, ok: true });
+    await refreshConfigStatus({ force: true });
+    res.json({ ok: true, provider: config.provider, source: ai.source, model: ai.model, requestId: req.requestId || null, testedAt: new Date().toISOString() });
+  } catch (err) {
+    const classified = classifyOpenAITestError(err, config.provider === "openai" ? "OpenAI" : "the AI provider");
+    await persist({ ok: false, code: classified.code, errorMessage: classified.message });
+    await audit(req, "service_settings.ai.test", "config", "service.ai", { provider: config.provider, model: ai.model, ok: false, reason: classified.code });
+    await refreshConfigStatus({ force: true });
+    throw new AppError(classified.message, {
+      status: 400,
+      code: "AI_PROVIDER_TEST_FAILED",
+      expose: true,
+      metadata: { requestId: req.requestId || null, reason: classified.code }
+    });
+  }
+}));
+
 app.post("/api/admin/seed-defaults", requirePermission(Permissions.ADMIN_SEED_DEFAULTS), adminLimiter, withAsync(async (req, res) => {
   const now = new Date().toISOString();
   await repo.reset("vocab");
@@ -3400,12 +5454,16 @@ app.post("/api/admin/config", requirePermission(Permissions.ADMIN_CONFIG_MANAGE)
   const key = asString(req.body?.key || "", { min: 1, max: 128, field: "key" });
   const scope = asEnum(req.body?.scope || "global", ["global", "tenant", "user"], "scope");
   const scopeId = asString(req.body?.scopeId || "global", { min: 1, max: 128, field: "scopeId" });
-  const value = req.body?.valueJson;
+  // Rule sets partition the leaderboard, so a raw config write goes through the same checks as the editor.
+  const value = key === "contest.rules"
+    ? normalizeContestRules(req.body?.valueJson)
+    : key === "content.safety" ? normalizeSafetyLists(req.body?.valueJson) : req.body?.valueJson;
   const result = await configStore.setSafe(key, value, {
     scope,
     scopeId,
     updatedBy: req.actor?.externalSubject || "admin"
   });
+  if (key === "content.safety" && scope === "global") await rescreenVocabularyEntries();
   await audit(req, "config.update", "config", `${scope}:${scopeId}:${key}`);
   res.json({ ok: true, config: result });
 }));
@@ -3843,6 +5901,14 @@ async function start() {
   setStartupPhase("init_encryption");
   encryptionService = new EncryptionService(process.env.KTRAIN_MASTER_KEY || "");
   smtpService = new SmtpService({ configStore, repo, encryptionService });
+  jobQueue = new JobQueue({
+    repo,
+    logger,
+    handlers: {
+      "vocabulary.regenerate": runVocabularyRegenerateJob,
+      "vocabulary.default_pack": runDefaultPackGenerationJob
+    }
+  });
 
   setStartupPhase("owner_bootstrap");
   await ensureOwnerBootstrap();
@@ -3883,6 +5949,14 @@ async function start() {
     throw new Error("Startup self-check failed: required migrations/indexes missing");
   }
 
+  setStartupPhase("screen_vocabulary");
+  // WHY: the built-in blocklists ship with the code, so an upgrade can change what is held.
+  const rescreened = await rescreenVocabularyEntries();
+  if (rescreened.flagged || rescreened.cleared) logger.info("vocabulary_rescreened", rescreened);
+
+  setStartupPhase("start_job_queue");
+  await jobQueue.start();
+
   setStartupPhase("compute_config_status");
   const status = await refreshConfigStatus({ force: true });
   logger.info("config_status", { overall: status?.overall, required: status?.required, optional: status?.optional });
@@ -3890,7 +5964,11 @@ async function start() {
   setInterval(() => {
     Promise.all([
       repo.cleanupActiveSessions(120),
-      repo.cleanupAuthSessions()
+      repo.cleanupAuthSessions(),
+      repo.cleanupContestRuns(new Date(Date.now() - OFFLINE_RESULT_MAX_AGE_MS).toISOString()),
+      closeEndedChallenges(),
+      repo.cleanupPlayDays(localDayKey(0, new Date(Date.now() - PLAY_DAYS_RETENTION_MS))),
+      repo.cleanupGenerationJobs(new Date(Date.now() - FINISHED_JOB_RETENTION_MS).toISOString())
     ]).catch((err) => logger.warn("background_cleanup_failed", { error: err }));
   }, 60 * 1000);
 
@@ -3907,11 +5985,21 @@ async function start() {
   }
 
   setStartupPhase("http_listen");
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     startupReady = true;
     setStartupPhase("ready");
     logger.info("server_started", { port: PORT, driver: activeDriver });
   });
+  attachRaceSocket({
+    server,
+    registry: raceRooms,
+    authenticate: authenticateRacer,
+    generateTasks: (room) => generateTasks(room.settings.level, room.settings.taskCount, room.settings.contentMode, room.settings.language, {
+      sessionId: `race:${room.code}`,
+      mode: "contest"
+    }),
+    recordResults: recordRaceResults
+  });
 }
 
 async function shutdown(signal) {
@@ -3926,6 +6014,7 @@ async function shutdown(signal) {
   } catch {
     // ignore capture failures during shutdown
   }
+  jobQueue?.stop();
   try {
     if (repo?.close) await repo.close();
   } catch {
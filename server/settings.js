@@ -33,6 +33,14 @@ const DEFAULT_SETTINGS = {
     variation: "small"
   },
   soundEnabled: true,
+  narration: {
+    enabled: false,
+    speakOn: "task",
+    sentenceContext: true,
+    rate: 0.9,
+    pitch: 1.1,
+    voices: {}
+  },
   agePreset: "custom",
   animationSpeed: 1,
   stagePadding: "medium",
@@ -50,7 +58,13 @@ const DEFAULT_SETTINGS = {
   maxAllowedLevel: 5,
   differentiateZero: true,
   zeroStyle: "dot",
-  protectFunctionKeys: true
+  protectFunctionKeys: true,
+  forgivingLayout: false,
+  virtualKeyboard: {
+    show: "touch",
+    layout: "auto",
+    fingerColors: true
+  }
 };
 
 const TEXT_SIZES = ["small", "medium", "large", "xlarge"];
@@ -66,6 +80,10 @@ const STREAK_POLICY = ["first_wrong", "task_fail", "never"];
 const ROLLING_CART = ["off", "on"];
 const ROLLING_INTENSITY = ["minimal", "normal"];
 const ZERO_STYLE = ["dot", "slashed", "dotted"];
+const NARRATION_TRIGGERS = ["task", "mistake", "tap"];
+const MAX_NARRATION_VOICES = 32;
+const KEYBOARD_SHOW = ["off", "touch", "always"];
+const KEYBOARD_LAYOUTS = ["auto", "qwerty", "jcuken", "azerty", "dvorak"];
 
 function cleanColor(value, fallback) {
   if (typeof value !== "string") return fallback;
@@ -76,6 +94,17 @@ function cleanColor(value, fallback) {
   return fallback;
 }
 
+function cleanVoiceMap(input) {
+  const voices = {};
+  if (!input || typeof input !== "object" || Array.isArray(input)) return voices;
+  for (const [language, voice] of Object.entries(input).slice(0, MAX_NARRATION_VOICES)) {
+    if (!/^[a-z]{2,3}$/i.test(language) || typeof voice !== "string") continue;
+    const trimmed = voice.trim().slice(0, 200);
+    if (trimmed) voices[language.toLowerCase()] = trimmed;
+  }
+  return voices;
+}
+
 function clampNumber(value, min, max, fallback) {
   const num = Number(value);
   if (Number.isNaN(num)) return fallback;
@@ -93,6 +122,14 @@ function sanitizeSettings(input = {}) {
     correctEffects: {
       ...DEFAULT_SETTINGS.correctEffects,
       ...(input.correctEffects || {})
+    },
+    narration: {
+      ...DEFAULT_SETTINGS.narration,
+      ...(input.narration || {})
+    },
+    virtualKeyboard: {
+      ...DEFAULT_SETTINGS.virtualKeyboard,
+      ...(input.virtualKeyboard || {})
     }
   };
 
@@ -131,6 +168,12 @@ function sanitizeSettings(input = {}) {
     : DEFAULT_SETTINGS.correctEffects.variation;
 
   next.soundEnabled = Boolean(next.soundEnabled);
+  next.narration.enabled = Boolean(next.narration.enabled);
+  next.narration.speakOn = NARRATION_TRIGGERS.includes(next.narration.speakOn) ? next.narration.speakOn : DEFAULT_SETTINGS.narration.speakOn;
+  next.narration.sentenceContext = Boolean(next.narration.sentenceContext);
+  next.narration.rate = clampNumber(next.narration.rate, 0.5, 1.5, DEFAULT_SETTINGS.narration.rate);
+  next.narration.pitch = clampNumber(next.narration.pitch, 0.5, 2, DEFAULT_SETTINGS.narration.pitch);
+  next.narration.voices = cleanVoiceMap(next.narration.voices);
   next.agePreset = typeof next.agePreset === "string" ? next.agePreset : DEFAULT_SETTINGS.agePreset;
   next.animationSpeed = clampNumber(next.animationSpeed, 0.6, 1.4, DEFAULT_SETTINGS.animationSpeed);
 
@@ -152,6 +195,12 @@ function sanitizeSettings(input = {}) {
   next.differentiateZero = Boolean(next.differentiateZero);
   next.zeroStyle = ZERO_STYLE.includes(next.zeroStyle) ? next.zeroStyle : DEFAULT_SETTINGS.zeroStyle;
   next.protectFunctionKeys = Boolean(next.protectFunctionKeys);
+  next.forgivingLayout = Boolean(next.forgivingLayout);
+  next.virtualKeyboard.show = KEYBOARD_SHOW.includes(next.virtualKeyboard.show) ? next.virtualKeyboard.show : DEFAULT_SETTINGS.virtualKeyboard.show;
+  next.virtualKeyboard.layout = KEYBOARD_LAYOUTS.includes(next.virtualKeyboard.layout)
+    ? next.virtualKeyboard.layout
+    : DEFAULT_SETTINGS.virtualKeyboard.layout;
+  next.virtualKeyboard.fingerColors = Boolean(next.virtualKeyboard.fingerColors);
 
   next.version = SETTINGS_VERSION;
   return next;
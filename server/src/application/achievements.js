@@ -0,0 +1,130 @@
+/**
+ * Rules-driven achievements.
+ *
+ * Input contract:
+ * - `stats` is the player's `player_stats` totals after the current session.
+ * - `run` describes what was just played: `source` ("session" for a finished
+ *   practice or contest session, "contest" for a verified contest result),
+ *   `level`, `correct`, `incorrect`, `cpm` and, for contests, the verified
+ *   `accuracy` and `maxStreak`.
+ * - `keyStats` are `player_key_stats` rows for `language`; `records` are the
+ *   personal-best records the result beat.
+ *
+ * Output contract:
+ * - Rules are data; `evaluateAchievements` returns only ids not yet unlocked
+ *   and never throws on partial context, so callers can evaluate whatever
+ *   they have at hand.
+ * - `icon` names one of the client's effect visual sets.
+ */
+const MASTERY_MIN_HITS = 10;
+const MASTERY_MAX_MISS_RATE = 0.1;
+
+const ACHIEVEMENTS = [
+  { id: "letters_100", title: "First 100 letters", description: "Type 100 letters.", icon: "stars", rule: { type: "total", field: "totalLettersTyped", min: 100 } },
+  { id: "letters_1000", title: "A thousand letters", description: "Type 1,000 letters.", icon: "stars", rule: { type: "total", field: "totalLettersTyped", min: 1000 } },
+  { id: "letters_10000", title: "Ten thousand letters", description: "Type 10,000 letters.", icon: "stars", rule: { type: "total", field: "totalLettersTyped", min: 10000 } },
+  { id: "sessions_10", title: "Regular", description: "Finish 10 sessions.", icon: "smiles", rule: { type: "total", field: "sessionsCount", min: 10 } },
+  { id: "streak_3", title: "Three days in a row", description: "Play on 3 days in a row.", icon: "hearts", rule: { type: "total", field: "streakDays", min: 3 } },
+  { id: "streak_7", title: "A week in a row", description: "Play on 7 days in a row.", icon: "hearts", rule: { type: "total", field: "streakDays", min: 7 } },
+  { id: "streak_30", title: "A month in a row", description: "Play on 30 days in a row.", icon: "hearts", rule: { type: "total", field: "streakDays", min: 30 } },
+  {
+    id: "perfect_level_3",
+    title: "Perfect words",
+    description: "Finish a session at level 3 or higher with 100% accuracy.",
+    icon: "confetti",
+    rule: { type: "run", minLevel: 3, minAccuracy: 100, minCorrect: 20 }
+  },
+  { id: "cpm_100", title: "Quick fingers", description: "Reach 100 characters per minute.", icon: "balloons", rule: { type: "run", minCpm: 100, minCorrect: 20 } },
+  { id: "first_contest", title: "Contender", description: "Finish a contest.", icon: "balloons", rule: { type: "run", source: "contest" } },
+  { id: "contest_streak_25", title: "On a roll", description: "Get 25 right in a row in a contest.", icon: "confetti", rule: { type: "run", source: "contest", minMaxStreak: 25 } },
+  { id: "personal_best", title: "Beat yourself", description: "Set a new personal best in a contest.", icon: "confetti", rule: { type: "record" } },
+  {
+    id: "alphabet_en",
+    title: "ABC master",
+    description: "Master every letter of the English alphabet.",
+    icon: "stars",
+    rule: { type: "alphabet", language: "en", letters: "abcdefghijklmnopqrstuvwxyz" }
+  },
+  {
+    id: "alphabet_ru",
+    title: "Russian alphabet master",
+    description: "Master every letter of the Russian alphabet.",
+    icon: "stars",
+    rule: { type: "alphabet", language: "ru", letters: "абвгдеёжзийклмнопрстуфхцчшщъыьэюя" }
+  }
+];
+
+const ACHIEVEMENTS_BY_ID = new Map(ACHIEVEMENTS.map((achievement) => [achievement.id, achievement]));
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function runAccuracy(run) {
+  if (run.accuracy !== undefined) return Number(run.accuracy);
+  const total = Number(run.correct || 0) + Number(run.incorrect || 0);
+  return total === 0 ? 0 : (Number(run.correct || 0) / total) * 100;
+}
+
+/** A letter is mastered once it has enough hits and rarely misses. */
+function masteredLetters(keyStats = []) {
+  const mastered = new Set();
+  for (const row of keyStats) {
+    const hits = Number(row.hits || 0);
+    const misses = Number(row.misses || 0);
+    if (hits >= MASTERY_MIN_HITS && misses / (hits + misses) <= MASTERY_MAX_MISS_RATE) {
+      mastered.add(String(read(row, "keyChar")).toLowerCase());
+    }
+  }
+  return mastered;
+}
+
+function ruleMet(rule, { stats = null, run = null, keyStats = [], language = null, records = [] }) {
+  switch (rule.type) {
+    case "total":
+      return Number(read(stats, rule.field) || 0) >= rule.min;
+    case "run":
+      if (!run || (rule.source && run.source !== rule.source)) return false;
+      if (rule.minCorrect && Number(run.correct || 0) < rule.minCorrect) return false;
+      if (rule.minLevel && Number(run.level || 0) < rule.minLevel) return false;
+      if (rule.minAccuracy && runAccuracy(run) < rule.minAccuracy) return false;
+      if (rule.minCpm && Number(run.cpm || 0) < rule.minCpm) return false;
+      return !rule.minMaxStreak || Number(run.maxStreak || 0) >= rule.minMaxStreak;
+    case "record":
+      return records.length > 0;
+    case "alphabet": {
+      if (language !== rule.language) return false;
+      const mastered = masteredLetters(keyStats);
+      return Array.from(rule.letters).every((letter) => mastered.has(letter));
+    }
+    default:
+      return false;
+  }
+}
+
+/** Ids of achievements the context earns that are not unlocked yet, in catalog order. */
+function evaluateAchievements(context, unlockedIds = []) {
+  const unlocked = new Set(unlockedIds);
+  return ACHIEVEMENTS
+    .filter((achievement) => !unlocked.has(achievement.id) && ruleMet(achievement.rule, context))
+    .map((achievement) => achievement.id);
+}
+
+function describeAchievement(id, unlockedAt = null) {
+  const achievement = ACHIEVEMENTS_BY_ID.get(id);
+  if (!achievement) return null;
+  return { id, title: achievement.title, description: achievement.description, icon: achievement.icon, unlockedAt };
+}
+
+/** The whole gallery, locked entries included; unknown stored ids (retired rules) are dropped. */
+function mapAchievementGallery(rows = []) {
+  const unlockedAt = new Map(rows.map((row) => [read(row, "achievementId"), read(row, "unlockedAt")]));
+  return ACHIEVEMENTS.map((achievement) => describeAchievement(achievement.id, unlockedAt.get(achievement.id) || null));
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  describeAchievement,
+  mapAchievementGallery
+};
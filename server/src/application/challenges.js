@@ -0,0 +1,144 @@
+/**
+ * Timed challenge events with their own leaderboard partition.
+ *
+ * Input contract:
+ * - Admin payloads carry `title`, optional `description`, ISO `startsAt` /
+ *   `endsAt`, `level`, `language`, `contestType` ("time" | "tasks") with the
+ *   matching `duration` or `taskTarget`, and an optional published `packId`.
+ * - Raw `challenges` rows are read in both spellings (Postgres lowercases).
+ *
+ * Output contract:
+ * - `mapChallenge` derives `status` from the clock, so nothing has to flip a
+ *   flag when an event opens. Winners are the frozen podium once closed and
+ *   null before that; they carry display names only.
+ */
+const { badRequest } = require("../shared/errors");
+
+const CHALLENGE_DURATIONS = [30, 60, 120];
+const CHALLENGE_TASK_TARGETS = [10, 20, 50];
+const WINNER_COUNT = 3;
+const MAX_CHALLENGE_DAYS = 92;
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function parseInstant(value, field) {
+  const ms = Date.parse(String(value || ""));
+  if (!Number.isFinite(ms)) throw badRequest(`Invalid ${field}`);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Validates an admin payload. Once an event has started its rules are locked,
+ * so entries already on the board stay comparable; only the wording and the
+ * end time can move.
+ */
+function normalizeChallengeInput(body, current = null, now = new Date()) {
+  const started = current && Date.parse(read(current, "startsAt")) <= now.getTime();
+  const pick = (field) => (body[field] === undefined && current ? read(current, field) : body[field]);
+  const title = String(pick("title") || "").trim();
+  if (!title || title.length > 80) throw badRequest("Invalid title");
+  const description = String(pick("description") || "").trim().slice(0, 500) || null;
+  const startsAt = parseInstant(started ? read(current, "startsAt") : pick("startsAt"), "startsAt");
+  const endsAt = parseInstant(pick("endsAt"), "endsAt");
+  if (Date.parse(endsAt) <= Date.parse(startsAt)) throw badRequest("The challenge must end after it starts");
+  if (Date.parse(endsAt) - Date.parse(startsAt) > MAX_CHALLENGE_DAYS * 86400000) {
+    throw badRequest(`A challenge can run for at most ${MAX_CHALLENGE_DAYS} days`);
+  }
+  if (current && read(current, "closedAt")) throw badRequest("This challenge has closed");
+
+  const rules = started
+    ? {
+      packId: read(current, "packId"),
+      level: Number(read(current, "level")),
+      language: read(current, "language"),
+      contestType: read(current, "contestType"),
+      duration: read(current, "duration") === null ? null : Number(read(current, "duration")),
+      taskTarget: read(current, "taskTarget") === null ? null : Number(read(current, "taskTarget"))
+    }
+    : (() => {
+      const contestType = pick("contestType") === "tasks" ? "tasks" : pick("contestType") === "time" ? "time" : null;
+      if (!contestType) throw badRequest("Invalid contestType");
+      const level = Number(pick("level"));
+      if (!Number.isInteger(level) || level < 1 || level > 5) throw badRequest("Invalid level");
+      const duration = contestType === "time" ? Number(pick("duration")) : null;
+      const taskTarget = contestType === "tasks" ? Number(pick("taskTarget")) : null;
+      if (contestType === "time" && !CHALLENGE_DURATIONS.includes(duration)) throw badRequest("Invalid duration");
+      if (contestType === "tasks" && !CHALLENGE_TASK_TARGETS.includes(taskTarget)) throw badRequest("Invalid taskTarget");
+      return {
+        packId: pick("packId") ? String(pick("packId")) : null,
+        level,
+        language: String(pick("language") || "en").trim().toLowerCase().slice(0, 12) || "en",
+        contestType,
+        duration,
+        taskTarget
+      };
+    })();
+  return { title, description, startsAt, endsAt, ...rules };
+}
+
+function challengeStatus(row, now = new Date()) {
+  if (read(row, "closedAt") || Date.parse(read(row, "endsAt")) <= now.getTime()) return "closed";
+  return Date.parse(read(row, "startsAt")) <= now.getTime() ? "active" : "upcoming";
+}
+
+function mapChallenge(row, { pack = null, now = new Date() } = {}) {
+  const winnersJson = read(row, "winnersJson");
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || null,
+    startsAt: read(row, "startsAt"),
+    endsAt: read(row, "endsAt"),
+    status: challengeStatus(row, now),
+    packId: read(row, "packId"),
+    packName: pack?.name || null,
+    level: Number(row.level),
+    language: row.language,
+    contestType: read(row, "contestType"),
+    duration: read(row, "duration") === null ? null : Number(read(row, "duration")),
+    taskTarget: read(row, "taskTarget") === null ? null : Number(read(row, "taskTarget")),
+    winners: winnersJson ? JSON.parse(winnersJson) : null,
+    closedAt: read(row, "closedAt")
+  };
+}
+
+/** Best entry per player, top three; leaderboard rows arrive sorted by score. */
+function pickWinners(rows = []) {
+  const seen = new Set();
+  const winners = [];
+  for (const row of rows) {
+    const key = `${read(row, "userId")}:${read(row, "profileId") || 0}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    winners.push({
+      place: winners.length + 1,
+      name: read(row, "displayName") || read(row, "playerName"),
+      score: Number(row.score || 0),
+      accuracy: Number(row.accuracy || 0),
+      cpm: Number(row.cpm || 0)
+    });
+    if (winners.length >= WINNER_COUNT) break;
+  }
+  return winners;
+}
+
+/** True when a submitted result was played under the challenge's rules. */
+function resultMatchesChallenge(challenge, result) {
+  if (result.contestType !== challenge.contestType || result.level !== challenge.level) return false;
+  if (result.contentMode !== "default" || result.language !== challenge.language) return false;
+  return challenge.contestType === "time"
+    ? result.duration === challenge.duration
+    : result.taskTarget === challenge.taskTarget;
+}
+
+module.exports = {
+  CHALLENGE_DURATIONS,
+  CHALLENGE_TASK_TARGETS,
+  normalizeChallengeInput,
+  challengeStatus,
+  mapChallenge,
+  pickWinners,
+  resultMatchesChallenge
+};
@@ -0,0 +1,128 @@
+/**
+ * Classroom views for teachers and the students' devices.
+ *
+ * Input contract:
+ * - Adapters return raw `classrooms` rows, live rows from
+ *   `getActiveSessionStats(..., { classroomId })`, and per-member
+ *   `aggregateClassroomResults` rows. Postgres lowercases unquoted columns,
+ *   so every field is read in both spellings.
+ *
+ * Output contract:
+ * - `mapClassroom` never exposes the join code unless asked; students only see
+ *   the name and the current assignment.
+ * - Result rows are one per student, accuracy is null when nothing was typed,
+ *   and the CSV export is safe to open in a spreadsheet.
+ */
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 6;
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function readNumber(row, field) {
+  const num = Number(read(row, field) ?? 0);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function generateJoinCode(random = Math.random) {
+  let code = "";
+  for (let i = 0; i < JOIN_CODE_LENGTH; i += 1) {
+    code += JOIN_CODE_ALPHABET[Math.floor(random() * JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function normalizeJoinCode(value) {
+  return String(value || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function mapClassroom(row, { pack = null, includeJoinCode = false } = {}) {
+  const packId = read(row, "assignedPackId");
+  const level = read(row, "assignedLevel");
+  return {
+    id: row.id,
+    name: row.name,
+    ...(includeJoinCode ? { joinCode: read(row, "joinCode"), memberCount: readNumber(row, "memberCount") } : {}),
+    assignment: packId || level
+      ? {
+        packId: packId || null,
+        packName: pack?.name || null,
+        language: pack?.language || null,
+        level: level === null ? null : Number(level),
+        assignedAt: read(row, "assignedAt")
+      }
+      : null,
+    createdAt: read(row, "createdAt")
+  };
+}
+
+function mapLiveStudents(rows = []) {
+  return rows.map((row) => {
+    const lastSeenAt = read(row, "lastSeenAt");
+    return {
+      userId: readNumber(row, "userId"),
+      profileId: readNumber(row, "profileId"),
+      name: read(row, "displayName"),
+      online: Boolean(lastSeenAt),
+      mode: lastSeenAt ? read(row, "mode") : null,
+      level: lastSeenAt && read(row, "level") !== null ? Number(read(row, "level")) : null,
+      lastSeenAt
+    };
+  });
+}
+
+function summarizeClassroomResults(rows = []) {
+  return rows.map((row) => {
+    const correct = readNumber(row, "correct");
+    const incorrect = readNumber(row, "incorrect");
+    const total = correct + incorrect;
+    return {
+      userId: readNumber(row, "userId"),
+      profileId: readNumber(row, "profileId"),
+      name: read(row, "displayName"),
+      joinedAt: read(row, "joinedAt"),
+      sessions: readNumber(row, "sessions"),
+      correct,
+      incorrect,
+      accuracy: total > 0 ? Math.round((correct / total) * 100) : null,
+      cpm: Math.round(readNumber(row, "avgCpm")),
+      playTimeMs: readNumber(row, "durationMs"),
+      maxLevel: read(row, "maxLevel") === null ? null : Number(read(row, "maxLevel")),
+      lastSessionAt: read(row, "lastSessionAt")
+    };
+  });
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // SECURITY: names are typed by families; a leading formula character would run in the teacher's spreadsheet.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function classroomResultsCsv(students) {
+  const header = ["Student", "Sessions", "Correct", "Mistakes", "Accuracy %", "CPM", "Minutes played", "Highest level", "Last session"];
+  const lines = students.map((student) => [
+    student.name,
+    student.sessions,
+    student.correct,
+    student.incorrect,
+    student.accuracy ?? "",
+    student.cpm,
+    Math.round(student.playTimeMs / 60000),
+    student.maxLevel ?? "",
+    student.lastSessionAt || ""
+  ]);
+  return [header, ...lines].map((line) => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  JOIN_CODE_LENGTH,
+  generateJoinCode,
+  normalizeJoinCode,
+  mapClassroom,
+  mapLiveStudents,
+  summarizeClassroomResults,
+  classroomResultsCsv
+};
@@ -193,7 +193,9 @@ async function computeConfigStatus({
       lastTestError: null
     }
   });
-  const openaiEnabled = Boolean(openaiConfig?.enabled);
+  const aiConfig = await configStore.get("service.ai", { scope: "global", scopeId: "global", fallback: null });
+  // WHY: with another provider active, OpenAI settings are unused and their state should not degrade the app.
+  const openaiEnabled = Boolean(openaiConfig?.enabled) && (!aiConfig?.provider || aiConfig.provider === "openai");
   const hasConfiguredKey = Boolean(
     openaiConfig?.apiKeyEnc?.ciphertext
     && openaiConfig?.apiKeyEnc?.iv
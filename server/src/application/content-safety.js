@@ -0,0 +1,214 @@
+/**
+ * Local safety screen for vocabulary text, run before anything can reach a player.
+ *
+ * Input contract:
+ * - `lists` is the `content.safety` config value `{ allow, deny }`; both are
+ *   lists of words or phrases entered by admins. A deny entry ending in `*`
+ *   matches any word starting with it.
+ * - Text may be in any language: every item is checked against every built-in
+ *   blocklist, each under its own script's normalisation.
+ *
+ * Output contract:
+ * - `screen(text)` returns null for clean text, or `{ term, source }` where
+ *   `source` is "blocklist" or "denylist" and `term` is the normalised match.
+ * - An allow entry always wins over both blocklists, for the whole item or for
+ *   a single word of it.
+ * - `normalizeSafetyLists` is strict and throws `badRequest` for admin writes;
+ *   `readSafetyLists` is lenient and drops entries that no longer validate.
+ */
+const { badRequest } = require("../shared/errors");
+
+const MAX_LIST_ENTRIES = 500;
+const MAX_ENTRY_LENGTH = 200;
+
+// WHY: obfuscation swaps in lookalikes from the other script, so each language folds foreign lookalikes into its own.
+const TO_LATIN = {
+  "а": "a", "в": "b", "е": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p", "с": "c", "т": "t",
+  "у": "y", "х": "x", "і": "i", "ј": "j", "ѕ": "s", "ԁ": "d", "α": "a", "ε": "e", "ι": "i", "κ": "k",
+  "ν": "v", "ο": "o", "ρ": "p", "τ": "t", "υ": "u",
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "|": "l", "+": "t"
+};
+const TO_CYRILLIC = {
+  "a": "а", "b": "в", "e": "е", "k": "к", "m": "м", "h": "н", "o": "о", "p": "р", "c": "с", "t": "т",
+  "y": "у", "x": "х", "u": "и", "n": "п", "r": "г",
+  "0": "о", "3": "з", "4": "ч", "6": "б", "@": "а", "$": "с"
+};
+
+// Prefixes Russian swear roots take; checking prefix + root avoids matching innocent words that merely contain the root.
+const RU_PREFIXES = ["", "за", "на", "вы", "у", "по", "раз", "разъ", "съ", "от", "до", "при", "про", "пере", "недо", "долбо", "об", "въ"];
+
+/**
+ * `words` match a whole word; `stems` match anywhere inside one; `roots` match
+ * at the start of a word, after any of the language's prefixes. `clean` words
+ * contain a stem or root but are never held.
+ */
+const BLOCKLISTS = {
+  en: {
+    fold: TO_LATIN,
+    prefixes: [""],
+    words: [
+      "ass", "arse", "cock", "dick", "cum", "tit", "tits", "piss", "crap", "damn", "pussy", "boob", "boobs",
+      "sex", "sexy", "nude", "naked", "rape", "suicide", "murder", "kill", "cocaine", "heroin", "meth", "drunk",
+      "nazi", "fag", "fags", "faggot", "retard", "retarded", "dickhead", "asshole", "jackass", "bastard", "twat"
+    ],
+    stems: ["fuck", "shit", "bitch", "whore", "slut", "nigg", "masturb", "dildo", "porn", "orgasm"],
+    // "cunt" is a root, not a stem, so place names like Scunthorpe stay clean.
+    roots: ["penis", "vagina", "wank", "bollock", "cunt"],
+    clean: ["shitake", "shiitake", "penistone"]
+  },
+  ru: {
+    fold: TO_CYRILLIC,
+    prefixes: RU_PREFIXES,
+    words: [
+      "жопа", "жопу", "жопы", "жопой", "срать", "говно", "дерьмо", "секс", "порно", "сука", "суки", "сучка",
+      "мразь", "шлюха", "гандон", "гондон", "манда", "педик", "убить", "убийство", "наркотик", "наркотики",
+      "водка", "пьяный", "голый", "голая", "сиськи", "suka", "blyat", "blyad", "pizda", "huy", "hui", "nahui", "nahuy"
+    ],
+    stems: ["пизд", "бляд", "пидор", "пидар", "мудак", "мудил", "залуп", "шлюх"],
+    roots: ["еба", "ебу", "ебл", "ебн", "ебо", "ебе", "ебы", "хуе", "хуя", "хуи"],
+    clean: []
+  }
+};
+
+function foldText(text, fold) {
+  const base = String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    // Sentence punctuation ends a word; only symbols inside a word stand in for letters.
+    .replace(/[!?.,;:]+(?=\s|$)/g, " ")
+    .normalize("NFD")
+    .replace(/\p{M}+/gu, "");
+  return Array.from(base, (char) => fold[char] || char).join("");
+}
+
+/** Words of the folded text; runs of single letters ("f.u.c.k", "f u c k") are joined back into one word. */
+function wordsOf(folded) {
+  const tokens = folded.split(/[^\p{L}]+/u).filter(Boolean);
+  const words = [];
+  let run = "";
+  for (const token of tokens) {
+    if (token.length === 1) {
+      run += token;
+      continue;
+    }
+    if (run) words.push(run);
+    run = "";
+    words.push(token);
+  }
+  if (run) words.push(run);
+  return words;
+}
+
+/**
+ * The word as written, with stretched letters cut to two, and cut to one. Every
+ * double is only cut to one when the word looks stretched (a run of three, or
+ * several doubles), since plenty of clean words have one double ("shiitake").
+ */
+function variantsOf(word) {
+  const stretched = /(.)\1{2,}/u.test(word) || (word.match(/(.)\1/gu) || []).length > 1;
+  const variants = [word, word.replace(/(.)\1{2,}/gu, "$1$1")];
+  if (stretched) variants.push(word.replace(/(.)\1+/gu, "$1"));
+  return Array.from(new Set(variants));
+}
+
+function compileBlocklist(list) {
+  const fold = (value) => foldText(value, list.fold);
+  return {
+    fold: list.fold,
+    prefixes: list.prefixes,
+    words: new Set(list.words.map(fold)),
+    clean: new Set(list.clean.map(fold)),
+    stems: list.stems.map(fold),
+    roots: list.roots.map(fold)
+  };
+}
+
+const COMPILED_BLOCKLISTS = Object.values(BLOCKLISTS).map(compileBlocklist);
+
+function matchBlocklist(words, list) {
+  for (const word of words) {
+    if (list.clean.has(word)) continue;
+    for (const variant of variantsOf(word)) {
+      if (list.words.has(variant)) return variant;
+      const stem = list.stems.find((entry) => variant.includes(entry));
+      if (stem) return stem;
+      const root = list.roots.find((entry) => list.prefixes.some((prefix) => variant.startsWith(prefix + entry)));
+      if (root) return root;
+    }
+  }
+  return null;
+}
+
+function cleanEntry(value) {
+  return String(value || "").trim().replace(/\s+/g, " ");
+}
+
+function normalizeList(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_LIST_ENTRIES) throw badRequest(`${field} must be a list of at most ${MAX_LIST_ENTRIES}`);
+  const entries = value.map(cleanEntry).filter(Boolean);
+  if (entries.some((entry) => entry.length > MAX_ENTRY_LENGTH)) throw badRequest(`${field} entries must be at most ${MAX_ENTRY_LENGTH} characters`);
+  return Array.from(new Set(entries.map((entry) => entry.toLowerCase())));
+}
+
+/** Validates an admin write of the whole `content.safety` value. */
+function normalizeSafetyLists(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw badRequest("content.safety must be an object");
+  return { ...value, allow: normalizeList(value.allow, "allow"), deny: normalizeList(value.deny, "deny") };
+}
+
+function readSafetyLists(value) {
+  const lenient = (list) => (Array.isArray(list) ? list : [])
+    .map(cleanEntry)
+    .filter((entry) => entry && entry.length <= MAX_ENTRY_LENGTH)
+    .map((entry) => entry.toLowerCase())
+    .slice(0, MAX_LIST_ENTRIES);
+  const stored = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  return { ...stored, allow: lenient(stored.allow), deny: lenient(stored.deny) };
+}
+
+/** Builds the screen for one set of admin lists; compile once and reuse it for a whole pack. */
+function createSafetyScreen(lists = {}) {
+  const { allow, deny } = readSafetyLists(lists);
+  const views = COMPILED_BLOCKLISTS.map((list) => {
+    const fold = (value) => foldText(value, list.fold);
+    const denied = deny.map((entry) => ({ entry, folded: fold(entry.replace(/\*$/, "")), prefix: entry.endsWith("*") }));
+    return {
+      list,
+      fold,
+      allowed: new Set(allow.map((entry) => wordsOf(fold(entry)).join(" "))),
+      denyWords: new Set(denied.filter((item) => !item.prefix && !item.folded.includes(" ")).map((item) => item.folded)),
+      denyPrefixes: denied.filter((item) => item.prefix).map((item) => item.folded),
+      denyPhrases: denied.filter((item) => !item.prefix && item.folded.includes(" ")).map((item) => wordsOf(item.folded).join(" "))
+    };
+  });
+
+  return function screen(text) {
+    for (const view of views) {
+      const words = wordsOf(view.fold(text));
+      if (!words.length || view.allowed.has(words.join(" "))) continue;
+      const candidates = words.filter((word) => !view.allowed.has(word));
+      const joined = ` ${words.join(" ")} `;
+      const phrase = view.denyPhrases.find((entry) => joined.includes(` ${entry} `));
+      if (phrase) return { term: phrase, source: "denylist" };
+      for (const word of candidates) {
+        for (const variant of variantsOf(word)) {
+          if (view.denyWords.has(variant)) return { term: variant, source: "denylist" };
+          const prefix = view.denyPrefixes.find((entry) => variant.startsWith(entry));
+          if (prefix) return { term: `${prefix}*`, source: "denylist" };
+        }
+      }
+      const term = matchBlocklist(candidates, view.list);
+      if (term) return { term, source: "blocklist" };
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  createSafetyScreen,
+  normalizeSafetyLists,
+  readSafetyLists
+};
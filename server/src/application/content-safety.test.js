@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSafetyScreen, normalizeSafetyLists } = require("./content-safety");
+
+const screen = createSafetyScreen({});
+
+describe("content safety screen", () => {
+  it("holds obfuscated swear words", () => {
+    for (const text of ["sh1t", "ѕhіt", "f.u.c.k", "f u c k", "fuuuuck", "sshhiitt", "xyй", "хуууй", "сууука", "пиздец"]) {
+      assert.ok(screen(text), `${text} should be held`);
+    }
+    assert.deepEqual(screen("sh1t"), { term: "shit", source: "blocklist" });
+  });
+
+  it("matches roots at the start of a word, after a prefix", () => {
+    assert.ok(screen("cunts"));
+    assert.ok(screen("заебал"));
+    assert.equal(screen("Scunthorpe"), null);
+  });
+
+  it("leaves clean words alone", () => {
+    for (const text of ["тебе", "себе", "небо", "хлеб", "хулиган", "class", "classic", "assassin", "cocktail", "shiitake", "shitake", "coffee", "bookkeeper", "I am a cat"]) {
+      assert.equal(screen(text), null, `${text} should pass`);
+    }
+  });
+
+  it("lets an allow entry win over the blocklist and deny list", () => {
+    const custom = createSafetyScreen({ allow: ["damn", "drunk"], deny: ["drunk", "broc*", "bad apple"] });
+    assert.equal(custom("damn"), null);
+    assert.equal(custom("drunk"), null);
+    assert.deepEqual(custom("broccoli"), { term: "broc*", source: "denylist" });
+    assert.deepEqual(custom("a bad apple here"), { term: "bad apple", source: "denylist" });
+    assert.equal(custom("apple"), null);
+    assert.deepEqual(custom("damn shit"), { term: "shit", source: "blocklist" });
+  });
+
+  it("validates admin writes of the lists", () => {
+    assert.deepEqual(normalizeSafetyLists({ allow: [" Damn ", "damn"], deny: [] }), { allow: ["damn"], deny: [] });
+    assert.throws(() => normalizeSafetyLists({ allow: ["x".repeat(201)] }), /at most 200/);
+    assert.throws(() => normalizeSafetyLists([]), /must be an object/);
+  });
+});
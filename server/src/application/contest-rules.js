@@ -0,0 +1,105 @@
+/**
+ * Admin-defined contest rule sets, stored under the `contest.rules` config key.
+ *
+ * Input contract:
+ * - The config value is an object; `ruleSets` is a list of
+ *   `{ id, name, contestType, duration, taskTarget, levels, wrongCharBehavior,
+ *   scoring, mistakePenalty }`. Other keys on the object are left as they are.
+ * - `scoring` names one of `SCORING_FORMULAS`; `wrongCharBehavior` null keeps
+ *   the player's own setting.
+ *
+ * Output contract:
+ * - `normalizeContestRules` is strict and throws `badRequest` for admin writes;
+ *   `readContestRules` is lenient and drops rule sets that no longer validate,
+ *   so a bad stored value never takes contests down.
+ * - Rule set ids are stable keys: leaderboard rows and personal bests are
+ *   partitioned by them, with "" for the classic configurations.
+ */
+const { badRequest } = require("../shared/errors");
+
+const MAX_RULE_SETS = 20;
+const RULE_SET_ID = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const RULE_SET_LIMITS = { minDuration: 10, maxDuration: 600, minTaskTarget: 5, maxTaskTarget: 200, maxMistakePenalty: 100 };
+const WRONG_CHAR_BEHAVIORS = ["block", "retry", "skip"];
+
+// WHY: formulas are named weights rather than expressions, so the client can show the same live score without evaluating admin input.
+const SCORING_FORMULAS = {
+  standard: { taskPoints: 100, accuracyPoints: 10, streakPoints: 5, speedPoints: 100000 },
+  accuracy: { taskPoints: 50, accuracyPoints: 40, streakPoints: 10, speedPoints: 50000 },
+  speed: { taskPoints: 150, accuracyPoints: 5, streakPoints: 0, speedPoints: 150000 }
+};
+
+function boundedInt(value, min, max, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) throw badRequest(`Invalid ${field}`);
+  return number;
+}
+
+function normalizeRuleSet(input) {
+  if (!input || typeof input !== "object") throw badRequest("Invalid rule set");
+  const id = String(input.id || "").trim().toLowerCase();
+  if (!RULE_SET_ID.test(id)) throw badRequest("Rule set id must be 2-32 lowercase letters, digits or dashes");
+  const name = String(input.name || "").trim();
+  if (!name || name.length > 60) throw badRequest("Rule set name must be 1-60 characters");
+  if (input.contestType !== "time" && input.contestType !== "tasks") throw badRequest("Invalid contestType");
+  const levels = Array.isArray(input.levels) && input.levels.length
+    ? Array.from(new Set(input.levels.map((level) => boundedInt(level, 1, 5, "levels")))).sort((a, b) => a - b)
+    : [1, 2, 3, 4, 5];
+  const wrongCharBehavior = input.wrongCharBehavior ? String(input.wrongCharBehavior) : null;
+  if (wrongCharBehavior && !WRONG_CHAR_BEHAVIORS.includes(wrongCharBehavior)) throw badRequest("Invalid wrongCharBehavior");
+  const scoring = input.scoring ? String(input.scoring) : "standard";
+  if (!Object.hasOwn(SCORING_FORMULAS, scoring)) throw badRequest("Invalid scoring");
+  return {
+    id,
+    name,
+    contestType: input.contestType,
+    duration: input.contestType === "time"
+      ? boundedInt(input.duration, RULE_SET_LIMITS.minDuration, RULE_SET_LIMITS.maxDuration, "duration")
+      : null,
+    taskTarget: input.contestType === "tasks"
+      ? boundedInt(input.taskTarget, RULE_SET_LIMITS.minTaskTarget, RULE_SET_LIMITS.maxTaskTarget, "taskTarget")
+      : null,
+    levels,
+    wrongCharBehavior,
+    scoring,
+    mistakePenalty: boundedInt(input.mistakePenalty ?? 0, 0, RULE_SET_LIMITS.maxMistakePenalty, "mistakePenalty")
+  };
+}
+
+/** Validates an admin write of the whole `contest.rules` value. */
+function normalizeContestRules(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw badRequest("contest.rules must be an object");
+  const input = value.ruleSets ?? [];
+  if (!Array.isArray(input) || input.length > MAX_RULE_SETS) throw badRequest(`ruleSets must be a list of at most ${MAX_RULE_SETS}`);
+  const ruleSets = input.map(normalizeRuleSet);
+  if (new Set(ruleSets.map((ruleSet) => ruleSet.id)).size !== ruleSets.length) throw badRequest("Rule set ids must be unique");
+  return { ...value, ruleSets };
+}
+
+function readContestRules(value) {
+  const stored = value && typeof value === "object" && Array.isArray(value.ruleSets) ? value.ruleSets : [];
+  const ruleSets = [];
+  for (const input of stored.slice(0, MAX_RULE_SETS)) {
+    try {
+      const ruleSet = normalizeRuleSet(input);
+      if (!ruleSets.some((existing) => existing.id === ruleSet.id)) ruleSets.push(ruleSet);
+    } catch {
+      // Skipped: an invalid stored rule set is not offered rather than failing every contest.
+    }
+  }
+  return { ...(value && typeof value === "object" ? value : {}), ruleSets };
+}
+
+/** The rule set as the client sees it, with the formula's weights resolved. */
+function mapRuleSet(ruleSet) {
+  return { ...ruleSet, weights: SCORING_FORMULAS[ruleSet.scoring] };
+}
+
+module.exports = {
+  RULE_SET_LIMITS,
+  SCORING_FORMULAS,
+  normalizeRuleSet,
+  normalizeContestRules,
+  readContestRules,
+  mapRuleSet
+};
@@ -66,6 +66,8 @@ async function resolveActor({ req, repo, options }) {
         id: session.userid || session.useridreal || session.id,
         isAuthenticated: true,
         authType: "session",
+        // WHY: sign-in rotates sessions, so this is when the user last proved they own the account.
+        sessionStartedAt: session.sessioncreatedat || session.sessionCreatedAt || null,
         externalSubject: session.externalsubject || session.externalSubject || session.email,
         email: session.email,
         displayName: session.displayname || session.displayName || session.email?.split("@")[0] || "User",
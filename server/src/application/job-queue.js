@@ -0,0 +1,226 @@
+/**
+ * Persisted queue for long-running generation work, one job at a time.
+ *
+ * Input contract:
+ * - `handlers` maps a job kind to `async (payload, ctx)`. `ctx.result` is what
+ *   an earlier attempt reported, so a retry can skip work already done;
+ *   `ctx.progress(done, total, result)` records progress and throws
+ *   `JobCancelledError` once a cancel was requested.
+ * - A handler error with `retryable === false` fails the job at once; any
+ *   other error is retried with exponential backoff up to `maxAttempts`.
+ *
+ * Output contract:
+ * - Jobs move queued → running → succeeded | failed | cancelled; a retry goes
+ *   back to queued with a later `runAfter`.
+ * - `mapJob` is the public shape; the stored payload never holds secrets, the
+ *   AI provider is resolved when the job runs.
+ * - Jobs left running by a stopped process are queued again by `start()`.
+ */
+const { randomUUID } = require("crypto");
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_BACKOFF_MS = 15 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+function read(row, field) {
+  return row[field] ?? row[field.toLowerCase()] ?? null;
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === "") return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function mapJob(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    kind: String(row.kind),
+    status: String(row.status),
+    payload: parseJson(read(row, "payloadJson"), {}),
+    result: parseJson(read(row, "resultJson"), null),
+    progress: Number(row.progress || 0),
+    total: Number(row.total || 0),
+    attempts: Number(row.attempts || 0),
+    maxAttempts: Number(read(row, "maxAttempts") || DEFAULT_MAX_ATTEMPTS),
+    error: read(row, "lastError"),
+    errorCode: read(row, "lastErrorCode"),
+    cancelRequested: Boolean(read(row, "cancelRequestedAt")),
+    runAfter: read(row, "runAfter"),
+    createdBy: read(row, "createdBy") === null ? null : Number(read(row, "createdBy")),
+    requestId: read(row, "requestId"),
+    createdAt: read(row, "createdAt"),
+    startedAt: read(row, "startedAt"),
+    finishedAt: read(row, "finishedAt"),
+    updatedAt: read(row, "updatedAt")
+  };
+}
+
+class JobQueue {
+  constructor({ repo, handlers, logger, now = () => Date.now(), pollMs = DEFAULT_POLL_MS, backoffMs = DEFAULT_BACKOFF_MS }) {
+    this.repo = repo;
+    this.handlers = handlers;
+    this.logger = logger;
+    this.now = now;
+    this.pollMs = pollMs;
+    this.backoffMs = backoffMs;
+    this.timer = null;
+    this.busy = false;
+    this.stopped = true;
+  }
+
+  nowIso() {
+    return new Date(this.now()).toISOString();
+  }
+
+  /** Resolves to the queued job, or null when a job with the same `dedupeKey` is still active. */
+  async enqueue({ kind, payload, total = 0, createdBy = null, requestId = null, dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    if (!this.handlers[kind]) throw new Error(`Unknown job kind ${kind}`);
+    const id = randomUUID();
+    const at = this.nowIso();
+    const created = await this.repo.createGenerationJob({
+      id,
+      kind,
+      dedupeKey,
+      payloadJson: JSON.stringify(payload || {}),
+      total,
+      maxAttempts,
+      runAfter: at,
+      createdBy,
+      requestId,
+      createdAt: at
+    });
+    if (!created) return null;
+    this.schedule(0);
+    return this.get(id);
+  }
+
+  async get(id) {
+    return mapJob(await this.repo.getGenerationJob(id));
+  }
+
+  async list({ status = null, limit = 50 } = {}) {
+    return (await this.repo.listGenerationJobs({ status, limit })).map(mapJob);
+  }
+
+  async cancel(id) {
+    return mapJob(await this.repo.requestGenerationJobCancel(id, this.nowIso()));
+  }
+
+  async start() {
+    const requeued = await this.repo.requeueRunningGenerationJobs(this.nowIso());
+    if (requeued) this.logger.info("job_queue_requeued", { count: requeued });
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (this.stopped || this.busy) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      void this.drain();
+    }, delayMs);
+    this.timer.unref?.();
+  }
+
+  async drain() {
+    if (this.busy || this.stopped) return;
+    this.busy = true;
+    try {
+      while (!this.stopped && await this.tick());
+    } catch (err) {
+      this.logger.warn("job_queue_tick_failed", { error: err });
+    } finally {
+      this.busy = false;
+      this.schedule(this.pollMs);
+    }
+  }
+
+  /** Runs the next due job, if any; resolves to whether one ran. */
+  async tick() {
+    const row = await this.repo.claimGenerationJob({ now: this.nowIso() });
+    if (!row) return false;
+    await this.run(mapJob(row));
+    return true;
+  }
+
+  async run(job) {
+    let result = job.result;
+    const ctx = {
+      job,
+      result,
+      progress: async (done, total, nextResult = result) => {
+        result = nextResult;
+        await this.repo.updateGenerationJobProgress(job.id, {
+          progress: done,
+          total,
+          resultJson: JSON.stringify(result ?? null),
+          updatedAt: this.nowIso()
+        });
+        const current = await this.repo.getGenerationJob(job.id);
+        if (current && read(current, "cancelRequestedAt")) throw new JobCancelledError();
+      }
+    };
+    try {
+      result = await this.handlers[job.kind](job.payload, ctx);
+      await this.settle(job, "succeeded", { result });
+      this.logger.info("job_succeeded", { jobId: job.id, kind: job.kind, attempts: job.attempts });
+    } catch (err) {
+      if (err instanceof JobCancelledError) {
+        await this.settle(job, "cancelled", { result });
+        this.logger.info("job_cancelled", { jobId: job.id, kind: job.kind });
+        return;
+      }
+      const error = { message: String(err?.message || err || "Unknown error").slice(0, 1000), code: err?.code ? String(err.code) : null };
+      if (err?.retryable !== false && job.attempts < job.maxAttempts) {
+        // WHY: provider outages and rate limits clear up on their own; doubling the wait keeps retries from piling onto them.
+        const delay = Math.min(MAX_BACKOFF_MS, this.backoffMs * 2 ** (job.attempts - 1));
+        await this.settle(job, "queued", { result, error, runAfter: new Date(this.now() + delay).toISOString() });
+        this.logger.warn("job_retry_scheduled", { jobId: job.id, kind: job.kind, attempts: job.attempts, delayMs: delay, error: error.message });
+        return;
+      }
+      await this.settle(job, "failed", { result, error });
+      this.logger.warn("job_failed", { jobId: job.id, kind: job.kind, attempts: job.attempts, error: error.message });
+    }
+  }
+
+  async settle(job, status, { result, error = null, runAfter = null }) {
+    const at = this.nowIso();
+    await this.repo.settleGenerationJob(job.id, {
+      status,
+      resultJson: result === undefined ? null : JSON.stringify(result),
+      lastError: error?.message || null,
+      lastErrorCode: error?.code || null,
+      runAfter,
+      finishedAt: status === "queued" ? null : at,
+      updatedAt: at
+    });
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobCancelledError,
+  JobQueue,
+  mapJob
+};
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { SqliteAdapter } = require("../../db/adapters/sqlite");
+const { JobQueue } = require("./job-queue");
+
+const JOBS_MIGRATION = fs.readFileSync(path.join(__dirname, "../../db/migrations/sqlite/027_generation_jobs.sql"), "utf8");
+const BACKOFF_MS = 1000;
+const logger = { info() {}, warn() {} };
+
+describe("job queue", () => {
+  let repo;
+  let clock;
+  let handlers;
+
+  const queueWith = () => new JobQueue({ repo, handlers, logger, now: () => clock, backoffMs: BACKOFF_MS });
+
+  beforeEach(async () => {
+    repo = new SqliteAdapter({ sqlitePath: ":memory:", migrationSql: `CREATE TABLE users (id INTEGER PRIMARY KEY);\n${JOBS_MIGRATION}` });
+    await repo.init();
+    clock = Date.parse("2026-01-01T00:00:00.000Z");
+    handlers = {};
+  });
+
+  afterEach(() => repo.close());
+
+  it("queues one active job per dedupe key", async () => {
+    handlers.work = async () => ({ done: true });
+    const queue = queueWith();
+    const first = await queue.enqueue({ kind: "work", payload: { n: 1 }, dedupeKey: "slot" });
+    assert.equal(first.status, "queued");
+    assert.equal(await queue.enqueue({ kind: "work", payload: { n: 2 }, dedupeKey: "slot" }), null);
+    assert.equal(await queue.tick(), true);
+    assert.deepEqual((await queue.get(first.id)).result, { done: true });
+    assert.ok(await queue.enqueue({ kind: "work", payload: { n: 3 }, dedupeKey: "slot" }));
+  });
+
+  it("retries a failed attempt after a doubling delay", async () => {
+    handlers.work = async () => {
+      throw new Error("provider down");
+    };
+    const queue = queueWith();
+    const job = await queue.enqueue({ kind: "work", payload: {}, maxAttempts: 3 });
+
+    assert.equal(await queue.tick(), true);
+    let current = await queue.get(job.id);
+    assert.equal(current.status, "queued");
+    assert.equal(current.attempts, 1);
+    assert.equal(current.error, "provider down");
+    assert.equal(Date.parse(current.runAfter), clock + BACKOFF_MS);
+    assert.equal(await queue.tick(), false, "not due before the delay");
+
+    clock += BACKOFF_MS;
+    assert.equal(await queue.tick(), true);
+    current = await queue.get(job.id);
+    assert.equal(current.attempts, 2);
+    assert.equal(Date.parse(current.runAfter), clock + 2 * BACKOFF_MS);
+  });
+
+  it("fails for good after the last attempt, or at once for a permanent error", async () => {
+    handlers.work = async () => {
+      throw new Error("still down");
+    };
+    handlers.broken = async () => {
+      throw Object.assign(new Error("no provider"), { retryable: false, code: "AI_PROVIDER_MISSING" });
+    };
+    const queue = queueWith();
+    const job = await queue.enqueue({ kind: "work", payload: {}, maxAttempts: 2 });
+    await queue.tick();
+    clock += BACKOFF_MS;
+    await queue.tick();
+    const failed = await queue.get(job.id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.attempts, 2);
+    assert.ok(failed.finishedAt);
+    clock += 60 * 60 * 1000;
+    assert.equal(await queue.tick(), false);
+
+    const permanent = await queue.enqueue({ kind: "broken", payload: {} });
+    await queue.tick();
+    const settled = await queue.get(permanent.id);
+    assert.equal(settled.status, "failed");
+    assert.equal(settled.attempts, 1);
+    assert.equal(settled.errorCode, "AI_PROVIDER_MISSING");
+  });
+
+  it("stops a running job at its next progress report once cancelled", async () => {
+    const queue = queueWith();
+    handlers.work = async (payload, ctx) => {
+      await ctx.progress(1, 3, { packIds: ["a"] });
+      await queue.cancel(ctx.job.id);
+      await ctx.progress(2, 3, { packIds: ["a", "b"] });
+      return { packIds: ["a", "b", "c"] };
+    };
+    const job = await queue.enqueue({ kind: "work", payload: {}, total: 3 });
+    await queue.tick();
+    const cancelled = await queue.get(job.id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.cancelRequested, true);
+    assert.deepEqual(cancelled.result, { packIds: ["a", "b"] });
+  });
+
+  it("cancels a queued job before it runs", async () => {
+    let ran = false;
+    handlers.work = async () => {
+      ran = true;
+    };
+    const queue = queueWith();
+    const job = await queue.enqueue({ kind: "work", payload: {} });
+    assert.equal((await queue.cancel(job.id)).status, "cancelled");
+    assert.equal(await queue.tick(), false);
+    assert.equal(ran, false);
+  });
+
+  it("queues jobs left running by a stopped process again on start", async () => {
+    handlers.work = async (payload, ctx) => ({ resumedFrom: ctx.result });
+    const queue = queueWith();
+    const job = await queue.enqueue({ kind: "work", payload: {} });
+    queue.stop();
+    await repo.claimGenerationJob({ now: new Date(clock).toISOString() });
+    await repo.updateGenerationJobProgress(job.id, { progress: 1, total: 2, resultJson: JSON.stringify({ step: 1 }), updatedAt: new Date(clock).toISOString() });
+    assert.equal((await queue.get(job.id)).status, "running");
+
+    clock += 5000;
+    const restarted = queueWith();
+    await restarted.start();
+    restarted.stop();
+    const requeued = await restarted.get(job.id);
+    assert.equal(requeued.status, "queued");
+    assert.equal(Date.parse(requeued.runAfter), clock);
+
+    assert.equal(await restarted.tick(), true);
+    const finished = await restarted.get(job.id);
+    assert.equal(finished.status, "succeeded");
+    assert.equal(finished.attempts, 2);
+    assert.deepEqual(finished.result, { resumedFrom: { step: 1 } });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Per-player key weakness model.
+ *
+ * Input contract:
+ * - Clients report aggregated keystrokes per expected character:
+ *   `{ char, hits, misses, latencyMs }` where `latencyMs` is the summed
+ *   time-to-press for hits only.
+ *
+ * Output contract:
+ * - A profile maps characters to a selection weight >= 1. Task builders use it
+ *   to reorder or bias choices within an already level-valid pool, so length
+ *   rules per level are never bypassed.
+ */
+const MAX_TELEMETRY_KEYS = 200;
+const MAX_COUNT_PER_REPORT = 10_000;
+const MAX_LATENCY_PER_REPORT_MS = 10_000_000;
+const MIN_SAMPLES = 5;
+const MAX_WEAK_KEYS = 6;
+const MAX_KEY_WEIGHT = 6;
+
+function normalizeKeyChar(raw) {
+  const text = String(raw ?? "").toLowerCase();
+  const chars = Array.from(text);
+  if (chars.length !== 1) return "";
+  if (!/[\p{L}\p{N}]/u.test(chars[0])) return "";
+  return chars[0];
+}
+
+function clampCount(value, max) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) return 0;
+  return Math.min(max, Math.round(num));
+}
+
+function normalizeKeyTelemetry(raw) {
+  if (!Array.isArray(raw)) return [];
+  const merged = new Map();
+  for (const item of raw.slice(0, MAX_TELEMETRY_KEYS)) {
+    if (!item || typeof item !== "object") continue;
+    const keyChar = normalizeKeyChar(item.char);
+    if (!keyChar) continue;
+    const hits = clampCount(item.hits, MAX_COUNT_PER_REPORT);
+    const misses = clampCount(item.misses, MAX_COUNT_PER_REPORT);
+    if (hits + misses === 0) continue;
+    const latencyMs = hits > 0 ? clampCount(item.latencyMs, MAX_LATENCY_PER_REPORT_MS) : 0;
+    const prev = merged.get(keyChar) || { keyChar, hits: 0, misses: 0, latencyMs: 0 };
+    prev.hits += hits;
+    prev.misses += misses;
+    prev.latencyMs += latencyMs;
+    merged.set(keyChar, prev);
+  }
+  return Array.from(merged.values());
+}
+
+function mergeKeyStats(target, entries) {
+  for (const entry of entries) {
+    const prev = target.get(entry.keyChar) || { keyChar: entry.keyChar, hits: 0, misses: 0, latencyMs: 0 };
+    prev.hits += Number(entry.hits || 0);
+    prev.misses += Number(entry.misses || 0);
+    prev.latencyMs += Number(entry.latencyMs || 0);
+    target.set(entry.keyChar, prev);
+  }
+  return target;
+}
+
+/**
+ * Builds a weakness profile from accumulated key stats.
+ *
+ * @param {Array<{ keyChar?: string, keychar?: string, hits: number, misses: number, latencyMs?: number, totalLatencyMs?: number, totallatencyms?: number }>} rows
+ * @returns {{ weights: Map<string, number>, weakKeys: string[] }}
+ */
+function buildKeyWeaknessProfile(rows = []) {
+  const stats = [];
+  for (const row of rows) {
+    const keyChar = normalizeKeyChar(row.keyChar || row.keychar);
+    if (!keyChar) continue;
+    const hits = Number(row.hits || 0);
+    const misses = Number(row.misses || 0);
+    const latencyMs = Number(row.latencyMs ?? row.totalLatencyMs ?? row.totallatencyms ?? 0);
+    if (hits + misses < MIN_SAMPLES) continue;
+    stats.push({
+      keyChar,
+      // WHY: Laplace smoothing keeps a single slip on a rarely typed key from dominating.
+      errorRate: (misses + 1) / (hits + misses + 2),
+      avgLatencyMs: hits > 0 ? latencyMs / hits : 0
+    });
+  }
+  const weights = new Map();
+  if (!stats.length) return { weights, weakKeys: [] };
+
+  const meanError = stats.reduce((acc, s) => acc + s.errorRate, 0) / stats.length;
+  const timed = stats.filter((s) => s.avgLatencyMs > 0);
+  const meanLatency = timed.length ? timed.reduce((acc, s) => acc + s.avgLatencyMs, 0) / timed.length : 0;
+
+  const scored = stats.map((s) => {
+    const errorExcess = Math.max(0, s.errorRate - meanError) / Math.max(meanError, 0.05);
+    const latencyExcess = meanLatency > 0 && s.avgLatencyMs > 0
+      ? Math.max(0, s.avgLatencyMs / meanLatency - 1)
+      : 0;
+    return { keyChar: s.keyChar, score: errorExcess * 2 + latencyExcess };
+  })
+    .filter((s) => s.score > 0.25)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_WEAK_KEYS);
+
+  for (const s of scored) {
+    weights.set(s.keyChar, Math.min(MAX_KEY_WEIGHT, 1 + s.score));
+  }
+  return { weights, weakKeys: scored.map((s) => s.keyChar) };
+}
+
+function weaknessScore(text, profile) {
+  if (!profile || !profile.weights || profile.weights.size === 0) return 0;
+  let score = 0;
+  for (const char of Array.from(String(text || "").toLowerCase())) {
+    const weight = profile.weights.get(char);
+    if (weight) score += weight - 1;
+  }
+  return score;
+}
+
+/**
+ * Picks one item, favouring items that exercise weak keys. Every item keeps a
+ * base weight of 1 so practice stays varied.
+ */
+function chooseWeighted(list, profile) {
+  if (!list.length) return undefined;
+  if (!profile || !profile.weights || profile.weights.size === 0) {
+    return list[Math.floor(Math.random() * list.length)];
+  }
+  const weights = list.map((item) => 1 + weaknessScore(item, profile));
+  const total = weights.reduce((acc, w) => acc + w, 0);
+  let roll = Math.random() * total;
+  for (let i = 0; i < list.length; i += 1) {
+    roll -= weights[i];
+    if (roll <= 0) return list[i];
+  }
+  return list[list.length - 1];
+}
+
+/**
+ * Orders entry indices so entries with weak keys are served first; ties keep
+ * their original order.
+ */
+function orderIndicesByWeakness(indices, entries, profile) {
+  if (!profile || !profile.weights || profile.weights.size === 0) return [...indices];
+  return indices
+    .map((idx, position) => ({ idx, position, score: weaknessScore(entries[idx], profile) }))
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map((item) => item.idx);
+}
+
+module.exports = {
+  normalizeKeyTelemetry,
+  mergeKeyStats,
+  buildKeyWeaknessProfile,
+  weaknessScore,
+  chooseWeighted,
+  orderIndicesByWeakness
+};
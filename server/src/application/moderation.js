@@ -0,0 +1,114 @@
+/**
+ * Leaderboard and display-name moderation.
+ *
+ * Input contract:
+ * - Names are checked as typed; scores are checked against the current top of
+ *   the board the entry would land on.
+ * - Open flag rows come from `listOpenModerationFlags` with the target's
+ *   board entry, account or child profile joined in; Postgres lowercases the
+ *   aliases, so every field is read in both spellings.
+ *
+ * Output contract:
+ * - Checks only decide whether to open a review item; they never reject input.
+ * - Queue items carry just enough of the target to decide on it, and never
+ *   expose emails.
+ */
+const { randomInt } = require("crypto");
+
+// WHY: a short list of unambiguous words; anything subtler is left to moderators.
+const BLOCKED_NAME_FRAGMENTS = [
+  "fuck", "shit", "bitch", "cunt", "pussy", "whore", "slut", "nazi", "hitler", "porn",
+  "хуй", "пизд", "блят", "бляд", "ебат", "ебан", "сука", "мудак"
+];
+const LEET_MAP = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", "$": "s", "!": "i" };
+const OUTLIER_MIN_BOARD = 5;
+const OUTLIER_FACTOR = 2;
+const TARGET_TYPES = ["leaderboard", "user", "profile"];
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function normalizeForNameCheck(name) {
+  return Array.from(String(name || "").toLowerCase())
+    .map((char) => LEET_MAP[char] || char)
+    .join("")
+    .replace(/[^\p{L}]/gu, "");
+}
+
+/** Returns the matched fragment, or null when the name looks fine. */
+function findBlockedNameFragment(name) {
+  const normalized = normalizeForNameCheck(name);
+  return BLOCKED_NAME_FRAGMENTS.find((fragment) => normalized.includes(fragment)) || null;
+}
+
+/**
+ * True when a score is far above what the board already holds. A new board has
+ * no baseline, so nothing is flagged until it has a few entries.
+ */
+function isScoreOutlier(score, topScores = []) {
+  if (topScores.length < OUTLIER_MIN_BOARD) return false;
+  const sorted = topScores.map(Number).sort((a, b) => b - a).slice(0, OUTLIER_MIN_BOARD);
+  const baseline = sorted[Math.floor(sorted.length / 2)];
+  return baseline > 0 && Number(score) > baseline * OUTLIER_FACTOR;
+}
+
+/** Neutral replacement used when a moderator clears a name without choosing one. */
+function placeholderName() {
+  return `Player ${randomInt(1000, 10000)}`;
+}
+
+function mapModerationFlag(row) {
+  const targetType = read(row, "targetType");
+  const base = {
+    id: Number(row.id),
+    targetType,
+    targetId: read(row, "targetId"),
+    reason: row.reason,
+    detail: row.detail || null,
+    createdAt: read(row, "createdAt")
+  };
+  if (targetType === "leaderboard") {
+    return {
+      ...base,
+      entry: read(row, "entryName") === null ? null : {
+        name: read(row, "entryName"),
+        score: Number(read(row, "entryScore") || 0),
+        accuracy: Number(read(row, "entryAccuracy") || 0),
+        cpm: Number(read(row, "entryCpm") || 0),
+        contestType: read(row, "entryContestType"),
+        level: Number(read(row, "entryLevel") || 0),
+        playedAt: read(row, "entryCreatedAt"),
+        userId: read(row, "entryUserId") === null ? null : Number(read(row, "entryUserId")),
+        profileId: read(row, "entryProfileId") === null ? null : Number(read(row, "entryProfileId"))
+      }
+    };
+  }
+  return {
+    ...base,
+    name: targetType === "profile" ? read(row, "profileName") : read(row, "userName")
+  };
+}
+
+function mapHiddenEntry(row) {
+  return {
+    id: Number(row.id),
+    name: read(row, "playerName"),
+    score: Number(row.score || 0),
+    accuracy: Number(row.accuracy || 0),
+    cpm: Number(row.cpm || 0),
+    contestType: read(row, "contestType"),
+    level: Number(row.level || 0),
+    playedAt: read(row, "createdAt"),
+    hiddenAt: read(row, "hiddenAt")
+  };
+}
+
+module.exports = {
+  TARGET_TYPES,
+  findBlockedNameFragment,
+  isScoreOutlier,
+  placeholderName,
+  mapModerationFlag,
+  mapHiddenEntry
+};
@@ -0,0 +1,115 @@
+/**
+ * Personal bests per contest configuration.
+ *
+ * Input contract:
+ * - A configuration is `level`, `contestType`, `duration` or `taskTarget`,
+ *   `contentMode`, `language` and `ruleSetId` ("" for the classic rules), as
+ *   submitted with a contest result.
+ * - Raw `personal_bests` rows are read in both spellings (Postgres lowercases).
+ * - Legacy entries come from the client's old per-device store, which only
+ *   kept the last run's accuracy and CPM.
+ *
+ * Output contract:
+ * - `findNewRecords` names what a verified result beat; the first run in a
+ *   configuration sets the baseline and beats nothing.
+ * - Imports only fill configurations the server has not seen yet.
+ */
+const { RULE_SET_LIMITS } = require("./contest-rules");
+
+const MAX_LEGACY_ENTRIES = 100;
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function boundedInt(value, min, max) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Normalizes a configuration into its storage key, or null when it cannot be
+ * one. Duration and task target are 0 when they do not apply.
+ */
+function bestConfigKey({ level, contestType, duration, taskTarget, contentMode, language, ruleSetId = "" }) {
+  if (contestType !== "time" && contestType !== "tasks") return null;
+  const normalized = {
+    level: boundedInt(level, 1, 5),
+    contestType,
+    duration: contestType === "time" ? boundedInt(duration, RULE_SET_LIMITS.minDuration, RULE_SET_LIMITS.maxDuration) : 0,
+    taskTarget: contestType === "tasks" ? boundedInt(taskTarget, RULE_SET_LIMITS.minTaskTarget, RULE_SET_LIMITS.maxTaskTarget) : 0,
+    contentMode: contentMode === "vocab" ? "vocab" : "default",
+    language: String(language || "en").trim().toLowerCase().slice(0, 12) || "en",
+    ruleSetId: String(ruleSetId || "")
+  };
+  return normalized.level === null || normalized.duration === null || normalized.taskTarget === null ? null : normalized;
+}
+
+/**
+ * Which of score, accuracy and CPM a result improved on. A stored score of 0
+ * came from a legacy import, so the first real score is a baseline too.
+ */
+function findNewRecords(previous, { score, accuracy, cpm }) {
+  if (!previous) return [];
+  const records = [];
+  const bestScore = Number(read(previous, "bestScore") || 0);
+  if (bestScore > 0 && score > bestScore) records.push("score");
+  if (accuracy > Number(read(previous, "bestAccuracy") || 0)) records.push("accuracy");
+  if (cpm > Number(read(previous, "bestCpm") || 0)) records.push("cpm");
+  return records;
+}
+
+function nullableNumber(row, field) {
+  const value = read(row, field);
+  return value === null ? null : Number(value);
+}
+
+function mapPersonalBest(row) {
+  const contestType = read(row, "contestType");
+  return {
+    level: Number(row.level),
+    contestType,
+    duration: contestType === "time" ? Number(row.duration) : null,
+    taskTarget: contestType === "tasks" ? Number(read(row, "taskTarget")) : null,
+    contentMode: read(row, "contentMode"),
+    language: row.language,
+    ruleSetId: read(row, "ruleSetId") || null,
+    bestScore: Number(read(row, "bestScore") || 0),
+    bestAccuracy: Number(read(row, "bestAccuracy") || 0),
+    bestCpm: Number(read(row, "bestCpm") || 0),
+    bestScoreAt: read(row, "bestScoreAt"),
+    runs: Number(row.runs || 0),
+    lastAccuracy: nullableNumber(row, "lastAccuracy"),
+    lastCpm: nullableNumber(row, "lastCpm"),
+    lastPlayedAt: read(row, "lastPlayedAt")
+  };
+}
+
+/**
+ * Validates legacy entries. They become last-run values and seed the best
+ * accuracy and CPM; the old store never kept a score, so that starts at 0.
+ */
+function normalizeLegacyEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of entries.slice(0, MAX_LEGACY_ENTRIES)) {
+    // The old store predates rule sets, so every entry belongs to the classic rules.
+    const key = entry && typeof entry === "object" ? bestConfigKey({ ...entry, ruleSetId: "" }) : null;
+    const accuracy = boundedInt(entry?.accuracy, 0, 100);
+    const cpm = boundedInt(entry?.cpm, 0, 2000);
+    if (!key || accuracy === null || cpm === null) continue;
+    const id = Object.values(key).join("|");
+    if (seen.has(id)) continue;
+    seen.add(id);
+    normalized.push({ ...key, accuracy, cpm });
+  }
+  return normalized;
+}
+
+module.exports = {
+  bestConfigKey,
+  findNewRecords,
+  mapPersonalBest,
+  normalizeLegacyEntries
+};
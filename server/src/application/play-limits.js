@@ -0,0 +1,114 @@
+/**
+ * Daily goals and screen-time caps set by a parent.
+ *
+ * Input contract:
+ * - Limits are `{ goalType, goalValue, capMinutes }` on a player identity's
+ *   `game_preferences` row; `goalType` is "minutes" or "letters", and any
+ *   field may be null.
+ * - Usage is the identity's `play_days` row for the player's local day. The
+ *   client reports its `getTimezoneOffset()` so "today" ends at local
+ *   midnight rather than UTC midnight.
+ * - A parent PIN is 4 to 8 digits; only its hash is stored on the account.
+ *
+ * Output contract:
+ * - Play time only grows from consecutive heartbeats, so a tab left closed
+ *   or a skipped beat never counts as play.
+ * - `describePlayDay` is what both the home screen and the game read; the
+ *   cap is reached once played time meets it.
+ * - A forgotten PIN can be replaced without the old one only from a session
+ *   signed in within `PIN_RESET_WINDOW_MS`.
+ */
+const { badRequest } = require("../shared/errors");
+
+const GOAL_TYPES = ["minutes", "letters"];
+const MAX_MINUTES = 600;
+const MAX_GOAL_LETTERS = 100_000;
+// WHY: beats come every 30 seconds; one late or lost beat still counts, a longer gap is a break.
+const MAX_BEAT_GAP_MS = 65_000;
+const MAX_TZ_OFFSET_MINUTES = 14 * 60;
+const PARENT_PIN_PATTERN = /^\d{4,8}$/;
+const PIN_RESET_WINDOW_MS = 10 * 60_000;
+
+function read(row, field) {
+  return row?.[field] ?? row?.[field.toLowerCase()] ?? null;
+}
+
+function optionalInt(value, max, field) {
+  if (value === null || value === undefined || value === "" || Number(value) === 0) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) throw badRequest(`Invalid ${field}`);
+  return number;
+}
+
+/** Validates a parent's payload; a zero or empty value clears that limit. */
+function normalizePlayLimits(body) {
+  const goalType = body.goalType ? String(body.goalType) : null;
+  if (goalType && !GOAL_TYPES.includes(goalType)) throw badRequest("Invalid goalType");
+  const goalValue = goalType ? optionalInt(body.goalValue, goalType === "minutes" ? MAX_MINUTES : MAX_GOAL_LETTERS, "goalValue") : null;
+  return {
+    goalType: goalValue ? goalType : null,
+    goalValue,
+    capMinutes: optionalInt(body.capMinutes, MAX_MINUTES, "capMinutes")
+  };
+}
+
+function normalizeParentPin(value, field = "PIN") {
+  const pin = String(value ?? "").trim();
+  if (!PARENT_PIN_PATTERN.test(pin)) throw badRequest(`Invalid ${field}: use 4 to 8 digits`);
+  return pin;
+}
+
+/** Whether the session is fresh enough to stand in for the old PIN. */
+function signedInRecently(sessionStartedAt, now = new Date()) {
+  const age = now.getTime() - Date.parse(sessionStartedAt || "");
+  return Number.isFinite(age) && age >= 0 && age <= PIN_RESET_WINDOW_MS;
+}
+
+function mapPlayLimits(row) {
+  const goalType = read(row, "dailyGoalType");
+  return {
+    goalType: GOAL_TYPES.includes(goalType) ? goalType : null,
+    goalValue: read(row, "dailyGoalValue") === null ? null : Number(read(row, "dailyGoalValue")),
+    capMinutes: read(row, "dailyCapMinutes") === null ? null : Number(read(row, "dailyCapMinutes"))
+  };
+}
+
+/** The player's local date for a client-reported timezone offset. */
+function localDayKey(tzOffsetMinutes, now = new Date()) {
+  const offset = Math.max(-MAX_TZ_OFFSET_MINUTES, Math.min(MAX_TZ_OFFSET_MINUTES, Math.round(Number(tzOffsetMinutes) || 0)));
+  return new Date(now.getTime() - offset * 60_000).toISOString().slice(0, 10);
+}
+
+/** How much of the gap since the previous beat counts as play. */
+function beatIncrementMs(lastBeatAt, now = new Date()) {
+  const gap = now.getTime() - Date.parse(lastBeatAt || "");
+  return Number.isFinite(gap) && gap > 0 && gap <= MAX_BEAT_GAP_MS ? gap : 0;
+}
+
+function describePlayDay(limits, dayRow, day) {
+  const playedMs = Number(read(dayRow, "playedMs") || 0);
+  const letters = Number(dayRow?.letters || 0);
+  const capMs = limits.capMinutes ? limits.capMinutes * 60_000 : null;
+  const goalDone = limits.goalType === "minutes" ? Math.floor(playedMs / 60_000) : letters;
+  return {
+    day,
+    playedMs,
+    letters,
+    capMinutes: limits.capMinutes,
+    capReached: capMs !== null && playedMs >= capMs,
+    remainingMs: capMs === null ? null : Math.max(0, capMs - playedMs),
+    goal: limits.goalType
+      ? { type: limits.goalType, value: limits.goalValue, done: goalDone, reached: goalDone >= limits.goalValue }
+      : null
+  };
+}
+
+module.exports = {
+  normalizePlayLimits,
+  normalizeParentPin,
+  signedInRecently,
+  mapPlayLimits,
+  localDayKey,
+  beatIncrementMs,
+  describePlayDay
+};
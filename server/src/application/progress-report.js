@@ -0,0 +1,92 @@
+/**
+ * Parent dashboard rollups.
+ *
+ * Input contract:
+ * - Adapters return grouped `session_results` rows (`bucket` or `level`,
+ *   `sessions`, `correct`, `incorrect`, `avgCpm`, `durationMs`) and raw
+ *   `player_key_stats` rows. Postgres lowercases unquoted aliases, so every
+ *   field is read in both spellings.
+ *
+ * Output contract:
+ * - Daily series cover every day in the window (empty days are zero-filled)
+ *   so charts keep a real time axis. Accuracy is null when nothing was typed.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MISSED_KEYS = 10;
+
+function readNumber(row, field) {
+  const num = Number(row?.[field] ?? row?.[field.toLowerCase()] ?? 0);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function accuracyOf(correct, incorrect) {
+  const total = correct + incorrect;
+  return total > 0 ? Math.round((correct / total) * 100) : null;
+}
+
+function summarizeRow(row) {
+  const correct = readNumber(row, "correct");
+  const incorrect = readNumber(row, "incorrect");
+  return {
+    sessions: readNumber(row, "sessions"),
+    accuracy: accuracyOf(correct, incorrect),
+    cpm: Math.round(readNumber(row, "avgCpm")),
+    playTimeMs: readNumber(row, "durationMs")
+  };
+}
+
+function progressWindowStart(days, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (days - 1) * DAY_MS);
+  return start.toISOString();
+}
+
+function buildDailySeries(rows, days, now) {
+  const byDate = new Map(rows.map((row) => [String(row.bucket), row]));
+  const start = Date.parse(progressWindowStart(days, now));
+  const series = [];
+  for (let i = 0; i < days; i += 1) {
+    const date = new Date(start + i * DAY_MS).toISOString().slice(0, 10);
+    series.push({ date, ...summarizeRow(byDate.get(date)) });
+  }
+  return series;
+}
+
+function buildMissedKeys(keyRows) {
+  return keyRows
+    .map((row) => {
+      const hits = readNumber(row, "hits");
+      const misses = readNumber(row, "misses");
+      return {
+        char: String(row.keyChar ?? row.keychar ?? ""),
+        language: String(row.language || "en"),
+        hits,
+        misses,
+        missRate: hits + misses > 0 ? Math.round((misses / (hits + misses)) * 100) : 0
+      };
+    })
+    .filter((entry) => entry.char && entry.misses > 0)
+    .sort((a, b) => b.misses - a.misses || b.missRate - a.missRate)
+    .slice(0, MAX_MISSED_KEYS);
+}
+
+function buildProgressReport({ daily = [], weekly = [], levels = [], keyStats = [], days, now = new Date() }) {
+  const dailySeries = buildDailySeries(daily, days, now);
+  const totals = dailySeries.reduce((acc, day) => ({
+    sessions: acc.sessions + day.sessions,
+    playTimeMs: acc.playTimeMs + day.playTimeMs
+  }), { sessions: 0, playTimeMs: 0 });
+  return {
+    from: progressWindowStart(days, now).slice(0, 10),
+    to: now.toISOString().slice(0, 10),
+    totals,
+    daily: dailySeries,
+    weekly: weekly.map((row) => ({ weekStart: String(row.bucket), ...summarizeRow(row) })),
+    levels: levels.map((row) => ({ level: readNumber(row, "level"), ...summarizeRow(row) })),
+    missedKeys: buildMissedKeys(keyStats)
+  };
+}
+
+module.exports = {
+  progressWindowStart,
+  buildProgressReport
+};
@@ -0,0 +1,258 @@
+/**
+ * Head-to-head race rooms.
+ *
+ * Input contract:
+ * - Players are `{ id, name, userId, profileId }`; `id` is per connection, so
+ *   two siblings signed in on the same parent account are separate racers.
+ * - Progress reports carry counts only. Characters typed, time and placing are
+ *   derived here from the shared task list and the server clock.
+ * - A report claiming more characters than `MIN_MS_PER_CHAR` allows since the
+ *   start is refused with `RACE_TOO_FAST`, and the player's result carries a
+ *   `flagReason` of "too_fast" from then on.
+ *
+ * Output contract:
+ * - `snapshot(room)` is the public view broadcast to every player; it never
+ *   includes user ids. A finished room yields one result row per player,
+ *   ranked by finish time, then by tasks completed.
+ */
+const { AppError } = require("../shared/errors");
+const { MIN_MS_PER_CHAR } = require("./score-verification");
+
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = 5;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const COUNTDOWN_MS = 3000;
+const RACE_TIME_LIMIT_MS = 10 * 60 * 1000;
+const LOBBY_TTL_MS = 30 * 60 * 1000;
+const FINISHED_TTL_MS = 5 * 60 * 1000;
+const RACE_TASK_COUNTS = [10, 20, 30];
+
+function raceError(message, code, status = 400) {
+  return new AppError(message, { status, code, expose: true });
+}
+
+function charsOf(tasks) {
+  return tasks.reduce((sum, task) => sum + Array.from(String(task.answer || "")).length, 0);
+}
+
+function accuracyOf(correct, mistakes) {
+  const total = correct + mistakes;
+  return total > 0 ? Math.round((correct / total) * 100) : 0;
+}
+
+class RaceRoomRegistry {
+  constructor({ now = () => Date.now(), random = Math.random } = {}) {
+    this.now = now;
+    this.random = random;
+    this.rooms = new Map();
+  }
+
+  generateCode() {
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      let code = "";
+      for (let i = 0; i < ROOM_CODE_LENGTH; i += 1) {
+        code += ROOM_CODE_ALPHABET[Math.floor(this.random() * ROOM_CODE_ALPHABET.length)];
+      }
+      if (!this.rooms.has(code)) return code;
+    }
+    throw raceError("Could not allocate a room code", "RACE_BUSY", 503);
+  }
+
+  create(player, settings) {
+    const code = this.generateCode();
+    const room = {
+      code,
+      hostId: player.id,
+      settings: {
+        level: settings.level,
+        language: settings.language,
+        contentMode: settings.contentMode,
+        taskCount: RACE_TASK_COUNTS.includes(settings.taskCount) ? settings.taskCount : RACE_TASK_COUNTS[0]
+      },
+      status: "lobby",
+      players: new Map(),
+      tasks: [],
+      startsAt: null,
+      finishedAt: null,
+      results: null,
+      createdAt: this.now()
+    };
+    this.rooms.set(code, room);
+    this.addPlayer(room, player);
+    return room;
+  }
+
+  get(code) {
+    const room = this.rooms.get(String(code || "").toUpperCase());
+    if (!room) throw raceError("Race not found", "RACE_NOT_FOUND", 404);
+    return room;
+  }
+
+  join(code, player) {
+    const room = this.get(code);
+    if (room.status !== "lobby") throw raceError("This race has already started", "RACE_STARTED", 409);
+    if (room.players.size >= MAX_PLAYERS) throw raceError("This race is full", "RACE_FULL", 409);
+    this.addPlayer(room, player);
+    return room;
+  }
+
+  addPlayer(room, player) {
+    room.players.set(player.id, {
+      id: player.id,
+      name: player.name,
+      userId: player.userId,
+      profileId: player.profileId || null,
+      tasksCompleted: 0,
+      mistakes: 0,
+      correctChars: 0,
+      finishedAt: null,
+      flagReason: null,
+      connected: true
+    });
+  }
+
+  /** Returns the room when it still has players, or null once it was removed. */
+  leave(code, playerId) {
+    const room = this.rooms.get(code);
+    if (!room || !room.players.has(playerId)) return null;
+    if (room.status === "lobby") {
+      room.players.delete(playerId);
+      if (room.hostId === playerId) room.hostId = room.players.keys().next().value || null;
+    } else {
+      room.players.get(playerId).connected = false;
+    }
+    const anyoneLeft = Array.from(room.players.values()).some((player) => player.connected);
+    if (!anyoneLeft) {
+      this.rooms.delete(code);
+      return null;
+    }
+    if (room.status !== "lobby") this.finishIfDone(room);
+    return room;
+  }
+
+  assertCanStart(code, playerId) {
+    const room = this.get(code);
+    if (room.hostId !== playerId) throw raceError("Only the host can start the race", "RACE_NOT_HOST", 403);
+    if (room.status !== "lobby") throw raceError("This race has already started", "RACE_STARTED", 409);
+    if (room.players.size < MIN_PLAYERS) throw raceError(`A race needs at least ${MIN_PLAYERS} players`, "RACE_TOO_FEW", 409);
+    return room;
+  }
+
+  start(code, playerId, tasks) {
+    const room = this.assertCanStart(code, playerId);
+    room.tasks = tasks.slice(0, room.settings.taskCount);
+    room.settings.taskCount = room.tasks.length;
+    room.status = "racing";
+    room.startsAt = this.now() + COUNTDOWN_MS;
+    return room;
+  }
+
+  /**
+   * Applies a progress report. Counts only move forward, and nothing counts
+   * before the countdown ends.
+   */
+  progress(code, playerId, report) {
+    const room = this.get(code);
+    const player = room.players.get(playerId);
+    if (!player) throw raceError("You are not in this race", "RACE_NOT_MEMBER", 403);
+    if (room.status !== "racing" || this.now() < room.startsAt || player.finishedAt) return room;
+    const total = room.tasks.length;
+    const tasksCompleted = Math.min(total, Math.max(player.tasksCompleted, Math.floor(Number(report.tasksCompleted) || 0)));
+    const correctChars = charsOf(room.tasks.slice(0, tasksCompleted));
+    // SECURITY: counts come from the client, so the server clock bounds how much of the task list can be done by now.
+    if (this.now() - room.startsAt < correctChars * MIN_MS_PER_CHAR) {
+      player.flagReason = "too_fast";
+      throw raceError("Progress is ahead of the race clock", "RACE_TOO_FAST", 409);
+    }
+    player.mistakes = Math.min(100_000, Math.max(player.mistakes, Math.floor(Number(report.mistakes) || 0)));
+    player.tasksCompleted = tasksCompleted;
+    player.correctChars = correctChars;
+    if (tasksCompleted >= total) player.finishedAt = this.now();
+    this.finishIfDone(room);
+    return room;
+  }
+
+  finishIfDone(room) {
+    if (room.status !== "racing") return false;
+    const timedOut = this.now() - room.startsAt >= RACE_TIME_LIMIT_MS;
+    const racing = Array.from(room.players.values()).filter((player) => player.connected && !player.finishedAt);
+    if (!timedOut && racing.length > 0) return false;
+    room.status = "finished";
+    room.finishedAt = this.now();
+    room.results = this.rank(room);
+    return true;
+  }
+
+  rank(room) {
+    const ordered = Array.from(room.players.values()).sort((a, b) => {
+      if (a.finishedAt && b.finishedAt) return a.finishedAt - b.finishedAt;
+      if (a.finishedAt || b.finishedAt) return a.finishedAt ? -1 : 1;
+      return b.tasksCompleted - a.tasksCompleted;
+    });
+    return ordered.map((player, index) => {
+      const endedAt = player.finishedAt || room.finishedAt;
+      const timeMs = Math.max(1000, endedAt - room.startsAt);
+      const timeSeconds = Math.round(timeMs / 1000);
+      const accuracy = accuracyOf(player.correctChars, player.mistakes);
+      return {
+        playerId: player.id,
+        userId: player.userId,
+        profileId: player.profileId,
+        name: player.name,
+        place: index + 1,
+        finished: Boolean(player.finishedAt),
+        flagReason: player.flagReason,
+        tasksCompleted: player.tasksCompleted,
+        mistakes: player.mistakes,
+        timeSeconds,
+        accuracy,
+        cpm: Math.round(player.correctChars / (timeMs / 60000)),
+        // Mirrors the task contest score so race rows sort alongside it.
+        score: player.finishedAt ? Math.round(100000 / timeSeconds + accuracy * 10) : 0
+      };
+    });
+  }
+
+  /** Ends timed-out races and drops idle rooms; returns rooms that finished in this sweep. */
+  sweep() {
+    const now = this.now();
+    const finished = [];
+    for (const [code, room] of this.rooms) {
+      if (room.status === "racing" && this.finishIfDone(room)) finished.push(room);
+      const idleSince = room.status === "finished" ? room.finishedAt : room.createdAt;
+      const ttl = room.status === "finished" ? FINISHED_TTL_MS : room.status === "lobby" ? LOBBY_TTL_MS : Infinity;
+      if (now - idleSince > ttl) this.rooms.delete(code);
+    }
+    return finished;
+  }
+
+  snapshot(room) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      status: room.status,
+      settings: room.settings,
+      startsAt: room.startsAt,
+      serverTime: this.now(),
+      players: Array.from(room.players.values()).map((player) => ({
+        id: player.id,
+        name: player.name,
+        tasksCompleted: player.tasksCompleted,
+        mistakes: player.mistakes,
+        finished: Boolean(player.finishedAt),
+        connected: player.connected
+      })),
+      results: room.results
+        ? room.results.map(({ userId, profileId, flagReason, ...rest }) => rest)
+        : null
+    };
+  }
+}
+
+module.exports = {
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  RACE_TASK_COUNTS,
+  RaceRoomRegistry
+};
@@ -0,0 +1,119 @@
+/**
+ * Server-side recomputation of contest results.
+ *
+ * Input contract:
+ * - `run` is a `contest_runs` row: the answers `/api/tasks/generate` served to
+ *   one contest, in play order, and the server time the run was issued.
+ * - `summary` is the client's keystroke summary: `elapsedMs`, one
+ *   `{ ok, mistakes, atMs }` entry per finished task in play order (`atMs` is
+ *   measured from the start of the run), and `openMistakes` made on the task
+ *   still on screen when the contest ended.
+ *
+ * Output contract:
+ * - Client totals are never trusted: score, accuracy, CPM, mistakes and
+ *   tasks completed all come from the summary and the served answers and
+ *   difficulties. `breakdown` is the current scoring version's per-task points.
+ * - `flagReason` is null for a plausible run. An impossible one is still
+ *   returned with recomputed stats so it can be stored for review; nothing
+ *   here throws.
+ */
+const { scoreContest } = require("./scoring");
+
+const CLOCK_SLACK_MS = 5000;
+// WHY: about 1000 characters a minute, beyond any typist we expect on a children's trainer.
+const MIN_MS_PER_CHAR = 60;
+const MAX_SUMMARY_TASKS = 2000;
+
+function charCount(answer) {
+  return Array.from(String(answer || "")).length;
+}
+
+function calcAccuracy(correct, incorrect) {
+  const total = correct + incorrect;
+  return total === 0 ? 0 : Math.round((correct / total) * 100);
+}
+
+function calcCpm(correct, elapsedMs) {
+  return Math.round(correct / Math.max(elapsedMs / 60000, 1 / 60));
+}
+
+function normalizeSummary(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.tasks) || raw.tasks.length > MAX_SUMMARY_TASKS) return null;
+  const elapsedMs = Number(raw.elapsedMs);
+  if (!Number.isFinite(elapsedMs) || elapsedMs < 0) return null;
+  const tasks = [];
+  for (const item of raw.tasks) {
+    const atMs = Number(item?.atMs);
+    const mistakes = Number(item?.mistakes || 0);
+    if (!Number.isFinite(atMs) || !Number.isInteger(mistakes) || mistakes < 0) return null;
+    tasks.push({ ok: item.ok === true, mistakes, atMs });
+  }
+  const openMistakes = Number(raw.openMistakes || 0);
+  if (!Number.isInteger(openMistakes) || openMistakes < 0) return null;
+  return { elapsedMs, tasks, openMistakes };
+}
+
+function findTimingProblem({ answers, summary, contest, issuedAtMs, receivedAtMs }) {
+  if (summary.tasks.length > answers.length) return "too_many_tasks";
+  if (summary.elapsedMs > receivedAtMs - issuedAtMs + CLOCK_SLACK_MS) return "time_exceeds_run";
+  if (contest.contestType === "time" && summary.elapsedMs > contest.duration * 1000 + CLOCK_SLACK_MS) return "time_over_limit";
+  if (contest.contestType === "tasks" && summary.tasks.length < contest.taskTarget) return "target_not_reached";
+  let previousAt = 0;
+  for (let i = 0; i < summary.tasks.length; i += 1) {
+    const task = summary.tasks[i];
+    if (task.atMs < previousAt || task.atMs > summary.elapsedMs + CLOCK_SLACK_MS) return "timeline_out_of_order";
+    if (task.ok && task.atMs - previousAt < charCount(answers[i]) * MIN_MS_PER_CHAR) return "too_fast";
+    previousAt = task.atMs;
+  }
+  return null;
+}
+
+/**
+ * Recomputes a contest result from its run and summary.
+ * `contest` carries the submitted `contestType`, `duration`, `taskTarget`, the
+ * rule set's `scoring` when there is one, and the client's `maxStreak`, which
+ * depends on the player's streak policy and so is only capped here.
+ */
+function verifyContestRun({ run, summary: rawSummary, contest, receivedAt = new Date() }) {
+  const answers = JSON.parse(run.answersJson || run.answersjson || "[]");
+  const difficulties = JSON.parse(run.difficultiesJson || run.difficultiesjson || "[]");
+  const summary = normalizeSummary(rawSummary);
+  if (!summary) return { flagReason: "malformed_summary", stats: null, breakdown: null };
+
+  const correct = summary.tasks.filter((task) => task.ok).length;
+  const incorrect = summary.tasks.reduce((sum, task) => sum + task.mistakes, 0) + summary.openMistakes;
+  const tasksCompleted = summary.tasks.length;
+  const accuracy = calcAccuracy(correct, incorrect);
+  const maxStreak = Math.max(0, Math.min(Math.round(Number(contest.maxStreak) || 0), correct));
+  const scored = scoreContest({
+    contestType: contest.contestType,
+    elapsedMs: summary.elapsedMs,
+    accuracy,
+    maxStreak,
+    mistakes: incorrect,
+    tasks: summary.tasks.map((task, index) => ({ ...task, answer: answers[index], difficulty: difficulties[index] ?? null }))
+  }, contest.scoring);
+  const stats = {
+    score: scored.score,
+    scoringVersion: scored.version,
+    accuracy,
+    cpm: calcCpm(correct, summary.elapsedMs),
+    mistakes: incorrect,
+    tasksCompleted,
+    timeSeconds: Math.round(summary.elapsedMs / 1000),
+    maxStreak
+  };
+  const flagReason = findTimingProblem({
+    answers,
+    summary,
+    contest,
+    issuedAtMs: Date.parse(run.issuedAt || run.issuedat),
+    receivedAtMs: receivedAt.getTime()
+  });
+  return { flagReason, stats, breakdown: { version: scored.version, tasks: scored.tasks, bonuses: scored.bonuses } };
+}
+
+module.exports = {
+  MIN_MS_PER_CHAR,
+  verifyContestRun
+};
@@ -0,0 +1,106 @@
+/**
+ * Versioned contest scoring.
+ *
+ * Input contract:
+ * - `run` is `{ contestType, elapsedMs, accuracy, maxStreak, mistakes, tasks }`
+ *   where `tasks` are `{ ok, mistakes, answer, difficulty }` in play order;
+ *   `difficulty` is the served entry's `difficulty_score`, or null.
+ * - `scoring` is a mapped rule set (`weights`, `mistakePenalty`) or omitted
+ *   for the standard weights.
+ *
+ * Output contract:
+ * - Every version returns `{ version, score, tasks, bonuses }`. Version 1 has
+ *   no per-task points and reports an empty `tasks` list.
+ * - A version number never changes meaning once rows carry it; a new formula
+ *   is a new entry in `SCORING_VERSIONS`.
+ */
+const { SCORING_FORMULAS } = require("./contest-rules");
+
+// WHY: the standard task weight was tuned for words of about this length.
+const REFERENCE_CHARS = 5;
+const MAX_LENGTH_FACTOR = 4;
+const MAX_STREAK_STEPS = 20;
+// Each mistake on a task takes this share of its points.
+const MISTAKE_SHARE = 0.25;
+
+function charCount(answer) {
+  return Array.from(String(answer || "")).length;
+}
+
+/** `difficulty_score` is read on a 0 (easy) to 1 (hard) scale; unscored entries count as average. */
+function difficultyMultiplier(difficulty) {
+  if (difficulty === null || difficulty === undefined || !Number.isFinite(Number(difficulty))) return 1;
+  return 0.5 + Math.min(1, Math.max(0, Number(difficulty)));
+}
+
+function sharedBonuses(run, scoring) {
+  const weights = scoring.weights || SCORING_FORMULAS.standard;
+  const timeSec = Math.max(Math.round(run.elapsedMs / 1000), 1);
+  return {
+    weights,
+    accuracy: Math.round(run.accuracy * weights.accuracyPoints),
+    speed: run.contestType === "tasks" ? weights.speedPoints / timeSec : 0,
+    penalty: run.mistakes * (scoring.mistakePenalty || 0)
+  };
+}
+
+/** Totals only: what every row scored before per-task points existed. */
+function scoreTotals(run, scoring) {
+  const { weights, accuracy, speed, penalty } = sharedBonuses(run, scoring);
+  const streak = run.maxStreak * weights.streakPoints;
+  const base = run.contestType === "time" ? run.tasks.length * weights.taskPoints : speed;
+  return {
+    score: Math.max(0, Math.round(base + accuracy + streak - penalty)),
+    tasks: [],
+    bonuses: { accuracy, speed: Math.round(speed), streak, penalty }
+  };
+}
+
+/**
+ * Per-task points: longer and harder entries are worth more, a run of clean
+ * tasks multiplies them, and mistakes on a task eat into its own points.
+ */
+function scorePerTask(run, scoring) {
+  const { weights, accuracy, speed, penalty } = sharedBonuses(run, scoring);
+  const streakStep = weights.streakPoints / 100;
+  let streak = 0;
+  const tasks = run.tasks.map((task) => {
+    const chars = charCount(task.answer);
+    streak = task.ok && task.mistakes === 0 ? streak + 1 : 0;
+    const points = task.ok
+      ? Math.round(
+        weights.taskPoints
+          * Math.min(MAX_LENGTH_FACTOR, Math.max(1, chars) / REFERENCE_CHARS)
+          * difficultyMultiplier(task.difficulty)
+          * (1 + Math.min(streak, MAX_STREAK_STEPS) * streakStep)
+          * Math.max(0, 1 - task.mistakes * MISTAKE_SHARE)
+      )
+      : 0;
+    return { answer: String(task.answer || ""), chars, difficulty: task.difficulty ?? null, streak, mistakes: task.mistakes, points };
+  });
+  const taskTotal = tasks.reduce((sum, task) => sum + task.points, 0);
+  return {
+    score: Math.max(0, Math.round(taskTotal + accuracy + speed - penalty)),
+    tasks,
+    bonuses: { accuracy, speed: Math.round(speed), streak: 0, penalty }
+  };
+}
+
+const SCORING_VERSIONS = {
+  1: { label: "Totals", score: scoreTotals },
+  2: { label: "Per task", score: scorePerTask }
+};
+const CURRENT_SCORING_VERSION = 2;
+
+function scoreContest(run, scoring = {}, version = CURRENT_SCORING_VERSION) {
+  const formula = SCORING_VERSIONS[version];
+  if (!formula) throw new Error(`Unknown scoring version ${version}`);
+  return { version, ...formula.score(run, scoring) };
+}
+
+module.exports = {
+  CURRENT_SCORING_VERSION,
+  SCORING_VERSIONS,
+  difficultyMultiplier,
+  scoreContest
+};
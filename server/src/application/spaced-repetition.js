@@ -0,0 +1,87 @@
+/**
+ * SM-2 style scheduling for practice mode.
+ *
+ * Input contract:
+ * - Clients report one review per completed vocabulary entry:
+ *   `{ entryId, mistakes, durationMs, chars }`. Quality (0..5) is derived on
+ *   the server so clients cannot pick their own intervals.
+ *
+ * Output contract:
+ * - `scheduleReview` returns the next review-state row. A failed recall
+ *   (quality < 3) resets repetitions and is due again one day later, so words
+ *   a player keeps missing come back tomorrow instead of drifting away.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const FLUENT_MS_PER_CHAR = 1200;
+const MAX_REVIEWS_PER_REPORT = 200;
+
+function clampInt(value, min, max) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return min;
+  return Math.max(min, Math.min(max, Math.round(num)));
+}
+
+function qualityFromAttempt({ mistakes, durationMs, chars }) {
+  const safeMistakes = clampInt(mistakes, 0, 1000);
+  if (safeMistakes >= 3) return 1;
+  if (safeMistakes === 2) return 2;
+  if (safeMistakes === 1) return 3;
+  const msPerChar = clampInt(durationMs, 0, 3_600_000) / Math.max(1, clampInt(chars, 1, 10_000));
+  return msPerChar <= FLUENT_MS_PER_CHAR ? 5 : 4;
+}
+
+function normalizeReviewReports(raw) {
+  if (!Array.isArray(raw)) return [];
+  const byEntry = new Map();
+  for (const item of raw.slice(0, MAX_REVIEWS_PER_REPORT)) {
+    if (!item || typeof item !== "object") continue;
+    const entryId = String(item.entryId || "").trim();
+    if (!entryId || entryId.length > 100) continue;
+    // WHY: an entry seen twice in one batch is graded by its worst attempt.
+    const quality = qualityFromAttempt(item);
+    const previous = byEntry.get(entryId);
+    if (previous === undefined || quality < previous) byEntry.set(entryId, quality);
+  }
+  return Array.from(byEntry, ([entryId, quality]) => ({ entryId, quality }));
+}
+
+function scheduleReview(state, quality, now = new Date()) {
+  const q = clampInt(quality, 0, 5);
+  const easeFactor = Number(state?.ease_factor ?? state?.easeFactor ?? DEFAULT_EASE_FACTOR) || DEFAULT_EASE_FACTOR;
+  const prevInterval = clampInt(state?.interval_days ?? state?.intervalDays ?? 0, 0, MAX_INTERVAL_DAYS);
+  const prevRepetitions = clampInt(state?.repetitions ?? 0, 0, 10_000);
+  const prevLapses = clampInt(state?.lapses ?? 0, 0, 10_000);
+
+  let repetitions;
+  let intervalDays;
+  let lapses = prevLapses;
+  if (q < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions = prevRepetitions + 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.min(MAX_INTERVAL_DAYS, Math.max(1, Math.round(prevInterval * easeFactor)));
+  }
+  const nextEase = Math.max(MIN_EASE_FACTOR, easeFactor + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  return {
+    ease_factor: Math.round(nextEase * 1000) / 1000,
+    interval_days: intervalDays,
+    repetitions,
+    lapses,
+    last_quality: q,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString()
+  };
+}
+
+module.exports = {
+  qualityFromAttempt,
+  normalizeReviewReports,
+  scheduleReview
+};
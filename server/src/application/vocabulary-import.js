@@ -0,0 +1,221 @@
+/**
+ * Spreadsheet-style vocabulary import and the matching CSV export.
+ *
+ * Input contract:
+ * - `content` is the uploaded text; `format` is "csv", "tsv", "lines" or
+ *   "auto". Auto picks a delimiter only when it splits the first rows into
+ *   the same number of columns, or splits off a recognised header row.
+ * - `mapping` maps `text`, `difficulty` and `tags` to a column index or a
+ *   header name; missing fields are guessed from the header row.
+ * - `existingTexts` are the entries already in the target pack.
+ *
+ * Output contract:
+ * - `parseVocabularyTable` never throws for bad rows; every row carries its
+ *   1-based source `line`, its `errors` and a `duplicate` of "file",
+ *   "existing" or null. Only the upload as a whole can be rejected.
+ * - `toVocabularyCsv` writes `text,difficulty,tags` with tags joined by ";",
+ *   which `parseVocabularyTable` reads back unchanged.
+ */
+const { badRequest } = require("../shared/errors");
+
+const IMPORT_FORMATS = ["auto", "csv", "tsv", "lines"];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_TEXT_LENGTH = 300;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+const CSV_HEADER = ["text", "difficulty", "tags"];
+const HEADER_GUESSES = {
+  text: /^(text|word|words|entry|term|phrase|sentence|слово|текст)$/i,
+  difficulty: /^(difficulty|difficulty_score|score|сложность)$/i,
+  tags: /^(tags?|topics?|categor(y|ies)|теги)$/i
+};
+// SECURITY: spreadsheet apps run cells starting with these as formulas, so exports quote them with a leading apostrophe.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/** RFC 4180 records: quoted fields may hold delimiters, doubled quotes and line breaks. */
+function parseDelimited(content, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === "\"" && content[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+      continue;
+    }
+    if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      field = "";
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push({ line: recordLine, cells: record });
+  }
+  return records;
+}
+
+function looksLikeHeader(cells) {
+  return cells.some((cell) => Object.values(HEADER_GUESSES).some((pattern) => pattern.test(cell.trim())));
+}
+
+// WHY: sentence packs are full of commas, so a stray delimiter must not cut a plain list into columns.
+function detectFormat(content) {
+  for (const [format, delimiter] of [["tsv", "\t"], ["csv", ","]]) {
+    const sample = parseDelimited(content, delimiter).filter((record) => record.cells.some((cell) => cell.trim())).slice(0, 20);
+    const width = sample[0]?.cells.length || 0;
+    if (width < 2) continue;
+    if (looksLikeHeader(sample[0].cells)) return format;
+    if (sample.length >= 2 && sample.every((record) => record.cells.length === width)) return format;
+  }
+  return "lines";
+}
+
+function readRecords(content, format) {
+  if (format === "lines") {
+    return content.split(/\r?\n/).map((text, index) => ({ line: index + 1, cells: [text] }));
+  }
+  return parseDelimited(content, format === "tsv" ? "\t" : ",");
+}
+
+function resolveColumn(value, headers, field) {
+  if (value === undefined || value === null || value === "") return null;
+  if (Number.isInteger(Number(value))) {
+    const index = Number(value);
+    if (index < 0 || index >= Math.max(headers.length, 1)) throw badRequest(`mapping.${field} is not a column of this file`);
+    return index;
+  }
+  const index = headers.findIndex((header) => header.trim().toLowerCase() === String(value).trim().toLowerCase());
+  if (index < 0) throw badRequest(`mapping.${field} is not a column of this file`);
+  return index;
+}
+
+function guessColumn(headers, field) {
+  const index = headers.findIndex((header) => HEADER_GUESSES[field].test(header.trim()));
+  return index < 0 ? null : index;
+}
+
+function unquoteFormula(value) {
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function readDifficulty(raw, errors) {
+  const value = String(raw ?? "").trim().replace(",", ".");
+  if (!value) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    errors.push("difficulty must be a number from 0 to 1");
+    return null;
+  }
+  return number;
+}
+
+function readTags(raw, errors) {
+  const tags = Array.from(new Set(String(raw ?? "").split(/[;|]/).map((tag) => tag.trim()).filter(Boolean)));
+  if (!tags.length) return null;
+  if (tags.length > MAX_TAGS) errors.push(`at most ${MAX_TAGS} tags`);
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters`);
+  return tags;
+}
+
+function dedupeKey(text) {
+  return text.normalize("NFC").toLowerCase().replace(/\s+/g, " ");
+}
+
+function parseVocabularyTable({ content, format = "auto", mapping = {}, hasHeader = null, existingTexts = [] }) {
+  const text = String(content ?? "").replace(/^\uFEFF/, "");
+  if (!text.trim()) throw badRequest("The file is empty");
+  if (!IMPORT_FORMATS.includes(format)) throw badRequest(`format must be one of ${IMPORT_FORMATS.join(", ")}`);
+  const resolvedFormat = format === "auto" ? detectFormat(text) : format;
+  const records = readRecords(text, resolvedFormat);
+  if (records.length > MAX_IMPORT_ROWS + 1) throw badRequest(`At most ${MAX_IMPORT_ROWS} rows per import`);
+  const first = records[0]?.cells || [];
+  // WHY: a header row is assumed when any first-row cell names a known field; the caller can always override it.
+  const header = hasHeader === null || hasHeader === undefined
+    ? resolvedFormat !== "lines" && looksLikeHeader(first)
+    : Boolean(hasHeader);
+  const width = records.reduce((max, record) => Math.max(max, record.cells.length), 1);
+  const headers = header
+    ? Array.from({ length: width }, (_, index) => String(first[index] ?? "").trim() || `Column ${index + 1}`)
+    : Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+  const columns = {
+    text: resolveColumn(mapping.text, headers, "text") ?? (header ? guessColumn(headers, "text") : null) ?? 0,
+    difficulty: mapping.difficulty !== undefined ? resolveColumn(mapping.difficulty, headers, "difficulty") : (header ? guessColumn(headers, "difficulty") : null),
+    tags: mapping.tags !== undefined ? resolveColumn(mapping.tags, headers, "tags") : (header ? guessColumn(headers, "tags") : null)
+  };
+  const body = (header ? records.slice(1) : records).filter((record) => record.cells.some((cell) => cell.trim()));
+  if (body.length > MAX_IMPORT_ROWS) throw badRequest(`At most ${MAX_IMPORT_ROWS} rows per import`);
+
+  const existing = new Set(existingTexts.map((value) => dedupeKey(String(value || "").trim())));
+  const seen = new Set();
+  const rows = body.map((record) => {
+    const errors = [];
+    const entryText = unquoteFormula(String(record.cells[columns.text] ?? "").trim()).replace(/\s+/g, " ");
+    if (!entryText) errors.push("text is empty");
+    if (entryText.length > MAX_TEXT_LENGTH) errors.push(`text must be at most ${MAX_TEXT_LENGTH} characters`);
+    const difficulty = columns.difficulty === null ? null : readDifficulty(record.cells[columns.difficulty], errors);
+    const tags = columns.tags === null ? null : readTags(record.cells[columns.tags], errors);
+    const key = dedupeKey(entryText);
+    const duplicate = !entryText ? null : existing.has(key) ? "existing" : seen.has(key) ? "file" : null;
+    if (entryText) seen.add(key);
+    return { line: record.line, text: entryText, difficulty_score: difficulty, tags, errors, duplicate };
+  });
+  return {
+    format: resolvedFormat,
+    hasHeader: header,
+    headers,
+    mapping: columns,
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.filter((row) => !row.errors.length).length,
+      invalid: rows.filter((row) => row.errors.length).length,
+      duplicates: rows.filter((row) => row.duplicate).length
+    }
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  const safe = FORMULA_START.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, "\"\"")}"` : safe;
+}
+
+function toVocabularyCsv(entries) {
+  const lines = [CSV_HEADER.join(",")];
+  for (const entry of entries) {
+    const tags = Array.isArray(entry.tags) ? entry.tags.join(";") : "";
+    const difficulty = entry.difficulty_score === null || entry.difficulty_score === undefined ? "" : String(entry.difficulty_score);
+    lines.push([entry.text, difficulty, tags].map(csvCell).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseVocabularyTable,
+  toVocabularyCsv
+};
@@ -0,0 +1,56 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseVocabularyTable, toVocabularyCsv } = require("./vocabulary-import");
+
+const texts = (result) => result.rows.map((row) => row.text);
+
+describe("vocabulary import", () => {
+  it("keeps a plain list of sentences whole in auto mode", () => {
+    const result = parseVocabularyTable({ content: "The cat sat, then slept.\nA dog ran.\nBirds, fish and frogs swim." });
+    assert.equal(result.format, "lines");
+    assert.deepEqual(texts(result), ["The cat sat, then slept.", "A dog ran.", "Birds, fish and frogs swim."]);
+  });
+
+  it("picks CSV and TSV when every row has the same columns or a header is recognised", () => {
+    assert.equal(parseVocabularyTable({ content: "apple,0.3\npear,0.5" }).format, "csv");
+    assert.equal(parseVocabularyTable({ content: "apple\t0.2\npear\t0.4" }).format, "tsv");
+    const headed = parseVocabularyTable({ content: "word,difficulty,tags\nlong one,0.9\nshort,0.1,fruit" });
+    assert.equal(headed.format, "csv");
+    assert.deepEqual(headed.mapping, { text: 0, difficulty: 1, tags: 2 });
+  });
+
+  it("reads quoted fields with delimiters, doubled quotes and line breaks", () => {
+    const result = parseVocabularyTable({ content: "text,tags\n\"say \"\"hi\"\", ok\",greeting\n\"two\nlines\",a;b\nlast,c" });
+    assert.deepEqual(texts(result), ["say \"hi\", ok", "two lines", "last"]);
+    assert.deepEqual(result.rows.map((row) => row.line), [2, 3, 5]);
+    assert.deepEqual(result.rows[1].tags, ["a", "b"]);
+  });
+
+  it("reports bad rows and duplicates without dropping them", () => {
+    const result = parseVocabularyTable({
+      content: "text,difficulty\napple,2\npear,0.4\nPear,0.5\nplum,",
+      existingTexts: ["plum"]
+    });
+    assert.deepEqual(result.rows[0].errors, ["difficulty must be a number from 0 to 1"]);
+    assert.equal(result.rows[2].duplicate, "file");
+    assert.equal(result.rows[3].duplicate, "existing");
+    assert.deepEqual(result.summary, { total: 4, valid: 3, invalid: 1, duplicates: 2 });
+  });
+
+  it("reads back what the CSV export writes, formula cells included", () => {
+    const entries = [
+      { text: "=SUM(A1)", difficulty_score: 0.4, tags: ["a", "b"] },
+      { text: "say \"hi\", ok", difficulty_score: null, tags: null },
+      { text: "-minus", difficulty_score: 1, tags: ["x"] }
+    ];
+    const csv = toVocabularyCsv(entries);
+    assert.ok(csv.includes("'=SUM(A1)"));
+    const result = parseVocabularyTable({ content: `\uFEFF${csv}`, format: "auto" });
+    assert.equal(result.format, "csv");
+    assert.deepEqual(result.rows.map(({ text, difficulty_score, tags }) => ({ text, difficulty_score, tags })), entries);
+  });
+
+  it("rejects a mapping to a column the file does not have", () => {
+    assert.throws(() => parseVocabularyTable({ content: "a,b\nc,d", mapping: { text: "word" } }), /not a column/);
+  });
+});
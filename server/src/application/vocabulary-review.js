@@ -0,0 +1,108 @@
+/**
+ * Review workflow for vocabulary packs: what changed between two versions, and
+ * who may move a pack from draft to published.
+ *
+ * Input contract:
+ * - Snapshots are `vocabulary_pack_versions.snapshot_json` values
+ *   `{ pack, entries }`; a missing snapshot diffs as an empty pack.
+ * - Packs carry `review_status`, `review_version` and `review_requested_by`;
+ *   actor and author ids are compared as strings.
+ * - The `vocabulary.review` config value is `{ required }`.
+ *
+ * Output contract:
+ * - Entries are matched by their trimmed text, since regeneration and rollback
+ *   give every entry a new id. Repeated texts are matched one for one.
+ * - `assertCanReview` throws a 403 `SELF_APPROVAL` when the reviewer submitted
+ *   or wrote the version under review.
+ */
+const { AppError, badRequest } = require("../shared/errors");
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const REVIEW_DECISIONS = ["approve", "reject"];
+const MAX_REVIEW_COMMENT = 1000;
+const DIFFED_PACK_FIELDS = ["name", "language", "level", "type"];
+
+function entryKey(entry) {
+  return String(entry?.text || "").trim();
+}
+
+function entryDetails(entry) {
+  return {
+    difficulty_score: entry.difficulty_score === undefined ? null : entry.difficulty_score,
+    tags: entry.tags === undefined ? null : entry.tags
+  };
+}
+
+/** Entry-level diff of two snapshots; `before` may be null for a pack's first review. */
+function diffVocabularySnapshots(before, after) {
+  const remaining = new Map();
+  for (const entry of Array.isArray(before?.entries) ? before.entries : []) {
+    const key = entryKey(entry);
+    if (!key) continue;
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(entry);
+  }
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const entry of Array.isArray(after?.entries) ? after.entries : []) {
+    const key = entryKey(entry);
+    if (!key) continue;
+    const previous = remaining.get(key)?.shift();
+    if (!previous) {
+      added.push(key);
+      continue;
+    }
+    const was = entryDetails(previous);
+    const now = entryDetails(entry);
+    if (JSON.stringify(was) === JSON.stringify(now)) unchanged += 1;
+    else changed.push({ text: key, before: was, after: now });
+  }
+  const removed = Array.from(remaining.values()).flat().map(entryKey);
+  const fields = DIFFED_PACK_FIELDS
+    .filter((field) => before?.pack && after?.pack && String(before.pack[field]) !== String(after.pack[field]))
+    .map((field) => ({ field, before: before.pack[field], after: after.pack[field] }));
+  return { fields, added, removed, changed, unchanged };
+}
+
+function readReviewSettings(value) {
+  // WHY: on by default; a single-parent install can switch it off, since nobody else could approve its packs.
+  return { required: value?.required !== false };
+}
+
+/** The pack's review status, or null when it was never submitted or its content changed since. */
+function currentReviewStatus(pack) {
+  return REVIEW_STATUSES.includes(pack?.review_status) ? pack.review_status : null;
+}
+
+function normalizeReviewDecision(body) {
+  const decision = String(body?.decision || "");
+  if (!REVIEW_DECISIONS.includes(decision)) throw badRequest("decision must be approve or reject");
+  const comment = String(body?.comment || "").trim();
+  if (comment.length > MAX_REVIEW_COMMENT) throw badRequest(`comment must be at most ${MAX_REVIEW_COMMENT} characters`);
+  if (decision === "reject" && !comment) throw badRequest("Say what needs to change when rejecting a pack");
+  return { decision, comment: comment || null };
+}
+
+/** `authorIds` are everyone who wrote the submitted version; none of them may approve or reject it. */
+function assertCanReview({ pack, reviewerId, authorIds = [] }) {
+  if (currentReviewStatus(pack) !== "pending") {
+    throw new AppError("This pack is not waiting for review", { status: 409, code: "REVIEW_NOT_PENDING", expose: true });
+  }
+  const reviewer = reviewerId === null || reviewerId === undefined ? "" : String(reviewerId);
+  // SECURITY: without a known reviewer the author rule cannot be checked, so anonymous admin tokens cannot review.
+  if (!reviewer) throw new AppError("Sign in to review packs", { status: 403, code: "SELF_APPROVAL", expose: true });
+  const authors = new Set([pack.review_requested_by, ...authorIds].filter(Boolean).map(String));
+  if (authors.has(reviewer)) {
+    throw new AppError("Someone other than the author has to review this pack", { status: 403, code: "SELF_APPROVAL", expose: true });
+  }
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  assertCanReview,
+  currentReviewStatus,
+  diffVocabularySnapshots,
+  normalizeReviewDecision,
+  readReviewSettings
+};
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Permissions, Roles, hasPermission } = require("../domain/rbac");
+const { assertCanReview, diffVocabularySnapshots, normalizeReviewDecision, readReviewSettings } = require("./vocabulary-review");
+
+const pending = { review_status: "pending", review_requested_by: "7" };
+
+describe("pack review", () => {
+  it("refuses the submitter and anyone who wrote the reviewed versions", () => {
+    assert.throws(() => assertCanReview({ pack: pending, reviewerId: 7 }), { code: "SELF_APPROVAL", status: 403 });
+    assert.throws(() => assertCanReview({ pack: pending, reviewerId: "9", authorIds: ["8", 9] }), { code: "SELF_APPROVAL" });
+    assert.throws(() => assertCanReview({ pack: pending, reviewerId: null }), { code: "SELF_APPROVAL" });
+    assert.doesNotThrow(() => assertCanReview({ pack: pending, reviewerId: 10, authorIds: ["8", "9"] }));
+  });
+
+  it("only reviews packs that are waiting for review", () => {
+    for (const review_status of [null, "approved", "rejected"]) {
+      assert.throws(() => assertCanReview({ pack: { ...pending, review_status }, reviewerId: 10 }), { code: "REVIEW_NOT_PENDING", status: 409 });
+    }
+  });
+
+  it("lets moderators review and only admins publish", () => {
+    assert.equal(hasPermission(Roles.USER, Permissions.VOCAB_REVIEW), false);
+    assert.equal(hasPermission(Roles.MODERATOR, Permissions.VOCAB_REVIEW), true);
+    assert.equal(hasPermission(Roles.MODERATOR, Permissions.VOCAB_PUBLISH), false);
+    assert.equal(hasPermission(Roles.ADMIN, Permissions.VOCAB_REVIEW), true);
+    assert.equal(hasPermission(Roles.ADMIN, Permissions.VOCAB_PUBLISH), true);
+  });
+
+  it("needs a comment to request changes", () => {
+    assert.throws(() => normalizeReviewDecision({ decision: "reject" }), /Say what needs to change/);
+    assert.throws(() => normalizeReviewDecision({ decision: "publish" }), /approve or reject/);
+    assert.deepEqual(normalizeReviewDecision({ decision: "approve", comment: "  " }), { decision: "approve", comment: null });
+  });
+
+  it("requires review unless it was switched off", () => {
+    assert.deepEqual(readReviewSettings(null), { required: true });
+    assert.deepEqual(readReviewSettings({ required: false }), { required: false });
+  });
+
+  it("diffs entries by text", () => {
+    const before = {
+      pack: { name: "Fruit", language: "en", level: 1, type: "words" },
+      entries: [
+        { id: "1", text: "apple", difficulty_score: 0.2, tags: null },
+        { id: "2", text: "pear", difficulty_score: 0.3, tags: null },
+        { id: "3", text: "plum" },
+        { id: "4", text: "plum" }
+      ]
+    };
+    const after = {
+      pack: { name: "Fruits", language: "en", level: 1, type: "words" },
+      entries: [
+        { id: "5", text: "apple", difficulty_score: 0.2, tags: null },
+        { id: "6", text: " pear ", difficulty_score: 0.5, tags: ["green"] },
+        { id: "7", text: "plum" },
+        { id: "8", text: "kiwi" }
+      ]
+    };
+    assert.deepEqual(diffVocabularySnapshots(before, after), {
+      fields: [{ field: "name", before: "Fruit", after: "Fruits" }],
+      added: ["kiwi"],
+      removed: ["plum"],
+      changed: [{ text: "pear", before: { difficulty_score: 0.3, tags: null }, after: { difficulty_score: 0.5, tags: ["green"] } }],
+      unchanged: 2
+    });
+  });
+
+  it("diffs a first review against an empty pack", () => {
+    const result = diffVocabularySnapshots(null, { pack: { name: "New" }, entries: [{ text: "one" }, { text: "two" }] });
+    assert.deepEqual(result, { fields: [], added: ["one", "two"], removed: [], changed: [], unchanged: 0 });
+  });
+});
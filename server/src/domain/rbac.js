@@ -2,6 +2,7 @@ const Roles = Object.freeze({
   OWNER: "OWNER",
   ADMIN: "ADMIN",
   MODERATOR: "MODERATOR",
+  TEACHER: "TEACHER",
   USER: "USER",
   GUEST: "GUEST"
 });
@@ -13,6 +14,13 @@ const Permissions = Object.freeze({
   LEADERBOARD_READ: "leaderboard:read",
   VOCAB_READ: "vocab:read",
   VOCAB_MANAGE: "vocab:manage",
+  VOCAB_REVIEW: "vocab:review",
+  VOCAB_PUBLISH: "vocab:publish",
+  CLASSROOM_JOIN: "classroom:join",
+  CLASSROOM_MANAGE: "classroom:manage",
+  CHALLENGE_MANAGE: "challenge:manage",
+  LEADERBOARD_MODERATE: "leaderboard:moderate",
+  USER_NAME_MODERATE: "user:name:moderate",
   SETTINGS_READ: "settings:read",
   SETTINGS_WRITE: "settings:write",
   ADMIN_RESET: "admin:reset",
@@ -34,9 +42,10 @@ const Permissions = Object.freeze({
 const roleHierarchy = {
   [Roles.GUEST]: 0,
   [Roles.USER]: 1,
-  [Roles.MODERATOR]: 2,
-  [Roles.ADMIN]: 3,
-  [Roles.OWNER]: 4
+  [Roles.TEACHER]: 2,
+  [Roles.MODERATOR]: 3,
+  [Roles.ADMIN]: 4,
+  [Roles.OWNER]: 5
 };
 
 const permissionMatrix = {
@@ -52,7 +61,17 @@ const permissionMatrix = {
     Permissions.TASKS_GENERATE,
     Permissions.RESULTS_WRITE,
     Permissions.LEADERBOARD_READ,
-    Permissions.VOCAB_READ
+    Permissions.VOCAB_READ,
+    Permissions.CLASSROOM_JOIN
+  ],
+  [Roles.TEACHER]: [
+    Permissions.SESSION_READ,
+    Permissions.TASKS_GENERATE,
+    Permissions.RESULTS_WRITE,
+    Permissions.LEADERBOARD_READ,
+    Permissions.VOCAB_READ,
+    Permissions.CLASSROOM_JOIN,
+    Permissions.CLASSROOM_MANAGE
   ],
   [Roles.MODERATOR]: [
     Permissions.SESSION_READ,
@@ -60,6 +79,10 @@ const permissionMatrix = {
     Permissions.RESULTS_WRITE,
     Permissions.LEADERBOARD_READ,
     Permissions.VOCAB_READ,
+    Permissions.VOCAB_REVIEW,
+    Permissions.CLASSROOM_JOIN,
+    Permissions.LEADERBOARD_MODERATE,
+    Permissions.USER_NAME_MODERATE,
     Permissions.ADMIN_DIAGNOSTICS_READ,
     Permissions.ADMIN_AUDIT_READ
   ],
@@ -70,6 +93,13 @@ const permissionMatrix = {
     Permissions.LEADERBOARD_READ,
     Permissions.VOCAB_READ,
     Permissions.VOCAB_MANAGE,
+    Permissions.VOCAB_REVIEW,
+    Permissions.VOCAB_PUBLISH,
+    Permissions.CLASSROOM_JOIN,
+    Permissions.CLASSROOM_MANAGE,
+    Permissions.CHALLENGE_MANAGE,
+    Permissions.LEADERBOARD_MODERATE,
+    Permissions.USER_NAME_MODERATE,
     Permissions.SETTINGS_READ,
     Permissions.SETTINGS_WRITE,
     Permissions.ADMIN_RESET,
@@ -0,0 +1,197 @@
+/**
+ * Text generation providers behind one `complete()` call.
+ *
+ * Input contract:
+ * - `createTextProvider(settings)` takes `{ type, apiKey, baseUrl, timeoutMs, env }`;
+ *   `type` is one of `AI_PROVIDER_TYPES` and `env` overrides `NODE_ENV`.
+ * - `complete({ prompt, systemPrompt, model, temperature, maxTokens })` where
+ *   `prompt` is a string or a prepared list of `{ role, content }` messages.
+ *
+ * Output contract:
+ * - `complete` resolves to the model's raw text; callers parse and validate it.
+ * - A failed HTTP call throws an Error carrying `status` and `body`, so
+ *   error classification works the same for every vendor.
+ * - The offline stub never touches the network and returns the same text for
+ *   the same prompt. It only exists where `NODE_ENV` is one of
+ *   `OFFLINE_STUB_ENVS`; elsewhere `createTextProvider` refuses it.
+ */
+const AI_PROVIDER_TYPES = ["openai", "openai_compatible", "offline_stub"];
+// SECURITY: the stub's made-up syllables must never become a real pack, so production cannot select it.
+const OFFLINE_STUB_ENVS = ["test", "development"];
+const OPENAI_RESPONSES_URL = "https://api.openai.com/v1/responses";
+
+function toMessages(prompt, systemPrompt) {
+  if (Array.isArray(prompt)) return prompt;
+  const messages = [];
+  if (systemPrompt) messages.push({ role: "system", content: systemPrompt });
+  messages.push({ role: "user", content: String(prompt || "") });
+  return messages;
+}
+
+async function postJson(url, { headers = {}, body, timeoutMs, vendor }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      signal: controller.signal,
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const err = new Error(`${vendor} request failed (${response.status})`);
+      err.status = response.status;
+      err.body = await response.text();
+      throw err;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+class OpenAIProvider {
+  constructor({ apiKey, timeoutMs = 20000 }) {
+    this.type = "openai";
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete({ prompt, systemPrompt = "", model, temperature = 0.7, maxTokens = null }) {
+    const data = await postJson(OPENAI_RESPONSES_URL, {
+      vendor: "OpenAI",
+      timeoutMs: this.timeoutMs,
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: {
+        model,
+        input: toMessages(prompt, systemPrompt),
+        temperature,
+        ...(maxTokens ? { max_output_tokens: Number(maxTokens) } : {})
+      }
+    });
+    return data.output?.[0]?.content?.[0]?.text || data.output_text || "";
+  }
+}
+
+/** Any server speaking the chat completions API, such as Ollama or llama.cpp. */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = "", timeoutMs = 60000 }) {
+    this.type = "openai_compatible";
+    this.baseUrl = String(baseUrl || "").replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete({ prompt, systemPrompt = "", model, temperature = 0.7, maxTokens = null }) {
+    const data = await postJson(`${this.baseUrl}/chat/completions`, {
+      vendor: "AI provider",
+      timeoutMs: this.timeoutMs,
+      // Local servers usually run without a key.
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model,
+        messages: toMessages(prompt, systemPrompt),
+        temperature,
+        ...(maxTokens ? { max_tokens: Number(maxTokens) } : {})
+      }
+    });
+    return data.choices?.[0]?.message?.content || "";
+  }
+}
+
+const STUB_SYLLABLES = {
+  en: ["ba", "ko", "mi", "lu", "te", "sa", "no", "pi", "ru", "de", "fa", "go", "hi", "ja", "ve", "wo", "zu", "ca", "le", "mo"],
+  ru: ["ма", "ко", "ли", "ну", "те", "са", "но", "пи", "ру", "де", "фа", "го", "ви", "жа", "зе", "бо", "ду", "ка", "ле", "мо"]
+};
+const STUB_WORD_MAX_BY_LEVEL = { 1: 2, 2: 4, 3: 7, 4: 10, 5: 14 };
+const STUB_SEARCH_LIMIT = 20000;
+
+function hashText(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function stubWord(syllables, n) {
+  let word = "";
+  let rest = n;
+  do {
+    word += syllables[rest % syllables.length];
+    rest = Math.floor(rest / syllables.length);
+  } while (rest > 0);
+  return word;
+}
+
+/**
+ * Reads what the prompt asks for (item count, language, level, words or
+ * sentences, and the JSON shape) from the wording our own prompt builders use.
+ */
+function readStubRequest(text) {
+  const count = Number(/exactly (\d+)/i.exec(text)?.[1] || /generate (\d+)/i.exec(text)?.[1] || 10);
+  const language = /language[=:]\s*ru\b|russian/i.test(text) ? "ru" : "en";
+  const level = Number(/level=(\d)/.exec(text)?.[1] || 3);
+  const lengthRange = /(\d+)-(\d+) (?:letters|characters)/i.exec(text);
+  const typeMatch = /type=([a-z_]+)/.exec(text);
+  return {
+    count: Math.max(1, Math.min(500, count)),
+    language,
+    sentences: Boolean(typeMatch && typeMatch[1] !== "words"),
+    maxLength: lengthRange ? Number(lengthRange[2]) : STUB_WORD_MAX_BY_LEVEL[level] || 7,
+    wrapper: text.includes("{\"words\"") ? "words" : text.includes("{\"items\"") ? "items" : null
+  };
+}
+
+class OfflineStubProvider {
+  constructor() {
+    this.type = "offline_stub";
+  }
+
+  async complete({ prompt, systemPrompt = "" }) {
+    const text = `${systemPrompt}\n${Array.isArray(prompt) ? prompt.map((message) => message.content).join("\n") : String(prompt || "")}`;
+    if (text.includes("{\"ok\":true}")) return "{\"ok\":true}";
+    const request = readStubRequest(text);
+    const syllables = STUB_SYLLABLES[request.language];
+    const offset = hashText(text) % syllables.length;
+    const words = [];
+    for (let k = 0; words.length < request.count * (request.sentences ? 3 : 1) && k < STUB_SEARCH_LIMIT; k += 1) {
+      // The prompt hash rotates which short words come first; longer ones follow in order.
+      const word = stubWord(syllables, k < syllables.length ? (offset + k) % syllables.length : k);
+      if (word.length <= (request.sentences ? 4 : request.maxLength)) words.push(word);
+    }
+    const items = request.sentences
+      ? Array.from({ length: Math.floor(words.length / 3) }, (_, i) => `${words.slice(i * 3, i * 3 + 3).join(" ")}.`)
+      : words;
+    return JSON.stringify(request.wrapper ? { [request.wrapper]: items } : items);
+  }
+}
+
+/** The provider types this process may use; `env` defaults to `NODE_ENV`. */
+function availableProviderTypes(env = process.env.NODE_ENV) {
+  const stubAllowed = OFFLINE_STUB_ENVS.includes(String(env || "").toLowerCase());
+  return AI_PROVIDER_TYPES.filter((type) => type !== "offline_stub" || stubAllowed);
+}
+
+function createTextProvider(settings = {}) {
+  switch (settings.type) {
+    case "openai":
+      return new OpenAIProvider(settings);
+    case "openai_compatible":
+      return new OpenAICompatibleProvider(settings);
+    case "offline_stub":
+      if (!availableProviderTypes(settings.env).includes("offline_stub")) {
+        throw new Error(`The offline stub provider only runs when NODE_ENV is ${OFFLINE_STUB_ENVS.join(" or ")}`);
+      }
+      return new OfflineStubProvider();
+    default:
+      throw new Error(`Unknown AI provider ${settings.type}`);
+  }
+}
+
+module.exports = {
+  AI_PROVIDER_TYPES,
+  availableProviderTypes,
+  createTextProvider
+};
@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { AI_PROVIDER_TYPES, availableProviderTypes, createTextProvider } = require("./text-providers");
+
+const stub = () => createTextProvider({ type: "offline_stub", env: "test" });
+
+describe("text provider factory", () => {
+  it("builds each provider type it lists", () => {
+    assert.equal(createTextProvider({ type: "openai", apiKey: "sk-test" }).type, "openai");
+    assert.equal(createTextProvider({ type: "openai_compatible", baseUrl: "http://localhost:11434/v1" }).type, "openai_compatible");
+    assert.equal(stub().type, "offline_stub");
+    assert.throws(() => createTextProvider({ type: "anthropic" }), /Unknown AI provider/);
+  });
+
+  it("only offers the offline stub in test and development", () => {
+    assert.deepEqual(availableProviderTypes("test"), AI_PROVIDER_TYPES);
+    assert.deepEqual(availableProviderTypes("development"), AI_PROVIDER_TYPES);
+    for (const env of ["production", ""]) {
+      assert.deepEqual(availableProviderTypes(env), ["openai", "openai_compatible"]);
+      assert.throws(() => createTextProvider({ type: "offline_stub", env }), /only runs when NODE_ENV/);
+    }
+  });
+});
+
+describe("offline stub provider", () => {
+  it("returns the same answer for the same prompt", async () => {
+    const prompt = "Generate exactly 8 words. language=en level=2";
+    assert.equal(await stub().complete({ prompt }), await stub().complete({ prompt }));
+  });
+
+  it("follows the count, language, length and JSON shape the prompt asks for", async () => {
+    const words = JSON.parse(await stub().complete({ prompt: "Return exactly 5 words, 2-4 letters, as {\"words\": [...]}. language=ru" })).words;
+    assert.equal(words.length, 5);
+    for (const word of words) {
+      assert.match(word, /^[а-яё]+$/);
+      assert.ok(word.length <= 4, word);
+    }
+
+    const sentences = JSON.parse(await stub().complete({ prompt: "Generate 3 items. type=sentences", systemPrompt: "Answer as {\"items\": [...]}" })).items;
+    assert.equal(sentences.length, 3);
+    for (const sentence of sentences) assert.match(sentence, /^\S+ \S+ \S+\.$/);
+  });
+
+  it("answers the connection check", async () => {
+    assert.equal(await stub().complete({ prompt: [{ role: "user", content: "Reply with {\"ok\":true}" }] }), "{\"ok\":true}");
+  });
+});
@@ -14,7 +14,10 @@ const SAFE_CONFIG_KEYS = new Set([
   "app.wizard",
   "service.email.status",
   "service.openai",
+  "service.ai",
   "contest.rules",
+  "content.safety",
+  "vocabulary.review",
   "generator.defaults",
   "theme.defaults",
   "service.email",
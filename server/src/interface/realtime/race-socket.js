@@ -0,0 +1,181 @@
+const { randomUUID } = require("crypto");
+const { WebSocketServer } = require("ws");
+const logger = require("../../shared/logger");
+
+const RACE_SOCKET_PATH = "/api/race/ws";
+const MAX_MESSAGE_BYTES = 4 * 1024;
+const PING_INTERVAL_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 1000;
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function sameOrigin(req) {
+  const origin = String(req.headers.origin || "");
+  if (!origin) return false;
+  try {
+    return new URL(origin).host === String(req.headers.host || "");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hosts race rooms on the HTTP server's upgrade path.
+ *
+ * `authenticate(req)` resolves `{ userId, profileId, name }` or throws;
+ * `generateTasks(room)` builds the shared task list when the host starts;
+ * `recordResults(room)` persists a finished race. Room rules live in the registry.
+ */
+function attachRaceSocket({ server, registry, authenticate, generateTasks, recordResults }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  const socketsByRoom = new Map();
+
+  function broadcast(room, message) {
+    for (const socket of socketsByRoom.get(room.code) || []) send(socket, message);
+  }
+
+  function publish(room) {
+    broadcast(room, { type: "room", room: registry.snapshot(room) });
+  }
+
+  function onFinished(room) {
+    publish(room);
+    Promise.resolve(recordResults(room)).catch((err) => logger.warn("race_results_save_failed", { code: room.code, error: err }));
+  }
+
+  function enterRoom(socket, room) {
+    socket.roomCode = room.code;
+    if (!socketsByRoom.has(room.code)) socketsByRoom.set(room.code, new Set());
+    socketsByRoom.get(room.code).add(socket);
+    send(socket, { type: "joined", playerId: socket.player.id });
+    publish(room);
+  }
+
+  function leaveRoom(socket) {
+    const code = socket.roomCode;
+    if (!code) return;
+    socket.roomCode = null;
+    socketsByRoom.get(code)?.delete(socket);
+    const wasRacing = registry.rooms.get(code)?.status === "racing";
+    const room = registry.leave(code, socket.player.id);
+    if (!room) {
+      socketsByRoom.delete(code);
+      return;
+    }
+    if (wasRacing && room.status === "finished") onFinished(room);
+    else publish(room);
+  }
+
+  async function handleMessage(socket, message) {
+    switch (message.type) {
+      case "create": {
+        leaveRoom(socket);
+        enterRoom(socket, registry.create(socket.player, {
+          level: Math.min(5, Math.max(1, Math.floor(Number(message.level) || 1))),
+          language: message.language === "ru" ? "ru" : "en",
+          contentMode: message.contentMode === "vocab" ? "vocab" : "default",
+          taskCount: Number(message.taskCount)
+        }));
+        return;
+      }
+      case "join": {
+        leaveRoom(socket);
+        enterRoom(socket, registry.join(String(message.code || "").trim().toUpperCase(), socket.player));
+        return;
+      }
+      case "start": {
+        // Checked before generating so a refused start costs nothing.
+        const room = registry.assertCanStart(socket.roomCode, socket.player.id);
+        const tasks = await generateTasks(room);
+        registry.start(room.code, socket.player.id, tasks);
+        broadcast(room, { type: "tasks", tasks: room.tasks });
+        publish(room);
+        return;
+      }
+      case "progress": {
+        const room = registry.get(socket.roomCode);
+        const wasRacing = room.status === "racing";
+        registry.progress(room.code, socket.player.id, message);
+        if (wasRacing && room.status === "finished") onFinished(room);
+        else publish(room);
+        return;
+      }
+      case "leave":
+        leaveRoom(socket);
+        return;
+      default:
+        send(socket, { type: "error", code: "BAD_REQUEST", message: "Unknown message" });
+    }
+  }
+
+  wss.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        send(socket, { type: "error", code: "BAD_REQUEST", message: "Invalid message" });
+        return;
+      }
+      if (!message || typeof message !== "object") return;
+      handleMessage(socket, message).catch((err) => {
+        send(socket, {
+          type: "error",
+          code: err?.expose ? err.code : "INTERNAL_ERROR",
+          message: err?.expose ? err.message : "Something went wrong"
+        });
+        if (!err?.expose) logger.warn("race_message_failed", { type: message.type, error: err });
+      });
+    });
+    socket.on("close", () => leaveRoom(socket));
+  });
+
+  server.on("upgrade", (req, netSocket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== RACE_SOCKET_PATH) return;
+    // SECURITY: browsers attach session cookies to cross-site WebSocket handshakes, so the origin must match.
+    if (!sameOrigin(req)) {
+      netSocket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    Promise.resolve(authenticate(req))
+      .then((identity) => {
+        wss.handleUpgrade(req, netSocket, head, (socket) => {
+          socket.player = { id: randomUUID(), name: identity.name, userId: identity.userId, profileId: identity.profileId };
+          wss.emit("connection", socket, req);
+        });
+      })
+      .catch(() => netSocket.end("HTTP/1.1 401 Unauthorized\r\n\r\n"));
+  });
+
+  const pingTimer = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, PING_INTERVAL_MS);
+  const sweepTimer = setInterval(() => {
+    registry.sweep().forEach(onFinished);
+    for (const code of socketsByRoom.keys()) {
+      if (!registry.rooms.has(code)) socketsByRoom.delete(code);
+    }
+  }, SWEEP_INTERVAL_MS);
+  pingTimer.unref();
+  sweepTimer.unref();
+
+  return wss;
+}
+
+module.exports = {
+  RACE_SOCKET_PATH,
+  attachRaceSocket
+};